@@ -15,4 +15,17 @@ module.exports = {
   openaiApiKey: process.env.OPENAI_API_KEY,
   vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
   redisClusterNodes: process.env.REDIS_CLUSTER_NODES,
+  messageEditWindow: process.env.MESSAGE_EDIT_WINDOW,
+  maxPinnedMessages: process.env.MAX_PINNED_MESSAGES,
+  adminEmails: process.env.ADMIN_EMAILS,
+  aiContextTokenBudget: process.env.AI_CONTEXT_TOKEN_BUDGET,
+  llmProvider: process.env.LLM_PROVIDER,
+  llmBaseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+  llmApiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  llmDefaultModel: process.env.LLM_DEFAULT_MODEL || 'gpt-4o-mini',
+  llmTimeout: process.env.LLM_TIMEOUT,
+  aiUserRateLimit: process.env.AI_USER_RATE_LIMIT,
+  aiUserDailyRequestLimit: process.env.AI_USER_DAILY_REQUEST_LIMIT,
+  aiUserDailyTokenLimit: process.env.AI_USER_DAILY_TOKEN_LIMIT,
+  aiRoomDailyTokenLimit: process.env.AI_ROOM_DAILY_TOKEN_LIMIT,
 };
\ No newline at end of file
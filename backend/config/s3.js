@@ -0,0 +1,13 @@
+// backend/config/s3.js
+const { S3Client } = require('@aws-sdk/client-s3');
+
+// 업로드와 파일 읽기에서 함께 사용하는 S3 클라이언트
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+module.exports = s3Client;
@@ -0,0 +1,39 @@
+// backend/middleware/admin.js
+
+const User = require('../models/User');
+const { adminEmails } = require('../config/keys');
+
+// 환경 변수에 등록된 관리자 이메일 목록 (쉼표로 구분)
+const ADMIN_EMAILS = (adminEmails || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// 사용자가 서비스 관리자인지 확인
+const isAdminUser = async (userId) => {
+  if (!userId || ADMIN_EMAILS.length === 0) return false;
+  const user = await User.findById(userId).select('email').lean();
+  return !!user && ADMIN_EMAILS.includes(user.email);
+};
+
+// 관리자 전용 라우트 보호 (auth 미들웨어 다음에 사용)
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await isAdminUser(req.user?.id))) {
+      return res.status(403).json({
+        success: false,
+        message: '관리자만 접근할 수 있습니다.'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Admin middleware error:', err);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+};
+
+module.exports = { requireAdmin, isAdminUser };
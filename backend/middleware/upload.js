@@ -4,17 +4,8 @@ const multer = require('multer');
 const multerS3 = require('multer-s3');
 const path = require('path');
 const crypto = require('crypto');
-const { S3Client } = require('@aws-sdk/client-s3');
 const fs = require('fs');
-
-// S3 설정
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+const s3 = require('../config/s3');
 
 // MIME 타입과 확장자 매핑
 const ALLOWED_TYPES = {
@@ -33,6 +24,7 @@ const ALLOWED_TYPES = {
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
     '.docx',
   ],
+  'text/plain': ['.txt'],
 };
 
 // 파일 타입별 크기 제한 설정
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const TOOL_NAMES = ['search_messages', 'list_participants', 'read_file', 'get_current_time'];
+
+const AIPersonaSchema = new mongoose.Schema({
+  // 멘션에 사용하는 식별자 (예: @wayneAI), 메시지의 aiType으로 저장됨
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]{1,29}$/, '식별자는 영문으로 시작하는 2~30자의 영문, 숫자, 밑줄만 사용할 수 있습니다.']
+  },
+  name: {
+    type: String,
+    required: [true, '이름은 필수 입력 항목입니다.'],
+    trim: true,
+    maxlength: [50, '이름은 50자를 초과할 수 없습니다.']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, '설명은 200자를 초과할 수 없습니다.']
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, '시스템 프롬프트는 필수 입력 항목입니다.'],
+    maxlength: [4000, '시스템 프롬프트는 4000자를 초과할 수 없습니다.']
+  },
+  tone: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, '톤은 100자를 초과할 수 없습니다.']
+  },
+  // 비워 두면 LLM_DEFAULT_MODEL 사용
+  model: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  temperature: {
+    type: Number,
+    min: [0, 'temperature는 0 이상이어야 합니다.'],
+    max: [2, 'temperature는 2 이하여야 합니다.'],
+    default: 0.7
+  },
+  // 아바타 이미지 URL (없으면 이름 첫 글자와 색상으로 표시)
+  avatar: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  color: {
+    type: String,
+    match: [/^#[A-Fa-f0-9]{6}$/, '색상은 #RRGGBB 형식이어야 합니다.'],
+    default: '#0084ff'
+  },
+  // 응답 중 호출할 수 있는 서버 도구 (services/aiToolService.js)
+  tools: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOOL_NAMES,
+        message: '지원하지 않는 도구입니다: {VALUE}'
+      }
+    }],
+    default: () => [...TOOL_NAMES]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AIPersonaSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+AIPersonaSchema.index({ isActive: 1, createdAt: 1 });
+
+const AIPersona = mongoose.model('AIPersona', AIPersonaSchema);
+AIPersona.TOOL_NAMES = TOOL_NAMES;
+
+module.exports = AIPersona;
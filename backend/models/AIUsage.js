@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// AI 요청 한 건의 토큰 사용량 (사용자, 채팅방, 페르소나별 집계용)
+const AIUsageSchema = new mongoose.Schema({
+  // 요청한 사용자
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  // 응답한 페르소나 (AIPersona.key)
+  aiType: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    default: ''
+  },
+  // response: 멘션 또는 AI 대화 응답, regenerate: 다시 생성, summary: 대화 요약
+  kind: {
+    type: String,
+    enum: ['response', 'regenerate', 'summary'],
+    default: 'response'
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // 공급자가 사용량을 보고하지 않아 추정한 값인지 여부
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AIUsageSchema.index({ createdAt: -1 });
+AIUsageSchema.index({ user: 1, createdAt: -1 });
+AIUsageSchema.index({ room: 1, createdAt: -1 });
+AIUsageSchema.index({ aiType: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', AIUsageSchema);
@@ -103,6 +103,17 @@ FileSchema.pre('remove', async function (next) {
   }
 });
 
+// 스토리지(S3)와 DB에서 파일 삭제
+FileSchema.methods.removeWithStorage = async function () {
+  const params = {
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: `uploads/${this.filename}`,
+  };
+
+  await s3Client.send(new DeleteObjectCommand(params));
+  await this.deleteOne();
+};
+
 // URL 안전한 파일명 생성을 위한 유틸리티 메서드
 FileSchema.methods.getSafeFilename = function () {
   return this.filename;
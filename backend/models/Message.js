@@ -32,13 +32,39 @@ const MessageSchema = new mongoose.Schema({
       return this.type === 'file';
     }
   },
+  // AI 페르소나 식별자 (AIPersona.key)
   aiType: {
     type: String,
-    enum: ['wayneAI', 'consultingAI'],
     required: function() { 
       return this.type === 'ai'; 
     }
   },
+  // 다시 생성한 AI 응답 목록 (첫 재생성 시 원래 응답도 포함, content는 선택된 응답)
+  aiVariants: [{
+    _id: false,
+    content: {
+      type: String,
+      required: true
+    },
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    // 응답을 만드는 동안 호출한 도구 기록 (metadata.toolSteps와 같은 형식)
+    toolSteps: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  activeVariant: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   mentions: [{ 
     type: String,
     trim: true
@@ -77,6 +103,40 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
     index: true
+  },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+    index: true
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
   }
 }, {
   timestamps: true,
@@ -98,6 +158,9 @@ MessageSchema.index({ sender: 1 });
 MessageSchema.index({ type: 1 });
 MessageSchema.index({ timestamp: -1 });
 MessageSchema.index({ 'reactions.userId': 1 });
+MessageSchema.index({ parentMessage: 1, timestamp: -1 });
+// 메시지 검색용 텍스트 인덱스 (한국어 형태소 분석이 없으므로 어간 추출 비활성화)
+MessageSchema.index({ content: 'text' }, { default_language: 'none' });
 
 // 읽음 처리 Static 메소드 개선
 MessageSchema.statics.markAsRead = async function(messageIds, userId) {
@@ -188,6 +251,29 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
   }
 };
 
+// 메시지 수정 메소드 (이전 내용은 editHistory에 보관)
+MessageSchema.methods.editContent = async function(newContent) {
+  try {
+    const editedAt = new Date();
+
+    this.editHistory.push({
+      content: this.content,
+      editedAt
+    });
+    this.content = newContent;
+    this.editedAt = editedAt;
+
+    await this.save();
+    return this;
+  } catch (error) {
+    console.error('Edit message error:', {
+      error,
+      messageId: this._id
+    });
+    throw error;
+  }
+};
+
 // 메시지 소프트 삭제 메소드 추가
 MessageSchema.methods.softDelete = async function() {
   this.isDeleted = true;
@@ -12,6 +12,30 @@ const RoomSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  type: {
+    type: String,
+    enum: ['group', 'direct', 'assistant'],
+    default: 'group'
+  },
+  // AI 대화방에서 모든 메시지에 응답하는 페르소나 (AIPersona.key)
+  aiPersona: {
+    type: String,
+    required: function() {
+      return this.type === 'assistant';
+    }
+  },
+  // 1:1 대화의 사용자 쌍 키 (정렬된 사용자 ID 조합)
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // 공개 범위 (public: 목록 노출, unlisted: 링크로만 입장, private: 초대받은 사용자만 입장)
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
   hasPassword: {
     type: Boolean,
     default: false
@@ -27,6 +51,129 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  bannedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  mutedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mutedUntil: {
+      type: Date,
+      required: true
+    }
+  }],
+  invites: [{
+    token: {
+      type: String,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    maxUses: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // 목록 미리보기용 마지막 메시지 (메시지 생성, 수정, 삭제 시 갱신)
+  lastMessage: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    type: {
+      type: String
+    },
+    content: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    senderName: String,
+    timestamp: Date
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 사용자별 마지막으로 읽은 시각 (안 읽은 메시지 수 계산용)
+  readStates: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastReadAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  // AI 응답 맥락에 포함하지 못한 이전 대화의 요약 (until 시각까지의 메시지를 요약)
+  // 대화 내용이 담기므로 채팅방 조회 응답에 포함되지 않도록 기본 조회에서 제외
+  aiContextSummary: {
+    type: new mongoose.Schema({
+      content: String,
+      until: Date
+    }, { _id: false }),
+    select: false
+  },
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 });
 
@@ -37,12 +184,54 @@ RoomSchema.pre('save', async function(next) {
     this.password = await bcrypt.hash(this.password, salt);
     this.hasPassword = true;
   }
-  if (!this.password) {
+  // 비밀번호 필드는 기본 조회에서 제외되므로 변경된 경우에만 해제 처리
+  if ((this.isNew || this.isModified('password')) && !this.password) {
     this.hasPassword = false;
   }
   next();
 });
 
+// 사용자의 채팅방 역할 조회 (owner, admin, member)
+RoomSchema.methods.getRole = function(userId) {
+  const id = userId?.toString();
+  if (!id) return null;
+  if ((this.creator?._id || this.creator)?.toString() === id) return 'owner';
+  if (this.admins?.some(admin => (admin?._id || admin).toString() === id)) return 'admin';
+  return 'member';
+};
+
+// 차단 여부 확인
+RoomSchema.methods.isBanned = function(userId) {
+  const id = userId?.toString();
+  return !!this.bannedUsers?.some(ban => (ban.user?._id || ban.user).toString() === id);
+};
+
+// 채팅 금지 해제 시각 조회 (금지 상태가 아니면 null)
+RoomSchema.methods.getMutedUntil = function(userId) {
+  const id = userId?.toString();
+  const mute = this.mutedUsers?.find(
+    entry => (entry.user?._id || entry.user).toString() === id
+  );
+  if (!mute || new Date(mute.mutedUntil) <= new Date()) return null;
+  return mute.mutedUntil;
+};
+
+// 참여자 여부 확인
+RoomSchema.methods.isParticipant = function(userId) {
+  const id = userId?.toString();
+  return !!this.participants?.some(participant => (participant?._id || participant).toString() === id);
+};
+
+// 1:1 대화 여부 확인
+RoomSchema.methods.isDirect = function() {
+  return this.type === 'direct';
+};
+
+// AI 대화방 여부 확인
+RoomSchema.methods.isAssistant = function() {
+  return this.type === 'assistant';
+};
+
 // 비밀번호 확인 메서드
 RoomSchema.methods.checkPassword = async function(password) {
   if (!this.hasPassword) return true;
@@ -50,4 +239,9 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+RoomSchema.index({ participants: 1 });
+RoomSchema.index({ type: 1, participants: 1 });
+RoomSchema.index({ visibility: 1, createdAt: -1 });
+RoomSchema.index({ lastActivityAt: -1 });
+
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
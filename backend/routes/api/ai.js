@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const { requireAdmin, isAdminUser } = require('../../middleware/admin');
+const AIPersonaService = require('../../services/aiPersonaService');
+const AIAssistantService = require('../../services/aiAssistantService');
+const AIUsageService = require('../../services/aiUsageService');
+const { rateLimit } = require('express-rate-limit');
+
+// 속도 제한 설정
+const limiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1분
+  max: 60, // IP당 최대 요청 수
+  message: {
+    success: false,
+    error: {
+      message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.',
+      code: 'TOO_MANY_REQUESTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// AI 페르소나 목록 조회 (관리자는 시스템 프롬프트 등 설정 포함)
+router.get('/personas', [limiter, auth], async (req, res) => {
+  try {
+    const isAdmin = await isAdminUser(req.user.id);
+    const personas = await AIPersonaService.listPersonas(isAdmin);
+
+    res.json({
+      success: true,
+      data: personas,
+      isAdmin
+    });
+  } catch (error) {
+    console.error('AI persona list error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 페르소나 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// AI 페르소나 생성 (관리자 전용)
+router.post('/personas', [limiter, auth, requireAdmin], async (req, res) => {
+  try {
+    const persona = await AIPersonaService.createPersona(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('AI persona create error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 페르소나 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// AI 페르소나 수정 (관리자 전용)
+router.put('/personas/:personaId', [limiter, auth, requireAdmin], async (req, res) => {
+  try {
+    const persona = await AIPersonaService.updatePersona(req.params.personaId, req.body);
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('AI persona update error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 페르소나 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// AI 페르소나 삭제 (관리자 전용)
+router.delete('/personas/:personaId', [limiter, auth, requireAdmin], async (req, res) => {
+  try {
+    await AIPersonaService.deletePersona(req.params.personaId);
+
+    res.json({
+      success: true,
+      message: 'AI 페르소나가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('AI persona delete error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 페르소나 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 기간별 AI 사용량 조회 (관리자 전용)
+// query: from, to (ISO 날짜), interval (hour | day | month), userId, roomId, aiType
+router.get('/usage', [limiter, auth, requireAdmin], async (req, res) => {
+  try {
+    const { from, to, interval, userId, roomId, aiType } = req.query;
+    const report = await AIUsageService.getUsageReport({
+      from,
+      to,
+      interval,
+      userId,
+      roomId,
+      aiType
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('AI usage report error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 사용량을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 내 AI 대화 목록 조회
+router.get('/rooms', [limiter, auth], async (req, res) => {
+  try {
+    const rooms = await AIAssistantService.getAssistantRooms(req.user.id);
+
+    res.json({
+      success: true,
+      data: rooms
+    });
+  } catch (error) {
+    console.error('AI assistant room list error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 대화 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 페르소나와의 새 AI 대화 생성
+router.post('/rooms', [limiter, auth], async (req, res) => {
+  try {
+    const room = await AIAssistantService.createAssistantRoom(
+      req.user.id,
+      req.body.persona,
+      req.body.name
+    );
+
+    res.status(201).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    console.error('AI assistant room create error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : 'AI 대화 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const DirectMessageService = require('../../services/directMessageService');
+const { rateLimit } = require('express-rate-limit');
+
+// 속도 제한 설정
+const limiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1분
+  max: 60, // IP당 최대 요청 수
+  message: {
+    success: false,
+    error: {
+      message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.',
+      code: 'TOO_MANY_REQUESTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 1:1 대화 목록 조회
+router.get('/', [limiter, auth], async (req, res) => {
+  try {
+    const rooms = await DirectMessageService.getDirectRooms(req.user.id);
+
+    res.json({
+      success: true,
+      data: rooms
+    });
+  } catch (error) {
+    console.error('Direct message list error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '1:1 대화 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 상대방과의 1:1 대화 열기 (없으면 생성)
+router.post('/', [limiter, auth], async (req, res) => {
+  try {
+    const room = await DirectMessageService.getOrCreateDirectRoom(
+      req.user.id,
+      req.body.userId
+    );
+
+    res.json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    console.error('Direct message open error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '1:1 대화를 여는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const auth = require('../../middleware/auth');
 const Room = require('../../models/Room');
 const User = require('../../models/User');
+const MessageService = require('../../services/messageService');
+const RoomService = require('../../services/roomService');
+const RoomActivityService = require('../../services/roomActivityService');
 const { rateLimit } = require('express-rate-limit');
 let io;
 
@@ -81,7 +84,7 @@ router.get('/', [limiter, auth], async (req, res) => {
     const skip = page * pageSize;
 
     // 정렬 설정
-    const allowedSortFields = ['createdAt', 'name', 'participantsCount'];
+    const allowedSortFields = ['createdAt', 'name', 'participantsCount', 'lastActivityAt'];
     const sortField = allowedSortFields.includes(req.query.sortField) 
       ? req.query.sortField 
       : 'createdAt';
@@ -89,8 +92,14 @@ router.get('/', [limiter, auth], async (req, res) => {
       ? req.query.sortOrder
       : 'desc';
 
-    // 검색 필터 구성
-    const filter = {};
+    // 검색 필터 구성 (1:1 대화와 AI 대화는 제외, 공개 채팅방과 참여 중인 채팅방만 노출)
+    const filter = {
+      type: { $nin: ['direct', 'assistant'] },
+      $or: [
+        { visibility: { $in: ['public', null] } },
+        { participants: req.user.id }
+      ]
+    };
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
@@ -107,6 +116,9 @@ router.get('/', [limiter, auth], async (req, res) => {
       .limit(pageSize)
       .lean();
 
+    // 안 읽은 메시지 수 (마지막으로 읽은 시각 이후 메시지만 집계)
+    const unreadCounts = await RoomActivityService.getUnreadCounts(rooms, req.user.id);
+
     // 안전한 응답 데이터 구성 
     const safeRooms = rooms.map(room => {
       if (!room) return null;
@@ -118,6 +130,7 @@ router.get('/', [limiter, auth], async (req, res) => {
         _id: room._id?.toString() || 'unknown',
         name: room.name || '제목 없음',
         hasPassword: !!room.hasPassword,
+        visibility: room.visibility || 'public',
         creator: {
           _id: creator._id?.toString() || 'unknown',
           name: creator.name || '알 수 없음',
@@ -129,6 +142,11 @@ router.get('/', [limiter, auth], async (req, res) => {
           email: p.email || ''
         })),
         participantsCount: participants.length,
+        lastMessage: room.lastMessage?.timestamp && RoomActivityService.canPreview(room, req.user.id)
+          ? room.lastMessage
+          : null,
+        lastActivityAt: room.lastActivityAt || room.createdAt,
+        unreadCount: unreadCounts.get(room._id.toString()) || 0,
         createdAt: room.createdAt || new Date(),
         isCreator: creator._id?.toString() === req.user.id,
       };
@@ -193,8 +211,19 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    let visibility;
+    try {
+      visibility = RoomService.normalizeVisibility(req.body.visibility);
+    } catch (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     const newRoom = new Room({
       name: name.trim(),
+      visibility,
       creator: req.user.id,
       participants: [req.user.id],
       password: password
@@ -205,8 +234,8 @@ router.post('/', auth, async (req, res) => {
       .populate('creator', 'name email')
       .populate('participants', 'name email');
     
-    // Socket.IO를 통해 새 채팅방 생성 알림
-    if (io) {
+    // Socket.IO를 통해 새 채팅방 생성 알림 (공개 채팅방만 목록에 노출)
+    if (io && visibility === 'public') {
       io.to('room-list').emit('roomCreated', {
         ...populatedRoom.toObject(),
         password: undefined
@@ -230,6 +259,26 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// 초대 링크 미리보기
+router.get('/invites/:token', [limiter, auth], async (req, res) => {
+  try {
+    const preview = await RoomService.getInvitePreview(req.params.token);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Invite preview error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '초대 링크를 확인하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 특정 채팅방 조회
 router.get('/:roomId', auth, async (req, res) => {
   try {
@@ -244,11 +293,25 @@ router.get('/:roomId', auth, async (req, res) => {
       });
     }
 
+    // 1:1 대화와 비공개 채팅방은 참여자만 조회 가능
+    if (RoomService.isRestricted(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
     res.json({
       success: true,
       data: {
         ...room.toObject(),
-        password: undefined
+        participants: RoomService.serializeParticipants(room),
+        myRole: room.getRole(req.user.id),
+        password: undefined,
+        bannedUsers: undefined,
+        mutedUsers: undefined,
+        invites: undefined,
+        readStates: undefined
       }
     });
   } catch (error) {
@@ -260,10 +323,69 @@ router.get('/:roomId', auth, async (req, res) => {
   }
 });
 
+// 채팅방 설정 변경 (방장만 가능)
+router.put('/:roomId', [limiter, auth], async (req, res) => {
+  try {
+    const room = await RoomService.updateRoom(
+      req.params.roomId,
+      req.user.id,
+      req.body
+    );
+
+    // Socket.IO를 통해 채팅방 목록과 채팅방 참여자에게 변경 알림 (목록은 공개 채팅방만)
+    if (io) {
+      if (room.visibility === 'public') {
+        io.to('room-list').emit('roomUpdated', room);
+      }
+      io.to(room._id).emit('roomUpdated', room);
+    }
+
+    res.json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    console.error('Room update error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '채팅방 설정 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 삭제 (방장만 가능, 메시지와 첨부 파일 포함)
+router.delete('/:roomId', [limiter, auth], async (req, res) => {
+  try {
+    const roomId = await RoomService.deleteRoom(req.params.roomId, req.user.id);
+
+    // 채팅방에 연결된 소켓을 내보내고 목록에서 제거
+    if (io) {
+      io.to(roomId).emit('roomDeleted', roomId);
+      io.in(roomId).socketsLeave(roomId);
+      io.to('room-list').emit('roomDeleted', roomId);
+    }
+
+    res.json({
+      success: true,
+      message: '채팅방이 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('Room delete error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '채팅방 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 채팅방 입장
 router.post('/:roomId/join', auth, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password, inviteToken } = req.body;
     const room = await Room.findById(req.params.roomId).select('+password');
     
     if (!room) {
@@ -273,8 +395,42 @@ router.post('/:roomId/join', auth, async (req, res) => {
       });
     }
 
-    // 비밀번호 확인
-    if (room.hasPassword) {
+    // 1:1 대화는 대화 당사자만 입장 가능
+    if (room.isDirect() && !room.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '1:1 대화에 참여할 수 없습니다.'
+      });
+    }
+
+    // AI 대화는 만든 사용자만 입장 가능
+    if (room.isAssistant() && !room.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI 대화에 참여할 수 없습니다.'
+      });
+    }
+
+    // 비공개 채팅방은 초대 링크로만 입장 가능
+    if (room.visibility === 'private' && !inviteToken && !room.isParticipant(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '초대받은 사용자만 입장할 수 있는 채팅방입니다.'
+      });
+    }
+
+    // 차단된 사용자는 입장 불가
+    if (room.isBanned(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방에서 차단된 사용자입니다.'
+      });
+    }
+
+    // 초대 링크로 입장하는 경우 비밀번호 대신 초대 토큰 검증
+    if (inviteToken) {
+      await RoomService.redeemInvite(req.params.roomId, req.user.id, inviteToken);
+    } else if (room.hasPassword) {
       const isPasswordValid = await room.checkPassword(password);
       if (!isPasswordValid) {
         return res.status(401).json({
@@ -296,7 +452,11 @@ router.post('/:roomId/join', auth, async (req, res) => {
     if (io) {
       io.to(req.params.roomId).emit('roomUpdate', {
         ...populatedRoom.toObject(),
-        password: undefined
+        password: undefined,
+        bannedUsers: undefined,
+        mutedUsers: undefined,
+        invites: undefined,
+        readStates: undefined
       });
     }
 
@@ -304,11 +464,21 @@ router.post('/:roomId/join', auth, async (req, res) => {
       success: true,
       data: {
         ...populatedRoom.toObject(),
-        password: undefined
+        password: undefined,
+        bannedUsers: undefined,
+        mutedUsers: undefined,
+        invites: undefined,
+        readStates: undefined
       }
     });
   } catch (error) {
     console.error('방 입장 에러:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: '서버 에러가 발생했습니다.',
@@ -317,6 +487,259 @@ router.post('/:roomId/join', auth, async (req, res) => {
   }
 });
 
+// 메시지 검색
+router.get('/:roomId/messages/search', [limiter, auth], async (req, res) => {
+  try {
+    const data = await MessageService.searchMessages(
+      req.params.roomId,
+      req.user.id,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메시지를 읽은 사용자 목록 조회
+router.get('/:roomId/messages/:id/readers', auth, async (req, res) => {
+  try {
+    const data = await MessageService.getMessageReaders(
+      req.params.roomId,
+      req.params.id,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Message readers fetch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '읽은 사용자 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메시지 삭제
+router.delete('/:roomId/messages/:id', auth, async (req, res) => {
+  try {
+    const { roomId, id } = req.params;
+    const message = await MessageService.deleteMessage(id, req.user.id, roomId);
+
+    // Socket.IO를 통해 메시지 삭제 알림
+    if (io) {
+      io.to(roomId).emit('messageDeleted', {
+        messageId: message._id.toString(),
+        parentId: message.parentMessage?.toString() || null,
+        deletedBy: req.user.id
+      });
+
+      // 마지막 메시지가 삭제된 경우 채팅방 목록 미리보기 갱신
+      RoomActivityService.refreshLastMessage(roomId, message._id)
+        .then(activity => RoomActivityService.broadcastActivity(io, activity))
+        .catch(error => console.error('Room activity update error:', error));
+    }
+
+    res.json({
+      success: true,
+      message: '메시지가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('Message delete error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '메시지 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 초대 링크 목록 조회 (방장만 가능)
+router.get('/:roomId/invites', auth, async (req, res) => {
+  try {
+    const invites = await RoomService.getInvites(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invites
+    });
+  } catch (error) {
+    console.error('Invite list fetch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '초대 링크 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크 생성 (방장만 가능)
+router.post('/:roomId/invites', [limiter, auth], async (req, res) => {
+  try {
+    const invite = await RoomService.createInvite(
+      req.params.roomId,
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    console.error('Invite create error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '초대 링크 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 초대 링크 폐기 (방장만 가능)
+router.delete('/:roomId/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const invite = await RoomService.revokeInvite(
+      req.params.roomId,
+      req.user.id,
+      req.params.inviteId
+    );
+
+    res.json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    console.error('Invite revoke error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '초대 링크 폐기 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 관리 요청 처리 (결과를 소켓으로 알림)
+const handleModeration = (action, errorMessage) => async (req, res) => {
+  try {
+    const result = await action(req);
+    const participants = io
+      ? await RoomService.broadcastModeration(io, result)
+      : await RoomService.getParticipants(req.params.roomId);
+
+    res.json({
+      success: true,
+      message: result.content,
+      data: { participants }
+    });
+  } catch (error) {
+    console.error('Room moderation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : errorMessage
+    });
+  }
+};
+
+// 참여자 역할 변경
+router.put(
+  '/:roomId/participants/:userId/role',
+  auth,
+  handleModeration(
+    (req) => RoomService.setRole(req.params.roomId, req.user.id, req.params.userId, req.body.role),
+    '역할 변경 중 오류가 발생했습니다.'
+  )
+);
+
+// 참여자 강제 퇴장
+router.post(
+  '/:roomId/participants/:userId/kick',
+  auth,
+  handleModeration(
+    (req) => RoomService.kickUser(req.params.roomId, req.user.id, req.params.userId),
+    '강제 퇴장 중 오류가 발생했습니다.'
+  )
+);
+
+// 차단 목록 조회
+router.get('/:roomId/bans', auth, async (req, res) => {
+  try {
+    const bans = await RoomService.getBannedUsers(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: bans
+    });
+  } catch (error) {
+    console.error('Ban list fetch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '차단 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 사용자 차단
+router.post(
+  '/:roomId/bans',
+  auth,
+  handleModeration(
+    (req) => RoomService.banUser(req.params.roomId, req.user.id, req.body.userId),
+    '사용자 차단 중 오류가 발생했습니다.'
+  )
+);
+
+// 차단 해제
+router.delete(
+  '/:roomId/bans/:userId',
+  auth,
+  handleModeration(
+    (req) => RoomService.unbanUser(req.params.roomId, req.user.id, req.params.userId),
+    '차단 해제 중 오류가 발생했습니다.'
+  )
+);
+
+// 채팅 금지
+router.post(
+  '/:roomId/mutes',
+  auth,
+  handleModeration(
+    (req) => RoomService.muteUser(req.params.roomId, req.user.id, req.body.userId, req.body.duration),
+    '채팅 금지 중 오류가 발생했습니다.'
+  )
+);
+
+// 채팅 금지 해제
+router.delete(
+  '/:roomId/mutes/:userId',
+  auth,
+  handleModeration(
+    (req) => RoomService.unmuteUser(req.params.roomId, req.user.id, req.params.userId),
+    '채팅 금지 해제 중 오류가 발생했습니다.'
+  )
+);
+
 module.exports = {
   router,
   initializeSocket
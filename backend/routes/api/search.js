@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const SearchService = require('../../services/searchService');
+const { rateLimit } = require('express-rate-limit');
+
+// 속도 제한 설정
+const limiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1분
+  max: 30, // IP당 최대 요청 수
+  message: {
+    success: false,
+    error: {
+      message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.',
+      code: 'TOO_MANY_REQUESTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 참여 중인 모든 채팅방 통합 검색
+router.get('/', [limiter, auth], async (req, res) => {
+  try {
+    const data = await SearchService.searchAll(req.user.id, req.query.q);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Global search error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status
+        ? error.message
+        : '검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const searchRoutes = require('./api/search');
+const directMessageRoutes = require('./api/directMessages');
+const aiRoutes = require('./api/ai');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -27,6 +30,8 @@ router.get('/', (req, res) => {
       users: '/users',
       rooms: '/rooms',
       files: '/files',
+      search: '/search',
+      directMessages: '/direct-messages',
       ai: '/ai'
     }
   });
@@ -37,5 +42,8 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/search', searchRoutes);
+router.use('/direct-messages', directMessageRoutes);
+router.use('/ai', aiRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const Room = require('../models/Room');
+const AIPersonaService = require('./aiPersonaService');
+const RoomActivityService = require('./roomActivityService');
+
+const MAX_NAME_LENGTH = 50;
+
+class AIAssistantService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // AI 대화방을 응답 형태로 변환
+  static serializeAssistantRoom(room, unreadCount = 0) {
+    const data = room.toObject ? room.toObject() : room;
+
+    return {
+      _id: data._id.toString(),
+      type: 'assistant',
+      name: data.name,
+      aiPersona: data.aiPersona,
+      lastMessage: data.lastMessage?.timestamp ? data.lastMessage : null,
+      lastActivityAt: data.lastActivityAt || data.createdAt,
+      unreadCount,
+      createdAt: data.createdAt,
+    };
+  }
+
+  // 페르소나와의 새 AI 대화방 생성 (생성한 사용자만 참여하는 비공개 채팅방)
+  static async createAssistantRoom(userId, personaKey, name = '') {
+    const persona = await AIPersonaService.getPersona(personaKey);
+    if (!persona) {
+      throw this.createError('사용할 수 없는 AI입니다.', 400);
+    }
+
+    const roomName = (typeof name === 'string' ? name.trim() : '') || `${persona.name} 대화`;
+    if (roomName.length > MAX_NAME_LENGTH) {
+      throw this.createError(`대화 이름은 ${MAX_NAME_LENGTH}자를 초과할 수 없습니다.`, 400);
+    }
+
+    const createdAt = new Date();
+    const room = await Room.create({
+      name: roomName,
+      type: 'assistant',
+      aiPersona: persona.key,
+      creator: userId,
+      participants: [userId],
+      visibility: 'private',
+      readStates: [{ user: userId, lastReadAt: createdAt }],
+      createdAt,
+    });
+
+    return this.serializeAssistantRoom(room);
+  }
+
+  // 사용자의 AI 대화 목록 조회 (최근 활동 순)
+  static async getAssistantRooms(userId) {
+    const rooms = await Room.find({ type: 'assistant', creator: userId })
+      .select('name aiPersona lastMessage lastActivityAt readStates createdAt')
+      .sort({ lastActivityAt: -1 })
+      .lean();
+
+    const unreadCounts = await RoomActivityService.getUnreadCounts(rooms, userId);
+
+    return rooms.map((room) =>
+      this.serializeAssistantRoom(
+        room,
+        unreadCounts.get(room._id.toString()) || 0
+      )
+    );
+  }
+}
+
+module.exports = AIAssistantService;
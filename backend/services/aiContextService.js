@@ -0,0 +1,192 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const aiService = require('./aiService');
+const AIPersonaService = require('./aiPersonaService');
+const { getCharTokens, estimateTokens } = require('./llm');
+const { aiContextTokenBudget } = require('../config/keys');
+
+const CONTEXT_TYPES = ['text', 'file', 'ai']; // 대화 맥락에 포함하는 메시지 유형
+const CONTEXT_TOKEN_BUDGET = parseInt(aiContextTokenBudget) || 3000; // 최근 대화에 사용할 최대 토큰 수 (추정치)
+const MAX_CONTEXT_MESSAGES = 50; // 맥락 구성을 위해 조회할 최근 메시지 수
+const MAX_MESSAGE_TOKENS = 500; // 메시지 하나가 차지할 수 있는 최대 토큰 수 (초과분은 잘라서 포함)
+const SUMMARY_BATCH_SIZE = 10; // 예산을 넘긴 메시지가 이만큼 쌓이면 요약에 반영
+const SUMMARY_MAX_TOKENS = 400; // 요약 응답 최대 토큰 수
+const PENDING_MESSAGE_TOKENS = 100; // 아직 요약하지 않은 이전 메시지 하나에 허용하는 최대 토큰 수
+
+const SUMMARY_PROMPT = `당신은 채팅방 대화를 요약하는 도우미입니다.
+기존 요약과 새 대화를 합쳐 이후 대화를 이해하는 데 필요한 내용만 한국어로 간결하게 요약하세요.
+누가 어떤 주장이나 요청을 했는지, 결정된 사항과 남은 질문을 중심으로 정리하세요.`;
+
+class AIContextService {
+  // 토큰 수 추정 (LLM 공급자 계층의 추정 방식 사용)
+  static estimateTokens(text = '') {
+    return estimateTokens(text);
+  }
+
+  // 추정 토큰 수에 맞춰 텍스트 자르기
+  static truncateToTokens(text = '', maxTokens) {
+    let tokens = 0;
+    let length = 0;
+    for (const char of text) {
+      tokens += getCharTokens(char);
+      if (tokens > maxTokens) {
+        return `${text.slice(0, length)}…`;
+      }
+      length += char.length;
+    }
+    return text;
+  }
+
+  // 메시지를 작성자가 드러나는 대화 기록 한 줄로 변환
+  static formatMessage(message, personaNames) {
+    const fileName = message.metadata?.originalName;
+    const body = message.type === 'file'
+      ? `[파일: ${fileName || '첨부 파일'}]${message.content ? ` ${message.content}` : ''}`
+      : message.content || '';
+
+    if (message.type === 'ai') {
+      return `${personaNames.get(message.aiType) || message.aiType}(AI): ${body}`;
+    }
+    return `${message.sender?.name || '알 수 없는 사용자'}: ${body}`;
+  }
+
+  // 응답할 페르소나 자신의 이전 답변은 assistant, 나머지는 작성자 이름과 함께 user로 전달
+  static toChatMessage(message, persona, personaNames) {
+    if (message.type === 'ai' && message.aiType === persona.key) {
+      return {
+        role: 'assistant',
+        content: this.truncateToTokens(message.content || '', MAX_MESSAGE_TOKENS)
+      };
+    }
+
+    return {
+      role: 'user',
+      content: this.truncateToTokens(
+        this.formatMessage(message, personaNames),
+        MAX_MESSAGE_TOKENS
+      )
+    };
+  }
+
+  // 예산을 넘긴 이전 대화를 기존 요약에 합쳐 새 요약 생성
+  static async updateSummary(roomId, previous, overflow, personaNames, onUsage) {
+    const transcript = overflow
+      .map((message) =>
+        this.truncateToTokens(this.formatMessage(message, personaNames), MAX_MESSAGE_TOKENS)
+      )
+      .join('\n');
+
+    const content = await aiService.complete([
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `${previous?.content ? `기존 요약:\n${previous.content}\n\n` : ''}새 대화:\n${transcript}`
+      }
+    ], { maxTokens: SUMMARY_MAX_TOKENS, onUsage });
+
+    if (!content) return previous;
+
+    const summary = {
+      content,
+      until: overflow[overflow.length - 1].timestamp
+    };
+
+    // 동시에 요약한 경우 더 최근까지 요약한 결과만 유지
+    await Room.updateOne(
+      {
+        _id: roomId,
+        $or: [
+          { 'aiContextSummary.until': { $lt: summary.until } },
+          { 'aiContextSummary.until': null }
+        ]
+      },
+      { $set: { aiContextSummary: summary } }
+    );
+
+    return summary;
+  }
+
+  // AI 응답에 사용할 대화 맥락 구성 ({ role, content } 배열, 오래된 순)
+  // 질문 직전의 최근 메시지를 토큰 예산 안에서 포함하고, 예산을 넘긴 이전 대화는 요약으로 대체
+  // 요약에 아직 반영되지 않은 이전 메시지는 짧게 잘라 요약과 최근 메시지 사이에 포함
+  // options.onUsage: 요약 요청에 사용한 토큰을 전달받는 함수 (사용량 집계용)
+  static async buildContext(roomId, persona, sourceMessage = null, { onUsage } = {}) {
+    const query = {
+      room: roomId.toString(),
+      type: { $in: CONTEXT_TYPES },
+      isDeleted: false,
+      parentMessage: null
+    };
+
+    if (sourceMessage) {
+      query._id = { $ne: sourceMessage._id };
+      query.timestamp = { $lte: sourceMessage.timestamp };
+    }
+
+    const [messages, room] = await Promise.all([
+      Message.find(query)
+        .select('type aiType content sender timestamp metadata.originalName')
+        .populate('sender', 'name')
+        .sort({ timestamp: -1 })
+        .limit(MAX_CONTEXT_MESSAGES)
+        .lean(),
+      Room.findById(roomId).select('+aiContextSummary').lean()
+    ]);
+
+    const personaNames = await AIPersonaService.getDisplayNames(
+      messages.filter((message) => message.type === 'ai').map((message) => message.aiType)
+    );
+
+    // 최신 메시지부터 예산이 허락하는 만큼 포함
+    const recent = [];
+    let usedTokens = 0;
+    let index = 0;
+    for (; index < messages.length; index++) {
+      const chatMessage = this.toChatMessage(messages[index], persona, personaNames);
+      const tokens = this.estimateTokens(chatMessage.content);
+      if (usedTokens + tokens > CONTEXT_TOKEN_BUDGET) break;
+      usedTokens += tokens;
+      recent.unshift(chatMessage);
+    }
+
+    let summary = room?.aiContextSummary || null;
+    const summaryUntil = summary?.until ? new Date(summary.until) : null;
+    const overflow = messages
+      .slice(index)
+      .filter((message) => !summaryUntil || new Date(message.timestamp) > summaryUntil)
+      .reverse();
+
+    // 요약 호출은 추가 비용이 들므로 아직 요약하지 않은 메시지가 충분히 쌓였을 때만 갱신
+    if (overflow.length >= SUMMARY_BATCH_SIZE || (overflow.length > 0 && !summary)) {
+      summary = await this.updateSummary(roomId, summary, overflow, personaNames, onUsage)
+        .catch((error) => {
+          console.error('AI context summary error:', error);
+          return summary;
+        });
+    }
+
+    // 요약 갱신 전까지 예산 밖으로 밀려난 메시지가 맥락에서 빠지지 않도록 포함 (갱신에 실패한 경우도 포함)
+    const summarizedUntil = summary?.until ? new Date(summary.until) : null;
+    const pending = overflow
+      .filter((message) => !summarizedUntil || new Date(message.timestamp) > summarizedUntil)
+      .slice(-SUMMARY_BATCH_SIZE);
+
+    const context = [];
+    if (summary?.content) {
+      context.push({ role: 'system', content: `이전 대화 요약:\n${summary.content}` });
+    }
+    if (pending.length > 0) {
+      const lines = pending.map((message) =>
+        this.truncateToTokens(this.formatMessage(message, personaNames), PENDING_MESSAGE_TOKENS)
+      );
+      context.push({
+        role: 'system',
+        content: `요약에 아직 반영되지 않은 이전 대화 (일부 생략):\n${lines.join('\n')}`
+      });
+    }
+
+    return [...context, ...recent];
+  }
+}
+
+module.exports = AIContextService;
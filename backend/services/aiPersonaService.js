@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const AIPersona = require('../models/AIPersona');
+
+const CACHE_TTL = 30 * 1000; // 활성 페르소나 캐시 유지 시간 (다른 서버 인스턴스의 변경 반영 주기)
+const EDITABLE_FIELDS = ['name', 'description', 'systemPrompt', 'tone', 'model', 'temperature', 'avatar', 'color', 'tools', 'isActive'];
+
+// 레지스트리가 비어 있을 때 생성하는 기본 페르소나
+const DEFAULT_PERSONAS = [
+  {
+    key: 'wayneAI',
+    name: 'Wayne AI',
+    description: '친절하고 도움이 되는 어시스턴트',
+    systemPrompt: `당신은 Wayne AI입니다.
+역할: 친절하고 도움이 되는 어시스턴트
+특성: 전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.`,
+    tone: '전문적이면서도 친근한 톤',
+    color: '#0084ff'
+  },
+  {
+    key: 'consultingAI',
+    name: 'Consulting AI',
+    description: '비즈니스 컨설팅 전문가',
+    systemPrompt: `당신은 Consulting AI입니다.
+역할: 비즈니스 컨설팅 전문가
+특성: 비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.`,
+    tone: '전문적이고 분석적인 톤',
+    color: '#00C853'
+  }
+];
+
+class AIPersonaService {
+  static cache = null; // { personas, expiresAt }
+  static defaultsReady = null;
+
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 정규식 특수문자 이스케이프
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 레지스트리가 비어 있으면 기본 페르소나 생성 (프로세스당 한 번)
+  static ensureDefaults() {
+    if (!this.defaultsReady) {
+      this.defaultsReady = (async () => {
+        const count = await AIPersona.estimatedDocumentCount();
+        if (count > 0) return;
+        try {
+          await AIPersona.insertMany(DEFAULT_PERSONAS, { ordered: false });
+        } catch (error) {
+          // 다른 인스턴스가 먼저 생성한 경우 무시
+          if (error.code !== 11000) throw error;
+        }
+      })().catch((error) => {
+        this.defaultsReady = null;
+        throw error;
+      });
+    }
+    return this.defaultsReady;
+  }
+
+  static invalidateCache() {
+    this.cache = null;
+  }
+
+  // 응답 형태로 변환 (시스템 프롬프트와 모델 설정은 관리자에게만 노출)
+  static serialize(persona, includeConfig = false) {
+    const data = {
+      _id: persona._id.toString(),
+      key: persona.key,
+      name: persona.name,
+      description: persona.description || '',
+      avatar: persona.avatar || '',
+      color: persona.color,
+      isActive: persona.isActive
+    };
+
+    if (includeConfig) {
+      Object.assign(data, {
+        systemPrompt: persona.systemPrompt,
+        tone: persona.tone || '',
+        model: persona.model,
+        temperature: persona.temperature,
+        tools: persona.tools || AIPersona.TOOL_NAMES,
+        createdAt: persona.createdAt,
+        updatedAt: persona.updatedAt
+      });
+    }
+
+    return data;
+  }
+
+  // 활성 페르소나 목록 (멘션 감지 등 자주 호출되므로 캐시 사용)
+  static async getActivePersonas() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.personas;
+    }
+
+    await this.ensureDefaults();
+    const personas = await AIPersona.find({ isActive: true })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    this.cache = { personas, expiresAt: Date.now() + CACHE_TTL };
+    return personas;
+  }
+
+  // 멘션 식별자로 활성 페르소나 조회
+  static async getPersona(key) {
+    if (!key) return null;
+    const personas = await this.getActivePersonas();
+    return personas.find((persona) => persona.key === key) || null;
+  }
+
+  // 메시지에 표시할 페르소나 이름 (비활성화되거나 삭제된 경우 식별자 사용)
+  static async getDisplayName(key) {
+    if (!key) return 'AI';
+    const persona = await AIPersona.findOne({ key }).select('name').lean();
+    return persona?.name || key;
+  }
+
+  // 여러 페르소나의 표시 이름을 한 번에 조회 (key -> name)
+  static async getDisplayNames(keys = []) {
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+    const names = new Map(uniqueKeys.map((key) => [key, key]));
+    if (uniqueKeys.length === 0) return names;
+
+    const personas = await AIPersona.find({ key: { $in: uniqueKeys } })
+      .select('key name')
+      .lean();
+    personas.forEach((persona) => names.set(persona.key, persona.name));
+    return names;
+  }
+
+  // 메시지 내용에서 AI 멘션 추출 (등록된 활성 페르소나만)
+  static async extractMentions(content) {
+    if (!content || !content.includes('@')) return [];
+
+    const personas = await this.getActivePersonas();
+    if (personas.length === 0) return [];
+
+    const keys = personas.map((persona) => this.escapeRegExp(persona.key));
+    const mentionRegex = new RegExp(`@(${keys.join('|')})\\b`, 'g');
+    const mentions = new Map();
+    let match;
+
+    while ((match = mentionRegex.exec(content)) !== null) {
+      if (!mentions.has(match[1])) {
+        mentions.set(match[1], personas.find((persona) => persona.key === match[1]));
+      }
+    }
+
+    return Array.from(mentions.values());
+  }
+
+  // 페르소나 목록 조회 (비활성 페르소나도 기존 메시지 표시를 위해 포함, 설정은 관리자에게만 노출)
+  static async listPersonas(isAdmin = false) {
+    await this.ensureDefaults();
+    const personas = await AIPersona.find().sort({ createdAt: 1 }).lean();
+    return personas.map((persona) => this.serialize(persona, isAdmin));
+  }
+
+  // 허용된 필드만 추출
+  static pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  // 스키마 검증 에러를 400 에러로 변환
+  static toValidationError(error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0]?.message;
+      return this.createError(message || '입력값이 올바르지 않습니다.', 400);
+    }
+    if (error.code === 11000) {
+      return this.createError('이미 사용 중인 식별자입니다.', 409);
+    }
+    return error;
+  }
+
+  static async createPersona(data, userId) {
+    await this.ensureDefaults();
+
+    const persona = new AIPersona({
+      ...this.pickEditableFields(data),
+      key: typeof data.key === 'string' ? data.key.trim() : data.key,
+      createdBy: userId
+    });
+
+    try {
+      await persona.save();
+    } catch (error) {
+      throw this.toValidationError(error);
+    }
+
+    this.invalidateCache();
+    return this.serialize(persona, true);
+  }
+
+  // 식별자(key)는 기존 메시지의 aiType으로 쓰이므로 변경할 수 없음
+  static async updatePersona(personaId, data) {
+    if (!mongoose.Types.ObjectId.isValid(personaId)) {
+      throw this.createError('페르소나를 찾을 수 없습니다.', 404);
+    }
+
+    const persona = await AIPersona.findById(personaId);
+    if (!persona) {
+      throw this.createError('페르소나를 찾을 수 없습니다.', 404);
+    }
+
+    persona.set(this.pickEditableFields(data));
+
+    try {
+      await persona.save();
+    } catch (error) {
+      throw this.toValidationError(error);
+    }
+
+    this.invalidateCache();
+    return this.serialize(persona, true);
+  }
+
+  // 기존 AI 메시지는 식별자로 표시되며 그대로 유지
+  static async deletePersona(personaId) {
+    if (!mongoose.Types.ObjectId.isValid(personaId)) {
+      throw this.createError('페르소나를 찾을 수 없습니다.', 404);
+    }
+
+    const persona = await AIPersona.findByIdAndDelete(personaId);
+    if (!persona) {
+      throw this.createError('페르소나를 찾을 수 없습니다.', 404);
+    }
+
+    this.invalidateCache();
+    return this.serialize(persona, true);
+  }
+}
+
+module.exports = AIPersonaService;
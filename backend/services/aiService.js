@@ -1,135 +1,204 @@
-const axios = require('axios');
-const { openaiApiKey } = require('../config/keys');
+const { llmDefaultModel } = require('../config/keys');
+const {
+  getProvider,
+  createProviderError,
+  createCancelledError,
+  estimateUsage,
+  ERROR_CODES
+} = require('./llm');
+
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_TOOL_ROUNDS = 3; // 응답 하나에서 도구를 호출하고 이어서 생성할 수 있는 최대 횟수
 
 class AIService {
-  constructor() {
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  get provider() {
+    return getProvider();
   }
 
-  async generateResponse(message, persona = 'wayneAI', callbacks) {
-    try {
-      const aiPersona = {
-        wayneAI: {
-          name: 'Wayne AI',
-          role: '친절하고 도움이 되는 어시스턴트',
-          traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
-          tone: '전문적이면서도 친근한 톤',
-        },
-        consultingAI: {
-          name: 'Consulting AI',
-          role: '비즈니스 컨설팅 전문가',
-          traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
-          tone: '전문적이고 분석적인 톤',
-        }
-      }[persona];
-
-      if (!aiPersona) {
-        throw new Error('Unknown AI persona');
-      }
-
-      const systemPrompt = `당신은 ${aiPersona.name}입니다.
-역할: ${aiPersona.role}
-특성: ${aiPersona.traits}
-톤: ${aiPersona.tone}
+  buildSystemPrompt(persona) {
+    const toneLine = persona.tone ? `\n톤: ${persona.tone}` : '';
+    const toneGuide = persona.tone ? `\n4. ${persona.tone}을 유지하세요.` : '';
+    return `${persona.systemPrompt}${toneLine}
 
 답변 시 주의사항:
 1. 명확하고 이해하기 쉬운 언어로 답변하세요.
 2. 정확하지 않은 정보는 제공하지 마세요.
-3. 필요한 경우 예시를 들어 설명하세요.
-4. ${aiPersona.tone}을 유지하세요.`;
+3. 필요한 경우 예시를 들어 설명하세요.${toneGuide}`;
+  }
+
+  // 여러 요청(도구 호출 전후의 생성)의 사용량 합산 (하나라도 추정치면 추정치로 표시)
+  sumUsage(usages) {
+    return usages.reduce((total, usage) => ({
+      promptTokens: total.promptTokens + (usage.promptTokens || 0),
+      completionTokens: total.completionTokens + (usage.completionTokens || 0),
+      totalTokens: total.totalTokens + (usage.totalTokens || 0),
+      estimated: total.estimated || !!usage.estimated
+    }), { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false });
+  }
+
+  // 모델이 요청한 도구를 차례로 실행하고 결과를 tool 메시지로 반환
+  // 도구 에러는 응답을 중단하지 않고 결과로 전달해 모델이 이어서 답변하게 함
+  async runToolCalls(toolCalls, tools, callbacks, signal) {
+    const results = [];
+
+    for (const call of toolCalls) {
+      if (signal?.aborted) throw createCancelledError();
+
+      await callbacks.onToolCall?.(call);
+
+      let output;
+      try {
+        const { output: toolOutput, summary } = await tools.run(call);
+        output = toolOutput;
+        await callbacks.onToolResult?.(call, { summary });
+      } catch (error) {
+        if (!error.status) console.error('AI tool error:', error);
+        const message = error.status ? error.message : '도구 실행 중 오류가 발생했습니다.';
+        output = `오류: ${message}`;
+        await callbacks.onToolResult?.(call, { error: message });
+      }
+
+      results.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
+
+    return results;
+  }
+
+  // persona: AI 페르소나 레지스트리 문서 (name, systemPrompt, tone, model, temperature)
+  // options.history: 질문 직전까지의 대화 맥락 ({ role, content } 배열, 오래된 순)
+  // options.signal: 생성을 중단할 때 사용하는 AbortSignal
+  // options.tools: 호출할 수 있는 도구 모음 ({ definitions, run }, AIToolService.createToolbox 참고)
+  // 모델이 도구를 호출하면 callbacks.onToolCall/onToolResult로 단계를 알리고 결과를 넣어 이어서 스트리밍
+  // 생성 중 에러는 callbacks.onError로 한 번만 전달하고 null 반환
+  // 공급자가 사용량을 보고하지 않으면 추정치를 전달하며, 중단된 경우 error.usage에 추정 사용량 포함
+  async generateResponse(message, persona, callbacks, { history = [], signal, tools = null } = {}) {
+    let content = '';
+    let messages = [];
+    const usages = [];
+
+    try {
+      if (!persona?.systemPrompt) {
+        throw new Error('Unknown AI persona');
+      }
 
       callbacks.onStart();
 
-      const response = await this.openaiClient.post('/chat/completions', {
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.7,
-        stream: true
-      }, {
-        responseType: 'stream'
-      });
+      messages = [
+        { role: 'system', content: this.buildSystemPrompt(persona) },
+        ...history,
+        { role: 'user', content: message }
+      ];
 
-      let fullResponse = '';
       let isCodeBlock = false;
-      let buffer = '';
-
-      return new Promise((resolve, reject) => {
-        response.data.on('data', async chunk => {
-          try {
-            // 청크 데이터를 문자열로 변환하고 버퍼에 추가
-            buffer += chunk.toString();
-
-            // 완전한 JSON 객체를 찾아 처리
-            while (true) {
-              const newlineIndex = buffer.indexOf('\n');
-              if (newlineIndex === -1) break;
-
-              const line = buffer.slice(0, newlineIndex).trim();
-              buffer = buffer.slice(newlineIndex + 1);
-
-              if (line === '') continue;
-              if (line === 'data: [DONE]') {
-                callbacks.onComplete({
-                  content: fullResponse.trim()
-                });
-                resolve(fullResponse.trim());
-                return;
-              }
-
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  const content = data.choices[0]?.delta?.content;
-                  
-                  if (content) {
-                    // 코드 블록 상태 업데이트
-                    if (content.includes('```')) {
-                      isCodeBlock = !isCodeBlock;
-                    }
-
-                    // 현재 청크만 전송
-                    await callbacks.onChunk({
-                      currentChunk: content,
-                      isCodeBlock
-                    });
-
-                    // 전체 응답은 서버에서만 관리
-                    fullResponse += content;
-                  }
-                } catch (err) {
-                  console.error('JSON parsing error:', err);
-                }
-              }
+      for (let round = 0; ; round++) {
+        const canUseTools = !!tools && round < MAX_TOOL_ROUNDS;
+        // 도구 호출 전에 생성한 내용이 있으면 이어지는 내용과 문단을 구분
+        let separator = content ? '\n\n' : '';
+        const roundMessages = messages;
+
+        const result = await this.provider.streamChat({
+          model: persona.model || llmDefaultModel,
+          messages: roundMessages,
+          temperature: persona.temperature ?? DEFAULT_TEMPERATURE,
+          ...(canUseTools && { tools: tools.definitions }),
+          signal,
+          onToken: (token) => {
+            const chunk = `${separator}${token}`;
+            separator = '';
+            content += chunk;
+
+            // 코드 블록 상태 업데이트
+            if (token.includes('```')) {
+              isCodeBlock = !isCodeBlock;
             }
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            callbacks.onError(error);
-            reject(error);
+
+            // 현재 청크만 전송 (전체 응답은 서버에서만 관리)
+            callbacks.onChunk({
+              currentChunk: chunk,
+              isCodeBlock
+            });
+          }
+        }).catch((error) => {
+          if (error.code === ERROR_CODES.CANCELLED) {
+            error.usage = this.sumUsage([
+              ...usages,
+              estimateUsage(roundMessages, error.partialContent || '')
+            ]);
           }
+          throw error;
         });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          callbacks.onError(error);
-          reject(error);
-        });
-      });
+        usages.push(result.usage
+          ? { estimated: false, ...result.usage }
+          : estimateUsage(roundMessages, result.content));
+
+        if (!canUseTools || !result.toolCalls?.length) break;
+
+        const toolResults = await this.runToolCalls(result.toolCalls, tools, callbacks, signal);
+        messages = [
+          ...messages,
+          {
+            role: 'assistant',
+            content: result.content || null,
+            tool_calls: result.toolCalls.map((call) => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: call.arguments || '{}' }
+            }))
+          },
+          ...toolResults
+        ];
+      }
+    } catch (error) {
+      if (error.code === ERROR_CODES.CANCELLED) {
+        // 도구를 실행하는 동안 중단된 경우 이전 생성 요청의 사용량만 전달
+        error.usage = error.usage || this.sumUsage(usages);
+      } else {
+        console.error('AI response generation error:', error);
+      }
+      await callbacks.onError(
+        error.isProviderError
+          ? error
+          : createProviderError('AI 응답 생성 중 오류가 발생했습니다.', ERROR_CODES.UNAVAILABLE, error)
+      );
+      return null;
+    }
+
+    content = content.trim();
 
+    await callbacks.onComplete({
+      content,
+      ...this.sumUsage(usages)
+    });
+
+    return content;
+  }
+
+  // 스트리밍 없이 전체 응답을 한 번에 받는 요청 (대화 요약 등 내부 용도)
+  // onUsage: 사용한 토큰을 전달받는 함수 (공급자가 보고하지 않으면 추정치)
+  // signal: 요청을 중단할 때 사용하는 AbortSignal (중단되면 보낸 입력만큼 추정 사용량 전달 후 CANCELLED 에러)
+  async complete(messages, { model = llmDefaultModel, temperature = 0.3, maxTokens, signal, onUsage } = {}) {
+    let result;
+    try {
+      result = await this.provider.chat({
+        model,
+        messages,
+        temperature,
+        maxTokens,
+        signal
+      });
     } catch (error) {
-      console.error('AI response generation error:', error);
-      callbacks.onError(error);
-      throw new Error('AI 응답 생성 중 오류가 발생했습니다.');
+      if (error.code === ERROR_CODES.CANCELLED) {
+        onUsage?.(estimateUsage(messages, ''));
+      }
+      throw error;
     }
+
+    const { content, usage } = result;
+    onUsage?.(usage ? { estimated: false, ...usage } : estimateUsage(messages, content));
+
+    return content;
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
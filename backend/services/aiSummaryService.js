@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const aiService = require('./aiService');
+const AIContextService = require('./aiContextService');
+const AIPersonaService = require('./aiPersonaService');
+const { createCancelledError } = require('./llm');
+
+const SUMMARY_TYPES = ['text', 'file', 'ai']; // 요약에 포함하는 메시지 유형
+const MAX_SUMMARY_MESSAGES = 1000; // 한 번에 요약할 최대 메시지 수 (초과 시 최근 메시지만 요약)
+const CHUNK_TOKEN_BUDGET = 3000; // 요청 한 번에 넣는 대화 기록의 최대 토큰 수 (추정치)
+const MAX_MESSAGE_TOKENS = 300; // 메시지 하나가 차지할 수 있는 최대 토큰 수 (초과분은 잘라서 포함)
+const CHUNK_SUMMARY_MAX_TOKENS = 500; // 구간 요약 응답 최대 토큰 수
+
+const SUMMARY_PROMPT = `당신은 자리를 비운 사용자가 채팅방 대화를 빠르게 따라잡도록 돕는 도우미입니다.
+주어진 대화 기록이나 구간별 요약을 바탕으로 전체 흐름을 한국어로 정리하세요.
+주요 주제, 누가 어떤 의견이나 요청을 했는지, 결정된 사항, 아직 답이 없는 질문을 항목별로 간결하게 적으세요.`;
+
+const CHUNK_PROMPT = `당신은 채팅방 대화의 한 구간을 요약하는 도우미입니다.
+이후 다른 구간의 요약과 합쳐질 수 있도록 주요 내용과 발언자, 결정 사항, 남은 질문을 한국어로 간결하게 정리하세요.`;
+
+class AISummaryService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  static parseDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw this.createError('요약할 기간이 올바르지 않습니다.', 400);
+    }
+    return date;
+  }
+
+  // 요약할 기간 계산
+  // since가 없으면 현재 입장 전에 마지막으로 읽은 메시지 이후 (한 번도 읽지 않았으면 처음부터)
+  static async resolveRange(roomId, userId, { since, until, joinedAt } = {}) {
+    const end = this.parseDate(until) || new Date();
+    const start = this.parseDate(since);
+
+    if (start) {
+      if (start >= end) {
+        throw this.createError('요약할 기간이 올바르지 않습니다.', 400);
+      }
+      return { since: start, until: end, sinceLastRead: false };
+    }
+
+    // 입장한 뒤 화면에 표시되며 읽음 처리된 메시지는 제외하고 이전 방문 기록만 기준으로 사용
+    const lastRead = await Message.findOne({
+      room: roomId.toString(),
+      parentMessage: null,
+      readers: {
+        $elemMatch: {
+          userId: new mongoose.Types.ObjectId(userId),
+          readAt: { $lt: joinedAt || end },
+        },
+      },
+    })
+      .select('timestamp')
+      .sort({ timestamp: -1 })
+      .lean();
+
+    return {
+      since: lastRead?.timestamp || null,
+      until: end,
+      sinceLastRead: true,
+    };
+  }
+
+  // 기간 내 메시지 조회 (오래된 순, 최대 개수를 넘으면 최근 메시지만)
+  static async loadMessages(roomId, { since, until, sinceLastRead }) {
+    const timestamp = { $lte: until };
+    if (since) {
+      timestamp.$gt = since;
+    }
+
+    const messages = await Message.find({
+      room: roomId.toString(),
+      type: { $in: SUMMARY_TYPES },
+      isDeleted: false,
+      parentMessage: null,
+      timestamp,
+    })
+      .select('type aiType content sender timestamp metadata.originalName')
+      .populate('sender', 'name')
+      .sort({ timestamp: -1 })
+      .limit(MAX_SUMMARY_MESSAGES + 1)
+      .lean();
+
+    if (messages.length === 0) {
+      throw this.createError(
+        sinceLastRead ? '마지막으로 읽은 이후 새 메시지가 없습니다.' : '요약할 메시지가 없습니다.',
+        400
+      );
+    }
+
+    const truncated = messages.length > MAX_SUMMARY_MESSAGES;
+    return {
+      messages: messages.slice(0, MAX_SUMMARY_MESSAGES).reverse(),
+      truncated,
+    };
+  }
+
+  // 대화 기록을 토큰 예산 단위의 구간으로 분할
+  static buildChunks(messages, personaNames) {
+    return this.packLines(messages.map((message) => {
+      const time = new Date(message.timestamp).toLocaleString('ko-KR', { hour12: false });
+      return AIContextService.truncateToTokens(
+        `[${time}] ${AIContextService.formatMessage(message, personaNames)}`,
+        MAX_MESSAGE_TOKENS
+      );
+    }));
+  }
+
+  // 줄 목록을 순서대로 토큰 예산 단위의 구간으로 묶기
+  static packLines(lines) {
+    const chunks = [];
+    let current = [];
+    let usedTokens = 0;
+
+    lines.forEach((line) => {
+      const tokens = AIContextService.estimateTokens(line);
+
+      if (current.length > 0 && usedTokens + tokens > CHUNK_TOKEN_BUDGET) {
+        chunks.push(current.join('\n'));
+        current = [];
+        usedTokens = 0;
+      }
+      current.push(line);
+      usedTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+    }
+    return chunks;
+  }
+
+  // 구간별 요약 목록이 한 구간에 들어갈 때까지 요약을 다시 구간으로 묶어 반복 요약
+  // 요약 하나는 CHUNK_SUMMARY_MAX_TOKENS로 잘라 구간마다 여러 요약이 들어가므로 단계마다 구간 수가 줄어듦
+  static async reduceChunks(chunks, { signal, onUsage } = {}) {
+    let pending = chunks;
+
+    for (;;) {
+      const lines = [];
+      for (const chunk of pending) {
+        if (signal?.aborted) throw createCancelledError();
+
+        const partial = await aiService.complete([
+          { role: 'system', content: CHUNK_PROMPT },
+          { role: 'user', content: chunk }
+        ], { maxTokens: CHUNK_SUMMARY_MAX_TOKENS, signal, onUsage });
+        lines.push(AIContextService.truncateToTokens(
+          `[${lines.length + 1}] ${partial}`,
+          CHUNK_SUMMARY_MAX_TOKENS
+        ));
+      }
+      if (signal?.aborted) throw createCancelledError();
+
+      const next = this.packLines(lines);
+      if (next.length === 1) {
+        return lines.join('\n\n');
+      }
+      pending = next;
+    }
+  }
+
+  // 요약 요청에 사용할 입력 구성 (loadMessages 결과 사용)
+  // 한 구간에 들어가지 않는 긴 대화는 구간별로 먼저 요약한 뒤 그 결과를 합쳐 최종 요약에 사용
+  static async buildSummaryInput({ messages, truncated }, range, { signal, onUsage } = {}) {
+    const personaNames = await AIPersonaService.getDisplayNames(
+      messages.filter((message) => message.type === 'ai').map((message) => message.aiType)
+    );
+    const chunks = this.buildChunks(messages, personaNames);
+    const header = `다음은 채팅방 대화 ${messages.length}개${truncated ? '(기간 내 최근 메시지만 포함)' : ''}입니다. 이 내용을 요약해주세요.`;
+
+    const prompt = chunks.length === 1
+      ? `${header}\n\n대화 기록:\n${chunks[0]}`
+      : `${header}\n\n구간별 요약 (오래된 순):\n${await this.reduceChunks(chunks, { signal, onUsage })}`;
+
+    return {
+      prompt,
+      summary: {
+        since: range.since || messages[0].timestamp,
+        until: range.until,
+        sinceLastRead: range.sinceLastRead,
+        messageCount: messages.length,
+        truncated,
+      },
+    };
+  }
+
+  // 요약 지침을 사용하는 페르소나 (이름, 모델, 말투는 그대로 유지)
+  static buildSummaryPersona(persona) {
+    return {
+      ...persona,
+      systemPrompt: SUMMARY_PROMPT,
+      temperature: 0.3,
+    };
+  }
+}
+
+module.exports = AISummaryService;
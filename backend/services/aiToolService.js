@@ -0,0 +1,280 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const AIPersona = require('../models/AIPersona');
+const MessageService = require('./messageService');
+const RoomService = require('./roomService');
+const PresenceService = require('./presenceService');
+const AIContextService = require('./aiContextService');
+const AIPersonaService = require('./aiPersonaService');
+const { extractText, isTextExtractable } = require('./fileService');
+
+const MIN_QUERY_LENGTH = 2; // 최소 검색어 길이
+const DEFAULT_SEARCH_RESULTS = 10; // 메시지 검색 기본 결과 수
+const MAX_SEARCH_RESULTS = 20; // 메시지 검색 최대 결과 수
+const MAX_MESSAGE_TOKENS = 200; // 검색 결과 메시지 하나가 차지할 수 있는 최대 토큰 수
+const MAX_FILE_TOKENS = 3000; // 파일 내용 중 AI에 전달하는 최대 토큰 수 (추정치)
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 텍스트를 추출할 수 있는 최대 파일 크기
+const MAX_FILE_CANDIDATES = 20; // 이름이 일치하는 파일 중 비교할 최근 파일 수
+const MAX_RESULT_TOKENS = 4000; // 도구 결과 하나가 차지할 수 있는 최대 토큰 수
+const MAX_ARGUMENT_LENGTH = 500; // 단계 기록에 남기는 인자의 최대 길이
+
+const ROLE_LABELS = { owner: '방장', admin: '관리자', member: '멤버' };
+const STATUS_LABELS = { online: '온라인', away: '자리 비움', offline: '오프라인' };
+
+// AI가 호출할 수 있는 서버 도구 (모두 응답을 요청한 사용자의 권한으로, 현재 채팅방 안에서만 동작)
+// execute는 { output, summary }를 반환: output은 AI에 전달하는 결과, summary는 화면에 표시하는 한 줄 요약
+const TOOLS = {
+  search_messages: {
+    label: '메시지 검색',
+    description: '이 채팅방의 이전 메시지를 키워드로 검색합니다. 최근 대화에 없는 과거 내용을 찾을 때 사용하세요.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: '검색할 키워드' },
+        limit: {
+          type: 'integer',
+          description: `최대 결과 수 (기본 ${DEFAULT_SEARCH_RESULTS}, 최대 ${MAX_SEARCH_RESULTS})`
+        }
+      },
+      required: ['query']
+    },
+    execute: (args, context) => AIToolService.searchMessages(args, context)
+  },
+  list_participants: {
+    label: '참여자 목록',
+    description: '이 채팅방의 참여자 이름, 역할, 접속 상태를 조회합니다.',
+    parameters: { type: 'object', properties: {} },
+    execute: (args, context) => AIToolService.listParticipants(context)
+  },
+  read_file: {
+    label: '파일 읽기',
+    description: '이 채팅방에 공유된 PDF 또는 텍스트 파일의 내용을 읽습니다.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string', description: '읽을 파일 이름 (일부만 입력해도 됨)' }
+      },
+      required: ['fileName']
+    },
+    execute: (args, context) => AIToolService.readFile(args, context)
+  },
+  get_current_time: {
+    label: '현재 시간',
+    description: '서버 기준 현재 날짜와 시간을 조회합니다.',
+    parameters: { type: 'object', properties: {} },
+    execute: () => AIToolService.getCurrentTime()
+  }
+};
+
+class AIToolService {
+  static formatTime(date) {
+    return new Date(date).toLocaleString('ko-KR', { hour12: false });
+  }
+
+  // 모델이 만든 인자(JSON 문자열) 해석
+  static parseArguments(rawArguments) {
+    if (!rawArguments) return {};
+    if (typeof rawArguments === 'object') return rawArguments;
+
+    try {
+      const parsed = JSON.parse(rawArguments);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      throw MessageService.createError('도구 인자를 해석할 수 없습니다.', 400);
+    }
+  }
+
+  // 페르소나가 사용할 수 있는 도구 정의 (설정이 없는 이전 페르소나는 모든 도구 사용)
+  static getDefinitions(persona) {
+    const names = persona?.tools || AIPersona.TOOL_NAMES;
+    return names
+      .filter((name) => TOOLS[name])
+      .map((name) => ({
+        name,
+        description: TOOLS[name].description,
+        parameters: TOOLS[name].parameters
+      }));
+  }
+
+  static getLabel(name) {
+    return TOOLS[name]?.label || name;
+  }
+
+  // AI 응답 생성에 넘기는 도구 모음
+  // run은 호출 하나를 실행해 { output, summary }를 반환하고, 실패하면 사용자에게 보여줄 수 있는 에러를 던짐
+  static createToolbox({ roomId, userId, persona }) {
+    const definitions = this.getDefinitions(persona);
+    if (definitions.length === 0 || !userId) return null;
+
+    const allowed = new Set(definitions.map((definition) => definition.name));
+
+    return {
+      definitions,
+      getLabel: (name) => this.getLabel(name),
+      run: async ({ name, arguments: rawArguments }) => {
+        if (!allowed.has(name)) {
+          throw MessageService.createError(`사용할 수 없는 도구입니다: ${name}`, 400);
+        }
+
+        // 응답 도중 채팅방을 나간 경우 더 이상 채팅방 데이터를 읽지 않음
+        await MessageService.assertRoomParticipant(roomId, userId);
+
+        const args = this.parseArguments(rawArguments);
+        const result = await TOOLS[name].execute(args, { roomId: roomId.toString(), userId });
+
+        return {
+          output: AIContextService.truncateToTokens(result.output, MAX_RESULT_TOKENS),
+          summary: result.summary
+        };
+      }
+    };
+  }
+
+  // 단계 기록에 남길 인자 (너무 길면 잘라서 보관)
+  static formatArguments(rawArguments) {
+    const text = typeof rawArguments === 'string'
+      ? rawArguments
+      : JSON.stringify(rawArguments || {});
+    return text.length > MAX_ARGUMENT_LENGTH
+      ? `${text.slice(0, MAX_ARGUMENT_LENGTH)}…`
+      : text;
+  }
+
+  // 채팅방 메시지 키워드 검색 (최신순)
+  static async searchMessages({ query, limit } = {}, { roomId }) {
+    const keyword = typeof query === 'string' ? query.trim() : '';
+    if (keyword.length < MIN_QUERY_LENGTH) {
+      throw MessageService.createError(`검색어는 ${MIN_QUERY_LENGTH}자 이상이어야 합니다.`, 400);
+    }
+
+    const size = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_SEARCH_RESULTS, 1),
+      MAX_SEARCH_RESULTS
+    );
+
+    const messages = await Message.find({
+      room: roomId,
+      isDeleted: false,
+      type: { $in: ['text', 'ai', 'file'] },
+      $text: { $search: keyword }
+    })
+      .select('type aiType content sender timestamp metadata.originalName')
+      .populate('sender', 'name')
+      .sort({ timestamp: -1 })
+      .limit(size)
+      .lean();
+
+    if (messages.length === 0) {
+      return {
+        output: `"${keyword}"에 대한 검색 결과가 없습니다.`,
+        summary: `"${keyword}" 검색 결과 없음`
+      };
+    }
+
+    const personaNames = await AIPersonaService.getDisplayNames(
+      messages.filter((message) => message.type === 'ai').map((message) => message.aiType)
+    );
+
+    const lines = messages.map((message) => {
+      const line = AIContextService.formatMessage(message, personaNames);
+      return `[${this.formatTime(message.timestamp)}] ${AIContextService.truncateToTokens(line, MAX_MESSAGE_TOKENS)}`;
+    });
+
+    return {
+      output: `"${keyword}" 검색 결과 ${messages.length}개 (최신순)\n${lines.join('\n')}`,
+      summary: `"${keyword}" 검색 결과 ${messages.length}개`
+    };
+  }
+
+  // 참여자 이름, 역할, 접속 상태 (이메일 등 개인 정보는 전달하지 않음)
+  static async listParticipants({ roomId }) {
+    const participants = await RoomService.getParticipants(roomId);
+    const presences = await PresenceService.getPresences(
+      participants.map((participant) => participant._id)
+    ).catch((error) => {
+      console.error('AI tool presence error:', error);
+      return [];
+    });
+    const statusMap = new Map(presences.map((presence) => [presence.userId, presence.status]));
+
+    const lines = participants.map((participant) => {
+      const status = statusMap.get(participant._id.toString());
+      const details = [
+        ROLE_LABELS[participant.role] || participant.role,
+        STATUS_LABELS[status]
+      ].filter(Boolean);
+      return `- ${participant.name} (${details.join(', ')})`;
+    });
+
+    return {
+      output: `참여자 ${participants.length}명\n${lines.join('\n')}`,
+      summary: `참여자 ${participants.length}명`
+    };
+  }
+
+  // 채팅방에 공유된 파일 중 이름이 일치하는 가장 최근 파일의 텍스트
+  static async readFile({ fileName } = {}, { roomId }) {
+    const name = typeof fileName === 'string' ? fileName.trim().normalize('NFC') : '';
+    if (!name) {
+      throw MessageService.createError('읽을 파일 이름을 입력해주세요.', 400);
+    }
+
+    // 파일 메시지에 저장된 원래 이름으로 조회하고 최근 파일 일부만 비교
+    const fileMessages = await Message.find({
+      room: roomId,
+      type: 'file',
+      isDeleted: false,
+      file: { $ne: null },
+      'metadata.originalName': new RegExp(MessageService.escapeRegExp(name), 'i')
+    })
+      .select('file timestamp')
+      .populate('file', 'filename originalname mimetype size')
+      .sort({ timestamp: -1 })
+      .limit(MAX_FILE_CANDIDATES)
+      .lean();
+
+    const files = fileMessages.map((message) => message.file).filter(Boolean);
+    const file = files.find((item) => item.originalname === name) || files[0];
+
+    if (!file) {
+      throw MessageService.createError(`이 채팅방에 공유된 "${name}" 파일을 찾을 수 없습니다.`, 404);
+    }
+    if (!isTextExtractable(file)) {
+      throw MessageService.createError('PDF 또는 텍스트 파일만 읽을 수 있습니다.', 400);
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      throw MessageService.createError('파일이 너무 커서 읽을 수 없습니다.', 400);
+    }
+
+    let text;
+    try {
+      text = (await extractText(file)).trim();
+    } catch (error) {
+      console.error('AI tool file extraction error:', error);
+      throw MessageService.createError('파일 내용을 읽지 못했습니다.', 500);
+    }
+
+    const content = AIContextService.truncateToTokens(text, MAX_FILE_TOKENS);
+    return {
+      output: `파일: ${file.originalname}${content !== text ? ' (앞부분만 포함)' : ''}\n\n${content || '(내용 없음)'}`,
+      summary: `${file.originalname} (${text.length.toLocaleString()}자)`
+    };
+  }
+
+  static getCurrentTime() {
+    const now = new Date();
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const formatted = now.toLocaleString('ko-KR', {
+      dateStyle: 'full',
+      timeStyle: 'long',
+      hour12: false
+    });
+
+    return {
+      output: `현재 시간: ${formatted}\nISO 8601: ${now.toISOString()}\n시간대: ${timeZone}`,
+      summary: formatted
+    };
+  }
+}
+
+module.exports = AIToolService;
@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const redisClient = require('../utils/redisClient');
+const {
+  llmDefaultModel,
+  aiUserRateLimit,
+  aiUserDailyRequestLimit,
+  aiUserDailyTokenLimit,
+  aiRoomDailyTokenLimit,
+} = require('../config/keys');
+
+// 한도 설정값 해석 (0이면 제한 없음)
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) ? fallback : Math.max(limit, 0);
+};
+
+const USER_RATE_LIMIT = parseLimit(aiUserRateLimit, 10); // 사용자별 분당 최대 AI 요청 수
+const USER_DAILY_REQUEST_LIMIT = parseLimit(aiUserDailyRequestLimit, 200); // 사용자별 하루 최대 AI 요청 수
+const USER_DAILY_TOKEN_LIMIT = parseLimit(aiUserDailyTokenLimit, 200000); // 사용자별 하루 최대 토큰 수
+const ROOM_DAILY_TOKEN_LIMIT = parseLimit(aiRoomDailyTokenLimit, 0); // 채팅방별 하루 최대 토큰 수
+const RATE_LIMIT_WINDOW = 60; // 분당 요청 수 집계 구간 (초)
+const DAILY_KEY_TTL = 2 * 24 * 60 * 60; // 일일 사용량 키 보관 기간 (초)
+const MAX_REPORT_DAYS = 92; // 사용량 보고서 최대 조회 기간 (일)
+const DEFAULT_REPORT_DAYS = 7; // 기간을 지정하지 않은 경우 조회 기간 (일)
+const MAX_RANKING_SIZE = 20; // 사용자, 채팅방별 상위 사용량 목록 최대 개수
+
+// 사용량 추이를 묶는 단위별 날짜 형식
+const INTERVAL_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+};
+
+const USAGE_SUM = {
+  requests: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  estimatedRequests: { $sum: { $cond: ['$estimated', 1, 0] } },
+};
+
+class AIUsageService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    return error;
+  }
+
+  // 서버 시간대 기준 날짜 (일일 한도는 서버 시간 자정에 초기화)
+  static getDayKey(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // 서버 시간대를 MongoDB 날짜 연산용 오프셋 형식(+09:00)으로 변환
+  static getTimezoneOffset(date = new Date()) {
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${sign}${hours}:${minutes}`;
+  }
+
+  static getQuotaKeys(userId, roomId, day = this.getDayKey()) {
+    return {
+      rate: `ai:rate:${userId}`,
+      userRequests: `ai:usage:${day}:user:${userId}:requests`,
+      userTokens: `ai:usage:${day}:user:${userId}:tokens`,
+      roomTokens: `ai:usage:${day}:room:${roomId}:tokens`,
+    };
+  }
+
+  // 여러 요청(대화 맥락 요약, 구간 요약, 응답 생성)의 사용량 합산
+  static sumUsage(usages = []) {
+    return usages.filter(Boolean).reduce(
+      (total, usage) => ({
+        promptTokens: total.promptTokens + (usage.promptTokens || 0),
+        completionTokens: total.completionTokens + (usage.completionTokens || 0),
+        totalTokens: total.totalTokens + (usage.totalTokens || 0),
+        estimated: total.estimated || !!usage.estimated,
+      }),
+      { promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false }
+    );
+  }
+
+  // AI 요청 가능 여부 확인 (한도를 넘으면 사용자에게 보여줄 메시지와 함께 429 에러)
+  // Redis에 연결할 수 없는 경우에는 AI 응답을 막지 않음
+  static async checkQuota(userId, roomId) {
+    if (!userId) return;
+
+    const keys = this.getQuotaKeys(userId, roomId);
+    let counts;
+
+    try {
+      const rate = await redisClient.incrBy(keys.rate, 1);
+      if (rate === 1) {
+        await redisClient.expire(keys.rate, RATE_LIMIT_WINDOW);
+      }
+
+      const [userRequests, userTokens, roomTokens] = await Promise.all([
+        redisClient.get(keys.userRequests),
+        redisClient.get(keys.userTokens),
+        redisClient.get(keys.roomTokens),
+      ]);
+
+      counts = {
+        rate,
+        userRequests: Number(userRequests) || 0,
+        userTokens: Number(userTokens) || 0,
+        roomTokens: Number(roomTokens) || 0,
+      };
+    } catch (error) {
+      console.error('AI quota check error:', error);
+      return;
+    }
+
+    if (USER_RATE_LIMIT && counts.rate > USER_RATE_LIMIT) {
+      throw this.createError(
+        `AI 요청은 1분에 ${USER_RATE_LIMIT}번까지 할 수 있습니다. 잠시 후 다시 시도해주세요.`,
+        429,
+        'AI_RATE_LIMITED'
+      );
+    }
+
+    if (USER_DAILY_REQUEST_LIMIT && counts.userRequests >= USER_DAILY_REQUEST_LIMIT) {
+      throw this.createError(
+        `오늘 사용할 수 있는 AI 요청 ${USER_DAILY_REQUEST_LIMIT}회를 모두 사용했습니다. 내일 다시 이용해주세요.`,
+        429,
+        'AI_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (USER_DAILY_TOKEN_LIMIT && counts.userTokens >= USER_DAILY_TOKEN_LIMIT) {
+      throw this.createError(
+        '오늘 사용할 수 있는 AI 사용량을 모두 사용했습니다. 내일 다시 이용해주세요.',
+        429,
+        'AI_QUOTA_EXCEEDED'
+      );
+    }
+
+    if (ROOM_DAILY_TOKEN_LIMIT && counts.roomTokens >= ROOM_DAILY_TOKEN_LIMIT) {
+      throw this.createError(
+        '이 채팅방의 오늘 AI 사용량을 모두 사용했습니다. 내일 다시 이용해주세요.',
+        429,
+        'AI_QUOTA_EXCEEDED'
+      );
+    }
+  }
+
+  // AI 요청 한 건의 사용량 기록 및 일일 사용량 누적
+  static async recordUsage({
+    userId,
+    roomId,
+    aiType,
+    model,
+    kind = 'response',
+    usage = {},
+    cancelled = false,
+  }) {
+    if (!userId) return null;
+
+    const record = await AIUsage.create({
+      user: userId,
+      room: roomId.toString(),
+      aiType,
+      model: model || llmDefaultModel,
+      kind,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      estimated: !!usage.estimated,
+      cancelled,
+    });
+
+    const keys = this.getQuotaKeys(userId, roomId);
+    try {
+      await Promise.all([
+        redisClient.incrBy(keys.userRequests, 1),
+        redisClient.incrBy(keys.userTokens, record.totalTokens),
+        redisClient.incrBy(keys.roomTokens, record.totalTokens),
+      ]);
+      await Promise.all([
+        redisClient.expire(keys.userRequests, DAILY_KEY_TTL),
+        redisClient.expire(keys.userTokens, DAILY_KEY_TTL),
+        redisClient.expire(keys.roomTokens, DAILY_KEY_TTL),
+      ]);
+    } catch (error) {
+      console.error('AI quota update error:', error);
+    }
+
+    return record;
+  }
+
+  static parseDate(value, fallback) {
+    if (!value) return fallback;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw this.createError('조회 기간이 올바르지 않습니다.', 400);
+    }
+    return date;
+  }
+
+  static toUsageSummary(group = {}) {
+    return {
+      requests: group.requests || 0,
+      promptTokens: group.promptTokens || 0,
+      completionTokens: group.completionTokens || 0,
+      totalTokens: group.totalTokens || 0,
+      estimatedRequests: group.estimatedRequests || 0,
+    };
+  }
+
+  // 기간별 AI 사용량 보고서 (관리자용)
+  // options: { from, to, interval(hour | day | month), userId, roomId, aiType }
+  static async getUsageReport({ from, to, interval = 'day', userId, roomId, aiType } = {}) {
+    const end = this.parseDate(to, new Date());
+    const start = this.parseDate(
+      from,
+      new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000)
+    );
+
+    if (start >= end) {
+      throw this.createError('조회 기간이 올바르지 않습니다.', 400);
+    }
+    if (end - start > MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+      throw this.createError(`조회 기간은 최대 ${MAX_REPORT_DAYS}일입니다.`, 400);
+    }
+    if (!INTERVAL_FORMATS[interval]) {
+      throw this.createError('집계 단위는 hour, day, month 중 하나여야 합니다.', 400);
+    }
+
+    const match = { createdAt: { $gte: start, $lt: end } };
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw this.createError('사용자를 찾을 수 없습니다.', 400);
+      }
+      match.user = new mongoose.Types.ObjectId(userId);
+    }
+    if (roomId) match.room = roomId.toString();
+    if (aiType) match.aiType = aiType;
+
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...USAGE_SUM } }],
+          timeline: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: {
+                    format: INTERVAL_FORMATS[interval],
+                    date: '$createdAt',
+                    timezone: this.getTimezoneOffset(end),
+                  },
+                },
+                ...USAGE_SUM,
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          byUser: [
+            { $group: { _id: '$user', ...USAGE_SUM } },
+            { $sort: { totalTokens: -1 } },
+            { $limit: MAX_RANKING_SIZE },
+          ],
+          byRoom: [
+            { $group: { _id: '$room', ...USAGE_SUM } },
+            { $sort: { totalTokens: -1 } },
+            { $limit: MAX_RANKING_SIZE },
+          ],
+          byPersona: [
+            { $group: { _id: '$aiType', ...USAGE_SUM } },
+            { $sort: { totalTokens: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const roomIds = result.byRoom
+      .map((group) => group._id)
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const [users, rooms] = await Promise.all([
+      User.find({ _id: { $in: result.byUser.map((group) => group._id) } })
+        .select('name email')
+        .lean(),
+      Room.find({ _id: { $in: roomIds } }).select('name type').lean(),
+    ]);
+    const userMap = new Map(users.map((user) => [user._id.toString(), user]));
+    const roomMap = new Map(rooms.map((room) => [room._id.toString(), room]));
+
+    return {
+      from: start,
+      to: end,
+      interval,
+      limits: {
+        userRateLimit: USER_RATE_LIMIT,
+        userDailyRequestLimit: USER_DAILY_REQUEST_LIMIT,
+        userDailyTokenLimit: USER_DAILY_TOKEN_LIMIT,
+        roomDailyTokenLimit: ROOM_DAILY_TOKEN_LIMIT,
+      },
+      totals: this.toUsageSummary(result.totals[0]),
+      timeline: result.timeline.map((group) => ({
+        period: group._id,
+        ...this.toUsageSummary(group),
+      })),
+      byUser: result.byUser.map((group) => {
+        const user = userMap.get(group._id.toString());
+        return {
+          userId: group._id.toString(),
+          name: user?.name || null,
+          email: user?.email || null,
+          ...this.toUsageSummary(group),
+        };
+      }),
+      byRoom: result.byRoom.map((group) => {
+        const room = roomMap.get(group._id);
+        return {
+          roomId: group._id,
+          name: room?.name || null,
+          type: room?.type || null,
+          ...this.toUsageSummary(group),
+        };
+      }),
+      byPersona: result.byPersona.map((group) => ({
+        aiType: group._id,
+        ...this.toUsageSummary(group),
+      })),
+    };
+  }
+}
+
+module.exports = AIUsageService;
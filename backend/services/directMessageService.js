@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const RoomActivityService = require('./roomActivityService');
+
+const DIRECT_ROOM_NAME = '1:1 대화';
+const USER_FIELDS = 'name email profileImage';
+
+class DirectMessageService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 사용자 쌍으로 1:1 대화 키 생성 (순서와 무관하게 동일)
+  static getDirectKey(userId, otherUserId) {
+    return [userId.toString(), otherUserId.toString()].sort().join(':');
+  }
+
+  // 1:1 대화방을 상대방 정보와 함께 응답 형태로 변환 (participants가 populate된 문서 필요)
+  static serializeDirectRoom(room, userId, unreadCount = 0) {
+    const data = room.toObject ? room.toObject() : room;
+    const participants = (data.participants || []).filter(Boolean);
+    const otherUser =
+      participants.find((participant) => participant._id.toString() !== userId) ||
+      null;
+
+    return {
+      _id: data._id.toString(),
+      type: 'direct',
+      otherUser: otherUser && {
+        _id: otherUser._id.toString(),
+        name: otherUser.name,
+        email: otherUser.email,
+        profileImage: otherUser.profileImage,
+      },
+      lastMessage: data.lastMessage?.timestamp ? data.lastMessage : null,
+      lastActivityAt: data.lastActivityAt || data.createdAt,
+      unreadCount,
+      createdAt: data.createdAt,
+    };
+  }
+
+  // 두 사용자의 1:1 대화방 조회 (없으면 생성)
+  static async getOrCreateDirectRoom(userId, targetUserId) {
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      throw this.createError('올바르지 않은 사용자입니다.', 400);
+    }
+
+    if (targetUserId === userId) {
+      throw this.createError('자기 자신과는 대화할 수 없습니다.', 400);
+    }
+
+    const target = await User.exists({ _id: targetUserId });
+    if (!target) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404);
+    }
+
+    const directKey = this.getDirectKey(userId, targetUserId);
+    const createdAt = new Date();
+    let room;
+    try {
+      room = await Room.findOneAndUpdate(
+        { directKey },
+        {
+          $setOnInsert: {
+            name: DIRECT_ROOM_NAME,
+            type: 'direct',
+            creator: userId,
+            participants: [userId, targetUserId],
+            directKey,
+            // 상대방이 아직 대화방을 열지 않아도 안 읽은 메시지 수를 셀 수 있도록 읽음 기록 생성
+            readStates: [
+              { user: userId, lastReadAt: createdAt },
+              { user: targetUserId, lastReadAt: createdAt },
+            ],
+            createdAt,
+          },
+        },
+        { new: true, upsert: true }
+      ).populate('participants', USER_FIELDS);
+    } catch (error) {
+      // 동시에 생성 요청이 들어온 경우 먼저 생성된 대화방 사용
+      if (error.code !== 11000) throw error;
+      room = await Room.findOne({ directKey }).populate(
+        'participants',
+        USER_FIELDS
+      );
+    }
+
+    return this.serializeDirectRoom(room, userId);
+  }
+
+  // 사용자의 1:1 대화 목록 조회 (최근 활동 순)
+  static async getDirectRooms(userId) {
+    const rooms = await Room.find({ type: 'direct', participants: userId })
+      .select('participants lastMessage lastActivityAt readStates createdAt')
+      .populate('participants', USER_FIELDS)
+      .sort({ lastActivityAt: -1 })
+      .lean();
+
+    const unreadCounts = await RoomActivityService.getUnreadCounts(rooms, userId);
+
+    return rooms.map((room) =>
+      this.serializeDirectRoom(
+        room,
+        userId,
+        unreadCounts.get(room._id.toString()) || 0
+      )
+    );
+  }
+}
+
+module.exports = DirectMessageService;
@@ -1,5 +1,9 @@
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const s3 = require('../config/s3');
+
+const TEXT_MIME_TYPES = ['application/pdf', 'text/plain']; // 텍스트를 추출할 수 있는 파일 형식
 
 exports.processFileForRAG = async (filePath) => {
   let textContent = '';
@@ -16,4 +20,24 @@ exports.processFileForRAG = async (filePath) => {
 
   // 텍스트를 벡터화하여 벡터 DB에 저장
   await vectorDB.storeDocument(textContent);
-};
\ No newline at end of file
+};
+
+// 텍스트를 추출할 수 있는 파일인지 확인
+exports.isTextExtractable = (file) => TEXT_MIME_TYPES.includes(file?.mimetype);
+
+// S3에 저장된 파일의 텍스트 추출 (PDF는 본문 텍스트, 텍스트 파일은 UTF-8로 읽음)
+exports.extractText = async (file) => {
+  const data = await s3.send(
+    new GetObjectCommand({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: `uploads/${file.filename}`,
+    })
+  );
+  const buffer = Buffer.from(await data.Body.transformToByteArray());
+
+  if (file.mimetype === 'application/pdf') {
+    const pdfData = await pdfParse(buffer);
+    return pdfData.text;
+  }
+  return buffer.toString('utf-8');
+};
@@ -0,0 +1,80 @@
+// LLM 공급자 에러 코드
+const ERROR_CODES = {
+  CANCELLED: 'CANCELLED', // 요청자가 생성을 중단함
+  TIMEOUT: 'TIMEOUT', // 응답 시간 초과
+  AUTH: 'AUTH', // API 키 오류
+  RATE_LIMIT: 'RATE_LIMIT', // 요청 한도 초과
+  INVALID_REQUEST: 'INVALID_REQUEST', // 모델 이름 등 요청 오류
+  UNAVAILABLE: 'UNAVAILABLE' // 공급자 서버 오류 또는 연결 실패
+};
+
+// 사용자에게 그대로 보여줄 수 있는 메시지와 코드를 포함한 에러 생성
+const createProviderError = (message, code, cause = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.isProviderError = true;
+  if (cause) error.cause = cause;
+  return error;
+};
+
+const createCancelledError = () =>
+  createProviderError('AI 응답 생성이 중단되었습니다.', ERROR_CODES.CANCELLED);
+
+// 토큰 수 추정 (영문 등 ASCII는 약 4자당 1토큰, 한글 등은 글자당 1토큰으로 보수적으로 계산)
+const getCharTokens = (char) => (char.charCodeAt(0) < 128 ? 0.25 : 1);
+
+const estimateTokens = (text = '') => {
+  let tokens = 0;
+  for (const char of text) {
+    tokens += getCharTokens(char);
+  }
+  return Math.ceil(tokens);
+};
+
+// 사용량을 보고하지 않는 공급자나 중단된 요청의 사용량을 요청 메시지와 응답 내용으로 추정
+const estimateUsage = (messages = [], content = '') => {
+  const promptTokens = messages.reduce(
+    (sum, message) => sum + estimateTokens(message.content || ''),
+    0
+  );
+  const completionTokens = estimateTokens(content);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: true
+  };
+};
+
+// 모든 공급자가 구현하는 인터페이스
+// messages는 OpenAI 형식의 { role, content } 배열이며, signal(AbortSignal)로 생성을 중단할 수 있음
+// 도구 호출 이후에는 { role: 'assistant', tool_calls }와 { role: 'tool', tool_call_id, content } 메시지가 포함됨
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // 스트리밍 응답 생성: 토큰마다 onToken(text)을 호출하고 완료되면 { content, usage, toolCalls } 반환
+  // tools({ name, description, parameters } 배열)를 넘기면 모델이 요청한 도구 호출을 toolCalls({ id, name, arguments })로 반환
+  // 중단되면 CANCELLED 에러를 던지며, 그때까지 받은 내용은 error.partialContent로 전달
+  // options: { model, messages, temperature, maxTokens, tools, signal, onToken }
+  async streamChat(options) {
+    throw new Error(`${this.name} provider does not implement streamChat`);
+  }
+
+  // 전체 응답을 한 번에 받는 요청: { content, usage } 반환
+  // options: { model, messages, temperature, maxTokens, signal }
+  async chat(options) {
+    throw new Error(`${this.name} provider does not implement chat`);
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  ERROR_CODES,
+  createProviderError,
+  createCancelledError,
+  getCharTokens,
+  estimateTokens,
+  estimateUsage
+};
@@ -0,0 +1,41 @@
+const {
+  llmProvider,
+  llmBaseUrl,
+  llmApiKey,
+  llmTimeout
+} = require('../../config/keys');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockProvider = require('./mockProvider');
+const baseProvider = require('./baseProvider');
+
+const DEFAULT_TIMEOUT = 60 * 1000; // 응답 대기 최대 시간 (ms)
+
+let provider = null;
+
+// LLM_PROVIDER 설정에 따라 사용할 공급자 생성 (프로세스당 하나)
+const createProvider = () => {
+  switch ((llmProvider || 'openai').toLowerCase()) {
+    case 'mock':
+      return new MockProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseURL: llmBaseUrl,
+        apiKey: llmApiKey,
+        timeout: parseInt(llmTimeout) || DEFAULT_TIMEOUT
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${llmProvider}`);
+  }
+};
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  ...baseProvider
+};
@@ -0,0 +1,150 @@
+const { LLMProvider, createCancelledError, estimateUsage } = require('./baseProvider');
+
+const TOKEN_DELAY = 30; // 토큰 사이 지연 시간 (ms)
+const QUOTE_LENGTH = 200; // 응답에 되돌려 주는 입력의 최대 길이
+
+// 외부 API 없이 동작하는 로컬 공급자 (개발 및 오프라인 테스트용)
+// 같은 입력에는 항상 같은 응답을 스트리밍하며, 질문과 가장 최근 대화 맥락, 도구 결과를 응답에 포함해 검증할 수 있게 함
+class MockProvider extends LLMProvider {
+  constructor({ tokenDelay = TOKEN_DELAY } = {}) {
+    super('mock');
+    this.tokenDelay = tokenDelay;
+  }
+
+  quote(text = '') {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > QUOTE_LENGTH
+      ? `${singleLine.slice(0, QUOTE_LENGTH)}…`
+      : singleLine;
+  }
+
+  // 첫 시스템 프롬프트와 마지막 질문 사이의 메시지를 대화 맥락으로, 질문 이후의 도구 결과를 함께 응답에 포함
+  buildReply(messages = []) {
+    const questionIndex = this.findQuestionIndex(messages);
+    const question = messages[questionIndex]?.content || '';
+    const context = messages.slice(1, questionIndex);
+    const toolResults = messages.slice(questionIndex + 1).filter((message) => message.role === 'tool');
+    const lines = ['모의 AI 응답입니다.', `질문: ${this.quote(question)}`];
+
+    if (context.length > 0) {
+      lines.push(
+        `참고한 대화 ${context.length}개, 가장 최근 내용: ${this.quote(context[context.length - 1].content)}`
+      );
+    }
+
+    // 이전 대화 요약 등 시스템 맥락은 마지막 줄(가장 최근 내용)을 표시
+    context
+      .filter((message) => message.role === 'system')
+      .forEach((message) => {
+        const lastLine = (message.content || '').trim().split('\n').pop();
+        lines.push(`참고한 이전 대화: ${this.quote(lastLine)}`);
+      });
+
+    toolResults.forEach((message) => {
+      lines.push(`도구 결과: ${this.quote(message.content)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  findQuestionIndex(messages = []) {
+    for (let index = messages.length - 1; index >= 0; index--) {
+      if (messages[index].role === 'user') return index;
+    }
+    return messages.length - 1;
+  }
+
+  // 질문에 포함된 단어로 호출할 도구 결정 (도구 결과를 받은 뒤에는 호출하지 않음)
+  // 시간/날짜 -> get_current_time, 참여자 -> list_participants,
+  // "검색: 키워드" -> search_messages, 파일명.pdf/.txt -> read_file
+  planToolCalls(messages = [], tools = []) {
+    if (tools.length === 0 || messages[messages.length - 1]?.role !== 'user') return [];
+
+    const available = new Set(tools.map((tool) => tool.name));
+    const question = messages[messages.length - 1].content || '';
+    const calls = [];
+    const addCall = (name, args = {}) => {
+      if (available.has(name)) {
+        calls.push({ id: `mock_call_${calls.length}`, name, arguments: JSON.stringify(args) });
+      }
+    };
+
+    if (/시간|날짜|몇 시/.test(question)) addCall('get_current_time');
+    if (/참여자/.test(question)) addCall('list_participants');
+
+    const search = question.match(/검색\s*[:：]\s*(\S+)/);
+    if (search) addCall('search_messages', { query: search[1] });
+
+    const file = question.match(/([^\s"'`]+\.(?:pdf|txt))/i);
+    if (file) addCall('read_file', { fileName: file[1] });
+
+    return calls;
+  }
+
+  // 공백을 포함한 단어 단위로 분할
+  tokenize(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+  }
+
+  wait(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+
+      const handleAbort = () => {
+        clearTimeout(timer);
+        reject(createCancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+      }, this.tokenDelay);
+      signal?.addEventListener('abort', handleAbort, { once: true });
+    });
+  }
+
+  async streamChat({ messages, tools = [], signal, onToken }) {
+    const toolCalls = this.planToolCalls(messages, tools);
+    if (toolCalls.length > 0) {
+      await this.wait(signal);
+      return {
+        content: '',
+        usage: estimateUsage(messages, ''),
+        toolCalls
+      };
+    }
+
+    const reply = this.buildReply(messages);
+    let content = '';
+
+    try {
+      for (const token of this.tokenize(reply)) {
+        await this.wait(signal);
+        content += token;
+        onToken?.(token);
+      }
+    } catch (error) {
+      error.partialContent = content;
+      throw error;
+    }
+
+    return {
+      content,
+      usage: estimateUsage(messages, content)
+    };
+  }
+
+  async chat({ messages, signal }) {
+    if (signal?.aborted) throw createCancelledError();
+
+    const content = `모의 요약: ${this.quote(messages[messages.length - 1]?.content)}`;
+    return {
+      content,
+      usage: estimateUsage(messages, content)
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,194 @@
+const axios = require('axios');
+const {
+  LLMProvider,
+  ERROR_CODES,
+  createProviderError,
+  createCancelledError
+} = require('./baseProvider');
+
+// OpenAI Chat Completions API 호환 공급자 (OpenAI, vLLM, Ollama 등 자체 호스팅 서버)
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseURL, apiKey, timeout }) {
+    super('openai');
+    this.client = axios.create({
+      baseURL,
+      timeout,
+      headers: {
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // HTTP/네트워크 에러를 공급자 에러로 변환
+  toProviderError(error) {
+    if (error?.isProviderError) return error;
+
+    if (axios.isCancel(error) || error?.code === 'ERR_CANCELED') {
+      return createCancelledError();
+    }
+
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+      return createProviderError('AI 응답 시간이 초과되었습니다. 잠시 후 다시 시도해주세요.', ERROR_CODES.TIMEOUT, error);
+    }
+
+    const status = error?.response?.status;
+    if (status === 401 || status === 403) {
+      return createProviderError('AI 서비스 인증에 실패했습니다. 관리자에게 문의해주세요.', ERROR_CODES.AUTH, error);
+    }
+    if (status === 429) {
+      return createProviderError('AI 요청이 많아 처리할 수 없습니다. 잠시 후 다시 시도해주세요.', ERROR_CODES.RATE_LIMIT, error);
+    }
+    if (status === 400 || status === 404 || status === 422) {
+      return createProviderError('AI 모델 설정이 올바르지 않습니다. 관리자에게 문의해주세요.', ERROR_CODES.INVALID_REQUEST, error);
+    }
+
+    return createProviderError('AI 서비스에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.', ERROR_CODES.UNAVAILABLE, error);
+  }
+
+  toUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens
+    };
+  }
+
+  buildBody({ model, messages, temperature, maxTokens, tools }) {
+    return {
+      model,
+      messages,
+      temperature,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(tools?.length && {
+        tools: tools.map((tool) => ({ type: 'function', function: tool }))
+      })
+    };
+  }
+
+  // 스트림으로 나뉘어 전달되는 도구 호출을 index별로 합침 (이름과 인자 JSON이 여러 조각으로 나뉘어 옴)
+  appendToolCallDeltas(toolCalls, deltas = []) {
+    for (const delta of deltas) {
+      const index = delta.index ?? 0;
+      const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.name += delta.function.name;
+      if (delta.function?.arguments) call.arguments += delta.function.arguments;
+    }
+  }
+
+  async streamChat({ signal, onToken, ...options }) {
+    if (signal?.aborted) throw createCancelledError();
+
+    let response;
+    try {
+      response = await this.client.post('/chat/completions', {
+        ...this.buildBody(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+
+    const stream = response.data;
+    let content = '';
+    let usage = null;
+    let buffer = '';
+    const toolCalls = [];
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const finish = (error = null) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener('abort', handleAbort);
+
+        if (error) {
+          error.partialContent = content;
+          reject(error);
+          return;
+        }
+        resolve({
+          content: content.trim(),
+          usage,
+          toolCalls: toolCalls
+            .filter((call) => call?.name)
+            .map((call, index) => ({ ...call, id: call.id || `call_${index}` }))
+        });
+      };
+
+      const handleAbort = () => {
+        stream.destroy();
+        finish(createCancelledError());
+      };
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      stream.on('data', (chunk) => {
+        // SSE 형식: 줄 단위로 "data: {json}"이 전달되며 "data: [DONE]"으로 종료
+        buffer += chunk.toString();
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newlineIndex).trim();
+          buffer = buffer.slice(newlineIndex + 1);
+
+          if (!line.startsWith('data:')) continue;
+
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') {
+            finish();
+            return;
+          }
+
+          try {
+            const parsed = JSON.parse(data);
+            if (parsed.usage) {
+              usage = this.toUsage(parsed.usage);
+            }
+
+            const delta = parsed.choices?.[0]?.delta;
+            const token = delta?.content;
+            if (token) {
+              content += token;
+              onToken?.(token);
+            }
+            if (delta?.tool_calls) {
+              this.appendToolCallDeltas(toolCalls, delta.tool_calls);
+            }
+          } catch (error) {
+            console.error('LLM stream parsing error:', error);
+          }
+        }
+      });
+
+      // [DONE] 없이 연결을 닫는 서버도 있으므로 종료 시 받은 내용으로 완료 처리
+      stream.on('end', () => finish());
+      stream.on('error', (error) => finish(this.toProviderError(error)));
+    });
+  }
+
+  async chat({ signal, ...options }) {
+    try {
+      const response = await this.client.post(
+        '/chat/completions',
+        this.buildBody(options),
+        { signal }
+      );
+
+      return {
+        content: response.data?.choices?.[0]?.message?.content?.trim() || '',
+        usage: this.toUsage(response.data?.usage)
+      };
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,549 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const File = require('../models/File');
+const { maxPinnedMessages } = require('../config/keys');
+
+const SEARCH_PAGE_SIZE = 20; // 검색 결과 기본 페이지 크기
+const SEARCH_MAX_PAGE_SIZE = 50; // 검색 결과 최대 페이지 크기
+const SEARCH_TYPES = ['text', 'file', 'ai'];
+const SNIPPET_CONTEXT = 30; // 스니펫에서 검색어 앞에 보여줄 글자 수
+const SNIPPET_LENGTH = 120; // 스니펫 최대 길이
+const MAX_PINNED_MESSAGES = parseInt(maxPinnedMessages) || 10; // 채팅방당 고정 메시지 최대 수
+const PINNABLE_TYPES = ['text', 'file', 'ai'];
+const MAX_AI_VARIANTS = 10; // AI 메시지당 보관할 최대 응답 수
+const USER_FIELDS = 'name email profileImage';
+
+class MessageService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 정규식 특수문자 이스케이프
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 메시지 삭제 (작성자 또는 채팅방 생성자만 가능)
+  static async deleteMessage(messageId, userId, roomId = null) {
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false,
+    });
+
+    if (!message || (roomId && message.room !== roomId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const room = await Room.findById(message.room).select('creator').lean();
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    const isSender = message.sender?.toString() === userId;
+    const isRoomCreator = room.creator?.toString() === userId;
+
+    if (!isSender && !isRoomCreator) {
+      throw this.createError('메시지를 삭제할 권한이 없습니다.', 403);
+    }
+
+    await message.softDelete();
+
+    // 고정된 메시지였다면 고정 해제
+    await Room.updateOne(
+      { _id: message.room },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+
+    // 스레드 답글인 경우 부모 메시지의 답글 수 감소
+    if (message.parentMessage) {
+      await Message.updateOne(
+        { _id: message.parentMessage, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } }
+      );
+    }
+
+    // 파일 메시지인 경우 첨부 파일 정리
+    if (message.type === 'file' && message.file) {
+      try {
+        const file = await File.findById(message.file);
+        if (file) {
+          await file.removeWithStorage();
+        }
+      } catch (error) {
+        console.error('Attached file cleanup error:', {
+          error,
+          messageId: message._id,
+          fileId: message.file,
+        });
+      }
+    }
+
+    return message;
+  }
+
+  // 채팅방의 고정 메시지 목록 조회 (최근 고정 순)
+  static async getPinnedMessages(roomId) {
+    const room = await Room.findById(roomId)
+      .select('pinnedMessages')
+      .populate({
+        path: 'pinnedMessages.message',
+        select: 'content type aiType sender file metadata.originalName isDeleted timestamp',
+        populate: [
+          { path: 'sender', select: 'name' },
+          { path: 'file', select: 'originalname' },
+        ],
+      })
+      .populate('pinnedMessages.pinnedBy', 'name')
+      .lean();
+
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    return (room.pinnedMessages || [])
+      .filter((pin) => pin.message && !pin.message.isDeleted)
+      .map((pin) => ({
+        message: pin.message,
+        pinnedBy: pin.pinnedBy,
+        pinnedAt: pin.pinnedAt,
+      }))
+      .reverse();
+  }
+
+  // 메시지 고정 (채팅방 참여자만 가능, 최대 개수 제한)
+  static async pinMessage(messageId, userId) {
+    const message = await Message.findOne({
+      _id: messageId,
+      isDeleted: false,
+    })
+      .select('room type parentMessage')
+      .lean();
+
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    if (!PINNABLE_TYPES.includes(message.type)) {
+      throw this.createError('고정할 수 없는 메시지입니다.', 400);
+    }
+
+    if (message.parentMessage) {
+      throw this.createError('스레드 답글은 고정할 수 없습니다.', 400);
+    }
+
+    // 중복 고정과 개수 초과를 조건부 업데이트로 함께 방지
+    const room = await Room.findOneAndUpdate(
+      {
+        _id: message.room,
+        participants: userId,
+        'pinnedMessages.message': { $ne: message._id },
+        [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false },
+      },
+      {
+        $push: {
+          pinnedMessages: {
+            message: message._id,
+            pinnedBy: userId,
+            pinnedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    )
+      .select('_id')
+      .lean();
+
+    if (!room) {
+      const current = await Room.findById(message.room)
+        .select('participants pinnedMessages')
+        .lean();
+
+      if (!current) {
+        throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+      }
+      if (!current.participants.some((id) => id.toString() === userId)) {
+        throw this.createError('채팅방 참여자만 메시지를 고정할 수 있습니다.', 403);
+      }
+      if (current.pinnedMessages.some((pin) => pin.message.toString() === messageId)) {
+        throw this.createError('이미 고정된 메시지입니다.', 409);
+      }
+      throw this.createError(
+        `메시지는 최대 ${MAX_PINNED_MESSAGES}개까지 고정할 수 있습니다.`,
+        400
+      );
+    }
+
+    return message;
+  }
+
+  // 메시지 고정 해제 (채팅방 참여자만 가능)
+  static async unpinMessage(messageId, userId) {
+    const message = await Message.findById(messageId).select('room').lean();
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const result = await Room.updateOne(
+      {
+        _id: message.room,
+        participants: userId,
+        'pinnedMessages.message': message._id,
+      },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw this.createError('고정된 메시지를 찾을 수 없습니다.', 404);
+    }
+
+    return message;
+  }
+
+  // 검색어가 처음 등장하는 위치를 중심으로 스니펫과 하이라이트 구간 생성
+  static buildSnippet(content, terms) {
+    const text = content || '';
+    const lowerText = text.toLowerCase();
+
+    const firstIndex = terms.reduce((first, term) => {
+      const index = lowerText.indexOf(term.toLowerCase());
+      return index !== -1 && (first === -1 || index < first) ? index : first;
+    }, -1);
+
+    const start = Math.max(0, firstIndex - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+    const ranges = [];
+    if (terms.length > 0) {
+      const pattern = new RegExp(
+        terms.map((term) => this.escapeRegExp(term)).join('|'),
+        'gi'
+      );
+      let match;
+      while ((match = pattern.exec(snippet)) !== null) {
+        if (!match[0]) {
+          pattern.lastIndex++;
+          continue;
+        }
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    // 겹치는 구간 병합
+    const highlights = ranges
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ ...range });
+        }
+        return merged;
+      }, []);
+
+    return { snippet, highlights };
+  }
+
+  // 채팅방 메시지 검색 (키워드, 보낸 사람, 메시지 타입, 기간 필터 및 커서 페이지네이션)
+  static async searchMessages(roomId, userId, params = {}) {
+    const { q, sender, type, from, to, cursor } = params;
+    const keyword = typeof q === 'string' ? q.trim() : '';
+    const limit = Math.min(
+      Math.max(1, parseInt(params.limit) || SEARCH_PAGE_SIZE),
+      SEARCH_MAX_PAGE_SIZE
+    );
+
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    const room = await Room.findOne({ _id: roomId, participants: userId })
+      .select('_id')
+      .lean();
+    if (!room) {
+      throw this.createError('채팅방 접근 권한이 없습니다.', 403);
+    }
+
+    if (!keyword && !sender && !type && !from && !to) {
+      throw this.createError('검색어 또는 검색 조건을 입력해주세요.', 400);
+    }
+
+    const query = { room: roomId, isDeleted: false };
+
+    if (keyword) {
+      query.$text = { $search: keyword };
+    }
+
+    if (sender) {
+      if (!mongoose.Types.ObjectId.isValid(sender)) {
+        throw this.createError('올바르지 않은 사용자입니다.', 400);
+      }
+      query.sender = sender;
+    }
+
+    if (type) {
+      if (!SEARCH_TYPES.includes(type)) {
+        throw this.createError('지원하지 않는 메시지 타입입니다.', 400);
+      }
+      query.type = type;
+    } else {
+      query.type = { $in: SEARCH_TYPES };
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        throw this.createError('올바르지 않은 날짜 형식입니다.', 400);
+      }
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = fromDate;
+      if (toDate) query.timestamp.$lte = toDate;
+    }
+
+    // _id는 생성 순서를 따르므로 최신순 커서로 사용
+    if (cursor) {
+      if (!mongoose.Types.ObjectId.isValid(cursor)) {
+        throw this.createError('올바르지 않은 커서입니다.', 400);
+      }
+      query._id = { $lt: cursor };
+    }
+
+    const messages = await Message.find(query)
+      .select('type aiType content sender file timestamp parentMessage metadata.originalName')
+      .populate('sender', 'name email profileImage')
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const terms = keyword.split(/\s+/).filter(Boolean);
+
+    const results = messages.slice(0, limit).map((message) => ({
+      _id: message._id,
+      type: message.type,
+      aiType: message.aiType,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      parentMessage: message.parentMessage || null,
+      fileName: message.metadata?.originalName || null,
+      ...this.buildSnippet(message.content, terms)
+    }));
+
+    return {
+      results,
+      hasMore,
+      nextCursor: hasMore ? results[results.length - 1]._id.toString() : null
+    };
+  }
+
+  // 메시지를 읽은 사용자 목록 조회 (읽은 시각 순, 아직 읽지 않은 현재 참여자 포함)
+  static async getMessageReaders(roomId, messageId, userId) {
+    if (
+      !mongoose.Types.ObjectId.isValid(roomId) ||
+      !mongoose.Types.ObjectId.isValid(messageId)
+    ) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const room = await Room.findOne({ _id: roomId, participants: userId })
+      .select('participants')
+      .populate('participants', USER_FIELDS)
+      .lean();
+    if (!room) {
+      throw this.createError('채팅방 접근 권한이 없습니다.', 403);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      room: roomId,
+      isDeleted: false
+    })
+      .select('type sender readers')
+      .populate('readers.userId', USER_FIELDS)
+      .lean();
+    if (!message || message.type === 'system') {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const senderId = message.sender?.toString();
+
+    // 작성자 본인과 탈퇴 등으로 사용자 정보가 없는 기록은 제외
+    const readers = (message.readers || [])
+      .filter((reader) => reader.userId && reader.userId._id.toString() !== senderId)
+      .sort((a, b) => new Date(a.readAt) - new Date(b.readAt))
+      .map((reader) => ({
+        _id: reader.userId._id.toString(),
+        name: reader.userId.name,
+        email: reader.userId.email,
+        profileImage: reader.userId.profileImage,
+        readAt: reader.readAt
+      }));
+
+    const readerIds = new Set(readers.map((reader) => reader._id));
+    const unreadUsers = (room.participants || [])
+      .filter(Boolean)
+      .filter((participant) => {
+        const id = participant._id.toString();
+        return id !== senderId && !readerIds.has(id);
+      })
+      .map((participant) => ({
+        _id: participant._id.toString(),
+        name: participant.name,
+        email: participant.email,
+        profileImage: participant.profileImage
+      }));
+
+    return {
+      messageId: message._id.toString(),
+      readers,
+      unreadUsers
+    };
+  }
+
+  // 채팅방 참여자인지 확인
+  static async assertRoomParticipant(roomId, userId, message) {
+    const isParticipant = await Room.exists({ _id: roomId, participants: userId });
+    if (!isParticipant) {
+      throw this.createError(message || '채팅방 접근 권한이 없습니다.', 403);
+    }
+  }
+
+  // 다시 생성할 AI 메시지와 원래 질문 메시지 조회 (채팅방 참여자만 가능)
+  // 질문 메시지를 알 수 없는 이전 응답은 응답 시점까지의 대화를 맥락으로 사용
+  static async getAIRegenerationTarget(messageId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      type: 'ai',
+      isDeleted: false,
+    })
+      .select('room aiType content timestamp metadata aiVariants')
+      .lean();
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    await this.assertRoomParticipant(
+      message.room,
+      userId,
+      '채팅방 참여자만 AI 응답을 다시 생성할 수 있습니다.'
+    );
+
+    // 대화 요약은 요약한 기간의 메시지로 만든 응답이므로 질문 기반으로 다시 생성하지 않음
+    if (message.metadata?.summary) {
+      throw this.createError('대화 요약은 다시 생성할 수 없습니다.', 400);
+    }
+
+    if ((message.aiVariants?.length || 0) >= MAX_AI_VARIANTS) {
+      throw this.createError(
+        `AI 응답은 최대 ${MAX_AI_VARIANTS}개까지 생성할 수 있습니다.`,
+        400
+      );
+    }
+
+    const sourceMessageId = message.metadata?.sourceMessageId;
+    const sourceMessage = sourceMessageId
+      ? await Message.findById(sourceMessageId).select('timestamp').lean()
+      : null;
+
+    return {
+      message,
+      sourceMessage: sourceMessage || { _id: message._id, timestamp: message.timestamp },
+    };
+  }
+
+  // 응답에 실패한 AI 멘션 메시지 조회 (채팅방 참여자만 가능)
+  static async getAIRetrySource(messageId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      type: { $in: ['text', 'file'] },
+      isDeleted: false,
+    })
+      .select('room content timestamp')
+      .lean();
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    await this.assertRoomParticipant(
+      message.room,
+      userId,
+      '채팅방 참여자만 AI 응답을 다시 요청할 수 있습니다.'
+    );
+
+    return message;
+  }
+
+  // 다시 생성한 응답을 추가하고 선택 (처음 재생성하는 경우 원래 응답을 첫 번째로 보관)
+  static async addAIVariant(messageId, content, { cancelled = false, toolSteps } = {}) {
+    const message = await Message.findOne({ _id: messageId, isDeleted: false });
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    if (message.aiVariants.length === 0) {
+      message.aiVariants.push({
+        content: message.content,
+        cancelled: !!message.metadata?.get('cancelled'),
+        toolSteps: message.metadata?.get('toolSteps'),
+        createdAt: message.timestamp,
+      });
+    }
+
+    message.aiVariants.push({ content, cancelled, toolSteps });
+    message.activeVariant = message.aiVariants.length - 1;
+    message.content = content;
+    await message.save();
+
+    return message;
+  }
+
+  // 채팅방에 표시할 AI 응답 선택 (모든 참여자에게 같은 응답이 표시됨)
+  static async selectAIVariant(messageId, userId, index) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    const message = await Message.findOne({
+      _id: messageId,
+      type: 'ai',
+      isDeleted: false,
+    });
+    if (!message) {
+      throw this.createError('메시지를 찾을 수 없습니다.', 404);
+    }
+
+    await this.assertRoomParticipant(message.room, userId);
+
+    const variantIndex = Number(index);
+    if (
+      !Number.isInteger(variantIndex) ||
+      variantIndex < 0 ||
+      variantIndex >= message.aiVariants.length
+    ) {
+      throw this.createError('선택할 수 없는 응답입니다.', 400);
+    }
+
+    message.activeVariant = variantIndex;
+    message.content = message.aiVariants[variantIndex].content;
+    await message.save();
+
+    return message;
+  }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const redisClient = require('../utils/redisClient');
+const User = require('../models/User');
+
+class PresenceService {
+  static PRESENCE_TTL = 60; // 하트비트가 끊기면 오프라인으로 간주하는 시간 (60초)
+  static PRESENCE_PREFIX = 'presence:';
+  static STATUSES = ['online', 'away'];
+  static MAX_QUERY_USERS = 100; // 한 번에 조회할 수 있는 최대 사용자 수
+
+  static getPresenceKey(userId) {
+    return `${this.PRESENCE_PREFIX}${userId}`;
+  }
+
+  // 접속 상태 저장 (TTL 동안 하트비트가 없으면 자동 만료)
+  // changed: 이전 상태와 달라 다른 사용자에게 알려야 하는지 여부
+  static async setStatus(userId, status = 'online') {
+    const normalizedStatus = this.STATUSES.includes(status) ? status : 'online';
+    const key = this.getPresenceKey(userId);
+    const previous = await redisClient.get(key);
+    const lastSeen = Date.now();
+
+    await redisClient.set(
+      key,
+      { status: normalizedStatus, lastSeen },
+      { ttl: this.PRESENCE_TTL }
+    );
+
+    return {
+      presence: {
+        userId: userId.toString(),
+        status: normalizedStatus,
+        lastSeen: new Date(lastSeen),
+      },
+      changed: previous?.status !== normalizedStatus,
+    };
+  }
+
+  // 오프라인 처리 (마지막 접속 시각은 재시작 후에도 남도록 DB에 기록)
+  static async setOffline(userId) {
+    const lastSeen = new Date();
+
+    await Promise.all([
+      redisClient.del(this.getPresenceKey(userId)),
+      User.updateOne({ _id: userId }, { $set: { lastActive: lastSeen } }),
+    ]);
+
+    return {
+      userId: userId.toString(),
+      status: 'offline',
+      lastSeen,
+    };
+  }
+
+  // 하트비트가 끊겨 TTL로 만료된 사용자를 오프라인으로 기록 (lastSeenByUser: userId -> 마지막 하트비트 시각)
+  // Redis에 상태가 남아 있는 사용자는 제외하고, 마지막 하트비트 시각을 마지막 접속 시각으로 저장
+  static async expirePresences(lastSeenByUser) {
+    const entries = [...lastSeenByUser];
+    const current = await Promise.all(
+      entries.map(([userId]) => redisClient.get(this.getPresenceKey(userId)))
+    );
+    const expired = entries.filter((entry, index) => !current[index]);
+
+    await Promise.all(
+      expired.map(([userId, lastSeen]) =>
+        User.updateOne({ _id: userId }, { $set: { lastActive: lastSeen } })
+      )
+    );
+
+    return expired.map(([userId, lastSeen]) => ({
+      userId: userId.toString(),
+      status: 'offline',
+      lastSeen,
+    }));
+  }
+
+  // 여러 사용자의 접속 상태 조회 (Redis에 없으면 오프라인과 마지막 접속 시각)
+  static async getPresences(userIds = []) {
+    const ids = [...new Set(userIds.map((id) => id?.toString()))]
+      .filter((id) => id && mongoose.Types.ObjectId.isValid(id))
+      .slice(0, this.MAX_QUERY_USERS);
+
+    if (ids.length === 0) return [];
+
+    const entries = await Promise.all(
+      ids.map((id) =>
+        redisClient.get(this.getPresenceKey(id)).catch((error) => {
+          console.error('Presence fetch error:', error);
+          return null;
+        })
+      )
+    );
+
+    const offlineIds = ids.filter((id, index) => !entries[index]);
+    const users = offlineIds.length
+      ? await User.find({ _id: { $in: offlineIds } })
+          .select('lastActive')
+          .lean()
+      : [];
+    const lastActiveMap = new Map(
+      users.map((user) => [user._id.toString(), user.lastActive])
+    );
+
+    return ids.map((id, index) => {
+      const entry = entries[index];
+      if (entry) {
+        return {
+          userId: id,
+          status: entry.status,
+          lastSeen: new Date(entry.lastSeen),
+        };
+      }
+      return {
+        userId: id,
+        status: 'offline',
+        lastSeen: lastActiveMap.get(id) || null,
+      };
+    });
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,211 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const AIPersonaService = require('./aiPersonaService');
+
+const PREVIEW_TYPES = ['text', 'file', 'ai']; // 미리보기와 안 읽은 수에 포함되는 메시지 유형
+const PREVIEW_LENGTH = 100; // 마지막 메시지 미리보기 최대 길이
+const MAX_UNREAD_COUNT = 99; // 안 읽은 메시지 수 표시 상한 (초과 시 99+)
+
+class RoomActivityService {
+  // 미리보기와 안 읽은 수에 포함되는 메시지인지 확인 (스레드 답글 제외)
+  static isTrackable(message) {
+    return (
+      !!message &&
+      PREVIEW_TYPES.includes(message.type) &&
+      !message.parentMessage &&
+      !message.isDeleted
+    );
+  }
+
+  // 메시지를 목록 미리보기 형태로 변환
+  static async buildPreview(message) {
+    if (!message) return null;
+
+    const content =
+      message.type === 'file'
+        ? (message.metadata?.get?.('originalName') ??
+            message.metadata?.originalName) ||
+          '파일'
+        : message.content || '';
+
+    const senderName =
+      message.type === 'ai'
+        ? await AIPersonaService.getDisplayName(message.aiType)
+        : message.sender?.name || null;
+
+    return {
+      _id: message._id,
+      type: message.type,
+      content: content.slice(0, PREVIEW_LENGTH),
+      sender: message.sender?._id || message.sender || null,
+      senderName,
+      timestamp: message.timestamp,
+    };
+  }
+
+  // 채팅방 목록 갱신용 이벤트 데이터
+  static toActivity(roomId, lastMessage, lastActivityAt, isNew = false) {
+    return {
+      roomId: roomId.toString(),
+      lastMessage,
+      lastActivityAt,
+      isNew,
+    };
+  }
+
+  // 사용자의 읽음 기록 조회 (한 번도 입장하지 않았으면 null)
+  static getReadState(room, userId) {
+    return (
+      (room.readStates || []).find(
+        (state) => state.user.toString() === userId.toString()
+      ) || null
+    );
+  }
+
+  // 마지막 메시지 미리보기를 볼 수 있는지 확인
+  // 비밀번호 채팅방은 참여자이거나 입장한 적 있는 사용자에게만 노출
+  static canPreview(room, userId) {
+    if (!room.hasPassword) return true;
+    const isParticipant = (room.participants || []).some(
+      (participant) => (participant?._id || participant)?.toString() === userId
+    );
+    return isParticipant || !!this.getReadState(room, userId);
+  }
+
+  // 채팅방 목록에 활동 알림
+  // 참여자와 입장한 적 있는 사용자는 개인 채널로 안 읽은 수 증가 여부까지 받고,
+  // 공개 채팅방은 목록을 보고 있는 나머지 사용자에게도 정렬 갱신용으로 알림
+  static async broadcastActivity(io, activity) {
+    if (!activity) return;
+
+    const room = await Room.findById(activity.roomId)
+      .select('type visibility hasPassword participants readStates.user')
+      .lean();
+    if (!room) return;
+
+    const userIds = new Set([
+      ...(room.participants || []).map((id) => id.toString()),
+      ...(room.readStates || []).map((state) => state.user.toString()),
+    ]);
+    const userChannels = Array.from(userIds, (id) => `user:${id}`);
+    const payload = { ...activity, type: room.type || 'group' };
+
+    if (userChannels.length > 0) {
+      io.to(userChannels).emit('roomActivity', payload);
+    }
+
+    if (room.type !== 'direct' && (room.visibility || 'public') === 'public') {
+      io.to('room-list')
+        .except(userChannels)
+        .emit('roomActivity', {
+          ...payload,
+          lastMessage: room.hasPassword ? null : activity.lastMessage,
+          isNew: false,
+        });
+    }
+  }
+
+  // 새 메시지를 채팅방의 마지막 메시지로 기록 (더 최근 메시지가 있으면 무시)
+  static async recordMessage(message) {
+    if (!this.isTrackable(message)) return null;
+
+    const lastMessage = await this.buildPreview(message);
+    const result = await Room.updateOne(
+      {
+        _id: message.room,
+        $or: [
+          { 'lastMessage.timestamp': { $lte: message.timestamp } },
+          { 'lastMessage.timestamp': null },
+        ],
+      },
+      {
+        $set: { lastMessage, lastActivityAt: message.timestamp },
+      }
+    );
+
+    if (result.modifiedCount === 0) return null;
+    return this.toActivity(message.room, lastMessage, message.timestamp, true);
+  }
+
+  // 수정되거나 삭제된 메시지가 마지막 메시지였다면 미리보기 다시 계산
+  static async refreshLastMessage(roomId, messageId) {
+    const room = await Room.findOne({ _id: roomId, 'lastMessage._id': messageId })
+      .select('lastActivityAt')
+      .lean();
+    if (!room) return null;
+
+    const latest = await Message.findOne({
+      room: roomId.toString(),
+      type: { $in: PREVIEW_TYPES },
+      isDeleted: false,
+      parentMessage: null,
+    })
+      .sort({ timestamp: -1 })
+      .populate('sender', 'name');
+
+    const lastMessage = await this.buildPreview(latest);
+    await Room.updateOne(
+      { _id: roomId },
+      lastMessage ? { $set: { lastMessage } } : { $unset: { lastMessage: 1 } }
+    );
+
+    return this.toActivity(roomId, lastMessage, room.lastActivityAt);
+  }
+
+  // 사용자의 마지막 읽은 시각 갱신 (이전 시각보다 뒤인 경우에만)
+  static async markRead(roomId, userId, readAt = new Date()) {
+    const result = await Room.updateOne(
+      { _id: roomId, 'readStates.user': userId },
+      { $max: { 'readStates.$.lastReadAt': readAt } }
+    );
+
+    if (result.matchedCount === 0) {
+      await Room.updateOne(
+        { _id: roomId, 'readStates.user': { $ne: userId } },
+        { $push: { readStates: { user: userId, lastReadAt: readAt } } }
+      );
+    }
+  }
+
+  // 채팅방별 안 읽은 메시지 수 조회 (입장한 적 없는 채팅방은 0)
+  // 마지막 읽은 시각 이후의 메시지만 인덱스로 세고 상한을 두어 전체 메시지를 훑지 않음
+  static async getUnreadCounts(rooms, userId) {
+    const counts = new Map();
+
+    await Promise.all(
+      rooms.map(async (room) => {
+        const roomId = room._id.toString();
+        const readState = this.getReadState(room, userId);
+
+        if (!readState || !room.lastMessage?.timestamp) {
+          counts.set(roomId, 0);
+          return;
+        }
+
+        const lastReadAt = readState.lastReadAt;
+
+        if (new Date(room.lastMessage.timestamp) <= new Date(lastReadAt)) {
+          counts.set(roomId, 0);
+          return;
+        }
+
+        const count = await Message.countDocuments(
+          {
+            room: roomId,
+            timestamp: { $gt: lastReadAt },
+            type: { $in: PREVIEW_TYPES },
+            isDeleted: false,
+            parentMessage: null,
+            sender: { $ne: userId },
+          },
+          { limit: MAX_UNREAD_COUNT + 1 }
+        );
+        counts.set(roomId, count);
+      })
+    );
+
+    return counts;
+  }
+}
+
+module.exports = RoomActivityService;
@@ -0,0 +1,625 @@
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const File = require('../models/File');
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/keys');
+
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+const ASSIGNABLE_ROLES = ['admin', 'member'];
+const DEFAULT_MUTE_MINUTES = 10; // 기본 채팅 금지 시간 (분)
+const MAX_MUTE_MINUTES = 7 * 24 * 60; // 최대 채팅 금지 시간 (7일)
+const PARTICIPANT_FIELDS = 'name email profileImage';
+const DEFAULT_INVITE_HOURS = 24; // 초대 링크 기본 유효 시간
+const MAX_INVITE_HOURS = 7 * 24; // 초대 링크 최대 유효 시간 (7일)
+const DEFAULT_INVITE_USES = 10; // 초대 링크 기본 사용 횟수
+const MAX_INVITE_USES = 100; // 초대 링크 최대 사용 횟수
+const INVITE_TOKEN_TYPE = 'room-invite';
+const INVITE_REDEEM_RETRIES = 3; // 동시 사용 충돌 시 재시도 횟수
+const DIRECT_ROOM_ERROR = '1:1 대화에서는 사용할 수 없는 기능입니다.';
+const ASSISTANT_ROOM_ERROR = 'AI 대화에서는 사용할 수 없는 기능입니다.';
+const VISIBILITY_OPTIONS = ['public', 'unlisted', 'private'];
+
+class RoomService {
+  // 상태 코드를 포함한 에러 생성
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // 참여자 목록에 역할과 채팅 금지 정보 추가 (participants가 populate된 문서 필요)
+  static serializeParticipants(room) {
+    return (room.participants || []).map((participant) => {
+      const user = participant.toObject ? participant.toObject() : participant;
+      return {
+        ...user,
+        role: room.getRole(user._id),
+        mutedUntil: room.getMutedUntil(user._id),
+      };
+    });
+  }
+
+  // 공개 범위 값 검증 (지정하지 않으면 공개)
+  static normalizeVisibility(visibility) {
+    if (visibility === undefined || visibility === null || visibility === '') {
+      return 'public';
+    }
+    if (!VISIBILITY_OPTIONS.includes(visibility)) {
+      throw this.createError('올바르지 않은 공개 범위입니다.', 400);
+    }
+    return visibility;
+  }
+
+  // 비참여자의 접근이 제한된 채팅방인지 확인 (1:1 대화, 비공개 채팅방)
+  static isRestricted(room, userId) {
+    return (
+      (room.isDirect() || room.visibility === 'private') &&
+      !room.isParticipant(userId)
+    );
+  }
+
+  // 역할과 채팅 금지 정보가 포함된 참여자 목록 조회
+  static async getParticipants(roomId) {
+    const room = await Room.findById(roomId).populate(
+      'participants',
+      PARTICIPANT_FIELDS
+    );
+
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    return this.serializeParticipants(room);
+  }
+
+  // 채팅방 관리자 이상인지 확인
+  static async isRoomAdmin(roomId, userId) {
+    const room = await Room.findById(roomId).select('creator admins');
+    return !!room && ROLE_RANK[room.getRole(userId)] >= ROLE_RANK.admin;
+  }
+
+  // 관리 대상 채팅방과 사용자 조회 및 권한 확인
+  // 관리자 이상만 가능하며 자신보다 낮은 역할의 사용자만 관리 가능
+  static async loadModerationContext(roomId, actorId, targetId, options = {}) {
+    const { requireParticipant = true, minRole = 'admin' } = options;
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    if (room.isDirect()) {
+      throw this.createError(DIRECT_ROOM_ERROR, 400);
+    }
+
+    if (room.isAssistant()) {
+      throw this.createError(ASSISTANT_ROOM_ERROR, 400);
+    }
+
+    const actorRole = room.getRole(actorId);
+    const isActorParticipant = room.participants.some(
+      (id) => id.toString() === actorId
+    );
+    if (!isActorParticipant || ROLE_RANK[actorRole] < ROLE_RANK[minRole]) {
+      throw this.createError('채팅방을 관리할 권한이 없습니다.', 403);
+    }
+
+    if (!targetId || targetId === actorId) {
+      throw this.createError('자기 자신은 관리할 수 없습니다.', 400);
+    }
+
+    const target = await User.findById(targetId).select('name').lean();
+    if (!target) {
+      throw this.createError('사용자를 찾을 수 없습니다.', 404);
+    }
+
+    const isTargetParticipant = room.participants.some(
+      (id) => id.toString() === targetId
+    );
+    if (requireParticipant && !isTargetParticipant) {
+      throw this.createError('채팅방에 참여 중인 사용자가 아닙니다.', 404);
+    }
+
+    if (ROLE_RANK[room.getRole(targetId)] >= ROLE_RANK[actorRole]) {
+      throw this.createError('자신보다 높거나 같은 역할의 사용자는 관리할 수 없습니다.', 403);
+    }
+
+    return { room, target };
+  }
+
+  // 참여자 및 관리 목록에서 사용자 제거
+  static removeFromRoom(room, targetId) {
+    room.participants = room.participants.filter((id) => id.toString() !== targetId);
+    room.admins = room.admins.filter((id) => id.toString() !== targetId);
+    room.mutedUsers = room.mutedUsers.filter((mute) => mute.user.toString() !== targetId);
+  }
+
+  // 역할 변경 (방장만 가능)
+  static async setRole(roomId, actorId, targetId, role) {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw this.createError('지정할 수 없는 역할입니다.', 400);
+    }
+
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId,
+      { minRole: 'owner' }
+    );
+
+    if (room.getRole(targetId) === role) {
+      throw this.createError('이미 해당 역할입니다.', 409);
+    }
+
+    if (role === 'admin') {
+      room.admins.push(targetId);
+    } else {
+      room.admins = room.admins.filter((id) => id.toString() !== targetId);
+    }
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'role',
+      content:
+        role === 'admin'
+          ? `${target.name}님이 관리자로 지정되었습니다.`
+          : `${target.name}님의 관리자 권한이 해제되었습니다.`,
+    };
+  }
+
+  // 강제 퇴장
+  static async kickUser(roomId, actorId, targetId) {
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId
+    );
+
+    this.removeFromRoom(room, targetId);
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'kick',
+      content: `${target.name}님이 채팅방에서 내보내졌습니다.`,
+    };
+  }
+
+  // 차단 (퇴장 후 재입장 불가)
+  static async banUser(roomId, actorId, targetId) {
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId,
+      { requireParticipant: false }
+    );
+
+    if (room.isBanned(targetId)) {
+      throw this.createError('이미 차단된 사용자입니다.', 409);
+    }
+
+    this.removeFromRoom(room, targetId);
+    room.bannedUsers.push({
+      user: targetId,
+      bannedBy: actorId,
+      bannedAt: new Date(),
+    });
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'ban',
+      content: `${target.name}님이 채팅방에서 차단되었습니다.`,
+    };
+  }
+
+  // 차단 해제
+  static async unbanUser(roomId, actorId, targetId) {
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId,
+      { requireParticipant: false }
+    );
+
+    if (!room.isBanned(targetId)) {
+      throw this.createError('차단된 사용자가 아닙니다.', 404);
+    }
+
+    room.bannedUsers = room.bannedUsers.filter(
+      (ban) => ban.user.toString() !== targetId
+    );
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'unban',
+      content: `${target.name}님의 차단이 해제되었습니다.`,
+    };
+  }
+
+  // 일정 시간 채팅 금지
+  static async muteUser(roomId, actorId, targetId, minutes = DEFAULT_MUTE_MINUTES) {
+    const duration = parseInt(minutes) || DEFAULT_MUTE_MINUTES;
+    if (duration < 1 || duration > MAX_MUTE_MINUTES) {
+      throw this.createError(
+        `채팅 금지 시간은 1분에서 ${MAX_MUTE_MINUTES}분 사이여야 합니다.`,
+        400
+      );
+    }
+
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId
+    );
+
+    const mutedUntil = new Date(Date.now() + duration * 60 * 1000);
+    room.mutedUsers = room.mutedUsers
+      .filter((mute) => mute.user.toString() !== targetId)
+      .concat({ user: targetId, mutedBy: actorId, mutedUntil });
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'mute',
+      content: `${target.name}님이 ${duration}분 동안 채팅이 금지되었습니다.`,
+    };
+  }
+
+  // 채팅 금지 해제
+  static async unmuteUser(roomId, actorId, targetId) {
+    const { room, target } = await this.loadModerationContext(
+      roomId,
+      actorId,
+      targetId
+    );
+
+    if (!room.getMutedUntil(targetId)) {
+      throw this.createError('채팅 금지 상태가 아닙니다.', 404);
+    }
+
+    room.mutedUsers = room.mutedUsers.filter(
+      (mute) => mute.user.toString() !== targetId
+    );
+    await room.save();
+
+    return {
+      room,
+      target,
+      action: 'unmute',
+      content: `${target.name}님의 채팅 금지가 해제되었습니다.`,
+    };
+  }
+
+  // 차단 목록 조회 (관리자 이상만 가능)
+  static async getBannedUsers(roomId, userId) {
+    const room = await Room.findById(roomId)
+      .populate('bannedUsers.user', PARTICIPANT_FIELDS)
+      .populate('bannedUsers.bannedBy', 'name');
+
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    if (ROLE_RANK[room.getRole(userId)] < ROLE_RANK.admin) {
+      throw this.createError('채팅방을 관리할 권한이 없습니다.', 403);
+    }
+
+    return room.bannedUsers
+      .filter((ban) => ban.user)
+      .map((ban) => ({
+        user: ban.user,
+        bannedBy: ban.bannedBy,
+        bannedAt: ban.bannedAt,
+      }));
+  }
+
+  // 방장 권한 확인 후 채팅방 조회 (AI 대화는 allowAssistant인 경우만 허용, 만든 사용자가 방장)
+  static async loadOwnedRoom(roomId, userId, projection = '', { allowAssistant = false } = {}) {
+    const room = await Room.findById(roomId).select(projection);
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    if (room.isDirect()) {
+      throw this.createError(DIRECT_ROOM_ERROR, 400);
+    }
+
+    if (room.isAssistant() && !allowAssistant) {
+      throw this.createError(ASSISTANT_ROOM_ERROR, 400);
+    }
+
+    if (room.getRole(userId) !== 'owner') {
+      throw this.createError('방장만 채팅방 설정을 변경할 수 있습니다.', 403);
+    }
+
+    return room;
+  }
+
+  // 채팅방 이름 및 비밀번호 변경 (방장만 가능, AI 대화는 이름만 변경 가능)
+  static async updateRoom(roomId, userId, { name, password, removePassword } = {}) {
+    const room = await this.loadOwnedRoom(roomId, userId, '+password', { allowAssistant: true });
+
+    if (room.isAssistant() && (password || removePassword)) {
+      throw this.createError(ASSISTANT_ROOM_ERROR, 400);
+    }
+
+    if (name !== undefined) {
+      const trimmedName = typeof name === 'string' ? name.trim() : '';
+      if (!trimmedName) {
+        throw this.createError('방 이름은 필수입니다.', 400);
+      }
+      room.name = trimmedName;
+    }
+
+    if (removePassword) {
+      room.password = undefined;
+    } else if (password) {
+      room.password = password;
+    }
+
+    await room.save();
+
+    return {
+      _id: room._id.toString(),
+      name: room.name,
+      hasPassword: room.hasPassword,
+      visibility: room.visibility,
+    };
+  }
+
+  // 채팅방 삭제 (방장만 가능, 메시지와 첨부 파일 함께 삭제)
+  static async deleteRoom(roomId, userId) {
+    const room = await this.loadOwnedRoom(roomId, userId, '', { allowAssistant: true });
+    const roomKey = room._id.toString();
+
+    const fileIds = await Message.distinct('file', {
+      room: roomKey,
+      type: 'file',
+      file: { $ne: null },
+    });
+
+    if (fileIds.length > 0) {
+      const files = await File.find({ _id: { $in: fileIds } });
+      await Promise.all(
+        files.map(async (file) => {
+          try {
+            await file.removeWithStorage();
+          } catch (error) {
+            console.error('Room file cleanup error:', {
+              error,
+              roomId: roomKey,
+              fileId: file._id,
+            });
+          }
+        })
+      );
+    }
+
+    await Message.deleteMany({ room: roomKey });
+    await room.deleteOne();
+
+    return roomKey;
+  }
+
+  // 초대 정보 직렬화 (토큰은 방장에게만 노출)
+  static serializeInvite(invite) {
+    const now = new Date();
+    let status = 'active';
+    if (invite.revokedAt) status = 'revoked';
+    else if (invite.expiresAt <= now) status = 'expired';
+    else if (invite.uses >= invite.maxUses) status = 'exhausted';
+
+    return {
+      _id: invite._id.toString(),
+      token: invite.token,
+      createdBy: invite.createdBy,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      revokedAt: invite.revokedAt,
+      status,
+    };
+  }
+
+  // 초대 링크 생성 (방장만 가능)
+  static async createInvite(roomId, userId, { expiresInHours, maxUses } = {}) {
+    const hours = parseInt(expiresInHours) || DEFAULT_INVITE_HOURS;
+    const uses = parseInt(maxUses) || DEFAULT_INVITE_USES;
+
+    if (hours < 1 || hours > MAX_INVITE_HOURS) {
+      throw this.createError(
+        `초대 링크 유효 시간은 1시간에서 ${MAX_INVITE_HOURS}시간 사이여야 합니다.`,
+        400
+      );
+    }
+
+    if (uses < 1 || uses > MAX_INVITE_USES) {
+      throw this.createError(
+        `초대 링크 사용 횟수는 1회에서 ${MAX_INVITE_USES}회 사이여야 합니다.`,
+        400
+      );
+    }
+
+    const room = await this.loadOwnedRoom(roomId, userId);
+    const invite = room.invites.create({
+      token: 'pending',
+      createdBy: userId,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxUses: uses,
+    });
+
+    // 채팅방과 초대 ID를 서명된 토큰에 담아 위조 방지
+    invite.token = jwt.sign(
+      {
+        type: INVITE_TOKEN_TYPE,
+        roomId: room._id.toString(),
+        inviteId: invite._id.toString(),
+      },
+      jwtSecret,
+      { expiresIn: hours * 60 * 60 }
+    );
+
+    room.invites.push(invite);
+    await room.save();
+
+    return this.serializeInvite(invite);
+  }
+
+  // 초대 링크 목록 조회 (방장만 가능)
+  static async getInvites(roomId, userId) {
+    const room = await this.loadOwnedRoom(roomId, userId);
+    return room.invites
+      .map((invite) => this.serializeInvite(invite))
+      .reverse();
+  }
+
+  // 초대 링크 폐기 (방장만 가능)
+  static async revokeInvite(roomId, userId, inviteId) {
+    const room = await this.loadOwnedRoom(roomId, userId);
+    const invite = room.invites.id(inviteId);
+
+    if (!invite) {
+      throw this.createError('초대 링크를 찾을 수 없습니다.', 404);
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await room.save();
+    }
+
+    return this.serializeInvite(invite);
+  }
+
+  // 초대 토큰 검증 후 채팅방과 초대 정보 반환 (사용 횟수는 변경하지 않음)
+  static async verifyInvite(token, roomId = null) {
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret);
+    } catch (error) {
+      throw this.createError(
+        error.name === 'TokenExpiredError'
+          ? '만료된 초대 링크입니다.'
+          : '유효하지 않은 초대 링크입니다.',
+        400
+      );
+    }
+
+    if (
+      payload?.type !== INVITE_TOKEN_TYPE ||
+      (roomId && payload.roomId !== roomId)
+    ) {
+      throw this.createError('유효하지 않은 초대 링크입니다.', 400);
+    }
+
+    const room = await Room.findById(payload.roomId);
+    if (!room) {
+      throw this.createError('채팅방을 찾을 수 없습니다.', 404);
+    }
+
+    const invite = room.invites.id(payload.inviteId);
+    if (!invite || invite.token !== token) {
+      throw this.createError('유효하지 않은 초대 링크입니다.', 400);
+    }
+
+    const { status } = this.serializeInvite(invite);
+    if (status === 'revoked') {
+      throw this.createError('폐기된 초대 링크입니다.', 410);
+    }
+    if (status === 'expired') {
+      throw this.createError('만료된 초대 링크입니다.', 410);
+    }
+    if (status === 'exhausted') {
+      throw this.createError('사용 횟수를 초과한 초대 링크입니다.', 410);
+    }
+
+    return { room, invite };
+  }
+
+  // 초대 링크 미리보기 (입장 전 채팅방 정보 확인용)
+  static async getInvitePreview(token) {
+    const { room, invite } = await this.verifyInvite(token);
+    const creator = await User.findById(room.creator).select('name').lean();
+
+    return {
+      roomId: room._id.toString(),
+      name: room.name,
+      creator: creator?.name || '알 수 없음',
+      participantsCount: room.participants.length,
+      expiresAt: invite.expiresAt,
+    };
+  }
+
+  // 초대 토큰 사용 (이미 참여 중이면 사용 횟수를 소모하지 않음)
+  static async redeemInvite(roomId, userId, token) {
+    for (let attempt = 0; attempt < INVITE_REDEEM_RETRIES; attempt++) {
+      const { room, invite } = await this.verifyInvite(token, roomId);
+
+      if (room.participants.some((id) => id.toString() === userId)) {
+        return room;
+      }
+
+      // 조회한 사용 횟수와 같을 때만 증가시켜 동시 사용 시 초과 방지
+      const result = await Room.updateOne(
+        {
+          _id: room._id,
+          invites: { $elemMatch: { _id: invite._id, uses: invite.uses } },
+        },
+        { $inc: { 'invites.$.uses': 1 } }
+      );
+
+      if (result.modifiedCount > 0) {
+        return room;
+      }
+    }
+
+    throw this.createError('초대 링크를 사용할 수 없습니다. 다시 시도해주세요.', 409);
+  }
+
+  // 관리 결과 알림: 시스템 메시지, 참여자 목록 갱신, 내보낸 사용자 연결 해제
+  static async broadcastModeration(io, result) {
+    const roomId = result.room._id.toString();
+    const targetId = result.target._id.toString();
+
+    const systemMessage = await Message.create({
+      room: roomId,
+      content: result.content,
+      type: 'system',
+      timestamp: new Date(),
+    });
+
+    const participants = await this.getParticipants(roomId);
+
+    io.to(roomId).emit('message', systemMessage);
+    io.to(roomId).emit('participantsUpdate', participants);
+
+    if (result.action === 'kick' || result.action === 'ban') {
+      const sockets = await io.in(roomId).fetchSockets();
+      sockets
+        .filter((socket) => socket.user?.id === targetId)
+        .forEach((socket) => {
+          socket.leave(roomId);
+          socket.emit('removedFromRoom', {
+            roomId,
+            reason: result.action,
+            message: result.action === 'ban'
+              ? '채팅방에서 차단되었습니다.'
+              : '채팅방에서 내보내졌습니다.',
+          });
+        });
+    }
+
+    return participants;
+  }
+}
+
+module.exports = RoomService;
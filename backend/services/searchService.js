@@ -0,0 +1,179 @@
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const MessageService = require('./messageService');
+
+const MIN_QUERY_LENGTH = 2; // 최소 검색어 길이
+const MAX_MESSAGE_RESULTS = 50; // 메시지 검색 결과 최대 수
+const MAX_FILE_RESULTS = 30; // 파일 검색 결과 최대 수
+const MAX_ROOM_RESULTS = 20; // 채팅방 이름 검색 결과 최대 수
+
+class SearchService {
+  // 사용자가 참여 중인 모든 채팅방에서 메시지, 파일명, 채팅방 이름 검색
+  // 참여자 목록에 포함된 채팅방만 대상으로 하므로 비밀번호 방은 입장한 경우에만 검색됨
+  static async searchAll(userId, query) {
+    const keyword = typeof query === 'string' ? query.trim() : '';
+
+    if (keyword.length < MIN_QUERY_LENGTH) {
+      throw MessageService.createError(
+        `검색어는 ${MIN_QUERY_LENGTH}자 이상 입력해주세요.`,
+        400
+      );
+    }
+
+    const rooms = await Room.find({ participants: userId })
+      .select('name hasPassword type participants')
+      .populate('participants', 'name')
+      .lean();
+
+    if (rooms.length === 0) {
+      return { rooms: [], total: 0 };
+    }
+
+    const roomIds = rooms.map((room) => room._id.toString());
+    const pattern = new RegExp(MessageService.escapeRegExp(keyword), 'i');
+    const terms = keyword.split(/\s+/).filter(Boolean);
+
+    const [messages, files] = await Promise.all([
+      Message.find({
+        room: { $in: roomIds },
+        isDeleted: false,
+        type: { $in: ['text', 'ai', 'file'] },
+        $text: { $search: keyword },
+      })
+        .select('room type aiType content sender timestamp parentMessage')
+        .populate('sender', 'name email profileImage')
+        .sort({ timestamp: -1 })
+        .limit(MAX_MESSAGE_RESULTS)
+        .lean(),
+      // 파일 메시지에 저장된 원래 이름으로 먼저 거른 뒤 결과 수만큼만 파일 정보 조회
+      Message.aggregate([
+        {
+          $match: {
+            room: { $in: roomIds },
+            type: 'file',
+            isDeleted: false,
+            'metadata.originalName': pattern,
+          },
+        },
+        { $sort: { timestamp: -1 } },
+        { $limit: MAX_FILE_RESULTS },
+        {
+          $lookup: {
+            from: 'files',
+            localField: 'file',
+            foreignField: '_id',
+            as: 'file',
+          },
+        },
+        { $unwind: '$file' },
+        {
+          $project: {
+            room: 1,
+            sender: 1,
+            timestamp: 1,
+            parentMessage: 1,
+            'file._id': 1,
+            'file.originalname': 1,
+            'file.mimetype': 1,
+            'file.size': 1,
+          },
+        },
+      ]),
+    ]);
+
+    // 파일 메시지 보낸 사람 정보 채우기
+    await Message.populate(files, {
+      path: 'sender',
+      select: 'name email profileImage',
+    });
+
+    // 1:1 대화는 상대방 이름을 채팅방 이름으로 사용
+    const getRoomName = (room) => {
+      if (room.type !== 'direct') return room.name;
+      const otherUser = room.participants.find(
+        (participant) => participant && participant._id.toString() !== userId
+      );
+      return otherUser?.name || room.name;
+    };
+
+    // 채팅방별로 결과 그룹화
+    const groups = new Map(
+      rooms.map((room) => {
+        const name = getRoomName(room);
+        return [
+          room._id.toString(),
+          {
+            _id: room._id.toString(),
+            name,
+            type: room.type || 'group',
+            hasPassword: !!room.hasPassword,
+            nameMatched: pattern.test(name),
+            messages: [],
+            files: [],
+            latestAt: null,
+          },
+        ];
+      })
+    );
+
+    const touch = (group, timestamp) => {
+      if (!group.latestAt || new Date(timestamp) > new Date(group.latestAt)) {
+        group.latestAt = timestamp;
+      }
+    };
+
+    messages.forEach((message) => {
+      const group = groups.get(message.room);
+      if (!group) return;
+
+      group.messages.push({
+        _id: message._id,
+        type: message.type,
+        aiType: message.aiType,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        parentMessage: message.parentMessage || null,
+        ...MessageService.buildSnippet(message.content, terms),
+      });
+      touch(group, message.timestamp);
+    });
+
+    files.forEach((message) => {
+      const group = groups.get(message.room);
+      if (!group) return;
+
+      group.files.push({
+        _id: message._id,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        parentMessage: message.parentMessage || null,
+        file: message.file,
+      });
+      touch(group, message.timestamp);
+    });
+
+    // 최근 결과가 있는 채팅방 우선, 이름만 일치한 채팅방은 뒤에 배치
+    const groupList = Array.from(groups.values());
+    const roomsWithResults = groupList
+      .filter((group) => group.latestAt)
+      .sort((a, b) => new Date(b.latestAt) - new Date(a.latestAt));
+    const nameOnlyRooms = groupList
+      .filter((group) => !group.latestAt && group.nameMatched)
+      .slice(0, MAX_ROOM_RESULTS);
+    const resultRooms = [...roomsWithResults, ...nameOnlyRooms];
+
+    return {
+      rooms: resultRooms,
+      total: resultRooms.reduce(
+        (sum, group) =>
+          sum +
+          group.messages.length +
+          group.files.length +
+          (group.nameMatched ? 1 : 0),
+        0
+      ),
+    };
+  }
+}
+
+module.exports = SearchService;
@@ -3,23 +3,161 @@ const Room = require('../models/Room');
 const User = require('../models/User');
 const File = require('../models/File');
 const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/keys');
+const { jwtSecret, messageEditWindow } = require('../config/keys');
 const redisClient = require('../utils/redisClient');
 const SessionService = require('../services/sessionService');
+const MessageService = require('../services/messageService');
+const RoomService = require('../services/roomService');
+const RoomActivityService = require('../services/roomActivityService');
+const PresenceService = require('../services/presenceService');
 const aiService = require('../services/aiService');
+const AIPersonaService = require('../services/aiPersonaService');
+const AIContextService = require('../services/aiContextService');
+const AISummaryService = require('../services/aiSummaryService');
+const AIUsageService = require('../services/aiUsageService');
+const AIToolService = require('../services/aiToolService');
+const { ERROR_CODES } = require('../services/llm');
 
 module.exports = function (io) {
   const connectedUsers = new Map();
   const streamingSessions = new Map();
   const userRooms = new Map();
+  const roomJoinTimes = new Map(); // userId -> 현재 채팅방에 입장한 시각 (대화 요약 기간 계산용)
   const messageQueues = new Map();
   const messageLoadRetries = new Map();
+  const typingUsers = new Map(); // roomId -> Map(입력자 키 -> { userId, name, isAI, timer })
+  const pendingOffline = new Map(); // userId -> 오프라인 처리 타이머
+  const presenceLastSeen = new Map(); // userId -> 마지막 하트비트 시각 (TTL 만료 시 오프라인 알림용)
   const BATCH_SIZE = 30; // 한 번에 로드할 메시지 수
+  const JUMP_BATCH_SIZE = 300; // 특정 시점까지 이동할 때 한 번에 로드할 최대 메시지 수
   const LOAD_DELAY = 300; // 메시지 로드 딜레이 (ms)
   const MAX_RETRIES = 3; // 최대 재시도 횟수
   const MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
   const RETRY_DELAY = 2000; // 재시도 간격 (2초)
   const DUPLICATE_LOGIN_TIMEOUT = 10000; // 중복 로그인 타임아웃 (10초)
+  const TYPING_TIMEOUT = 6000; // 입력 중 상태 자동 만료 시간 (6초)
+  const OFFLINE_GRACE_PERIOD = 5000; // 페이지 이동 등으로 잠시 끊긴 연결을 오프라인으로 보지 않는 시간 (5초)
+  const PRESENCE_SWEEP_INTERVAL = 15000; // 접속 상태 만료 확인 간격 (15초)
+  const MESSAGE_EDIT_WINDOW =
+    (parseInt(messageEditWindow) || 15 * 60) * 1000; // 메시지 수정 가능 시간 (기본 15분)
+
+  // 인용 답장 원본 메시지 populate 옵션
+  const REPLY_TO_POPULATE = {
+    path: 'replyTo',
+    select: 'content type aiType sender metadata.originalName isDeleted timestamp',
+    populate: { path: 'sender', select: 'name' },
+  };
+
+  // 삭제된 원본 메시지는 내용을 노출하지 않음
+  const sanitizeReplyTo = (message) => {
+    if (message?.replyTo?.isDeleted) {
+      message.replyTo = { _id: message.replyTo._id, isDeleted: true };
+    }
+    return message;
+  };
+
+  // 채팅방 목록의 마지막 메시지와 안 읽은 수 갱신 (실패해도 메시지 처리는 계속)
+  const updateRoomActivity = async (update) => {
+    try {
+      const activity = await update();
+      await RoomActivityService.broadcastActivity(io, activity);
+    } catch (error) {
+      console.error('Room activity update error:', error);
+    }
+  };
+
+  // 사용자가 참여 중인 채팅방에 접속 상태 변경 알림
+  const broadcastPresence = async (presence, currentRoomId = null) => {
+    try {
+      const rooms = await Room.find({ participants: presence.userId })
+        .select('_id')
+        .lean();
+      const roomIds = rooms.map((room) => room._id.toString());
+      if (currentRoomId && !roomIds.includes(currentRoomId)) {
+        roomIds.push(currentRoomId);
+      }
+
+      if (roomIds.length > 0) {
+        io.to(roomIds).emit('presenceUpdate', presence);
+      }
+    } catch (error) {
+      console.error('Presence broadcast error:', error);
+    }
+  };
+
+  // 연결은 유지된 채 하트비트만 끊겨 접속 상태가 TTL로 만료된 사용자에게 오프라인 알림
+  const sweepExpiredPresences = async () => {
+    const expiredBefore = Date.now() - PresenceService.PRESENCE_TTL * 1000;
+    const candidates = new Map(
+      [...presenceLastSeen].filter(([, lastSeen]) => lastSeen.getTime() <= expiredBefore)
+    );
+    if (candidates.size === 0) return;
+
+    try {
+      const presences = await PresenceService.expirePresences(candidates);
+      for (const presence of presences) {
+        // 확인하는 동안 다시 하트비트가 온 경우 제외
+        if (presenceLastSeen.get(presence.userId) !== candidates.get(presence.userId)) continue;
+
+        presenceLastSeen.delete(presence.userId);
+        await broadcastPresence(presence, userRooms.get(presence.userId));
+      }
+    } catch (error) {
+      console.error('Presence sweep error:', error);
+    }
+  };
+  setInterval(sweepExpiredPresences, PRESENCE_SWEEP_INTERVAL);
+
+  // 채팅방의 현재 입력 중인 사용자 목록 (같은 AI가 동시에 응답 중이면 한 번만 표시)
+  const getTypingUsers = (roomId) => {
+    const users = new Map();
+    typingUsers.get(roomId)?.forEach(({ userId, name, isAI }) => {
+      users.set(userId, { userId, name, isAI });
+    });
+    return Array.from(users.values());
+  };
+
+  const emitTypingUpdate = (roomId) => {
+    io.to(roomId).emit('typingUpdate', {
+      roomId,
+      users: getTypingUsers(roomId),
+    });
+  };
+
+  // 입력 중 상태 해제 (상태가 바뀐 경우에만 알림)
+  const clearTyping = (roomId, key) => {
+    const roomTyping = typingUsers.get(roomId);
+    const entry = roomTyping?.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    roomTyping.delete(key);
+    if (roomTyping.size === 0) {
+      typingUsers.delete(roomId);
+    }
+    emitTypingUpdate(roomId);
+  };
+
+  // 입력 중 상태 설정 (timeout이 없으면 직접 해제할 때까지 유지)
+  const setTyping = (roomId, key, user, timeout = TYPING_TIMEOUT) => {
+    if (!typingUsers.has(roomId)) {
+      typingUsers.set(roomId, new Map());
+    }
+    const roomTyping = typingUsers.get(roomId);
+    const existing = roomTyping.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    roomTyping.set(key, {
+      ...user,
+      timer: timeout ? setTimeout(() => clearTyping(roomId, key), timeout) : null,
+    });
+
+    if (!existing) {
+      emitTypingUpdate(roomId);
+    }
+  };
 
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
@@ -30,7 +168,14 @@ module.exports = function (io) {
   };
 
   // 메시지 일괄 로드 함수 개선
-  const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
+  const loadMessages = async (
+    socket,
+    roomId,
+    before,
+    limit = BATCH_SIZE,
+    parentId = null,
+    until = null
+  ) => {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => {
         reject(new Error('Message loading timed out'));
@@ -39,10 +184,15 @@ module.exports = function (io) {
 
     try {
       // 쿼리 구성
-      const query = { room: roomId };
+      // parentId가 없으면 메인 채팅, 있으면 해당 스레드의 답글만 조회
+      const query = { room: roomId, isDeleted: false, parentMessage: parentId };
       if (before) {
         query.timestamp = { $lt: new Date(before) };
       }
+      // until이 있으면 해당 시점까지의 메시지를 한 번에 로드
+      if (until) {
+        query.timestamp = { ...query.timestamp, $gte: new Date(until) };
+      }
 
       // 메시지 로드 with profileImage
       const messages = await Promise.race([
@@ -52,6 +202,7 @@ module.exports = function (io) {
             path: 'file',
             select: 'filename originalname mimetype size',
           })
+          .populate(REPLY_TO_POPULATE)
           .sort({ timestamp: -1 })
           .limit(limit + 1)
           .lean(),
@@ -61,9 +212,9 @@ module.exports = function (io) {
       // 결과 처리
       const hasMore = messages.length > limit;
       const resultMessages = messages.slice(0, limit);
-      const sortedMessages = resultMessages.sort(
-        (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-      );
+      const sortedMessages = resultMessages
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map(sanitizeReplyTo);
 
       // 읽음 상태 비동기 업데이트
       if (sortedMessages.length > 0 && socket.user) {
@@ -294,10 +445,53 @@ module.exports = function (io) {
 
       // 새로운 연결 정보 저장
       connectedUsers.set(socket.user.id, socket.id);
+
+      // 채팅방 밖에서도 받아야 하는 알림용 개인 채널
+      socket.join(`user:${socket.user.id}`);
+
+      // 접속 상태 등록 (잠시 끊겼다가 다시 연결된 경우 오프라인 처리 취소)
+      clearTimeout(pendingOffline.get(socket.user.id));
+      pendingOffline.delete(socket.user.id);
+      PresenceService.setStatus(socket.user.id, 'online')
+        .then(({ presence, changed }) => {
+          presenceLastSeen.set(presence.userId, presence.lastSeen);
+          return changed && broadcastPresence(presence);
+        })
+        .catch((error) => console.error('Presence update error:', error));
     }
 
+    // 접속 상태 하트비트 (online 또는 away, 상태가 바뀐 경우에만 알림)
+    socket.on('presenceHeartbeat', async ({ status } = {}) => {
+      if (!socket.user) return;
+
+      try {
+        const { presence, changed } = await PresenceService.setStatus(
+          socket.user.id,
+          status
+        );
+        presenceLastSeen.set(presence.userId, presence.lastSeen);
+        if (changed) {
+          await broadcastPresence(presence, userRooms.get(socket.user.id));
+        }
+      } catch (error) {
+        console.error('Presence heartbeat error:', error);
+      }
+    });
+
+    // 여러 사용자의 현재 접속 상태 조회
+    socket.on('fetchPresence', async ({ userIds } = {}) => {
+      if (!socket.user || !Array.isArray(userIds)) return;
+
+      try {
+        const presences = await PresenceService.getPresences(userIds);
+        socket.emit('presenceSnapshot', { presences });
+      } catch (error) {
+        console.error('Presence fetch error:', error);
+      }
+    });
+
     // 이전 메시지 로딩 처리 개선
-    socket.on('fetchPreviousMessages', async ({ roomId, before }) => {
+    socket.on('fetchPreviousMessages', async ({ roomId, before, until }) => {
       const queueKey = `${roomId}:${socket.user.id}`;
 
       try {
@@ -326,7 +520,26 @@ module.exports = function (io) {
         messageQueues.set(queueKey, true);
         socket.emit('messageLoadStart');
 
-        const result = await loadMessagesWithRetry(socket, roomId, before);
+        const result = until
+          ? await loadMessages(
+              socket,
+              roomId,
+              before,
+              JUMP_BATCH_SIZE,
+              null,
+              until
+            )
+          : await loadMessagesWithRetry(socket, roomId, before);
+
+        // until 구간을 모두 불러온 경우 그보다 이전 메시지 존재 여부로 hasMore 계산
+        if (until && !result.hasMore) {
+          result.hasMore = !!(await Message.exists({
+            room: roomId,
+            isDeleted: false,
+            parentMessage: null,
+            timestamp: { $lt: new Date(until) },
+          }));
+        }
 
         logDebug('previous messages loaded', {
           roomId,
@@ -350,6 +563,83 @@ module.exports = function (io) {
       }
     });
 
+    // 스레드 메시지 로딩 처리
+    socket.on('fetchThreadMessages', async ({ roomId, parentId, before }) => {
+      const queueKey = `${roomId}:${parentId}:${socket.user.id}`;
+
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const room = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id,
+        });
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const parentMessage = await Message.findOne({
+          _id: parentId,
+          room: roomId,
+          isDeleted: false,
+        })
+          .populate('sender', 'name email profileImage')
+          .populate({
+            path: 'file',
+            select: 'filename originalname mimetype size',
+          })
+          .lean();
+
+        if (!parentMessage) {
+          throw new Error('스레드를 찾을 수 없습니다.');
+        }
+
+        if (messageQueues.get(queueKey)) {
+          logDebug('thread load skipped - already loading', {
+            roomId,
+            parentId,
+            userId: socket.user.id,
+          });
+          return;
+        }
+
+        messageQueues.set(queueKey, true);
+
+        const result = await loadMessages(
+          socket,
+          roomId,
+          before,
+          BATCH_SIZE,
+          parentMessage._id
+        );
+
+        socket.emit('threadMessagesLoaded', {
+          parentId,
+          parentMessage: before ? undefined : parentMessage,
+          ...result,
+        });
+      } catch (error) {
+        console.error('Fetch thread messages error:', error);
+        socket.emit('threadError', {
+          parentId,
+          message:
+            error.message || '스레드를 불러오는 중 오류가 발생했습니다.',
+        });
+      } finally {
+        setTimeout(() => {
+          messageQueues.delete(queueKey);
+        }, LOAD_DELAY);
+      }
+    });
+
+    // 채팅방 목록 실시간 업데이트 구독
+    socket.on('joinRoomList', () => {
+      socket.join('room-list');
+    });
+
     // 채팅방 입장 처리 개선
     socket.on('joinRoom', async (roomId) => {
       try {
@@ -358,8 +648,9 @@ module.exports = function (io) {
         }
 
         // 이미 해당 방에 참여 중인지 확인
+        // 강제 퇴장된 경우 소켓이 방에서 제거되므로 함께 확인
         const currentRoom = userRooms.get(socket.user.id);
-        if (currentRoom === roomId) {
+        if (currentRoom === roomId && socket.rooms.has(roomId)) {
           logDebug('already in room', {
             userId: socket.user.id,
             roomId,
@@ -376,6 +667,9 @@ module.exports = function (io) {
           });
           socket.leave(currentRoom);
           userRooms.delete(socket.user.id);
+          roomJoinTimes.delete(socket.user.id);
+          clearTyping(currentRoom, socket.user.id);
+          await RoomActivityService.markRead(currentRoom, socket.user.id);
 
           socket.to(currentRoom).emit('userLeft', {
             userId: socket.user.id,
@@ -384,8 +678,16 @@ module.exports = function (io) {
         }
 
         // 채팅방 참가 with profileImage
-        const room = await Room.findByIdAndUpdate(
-          roomId,
+        // (차단된 사용자, 1:1 대화 비당사자, 초대받지 않은 비공개 채팅방 사용자 제외)
+        const room = await Room.findOneAndUpdate(
+          {
+            _id: roomId,
+            'bannedUsers.user': { $ne: socket.user.id },
+            $or: [
+              { type: { $nin: ['direct', 'assistant'] }, visibility: { $ne: 'private' } },
+              { participants: socket.user.id },
+            ],
+          },
           { $addToSet: { participants: socket.user.id } },
           {
             new: true,
@@ -394,35 +696,61 @@ module.exports = function (io) {
         ).populate('participants', 'name email profileImage');
 
         if (!room) {
-          throw new Error('채팅방을 찾을 수 없습니다.');
+          const existingRoom = await Room.findById(roomId)
+            .select('type visibility bannedUsers')
+            .lean();
+          if (!existingRoom) {
+            throw new Error('채팅방을 찾을 수 없습니다.');
+          }
+          if (existingRoom.type === 'direct') {
+            throw new Error('1:1 대화에 참여할 수 없습니다.');
+          }
+          if (existingRoom.type === 'assistant') {
+            throw new Error('AI 대화에 참여할 수 없습니다.');
+          }
+          const isBanned = existingRoom.bannedUsers?.some(
+            (ban) => ban.user.toString() === socket.user.id
+          );
+          throw new Error(
+            isBanned
+              ? '채팅방에서 차단된 사용자입니다.'
+              : '초대받은 사용자만 입장할 수 있는 채팅방입니다.'
+          );
         }
 
         socket.join(roomId);
         userRooms.set(socket.user.id, roomId);
+        roomJoinTimes.set(socket.user.id, new Date());
+        await RoomActivityService.markRead(roomId, socket.user.id);
 
-        // 입장 메시지 생성
-        const joinMessage = new Message({
-          room: roomId,
-          content: `${socket.user.name}님이 입장하였습니다.`,
-          type: 'system',
-          timestamp: new Date(),
-        });
-
-        await joinMessage.save();
+        // 입장 메시지 생성 (1:1 대화와 AI 대화는 입장 메시지 없음)
+        let joinMessage = null;
+        if (!room.isDirect() && !room.isAssistant()) {
+          joinMessage = await Message.create({
+            room: roomId,
+            content: `${socket.user.name}님이 입장하였습니다.`,
+            type: 'system',
+            timestamp: new Date(),
+          });
+        }
 
         // 초기 메시지 로드
         const messageLoadResult = await loadMessages(socket, roomId);
         const { messages, hasMore, oldestTimestamp } = messageLoadResult;
+        const pinnedMessages = await MessageService.getPinnedMessages(roomId);
 
         // 활성 스트리밍 메시지 조회
         const activeStreams = Array.from(streamingSessions.values())
-          .filter((session) => session.room === roomId)
+          .filter((session) => session.room === roomId && !session.isPrivate)
           .map((session) => ({
             _id: session.messageId,
             type: 'ai',
             aiType: session.aiType,
             content: session.content,
             timestamp: session.timestamp,
+            requesterId: session.requesterId,
+            targetMessageId: session.targetMessageId,
+            toolSteps: session.toolSteps,
             isStreaming: true,
           }));
 
@@ -434,10 +762,21 @@ module.exports = function (io) {
           hasMore,
           oldestTimestamp,
           activeStreams,
+          pinnedMessages,
         });
 
-        io.to(roomId).emit('message', joinMessage);
-        io.to(roomId).emit('participantsUpdate', room.participants);
+        socket.emit('typingUpdate', {
+          roomId,
+          users: getTypingUsers(roomId),
+        });
+
+        if (joinMessage) {
+          io.to(roomId).emit('message', joinMessage);
+        }
+        io.to(roomId).emit(
+          'participantsUpdate',
+          RoomService.serializeParticipants(room)
+        );
 
         logDebug('user joined room', {
           userId: socket.user.id,
@@ -464,7 +803,8 @@ module.exports = function (io) {
           throw new Error('메시지 데이터가 없습니다.');
         }
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, content, fileData, parentId, replyToId } =
+          messageData;
 
         if (!room) {
           throw new Error('채팅방 정보가 없습니다.');
@@ -480,6 +820,25 @@ module.exports = function (io) {
           throw new Error('채팅방 접근 권한이 없습니다.');
         }
 
+        // AI 대화방에 연결된 페르소나 확인 (비활성화된 경우 전송 불가)
+        let assistantPersona = null;
+        if (chatRoom.isAssistant()) {
+          assistantPersona = await AIPersonaService.getPersona(chatRoom.aiPersona);
+          if (!assistantPersona) {
+            throw new Error('이 AI 대화의 AI를 현재 사용할 수 없습니다.');
+          }
+        }
+
+        // 채팅 금지 상태 확인
+        const mutedUntil = chatRoom.getMutedUntil(socket.user.id);
+        if (mutedUntil) {
+          socket.emit('messageSendError', {
+            message: '채팅이 금지된 상태입니다.',
+            mutedUntil,
+          });
+          return;
+        }
+
         // 세션 유효성 재확인
         const sessionValidation = await SessionService.validateSession(
           socket.user.id,
@@ -490,8 +849,45 @@ module.exports = function (io) {
           throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
         }
 
-        // AI 멘션 확인
-        const aiMentions = extractAIMentions(content);
+        // 스레드 답글인 경우 부모 메시지 확인 (답글의 답글은 허용하지 않음)
+        let parentMessage = null;
+        if (parentId) {
+          parentMessage = await Message.findOne({
+            _id: parentId,
+            room,
+            isDeleted: false,
+            parentMessage: null,
+          }).select('_id');
+
+          if (!parentMessage) {
+            socket.emit('threadError', {
+              parentId,
+              message: '답글을 달 메시지를 찾을 수 없습니다.',
+            });
+            return;
+          }
+        }
+
+        // 인용 답장 원본 확인 (원본이 삭제된 경우 인용 없이 전송)
+        let replyTo = null;
+        if (replyToId) {
+          replyTo = await Message.findOne({
+            _id: replyToId,
+            room,
+            isDeleted: false,
+          }).select('_id');
+
+          if (!replyTo) {
+            logDebug('reply target not found', {
+              replyToId,
+              room,
+              userId: socket.user.id,
+            });
+          }
+        }
+
+        // AI 멘션 확인 (페르소나 레지스트리 기준)
+        const aiMentions = await AIPersonaService.extractMentions(content);
         let message;
 
         logDebug('message received', {
@@ -555,21 +951,70 @@ module.exports = function (io) {
             throw new Error('지원하지 않는 메시지 타입입니다.');
         }
 
+        if (parentMessage) {
+          message.parentMessage = parentMessage._id;
+        }
+
+        if (replyTo) {
+          message.replyTo = replyTo._id;
+        }
+
         await message.save();
+        clearTyping(room, socket.user.id);
         await message.populate([
           { path: 'sender', select: 'name email profileImage' },
           { path: 'file', select: 'filename originalname mimetype size' },
+          REPLY_TO_POPULATE,
         ]);
 
-        io.to(room).emit('message', message);
+        if (parentMessage) {
+          // 부모 메시지의 답글 수 갱신 후 스레드 답글 전송
+          const updatedParent = await Message.findByIdAndUpdate(
+            parentMessage._id,
+            {
+              $inc: { replyCount: 1 },
+              $set: { lastReplyAt: message.timestamp },
+            },
+            { new: true }
+          ).select('replyCount lastReplyAt');
+
+          io.to(room).emit('threadMessage', {
+            parentId: parentMessage._id.toString(),
+            message,
+          });
+          io.to(room).emit('replyCountUpdate', {
+            messageId: parentMessage._id.toString(),
+            replyCount: updatedParent.replyCount,
+            lastReplyAt: updatedParent.lastReplyAt,
+          });
+        } else {
+          io.to(room).emit('message', message);
+        }
+
+        // 채팅방 밖에 있는 사용자의 채팅방 목록 갱신
+        await updateRoomActivity(() =>
+          RoomActivityService.recordMessage(message)
+        );
 
         // AI 멘션이 있는 경우 AI 응답 생성
-        if (aiMentions.length > 0) {
-          for (const ai of aiMentions) {
-            const query = content
-              .replace(new RegExp(`@${ai}\\b`, 'g'), '')
-              .trim();
-            await handleAIResponse(io, room, ai, query);
+        // AI 대화방은 멘션 없이도 연결된 페르소나가 응답 (스레드 답글과 내용 없는 파일 제외)
+        const responders = [...aiMentions];
+        if (
+          assistantPersona &&
+          !parentMessage &&
+          buildAIQuery(content, assistantPersona) &&
+          !responders.some((persona) => persona.key === assistantPersona.key)
+        ) {
+          responders.unshift(assistantPersona);
+        }
+
+        if (responders.length > 0) {
+          for (const persona of responders) {
+            await handleAIResponse(io, room, persona, buildAIQuery(content, persona), {
+              sourceMessage: message,
+              requesterId: socket.user.id,
+              requesterSocket: socket,
+            });
           }
         }
 
@@ -607,7 +1052,7 @@ module.exports = function (io) {
           _id: roomId,
           participants: socket.user.id,
         })
-          .select('participants')
+          .select('participants type')
           .lean();
 
         if (!room) {
@@ -617,6 +1062,17 @@ module.exports = function (io) {
 
         socket.leave(roomId);
         userRooms.delete(socket.user.id);
+        roomJoinTimes.delete(socket.user.id);
+        clearTyping(roomId, socket.user.id);
+        await RoomActivityService.markRead(roomId, socket.user.id);
+
+        // 1:1 대화와 AI 대화는 당사자 목록을 유지하고 퇴장 메시지를 남기지 않음
+        if (room.type === 'direct' || room.type === 'assistant') {
+          const queueKey = `${roomId}:${socket.user.id}`;
+          messageQueues.delete(queueKey);
+          messageLoadRetries.delete(queueKey);
+          return;
+        }
 
         // 퇴장 메시지 생성 및 저장
         const leaveMessage = await Message.create({
@@ -655,7 +1111,10 @@ module.exports = function (io) {
 
         // 이벤트 발송
         io.to(roomId).emit('message', leaveMessage);
-        io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+        io.to(roomId).emit(
+          'participantsUpdate',
+          RoomService.serializeParticipants(updatedRoom)
+        );
       } catch (error) {
         console.error('Leave room error:', error);
         socket.emit('error', {
@@ -670,12 +1129,36 @@ module.exports = function (io) {
 
       try {
         // 해당 사용자의 현재 활성 연결인 경우에만 정리
-        if (connectedUsers.get(socket.user.id) === socket.id) {
+        const isActiveConnection =
+          connectedUsers.get(socket.user.id) === socket.id;
+        if (isActiveConnection) {
           connectedUsers.delete(socket.user.id);
         }
 
         const roomId = userRooms.get(socket.user.id);
+
+        // 유예 시간 안에 다시 연결되지 않으면 오프라인 처리
+        if (isActiveConnection) {
+          const userId = socket.user.id;
+          clearTimeout(pendingOffline.get(userId));
+          pendingOffline.set(
+            userId,
+            setTimeout(async () => {
+              pendingOffline.delete(userId);
+              if (connectedUsers.has(userId)) return;
+
+              try {
+                presenceLastSeen.delete(userId);
+                const presence = await PresenceService.setOffline(userId);
+                await broadcastPresence(presence, roomId);
+              } catch (error) {
+                console.error('Presence offline error:', error);
+              }
+            }, OFFLINE_GRACE_PERIOD)
+          );
+        }
         userRooms.delete(socket.user.id);
+        roomJoinTimes.delete(socket.user.id);
 
         // 메시지 큐 정리
         const userQueues = Array.from(messageQueues.keys()).filter((key) =>
@@ -693,12 +1176,16 @@ module.exports = function (io) {
           }
         }
 
-        // 현재 방에서 자동 퇴장 처리
+        // 현재 방에서 자동 퇴장 처리 (1:1 대화는 당사자 목록 유지)
         if (roomId) {
+          clearTyping(roomId, socket.user.id);
+          await RoomActivityService.markRead(roomId, socket.user.id);
+
           // 다른 디바이스로 인한 연결 종료가 아닌 경우에만 처리
           if (
             reason !== 'client namespace disconnect' &&
-            reason !== 'duplicate_login'
+            reason !== 'duplicate_login' &&
+            !(await Room.exists({ _id: roomId, type: { $in: ['direct', 'assistant'] } }))
           ) {
             const leaveMessage = await Message.create({
               room: roomId,
@@ -720,7 +1207,7 @@ module.exports = function (io) {
               io.to(roomId).emit('message', leaveMessage);
               io.to(roomId).emit(
                 'participantsUpdate',
-                updatedRoom.participants
+                RoomService.serializeParticipants(updatedRoom)
               );
             }
           }
@@ -764,6 +1251,25 @@ module.exports = function (io) {
       }
     });
 
+    // 입력 중 상태 처리 (현재 입장한 채팅방에서만 허용)
+    socket.on('typingStart', ({ roomId } = {}) => {
+      if (!socket.user || !roomId) return;
+      if (userRooms.get(socket.user.id) !== roomId || !socket.rooms.has(roomId)) {
+        return;
+      }
+
+      setTyping(roomId, socket.user.id, {
+        userId: socket.user.id,
+        name: socket.user.name,
+        isAI: false,
+      });
+    });
+
+    socket.on('typingStop', ({ roomId } = {}) => {
+      if (!socket.user || !roomId) return;
+      clearTyping(roomId, socket.user.id);
+    });
+
     // 메시지 읽음 상태 처리
     socket.on('markMessagesAsRead', async ({ roomId, messageIds }) => {
       try {
@@ -775,26 +1281,35 @@ module.exports = function (io) {
           return;
         }
 
+        // 채팅방이 지정되지 않으면 현재 입장한 채팅방 기준으로 처리
+        const targetRoomId = roomId || userRooms.get(socket.user.id);
+        if (!targetRoomId) {
+          return;
+        }
+
+        const readAt = new Date();
+
         // 읽음 상태 업데이트
         await Message.updateMany(
           {
             _id: { $in: messageIds },
-            room: roomId,
+            room: targetRoomId,
             'readers.userId': { $ne: socket.user.id },
           },
           {
             $push: {
               readers: {
                 userId: socket.user.id,
-                readAt: new Date(),
+                readAt,
               },
             },
           }
         );
 
-        socket.to(roomId).emit('messagesRead', {
+        socket.to(targetRoomId).emit('messagesRead', {
           userId: socket.user.id,
           messageIds,
+          timestamp: readAt,
         });
       } catch (error) {
         console.error('Mark messages as read error:', error);
@@ -835,31 +1350,486 @@ module.exports = function (io) {
         });
       }
     });
-  });
 
-  // AI 멘션 추출 함수
-  function extractAIMentions(content) {
-    if (!content) return [];
+    // 메시지 수정 처리
+    socket.on('editMessage', async ({ messageId, content }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const newContent = content?.trim();
+        if (!newContent) {
+          throw new Error('메시지 내용이 없습니다.');
+        }
+
+        const message = await Message.findOne({
+          _id: messageId,
+          isDeleted: false,
+        });
+
+        if (!message) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        if (message.sender?.toString() !== socket.user.id) {
+          throw new Error('본인이 보낸 메시지만 수정할 수 있습니다.');
+        }
+
+        // 채팅방을 나가거나 강제 퇴장된 사용자는 이전 메시지를 수정할 수 없음
+        await MessageService.assertRoomParticipant(message.room, socket.user.id);
+
+        if (message.type !== 'text') {
+          throw new Error('텍스트 메시지만 수정할 수 있습니다.');
+        }
+
+        if (Date.now() - message.timestamp.getTime() > MESSAGE_EDIT_WINDOW) {
+          throw new Error('메시지 수정 가능 시간이 지났습니다.');
+        }
+
+        if (message.content === newContent) {
+          return;
+        }
 
-    const aiTypes = ['wayneAI', 'consultingAI'];
-    const mentions = new Set();
-    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-    let match;
+        await message.editContent(newContent);
+
+        io.to(message.room).emit('messageUpdated', {
+          messageId,
+          content: message.content,
+          editedAt: message.editedAt,
+          editHistory: message.editHistory,
+        });
+        await updateRoomActivity(() =>
+          RoomActivityService.refreshLastMessage(message.room, message._id)
+        );
 
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) {
-        mentions.add(match[1]);
+        logDebug('message edited', {
+          messageId,
+          room: message.room,
+          revision: message.editHistory.length,
+        });
+      } catch (error) {
+        console.error('Message edit error:', error);
+        socket.emit('messageEditError', {
+          messageId,
+          message: error.message || '메시지 수정 중 오류가 발생했습니다.',
+        });
       }
-    }
+    });
+
+    // 메시지 삭제 처리
+    socket.on('deleteMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await MessageService.deleteMessage(
+          messageId,
+          socket.user.id
+        );
+
+        io.to(message.room).emit('messageDeleted', {
+          messageId,
+          parentId: message.parentMessage?.toString() || null,
+          deletedBy: socket.user.id,
+        });
+        await updateRoomActivity(() =>
+          RoomActivityService.refreshLastMessage(message.room, message._id)
+        );
+
+        logDebug('message deleted', {
+          messageId,
+          room: message.room,
+          userId: socket.user.id,
+        });
+      } catch (error) {
+        console.error('Message delete error:', error);
+        socket.emit('messageDeleteError', {
+          messageId,
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.',
+        });
+      }
+    });
+
+    // 메시지 고정/해제 처리
+    const handlePinToggle = async (messageId, pinned) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = pinned
+          ? await MessageService.pinMessage(messageId, socket.user.id)
+          : await MessageService.unpinMessage(messageId, socket.user.id);
+
+        // 고정 알림 메시지 생성
+        const pinMessage = new Message({
+          room: message.room,
+          content: pinned
+            ? `${socket.user.name}님이 메시지를 고정하였습니다.`
+            : `${socket.user.name}님이 메시지 고정을 해제하였습니다.`,
+          type: 'system',
+          timestamp: new Date(),
+        });
+
+        await pinMessage.save();
+
+        const pinnedMessages = await MessageService.getPinnedMessages(
+          message.room
+        );
+
+        io.to(message.room).emit('message', pinMessage);
+        io.to(message.room).emit('pinnedMessagesUpdate', {
+          roomId: message.room,
+          pinnedMessages,
+        });
+
+        logDebug(pinned ? 'message pinned' : 'message unpinned', {
+          messageId,
+          room: message.room,
+          userId: socket.user.id,
+          pinCount: pinnedMessages.length,
+        });
+      } catch (error) {
+        console.error('Message pin error:', error);
+        socket.emit('messagePinError', {
+          messageId,
+          message: error.message || '메시지 고정 처리 중 오류가 발생했습니다.',
+        });
+      }
+    };
+
+    socket.on('pinMessage', ({ messageId } = {}) =>
+      handlePinToggle(messageId, true)
+    );
+
+    socket.on('unpinMessage', ({ messageId } = {}) =>
+      handlePinToggle(messageId, false)
+    );
+
+    // 진행 중인 AI 응답 중단 (응답을 요청한 사용자 또는 채팅방 관리자만 가능)
+    socket.on('cancelAIResponse', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        // 이미 완료된 응답은 무시
+        const session = streamingSessions.get(messageId);
+        if (!session || session.cancelledBy) return;
+
+        const canCancel =
+          session.requesterId === socket.user.id ||
+          (await RoomService.isRoomAdmin(session.room, socket.user.id));
+        if (!canCancel) {
+          throw new Error('응답을 요청한 사용자나 채팅방 관리자만 중단할 수 있습니다.');
+        }
+
+        session.cancelledBy = socket.user.id;
+        session.abortController.abort();
+
+        logDebug('AI response cancel requested', {
+          messageId,
+          userId: socket.user.id,
+        });
+      } catch (error) {
+        console.error('AI response cancel error:', error);
+        socket.emit('aiCancelError', {
+          messageId,
+          message: error.message || 'AI 응답을 중단하지 못했습니다.',
+        });
+      }
+    });
+
+    // AI 응답 다시 생성 (같은 질문과 맥락으로 새 응답을 만들어 기존 메시지에 추가)
+    socket.on('regenerateAIResponse', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const { message, sourceMessage } =
+          await MessageService.getAIRegenerationTarget(messageId, socket.user.id);
+
+        const isRegenerating = Array.from(streamingSessions.values()).some(
+          (session) => session.targetMessageId === message._id.toString()
+        );
+        if (isRegenerating) {
+          throw new Error('이미 응답을 다시 생성하고 있습니다.');
+        }
+
+        const persona = await AIPersonaService.getPersona(message.aiType);
+        if (!persona) {
+          throw new Error('사용할 수 없는 AI입니다.');
+        }
+
+        logDebug('AI response regenerate requested', {
+          messageId,
+          userId: socket.user.id,
+        });
+
+        await handleAIResponse(io, message.room, persona, message.metadata?.query || '', {
+          sourceMessage,
+          requesterId: socket.user.id,
+          requesterSocket: socket,
+          targetMessage: message,
+        });
+      } catch (error) {
+        console.error('AI response regenerate error:', error);
+        socket.emit('aiRegenerateError', {
+          messageId,
+          message: error.message || 'AI 응답을 다시 생성하지 못했습니다.',
+        });
+      }
+    });
+
+    // 실패한 AI 응답 다시 요청 (원래 멘션 메시지 기준)
+    socket.on('retryAIResponse', async ({ sourceMessageId, aiType } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const sourceMessage = await MessageService.getAIRetrySource(
+          sourceMessageId,
+          socket.user.id
+        );
+
+        // AI 대화방의 연결된 페르소나는 멘션 없이 응답하므로 채팅방 설정에서 확인
+        const chatRoom = await Room.findById(sourceMessage.room).select('type aiPersona');
+        const persona = chatRoom?.isAssistant() && chatRoom.aiPersona === aiType
+          ? await AIPersonaService.getPersona(chatRoom.aiPersona)
+          : (await AIPersonaService.extractMentions(sourceMessage.content))
+            .find((mention) => mention.key === aiType);
+        if (!persona) {
+          throw new Error('사용할 수 없는 AI입니다.');
+        }
+
+        logDebug('AI response retry requested', {
+          sourceMessageId,
+          aiType,
+          userId: socket.user.id,
+        });
+
+        await handleAIResponse(io, sourceMessage.room, persona, buildAIQuery(sourceMessage.content, persona), {
+          sourceMessage,
+          requesterId: socket.user.id,
+          requesterSocket: socket,
+        });
+      } catch (error) {
+        console.error('AI response retry error:', error);
+        socket.emit('aiRegenerateError', {
+          sourceMessageId,
+          message: error.message || 'AI 응답을 다시 요청하지 못했습니다.',
+        });
+      }
+    });
+
+    // 표시할 AI 응답 선택 (채팅방의 모든 참여자에게 반영)
+    socket.on('selectAIVariant', async ({ messageId, index } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await MessageService.selectAIVariant(
+          messageId,
+          socket.user.id,
+          index
+        );
+
+        io.to(message.room).emit('aiVariantSelected', {
+          messageId: message._id.toString(),
+          content: message.content,
+          activeVariant: message.activeVariant,
+        });
+      } catch (error) {
+        console.error('AI variant select error:', error);
+        socket.emit('aiRegenerateError', {
+          messageId,
+          message: error.message || 'AI 응답을 선택하지 못했습니다.',
+        });
+      }
+    });
+
+    // 채팅방 대화 요약 (마지막으로 읽은 이후 또는 지정한 기간)
+    // 기본적으로 요청한 사용자에게만 보여 주고, post가 true면 채팅방에 AI 메시지로 공유
+    socket.on('summarizeRoom', async ({ roomId, since, until, post = false, aiType } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id,
+        });
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        if (post && chatRoom.getMutedUntil(socket.user.id)) {
+          throw new Error('채팅이 금지된 상태에서는 요약을 공유할 수 없습니다.');
+        }
+
+        // AI 대화방은 연결된 페르소나, 그 외에는 지정한 페르소나 또는 첫 번째 활성 페르소나가 요약
+        const personaKey = chatRoom.isAssistant() ? chatRoom.aiPersona : aiType;
+        const persona = personaKey
+          ? await AIPersonaService.getPersona(personaKey)
+          : (await AIPersonaService.getActivePersonas())[0];
+        if (!persona) {
+          throw new Error('요약에 사용할 AI를 찾을 수 없습니다.');
+        }
+
+        const range = await AISummaryService.resolveRange(roomId, socket.user.id, {
+          since,
+          until,
+          joinedAt: userRooms.get(socket.user.id) === roomId
+            ? roomJoinTimes.get(socket.user.id)
+            : null,
+        });
+        const loaded = await AISummaryService.loadMessages(roomId, range);
+
+        logDebug('room summary requested', {
+          roomId,
+          userId: socket.user.id,
+          messageCount: loaded.messages.length,
+          post,
+        });
+
+        await handleAIResponse(
+          io,
+          roomId,
+          AISummaryService.buildSummaryPersona(persona),
+          '/summarize',
+          {
+            requesterId: socket.user.id,
+            requesterSocket: socket,
+            privateSocket: post ? null : socket,
+            usageKind: 'summary',
+            prepare: ({ signal, onUsage }) =>
+              AISummaryService.buildSummaryInput(loaded, range, { signal, onUsage }),
+          }
+        );
+      } catch (error) {
+        console.error('Room summary error:', error);
+        socket.emit('aiSummaryError', {
+          roomId,
+          message: error.message || '대화를 요약하지 못했습니다.',
+        });
+      }
+    });
 
-    return Array.from(mentions);
+    // 채팅방 관리 (역할 변경, 강제 퇴장, 차단, 채팅 금지)
+    const moderationActions = {
+      kickUser: ({ roomId, userId }) =>
+        RoomService.kickUser(roomId, socket.user.id, userId),
+      banUser: ({ roomId, userId }) =>
+        RoomService.banUser(roomId, socket.user.id, userId),
+      unbanUser: ({ roomId, userId }) =>
+        RoomService.unbanUser(roomId, socket.user.id, userId),
+      muteUser: ({ roomId, userId, duration }) =>
+        RoomService.muteUser(roomId, socket.user.id, userId, duration),
+      unmuteUser: ({ roomId, userId }) =>
+        RoomService.unmuteUser(roomId, socket.user.id, userId),
+      setUserRole: ({ roomId, userId, role }) =>
+        RoomService.setRole(roomId, socket.user.id, userId, role),
+    };
+
+    Object.entries(moderationActions).forEach(([event, action]) => {
+      socket.on(event, async (data = {}) => {
+        try {
+          if (!socket.user) {
+            throw new Error('Unauthorized');
+          }
+
+          const result = await action(data);
+          await RoomService.broadcastModeration(io, result);
+
+          logDebug('room moderation', {
+            event,
+            roomId: data.roomId,
+            targetId: data.userId,
+            userId: socket.user.id,
+          });
+        } catch (error) {
+          console.error('Room moderation error:', error);
+          socket.emit('moderationError', {
+            action: event,
+            userId: data.userId,
+            message: error.message || '채팅방 관리 중 오류가 발생했습니다.',
+          });
+        }
+      });
+    });
+  });
+
+  // AI 멘션을 제외한 질문 내용
+  function buildAIQuery(content, persona) {
+    return (content || '')
+      .replace(new RegExp(`@${persona.key}\\b`, 'g'), '')
+      .trim();
   }
 
   // AI 응답 처리 함수 개선
-  async function handleAIResponse(io, room, aiName, query) {
+  // targetMessage가 있으면 새 메시지 대신 기존 AI 메시지에 다시 생성한 응답으로 추가
+  // prepare가 있으면 채팅방 대화 맥락 대신 직접 구성한 입력({ prompt, history, summary })으로 응답 (대화 요약 등)
+  // privateSocket이 있으면 요청한 사용자에게만 스트리밍하고 메시지로 저장하지 않음
+  // 요청한 사용자의 AI 사용 한도를 넘으면 응답을 생성하지 않고 requesterSocket으로 오류 전송
+  // 채팅방 대화에 답하는 경우 페르소나가 요청한 사용자의 권한으로 채팅방 도구를 호출할 수 있으며 단계마다 aiToolStep 전송
+  async function handleAIResponse(io, room, persona, query, options = {}) {
+    const {
+      sourceMessage = null,
+      requesterId = null,
+      requesterSocket = null,
+      targetMessage = null,
+      prepare = null,
+      privateSocket = null,
+      usageKind = targetMessage ? 'regenerate' : 'response',
+    } = options;
+    const targetMessageId = targetMessage?._id.toString() || null;
+    const sourceMessageId = sourceMessage?._id?.toString() || null;
+    const isPrivate = !!privateSocket;
+    const aiName = persona.key;
     const messageId = `${aiName}-${Date.now()}`;
     let accumulatedContent = '';
+    let summary = null;
     const timestamp = new Date();
+    const abortController = new AbortController();
+    const emit = (event, data) =>
+      isPrivate ? privateSocket.emit(event, data) : io.to(room).emit(event, data);
+    const usageParts = []; // 응답 외에 사용한 토큰 (대화 맥락 요약, 구간 요약)
+    const toolSteps = []; // 응답 중 호출한 도구 단계 (메시지에 함께 저장)
+    const toolStepsByCall = new Map();
+
+    // AI 사용 한도 확인 (요청한 사용자에게만 안내)
+    try {
+      await AIUsageService.checkQuota(requesterId, room);
+    } catch (error) {
+      logDebug('AI quota exceeded', {
+        aiType: aiName,
+        room,
+        requesterId,
+        code: error.code,
+      });
+
+      const notify = privateSocket || requesterSocket;
+      const payload = {
+        messageId,
+        error: error.message,
+        code: error.code,
+        aiType: aiName,
+        sourceMessageId,
+        targetMessageId,
+      };
+      if (notify) {
+        notify.emit('aiMessageError', payload);
+      } else {
+        emit('aiMessageError', payload);
+      }
+      return;
+    }
 
     // 스트리밍 세션 초기화
     streamingSessions.set(messageId, {
@@ -870,6 +1840,12 @@ module.exports = function (io) {
       timestamp,
       lastUpdate: Date.now(),
       reactions: {},
+      requesterId,
+      targetMessageId,
+      isPrivate,
+      toolSteps,
+      abortController,
+      cancelledBy: null,
     });
 
     logDebug('AI response started', {
@@ -879,16 +1855,178 @@ module.exports = function (io) {
       query,
     });
 
-    // 초기 상태 전송
-    io.to(room).emit('aiMessageStart', {
+    // 초기 상태 전송 (응답이 끝날 때까지 AI를 입력 중으로 표시)
+    const typingKey = `ai:${messageId}`;
+    emit('aiMessageStart', {
       messageId,
       aiType: aiName,
       timestamp,
+      requesterId,
+      targetMessageId,
+      isPrivate,
     });
+    if (!isPrivate) {
+      setTyping(room, typingKey, { userId: aiName, name: persona.name, isAI: true }, null);
+    }
+
+    // AI 메시지 저장 및 완료 알림 (중단된 경우 그때까지 생성된 내용 저장)
+    const completeResponse = async (content, { cancelledBy = null, usage = {} } = {}) => {
+      streamingSessions.delete(messageId);
+      clearTyping(room, typingKey);
+
+      const cancelled = !!cancelledBy;
+
+      // 실행 중에 중단된 도구 단계 정리
+      toolSteps.forEach((step) => {
+        if (step.status === 'running') step.status = 'cancelled';
+      });
+      const savedToolSteps = toolSteps.length > 0 ? toolSteps : undefined;
+
+      // 토큰 사용량 기록 (완료 알림을 지연시키지 않도록 기다리지 않음)
+      AIUsageService.recordUsage({
+        userId: requesterId,
+        roomId: room,
+        aiType: aiName,
+        model: persona.model,
+        kind: usageKind,
+        usage: AIUsageService.sumUsage([...usageParts, usage]),
+        cancelled,
+      }).catch((error) => {
+        console.error('AI usage record error:', error);
+      });
+
+      // 나만 보는 응답은 저장하지 않고 요청한 사용자에게만 완료 알림
+      if (isPrivate) {
+        emit('aiMessageComplete', {
+          messageId,
+          _id: content ? messageId : null,
+          content,
+          aiType: aiName,
+          timestamp: new Date(),
+          isComplete: true,
+          cancelled,
+          isPrivate,
+          summary,
+        });
+
+        logDebug('private AI response completed', {
+          messageId,
+          aiType: aiName,
+          contentLength: content.length,
+          cancelledBy,
+        });
+        return;
+      }
+
+      if (targetMessage) {
+        // 내용 없이 중단된 경우 기존 응답 유지
+        const updated = content
+          ? await MessageService.addAIVariant(targetMessage._id, content, {
+              cancelled,
+              toolSteps: savedToolSteps,
+            })
+          : null;
+
+        emit('aiMessageComplete', {
+          messageId,
+          _id: targetMessageId,
+          content: updated?.content,
+          aiType: aiName,
+          timestamp: new Date(),
+          isComplete: true,
+          cancelled,
+          regenerated: true,
+          aiVariants: updated?.aiVariants,
+          activeVariant: updated?.activeVariant,
+        });
+
+        logDebug('AI response regenerated', {
+          messageId,
+          targetMessageId,
+          variantCount: updated?.aiVariants.length,
+          cancelledBy,
+        });
+        return;
+      }
+
+      const aiMessage = content
+        ? await Message.create({
+            room,
+            content,
+            type: 'ai',
+            aiType: aiName,
+            timestamp: new Date(),
+            reactions: {},
+            metadata: {
+              query,
+              sourceMessageId,
+              generationTime: Date.now() - timestamp,
+              completionTokens: usage.completionTokens,
+              totalTokens: usage.totalTokens,
+              ...(summary && { summary }),
+              ...(savedToolSteps && { toolSteps: savedToolSteps }),
+              ...(cancelled && { cancelled, cancelledBy }),
+            },
+          })
+        : null;
+
+      // 완료 메시지 전송 (내용 없이 중단된 경우 _id 없음)
+      emit('aiMessageComplete', {
+        messageId,
+        _id: aiMessage?._id || null,
+        content,
+        aiType: aiName,
+        timestamp: new Date(),
+        isComplete: true,
+        cancelled,
+        query,
+        summary,
+        toolSteps: savedToolSteps,
+        reactions: {},
+      });
+
+      if (aiMessage) {
+        await updateRoomActivity(() =>
+          RoomActivityService.recordMessage(aiMessage)
+        );
+      }
+
+      logDebug(cancelled ? 'AI response cancelled' : 'AI response completed', {
+        messageId,
+        aiType: aiName,
+        contentLength: content.length,
+        generationTime: Date.now() - timestamp,
+        cancelledBy,
+      });
+    };
 
     try {
+      let prompt = query;
+      let history;
+
+      const onUsage = (usage) => usageParts.push(usage);
+
+      if (prepare) {
+        ({ prompt, history = [], summary = null } = await prepare({
+          signal: abortController.signal,
+          onUsage,
+        }));
+      } else {
+        // 질문 직전의 대화 맥락 구성 (실패하면 질문만으로 응답)
+        history = await AIContextService.buildContext(room, persona, sourceMessage, { onUsage })
+          .catch((error) => {
+            console.error('AI context build error:', error);
+            return [];
+          });
+      }
+
+      // 직접 구성한 입력(대화 요약 등)에는 도구를 사용하지 않음
+      const tools = prepare
+        ? null
+        : AIToolService.createToolbox({ roomId: room, userId: requesterId, persona });
+
       // AI 응답 생성 및 스트리밍
-      await aiService.generateResponse(query, aiName, {
+      await aiService.generateResponse(prompt, persona, {
         onStart: () => {
           logDebug('AI generation started', {
             messageId,
@@ -904,7 +2042,7 @@ module.exports = function (io) {
             session.lastUpdate = Date.now();
           }
 
-          io.to(room).emit('aiMessageChunk', {
+          emit('aiMessageChunk', {
             messageId,
             currentChunk: chunk.currentChunk,
             fullContent: accumulatedContent,
@@ -914,53 +2052,62 @@ module.exports = function (io) {
             isComplete: false,
           });
         },
-        onComplete: async (finalContent) => {
-          // 스트리밍 세션 정리
-          streamingSessions.delete(messageId);
-
-          // AI 메시지 저장
-          const aiMessage = await Message.create({
-            room,
-            content: finalContent.content,
-            type: 'ai',
-            aiType: aiName,
-            timestamp: new Date(),
-            reactions: {},
-            metadata: {
-              query,
-              generationTime: Date.now() - timestamp,
-              completionTokens: finalContent.completionTokens,
-              totalTokens: finalContent.totalTokens,
-            },
-          });
-
-          // 완료 메시지 전송
-          io.to(room).emit('aiMessageComplete', {
+        onToolCall: async (call) => {
+          const step = {
+            id: call.id,
+            name: call.name,
+            label: AIToolService.getLabel(call.name),
+            arguments: AIToolService.formatArguments(call.arguments),
+            status: 'running',
+            startedAt: new Date(),
+          };
+          toolSteps.push(step);
+          toolStepsByCall.set(call, step);
+
+          emit('aiToolStep', { messageId, aiType: aiName, step });
+
+          logDebug('AI tool call', {
             messageId,
-            _id: aiMessage._id,
-            content: finalContent.content,
             aiType: aiName,
-            timestamp: new Date(),
-            isComplete: true,
-            query,
-            reactions: {},
+            tool: call.name,
           });
-
-          logDebug('AI response completed', {
-            messageId,
-            aiType: aiName,
-            contentLength: finalContent.content.length,
-            generationTime: Date.now() - timestamp,
+        },
+        onToolResult: async (call, { summary: resultSummary, error }) => {
+          const step = toolStepsByCall.get(call);
+          if (!step) return;
+
+          Object.assign(step, {
+            status: error ? 'error' : 'done',
+            ...(error ? { error } : { summary: resultSummary }),
+            completedAt: new Date(),
           });
+
+          emit('aiToolStep', { messageId, aiType: aiName, step });
+        },
+        onComplete: async (finalContent) => {
+          await completeResponse(finalContent.content, { usage: finalContent });
         },
-        onError: (error) => {
+        onError: async (error) => {
+          // 중단 요청으로 끝난 경우 그때까지의 내용을 저장하고 완료 처리
+          if (error.code === ERROR_CODES.CANCELLED) {
+            const session = streamingSessions.get(messageId);
+            await completeResponse(accumulatedContent.trim(), {
+              cancelledBy: session?.cancelledBy || requesterId,
+              usage: error.usage,
+            });
+            return;
+          }
+
           streamingSessions.delete(messageId);
+          clearTyping(room, typingKey);
           console.error('AI response error:', error);
 
-          io.to(room).emit('aiMessageError', {
+          emit('aiMessageError', {
             messageId,
             error: error.message || 'AI 응답 생성 중 오류가 발생했습니다.',
             aiType: aiName,
+            sourceMessageId,
+            targetMessageId,
           });
 
           logDebug('AI response error', {
@@ -969,15 +2116,27 @@ module.exports = function (io) {
             error: error.message,
           });
         },
-      });
+      }, { history, signal: abortController.signal, tools });
     } catch (error) {
+      // 입력을 준비하는 동안 중단된 경우 (생성된 내용 없음)
+      if (error.code === ERROR_CODES.CANCELLED) {
+        const session = streamingSessions.get(messageId);
+        await completeResponse('', {
+          cancelledBy: session?.cancelledBy || requesterId,
+        });
+        return;
+      }
+
       streamingSessions.delete(messageId);
+      clearTyping(room, typingKey);
       console.error('AI service error:', error);
 
-      io.to(room).emit('aiMessageError', {
+      emit('aiMessageError', {
         messageId,
         error: error.message || 'AI 서비스 오류가 발생했습니다.',
         aiType: aiName,
+        sourceMessageId,
+        targetMessageId,
       });
 
       logDebug('AI service error', {
@@ -77,6 +77,17 @@ class RedisClient {
     }
   }
 
+  // 숫자 값 증가 (키가 없으면 0에서 시작, 증가 후 값 반환)
+  async incrBy(key, amount = 1) {
+    try {
+      const client = await this.connect();
+      return await client.incrby(key, amount);
+    } catch (error) {
+      console.error('Redis incrBy error:', error);
+      throw error;
+    }
+  }
+
   // 클러스터 연결 종료
   async quit() {
     if (this.cluster) {
@@ -31,13 +31,36 @@ declare -A TEST_MODULES=(
   ["인증"]="auth/auth.spec.ts"
   ["프로필"]="profile/profile.spec.ts"
   ["채팅방"]="chatrooms/chatrooms.spec.ts"
+  ["채팅방 관리"]="chatrooms/room-moderation.spec.ts"
+  ["채팅방 설정"]="chatrooms/room-settings.spec.ts"
+  ["초대 링크"]="chatrooms/room-invite.spec.ts"
+  ["공개 범위"]="chatrooms/room-visibility.spec.ts"
+  ["안 읽은 메시지"]="chatrooms/room-activity.spec.ts"
   ["메시징"]="messaging/messaging.spec.ts"
   ["고급 메시징"]="messaging/advanced-messaging.spec.ts"
+  ["메시지 수정"]="messaging/message-edit.spec.ts"
+  ["메시지 삭제"]="messaging/message-delete.spec.ts"
+  ["스레드 답글"]="messaging/thread.spec.ts"
+  ["인용 답장"]="messaging/quote-reply.spec.ts"
+  ["메시지 검색"]="messaging/message-search.spec.ts"
+  ["전체 검색"]="messaging/global-search.spec.ts"
+  ["메시지 고정"]="messaging/pinned-message.spec.ts"
+  ["1:1 대화"]="messaging/direct-message.spec.ts"
+  ["입력 중 표시"]="messaging/typing-indicator.spec.ts"
+  ["읽은 사람 보기"]="messaging/read-receipts.spec.ts"
   ["이미지"]="files/image-upload.spec.ts"
   ["PDF"]="files/pdf-upload.spec.ts"
   ["비디오"]="files/video-upload.spec.ts"
   ["AI 기본"]="ai/ai.spec.ts"
   ["AI 대화"]="ai/ai-conversation.spec.ts"
+  ["AI 페르소나"]="ai/ai-persona.spec.ts"
+  ["AI 대화 맥락"]="ai/ai-context.spec.ts"
+  ["AI 응답 중단"]="ai/ai-cancel.spec.ts"
+  ["AI 응답 다시 생성"]="ai/ai-regenerate.spec.ts"
+  ["AI 전용 대화"]="ai/ai-assistant-room.spec.ts"
+  ["AI 대화 요약"]="ai/ai-summarize.spec.ts"
+  ["AI 사용 한도"]="ai/ai-usage-limit.spec.ts"
+  ["AI 도구 호출"]="ai/ai-tools.spec.ts"
   ["AI 논쟁"]="debate/debate.spec.ts"
   ["실시간"]="realtime/realtime.spec.ts"
   ["실시간 상태"]="realtime/presence.spec.ts"
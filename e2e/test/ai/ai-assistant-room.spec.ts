@@ -0,0 +1,136 @@
+// test/ai/ai-assistant-room.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 전용 대화 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('AI 대화를 만들고 멘션 없이 보낸 메시지에 AI가 응답', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+
+    await page.goto('/chat-rooms/new?type=ai');
+    await page.waitForLoadState('networkidle');
+
+    // 첫 번째 활성 페르소나가 기본으로 선택됨
+    await expect(page.locator('input[name="persona"]:checked')).toHaveCount(1, { timeout: 10000 });
+    await page.fill('#roomName', `AI-Assistant-${Date.now()}`);
+    await page.click('button[type="submit"]');
+
+    await page.waitForURL(/\/chat\?room=/, { timeout: 20000 });
+    await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+
+    await page.fill('.chat-input-textarea', '간단히 자기소개를 해주세요.');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.message-ai').last()).toBeVisible({ timeout: 30000 });
+  });
+
+  test('AI 대화에서 실패한 응답을 다시 시도', async ({ page }) => {
+    // 첫 AI 응답을 클라이언트에서 실패로 바꿔 다시 시도 버튼을 표시
+    let lastMessageId: string | null = null;
+    let failedAIMessageId: string | null = null;
+    await page.routeWebSocket(/socket\.io/, ws => {
+      const server = ws.connectToServer();
+      server.onMessage(frame => {
+        const text = typeof frame === 'string' ? frame : frame.toString();
+        const packet = text.startsWith('42[') ? JSON.parse(text.slice(2)) : null;
+        const [event, data] = packet || [];
+
+        if (event === 'message' && data?.type === 'text') {
+          lastMessageId = data._id;
+        } else if (event === 'aiMessageStart' && !failedAIMessageId && lastMessageId) {
+          failedAIMessageId = data.messageId;
+          ws.send(`42${JSON.stringify(['aiMessageError', {
+            messageId: data.messageId,
+            aiType: data.aiType,
+            error: '테스트용 응답 실패',
+            sourceMessageId: lastMessageId
+          }])}`);
+          return;
+        }
+
+        if (failedAIMessageId && text.includes(failedAIMessageId)) return;
+        ws.send(frame);
+      });
+    });
+
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+
+    await page.goto('/chat-rooms/new?type=ai');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('input[name="persona"]:checked')).toHaveCount(1, { timeout: 10000 });
+    await page.fill('#roomName', `AI-Assistant-${Date.now()}`);
+    await page.click('button[type="submit"]');
+    await page.waitForURL(/\/chat\?room=/, { timeout: 20000 });
+    await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+
+    await page.fill('.chat-input-textarea', '다시 시도할 질문입니다.');
+    await page.keyboard.press('Enter');
+
+    // 멘션 없는 질문도 AI 대화의 페르소나로 다시 요청
+    const failedMessage = page.locator('.message-ai-failed');
+    await expect(failedMessage).toBeVisible({ timeout: 30000 });
+    await failedMessage.locator('.ai-retry-button').click();
+
+    await expect(failedMessage).toHaveCount(0, { timeout: 10000 });
+    await expect(
+      page.locator('.message-ai:not(.message-ai-failed)', { hasText: '다시 시도할 질문입니다.' }).last()
+    ).toBeVisible({ timeout: 30000 });
+  });
+
+  test('AI 대화는 1:1 대화 목록에만 표시', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+
+    const roomName = `AI-Assistant-${Date.now()}`;
+    await page.goto('/chat-rooms/new?type=ai');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('input[name="persona"]:checked')).toHaveCount(1, { timeout: 10000 });
+    await page.fill('#roomName', roomName);
+    await page.click('button[type="submit"]');
+    await page.waitForURL(/\/chat\?room=/, { timeout: 20000 });
+
+    await page.goto('/direct-messages');
+    await expect(
+      page.locator('.dm-item[data-room-type="assistant"]', { hasText: roomName })
+    ).toBeVisible({ timeout: 10000 });
+
+    await page.goto('/chat-rooms');
+    await page.waitForLoadState('networkidle');
+    await expect(page.getByText(roomName)).toHaveCount(0);
+  });
+
+  test('AI 대화 이름을 바꾸고 삭제', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+
+    const roomName = `AI-Assistant-${Date.now()}`;
+    const renamedName = `${roomName}-renamed`;
+    await page.goto('/chat-rooms/new?type=ai');
+    await page.waitForLoadState('networkidle');
+    await expect(page.locator('input[name="persona"]:checked')).toHaveCount(1, { timeout: 10000 });
+    await page.fill('#roomName', roomName);
+    await page.click('button[type="submit"]');
+    await page.waitForURL(/\/chat\?room=/, { timeout: 20000 });
+
+    await page.goto('/direct-messages');
+    const row = page.locator('.dm-item-row', { hasText: roomName });
+    await expect(row).toBeVisible({ timeout: 10000 });
+
+    page.once('dialog', dialog => dialog.accept(renamedName));
+    await row.locator('button[title="대화 이름 변경"]').click();
+    const renamedRow = page.locator('.dm-item-row', { hasText: renamedName });
+    await expect(renamedRow).toBeVisible({ timeout: 10000 });
+
+    page.once('dialog', dialog => dialog.accept());
+    await renamedRow.locator('button[title="대화 삭제"]').click();
+    await expect(page.locator('.dm-item-row', { hasText: roomName })).toHaveCount(0, { timeout: 10000 });
+
+    // 새로고침 후에도 목록에 다시 나타나지 않음
+    await page.reload();
+    await page.waitForLoadState('networkidle');
+    await expect(page.getByText(renamedName)).toHaveCount(0);
+  });
+});
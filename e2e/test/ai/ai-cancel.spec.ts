@@ -0,0 +1,56 @@
+// test/ai/ai-cancel.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 응답 중단 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('요청한 사용자가 생성 중인 AI 응답을 중단', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.joinOrCreateRoom(page, 'AI-Cancel');
+
+    await helpers.sendAIMessage(
+      page,
+      '1부터 300까지 숫자를 한 줄에 하나씩 빠짐없이 적고, 각 숫자마다 그 숫자가 들어간 짧은 문장을 하나씩 덧붙여 주세요.',
+      'wayneAI'
+    );
+
+    // 스트리밍 중에만 중단 버튼이 표시됨
+    const stopButton = page.locator('.ai-stop-button');
+    await expect(stopButton).toBeVisible({ timeout: 30000 });
+    await stopButton.click();
+
+    await expect(stopButton).toHaveCount(0, { timeout: 10000 });
+    await expect(page.locator('.ai-cancelled-label').last()).toBeVisible({ timeout: 10000 });
+  });
+
+  test('다른 참여자에게는 중단 버튼이 표시되지 않음', async ({ browser }) => {
+    const requesterPage = await browser.newPage();
+    const otherPage = await browser.newPage();
+
+    await helpers.registerUser(requesterPage, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(requesterPage, 'AI-Cancel');
+    const roomParam = new URLSearchParams(new URL(requesterPage.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from requester URL');
+    }
+
+    // 다른 사용자가 같은 채팅방에 입장
+    await helpers.registerUser(otherPage, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinRoomByURLParam(otherPage, roomParam);
+
+    await helpers.sendAIMessage(
+      requesterPage,
+      '1부터 300까지 숫자를 한 줄에 하나씩 빠짐없이 적고, 각 숫자마다 그 숫자가 들어간 짧은 문장을 하나씩 덧붙여 주세요.',
+      'wayneAI'
+    );
+
+    await expect(requesterPage.locator('.ai-stop-button')).toBeVisible({ timeout: 30000 });
+    await expect(otherPage.locator('.message-ai .typing-indicator')).toBeVisible({ timeout: 10000 });
+    await expect(otherPage.locator('.ai-stop-button')).toHaveCount(0);
+
+    await requesterPage.close();
+    await otherPage.close();
+  });
+});
@@ -0,0 +1,52 @@
+// test/ai/ai-context.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 대화 맥락 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('AI가 직전 대화 내용을 참고해 답변', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.joinOrCreateRoom(page, 'AI-Context');
+
+    // 멘션 없이 먼저 보낸 메시지의 내용을 AI가 알고 있어야 함
+    const codeword = `KTB${Date.now().toString().slice(-6)}`;
+    await page.fill('.chat-input-textarea', `오늘 회의 암호는 ${codeword} 입니다.`);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-group', { hasText: codeword }).last()).toBeVisible();
+
+    await helpers.sendAIMessage(page, '위 메시지에서 말한 회의 암호를 그대로 알려주세요.', 'wayneAI');
+    await expect(page.locator('.message-ai').last()).toContainText(codeword, { timeout: 30000 });
+  });
+
+  test('요약 이후 예산 밖으로 밀려난 대화도 맥락에 포함', async ({ page }) => {
+    // AI_CONTEXT_TOKEN_BUDGET 기본값(3000) 기준: 긴 메시지(약 500토큰) 5개만 최근 대화에 들어감
+    const filler = '가'.repeat(600);
+    const send = async (text: string) => {
+      await page.fill('.chat-input-textarea', text);
+      await page.keyboard.press('Enter');
+    };
+
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.createRoom(page, `AI-Context-Pending_${Date.now()}`);
+    await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+
+    // 첫 응답에서 가장 오래된 메시지가 요약됨
+    for (let i = 0; i < 6; i++) {
+      await send(`${i} ${filler}`);
+    }
+    await helpers.sendAIMessage(page, '지금까지의 대화를 확인해주세요.', 'wayneAI');
+    await expect(page.locator('.message-ai .message-footer')).toHaveCount(1, { timeout: 30000 });
+
+    // 요약 갱신 기준(10개)보다 적은 메시지가 예산 밖으로 밀려나도 AI가 알고 있어야 함
+    const codeword = `KTB${Date.now().toString().slice(-6)}`;
+    await send(`오늘 회의 암호는 ${codeword} 입니다. ${filler}`);
+    for (let i = 0; i < 5; i++) {
+      await send(`${i} ${filler}`);
+    }
+    await helpers.sendAIMessage(page, '앞에서 말한 회의 암호를 알려주세요.', 'wayneAI');
+    await expect(page.locator('.message-ai').last()).toContainText(codeword, { timeout: 30000 });
+  });
+});
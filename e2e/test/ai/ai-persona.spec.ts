@@ -0,0 +1,35 @@
+// test/ai/ai-persona.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 페르소나 레지스트리 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('멘션 목록과 멘션 표시에 등록된 페르소나 사용', async ({ page }) => {
+    const creds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Persona');
+
+    // @ 입력 시 레지스트리의 페르소나가 표시 이름으로 나열됨
+    const input = page.locator('.chat-input-textarea');
+    await input.fill('@');
+    const dropdown = page.locator('.mention-dropdown');
+    await expect(dropdown).toBeVisible();
+    await expect(dropdown.locator('.mention-item', { hasText: 'Wayne AI' })).toBeVisible();
+    await expect(dropdown.locator('.mention-item', { hasText: 'Consulting AI' })).toBeVisible();
+
+    // 표시 이름으로 검색해도 선택 시 식별자로 입력
+    await input.fill('@consulting');
+    await dropdown.locator('.mention-item', { hasText: 'Consulting AI' }).click();
+    await expect(input).toHaveValue(/@consultingAI /);
+    await input.fill('');
+
+    // 등록되지 않은 이름은 AI 멘션으로 처리하지 않음
+    const text = `@unknownAI 안녕하세요 ${Date.now()}`;
+    await input.fill(text);
+    await page.keyboard.press('Enter');
+    const sent = page.locator('.message-group', { hasText: 'unknownAI' }).last();
+    await expect(sent.locator('.mention-user')).toContainText('@unknownAI');
+    await expect(sent.locator('.mention-bot')).toHaveCount(0);
+  });
+});
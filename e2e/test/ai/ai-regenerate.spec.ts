@@ -0,0 +1,47 @@
+// test/ai/ai-regenerate.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 응답 다시 생성 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('다시 생성한 응답을 모든 참여자가 같은 순서로 넘겨 봄', async ({ browser }) => {
+    const requester = await browser.newPage();
+    await helpers.registerUser(requester, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(requester, 'AI-Regenerate');
+
+    const roomParam = new URLSearchParams(new URL(requester.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    await helpers.registerUser(viewer, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    const question = `회의 이름 추천 ${Date.now()}`;
+    await helpers.sendAIMessage(requester, question, 'wayneAI');
+
+    // 응답 완료 후 다시 생성
+    const aiMessage = requester.locator('.message-group', { has: requester.locator('.message-ai') }).last();
+    await expect(aiMessage.locator('.message-footer')).toBeVisible({ timeout: 30000 });
+    await aiMessage.hover();
+    await aiMessage.locator('button[title="응답 다시 생성"]').click();
+
+    const requesterNav = aiMessage.locator('.ai-variant-nav');
+    await expect(requesterNav).toContainText('2 / 2', { timeout: 30000 });
+
+    const viewerNav = viewer
+      .locator('.message-group', { has: viewer.locator('.message-ai') })
+      .last()
+      .locator('.ai-variant-nav');
+    await expect(viewerNav).toContainText('2 / 2', { timeout: 10000 });
+
+    // 이전 응답을 선택하면 다른 참여자 화면에도 반영
+    await requesterNav.locator('button[title="이전 응답"]').click();
+    await expect(requesterNav).toContainText('1 / 2');
+    await expect(viewerNav).toContainText('1 / 2', { timeout: 10000 });
+
+    await Promise.all([requester.close(), viewer.close()]);
+  });
+});
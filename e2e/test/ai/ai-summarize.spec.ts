@@ -0,0 +1,93 @@
+// test/ai/ai-summarize.spec.ts
+import { test, expect, Page } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 대화 요약 테스트', () => {
+  const helpers = new TestHelpers();
+
+  const typeAndSend = async (page: Page, text: string) => {
+    await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+  };
+
+  const setupRoom = async (browser) => {
+    const writer = await browser.newPage();
+    await helpers.registerUser(writer, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(writer, 'AI-Summarize');
+
+    const roomParam = new URLSearchParams(new URL(writer.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const reader = await browser.newPage();
+    await helpers.registerUser(reader, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinRoomByURLParam(reader, roomParam);
+
+    for (const text of ['다음 주 회의는 화요일로 정했습니다.', '발표 자료는 금요일까지 공유해주세요.']) {
+      await typeAndSend(writer, text);
+      await expect(writer.locator('.message-content', { hasText: text })).toBeVisible({ timeout: 10000 });
+    }
+
+    return { writer, reader };
+  };
+
+  test('요약은 요청한 사용자에게만 표시', async ({ browser }) => {
+    const { writer, reader } = await setupRoom(browser);
+
+    await typeAndSend(reader, '/summarize 1h');
+
+    const summary = reader.locator('.message-ai', { has: reader.locator('.ai-private-label') }).last();
+    await expect(summary.locator('.ai-summary-label')).toBeVisible({ timeout: 30000 });
+    await expect(writer.locator('.ai-private-label')).toHaveCount(0);
+    await expect(writer.locator('.message-ai')).toHaveCount(0);
+
+    // 닫으면 화면에서 사라짐
+    await summary.locator('.ai-private-dismiss').click();
+    await expect(reader.locator('.ai-private-label')).toHaveCount(0);
+
+    await writer.close();
+    await reader.close();
+  });
+
+  test('post 옵션으로 요약을 채팅방에 공유', async ({ browser }) => {
+    const { writer, reader } = await setupRoom(browser);
+
+    await typeAndSend(reader, '/summarize 1h post');
+
+    await expect(writer.locator('.ai-summary-label').last()).toBeVisible({ timeout: 30000 });
+    await expect(reader.locator('.ai-summary-label').last()).toBeVisible({ timeout: 10000 });
+    await expect(reader.locator('.ai-private-label')).toHaveCount(0);
+
+    await writer.close();
+    await reader.close();
+  });
+
+  test('한 번에 요약할 수 없는 긴 대화는 구간별 요약을 합쳐 요약', async ({ page }) => {
+    await helpers.registerUser(page, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(page, 'AI-Summarize-Long');
+
+    // 메시지당 토큰 상한에 가까운 긴 메시지로 요약 구간 하나의 토큰 예산을 넘김
+    for (let index = 1; index <= 12; index++) {
+      const text = `${index}번째 긴 메시지 ${'요약할 내용입니다 '.repeat(40)}`;
+      await typeAndSend(page, text);
+      await expect(page.locator('.message-content', { hasText: `${index}번째 긴 메시지` })).toBeVisible({ timeout: 10000 });
+    }
+
+    await typeAndSend(page, '/summarize 1h');
+
+    const summary = page.locator('.message-ai', { has: page.locator('.ai-summary-label') }).last();
+    await expect(summary).toContainText('구간별 요약', { timeout: 60000 });
+  });
+
+  test('알 수 없는 옵션은 메시지로 보내지 않고 사용법 안내', async ({ page }) => {
+    await helpers.registerUser(page, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(page, 'AI-Summarize');
+
+    await typeAndSend(page, '/summarize yesterday');
+
+    await expect(page.getByText('알 수 없는 옵션입니다: yesterday')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('.message-content', { hasText: '/summarize yesterday' })).toHaveCount(0);
+  });
+});
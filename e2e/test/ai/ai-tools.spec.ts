@@ -0,0 +1,63 @@
+// test/ai/ai-tools.spec.ts
+import { test, expect, Page } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 도구 호출 테스트', () => {
+  const helpers = new TestHelpers();
+
+  const typeAndSend = async (page: Page, text: string) => {
+    await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+  };
+
+  test('호출한 도구가 모든 참여자에게 단계로 표시', async ({ browser }) => {
+    const requester = await browser.newPage();
+    await helpers.registerUser(requester, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(requester, 'AI-Tools');
+
+    const roomParam = new URLSearchParams(new URL(requester.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    await helpers.registerUser(viewer, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    await typeAndSend(requester, '@wayneAI 지금 몇 시야? 현재 시간을 알려줘');
+
+    for (const page of [requester, viewer]) {
+      const steps = page.locator('.message-ai .ai-tool-steps').last();
+      await expect(steps).toBeVisible({ timeout: 30000 });
+      await expect(page.locator('.message-ai .ai-stop-button')).toHaveCount(0, { timeout: 30000 });
+
+      // 완료된 응답의 단계는 접힌 상태로 표시되며 펼쳐서 확인
+      await steps.locator('.ai-tool-steps-toggle').click();
+      const step = steps.locator('.ai-tool-step[data-tool="get_current_time"]');
+      await expect(step).toHaveAttribute('data-status', 'done');
+      await expect(step.locator('.ai-tool-step-label')).toHaveText('현재 시간');
+    }
+
+    await requester.close();
+    await viewer.close();
+  });
+
+  test('단계를 펼치면 도구 인자 확인', async ({ page }) => {
+    await helpers.registerUser(page, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(page, 'AI-Tools-Participants');
+
+    await typeAndSend(page, '@wayneAI 이 채팅방 참여자를 알려줘');
+
+    const steps = page.locator('.message-ai .ai-tool-steps').last();
+    await expect(steps).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.message-ai .ai-stop-button')).toHaveCount(0, { timeout: 30000 });
+
+    await steps.locator('.ai-tool-steps-toggle').click();
+    const step = steps.locator('.ai-tool-step[data-tool="list_participants"]');
+    await expect(step.locator('.ai-tool-step-result')).toContainText(/참여자 \d+명/);
+
+    await step.locator('summary').click();
+    await expect(step.locator('.ai-tool-step-detail')).toBeVisible();
+  });
+});
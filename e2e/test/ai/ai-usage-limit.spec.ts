@@ -0,0 +1,36 @@
+// test/ai/ai-usage-limit.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('AI 사용 한도 테스트', () => {
+  const helpers = new TestHelpers();
+  const RATE_LIMIT = 10; // AI_USER_RATE_LIMIT 기본값
+
+  test('분당 요청 한도를 넘으면 요청한 사용자에게만 안내', async ({ browser }) => {
+    const requester = await browser.newPage();
+    await helpers.registerUser(requester, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinOrCreateRoom(requester, 'AI-Usage-Limit');
+
+    const roomParam = new URLSearchParams(new URL(requester.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    await helpers.registerUser(viewer, helpers.generateUserCredentials(Math.floor(Math.random() * 1001)));
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    await requester.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 20000 });
+    for (let i = 0; i <= RATE_LIMIT; i++) {
+      await requester.fill('.chat-input-textarea', `@wayneAI 한도 확인 ${i}`);
+      await requester.keyboard.press('Enter');
+    }
+
+    const failed = requester.locator('.message-ai-failed .ai-failed-text');
+    await expect(failed.first()).toContainText(`1분에 ${RATE_LIMIT}번`, { timeout: 30000 });
+    await expect(viewer.locator('.message-ai-failed')).toHaveCount(0);
+
+    await requester.close();
+    await viewer.close();
+  });
+});
@@ -0,0 +1,54 @@
+// test/chatrooms/room-activity.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 목록 활동 표시 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('안 읽은 메시지 수와 마지막 메시지 미리보기 실시간 갱신', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(owner, ownerCreds);
+
+    const roomName = `Activity_${Date.now()}`;
+    await helpers.createRoom(owner, roomName);
+    const roomId = new URL(owner.url()).searchParams.get('room');
+    if (!roomId) {
+      throw new Error('Failed to get room id from URL');
+    }
+
+    // 방장은 채팅방을 나와 목록을 보고 있는 상태
+    await owner.goto('/chat-rooms');
+    const ownerRow = owner.locator('tbody tr', { hasText: roomName });
+    await expect(ownerRow).toBeVisible();
+    await expect(ownerRow.locator('.room-unread-badge')).toHaveCount(0);
+
+    const guest = await browser.newPage();
+    const guestCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(guest, guestCreds);
+    await helpers.joinRoomByURLParam(guest, roomId);
+
+    const firstMessage = `첫 번째 메시지 ${Date.now()}`;
+    const secondMessage = `두 번째 메시지 ${Date.now()}`;
+    await helpers.sendMessage(guest, firstMessage);
+    await helpers.sendMessage(guest, secondMessage);
+
+    // 새로고침 없이 안 읽은 수와 미리보기 갱신
+    await expect(ownerRow.locator('.room-unread-badge')).toHaveText('2', { timeout: 20000 });
+    await expect(ownerRow.locator('.room-activity-preview')).toContainText(secondMessage);
+    await expect(ownerRow.locator('.room-activity-preview')).toContainText(guestCreds.name);
+
+    // 새로고침 후에도 서버에서 계산한 값 유지
+    await owner.reload();
+    await expect(ownerRow.locator('.room-unread-badge')).toHaveText('2', { timeout: 20000 });
+
+    // 채팅방에 다시 들어갔다 나오면 모두 읽음 처리
+    await helpers.joinRoomByURLParam(owner, roomId);
+    await expect(owner.locator('.message-content', { hasText: secondMessage })).toBeVisible({ timeout: 20000 });
+    await owner.goto('/chat-rooms');
+    await expect(ownerRow).toBeVisible();
+    await expect(ownerRow.locator('.room-unread-badge')).toHaveCount(0);
+
+    await Promise.all([owner.close(), guest.close()]);
+  });
+});
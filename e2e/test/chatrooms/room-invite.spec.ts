@@ -0,0 +1,52 @@
+// test/chatrooms/room-invite.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('초대 링크 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('초대 링크로 비밀번호 없이 입장 및 링크 폐기', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(owner, ownerCreds);
+
+    const roomName = `Invite_${Date.now()}`;
+    await helpers.createRoom(owner, roomName, 'invite-password');
+
+    // 방장이 설정 모달에서 초대 링크 생성
+    await owner.goto('/chat-rooms');
+    const ownerRow = owner.locator('tbody tr', { hasText: roomName });
+    await ownerRow.locator('button[title="채팅방 설정"]').click();
+
+    const manager = owner.locator('.room-invite-manager');
+    await manager.locator('input[aria-label="최대 사용 횟수"]').fill('1');
+    await manager.locator('button:has-text("링크 만들기")').click();
+
+    const linkInput = manager.locator('.room-invite-item.status-active .room-invite-link').first();
+    await expect(linkInput).toBeVisible();
+    const inviteUrl = await linkInput.inputValue();
+    expect(inviteUrl).toContain('/chat-rooms/invite/');
+
+    // 초대받은 사용자는 비밀번호 없이 입장
+    const guest = await browser.newPage();
+    const guestCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(guest, guestCreds);
+
+    await guest.goto(new URL(inviteUrl).pathname);
+    await expect(guest.locator('.room-invite-name')).toHaveText(roomName);
+    await guest.locator('button:has-text("참여하기")').click();
+    await guest.waitForURL('**/chat?room=**', { timeout: 10000 });
+    await expect(guest.locator('.chat-room-title')).toHaveText(roomName);
+
+    // 사용 횟수를 모두 소진한 링크는 사용 불가
+    const lateGuest = await browser.newPage();
+    const lateCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(lateGuest, lateCreds);
+
+    await lateGuest.goto(new URL(inviteUrl).pathname);
+    await expect(lateGuest.locator('.alert-danger')).toBeVisible();
+    await expect(lateGuest.locator('button:has-text("참여하기")')).toHaveCount(0);
+
+    await Promise.all([owner.close(), guest.close(), lateGuest.close()]);
+  });
+});
@@ -0,0 +1,66 @@
+// test/chatrooms/room-moderation.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 관리 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('방장의 채팅 금지 및 차단', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(owner, ownerCreds);
+    await helpers.createRoom(owner, `Moderation_${Date.now()}`);
+
+    const roomParam = new URLSearchParams(new URL(owner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const member = await browser.newPage();
+    const memberCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(member, memberCreds);
+    await helpers.joinRoomByURLParam(member, roomParam);
+
+    // 참여자 목록에서 역할 확인
+    await owner.locator('button[title="참여자 목록"]').click();
+    const panel = owner.locator('.participant-panel');
+    await expect(panel).toBeVisible();
+    await expect(panel.locator('.participant-item', { hasText: ownerCreds.name }).locator('.participant-role'))
+      .toHaveText('방장');
+
+    const memberItem = panel.locator('.participant-item', { hasText: memberCreds.name });
+    await expect(memberItem).toBeVisible();
+
+    // 채팅 금지 후 메시지 전송 차단 확인
+    await memberItem.locator('button[title="채팅 금지"]').click();
+    await expect(
+      owner.locator('.message-system', { hasText: '채팅이 금지되었습니다.' }).last()
+    ).toBeVisible();
+    await expect(memberItem.locator('.participant-muted')).toBeVisible();
+
+    const mutedText = `금지된 메시지 ${Date.now()}`;
+    await member.fill('.chat-input-textarea', mutedText);
+    await member.keyboard.press('Enter');
+    await owner.waitForTimeout(2000);
+    await expect(owner.locator('.message-group', { hasText: mutedText })).toHaveCount(0);
+
+    // 차단 시 채팅방 목록으로 이동 및 재입장 불가
+    owner.once('dialog', dialog => dialog.accept());
+    await memberItem.locator('button[title="차단"]').click();
+    await expect(
+      owner.locator('.message-system', { hasText: '차단되었습니다.' }).last()
+    ).toBeVisible();
+    await member.waitForURL('**/chat-rooms', { timeout: 10000 });
+
+    await member.goto(`/chat?room=${roomParam}`);
+    await expect(member.getByText('채팅방에서 차단된 사용자입니다.')).toBeVisible({ timeout: 15000 });
+
+    // 차단 목록에서 해제
+    const banItem = panel.locator('.participant-bans .participant-item', { hasText: memberCreds.name });
+    await expect(banItem).toBeVisible();
+    await banItem.locator('button[title="차단 해제"]').click();
+    await expect(banItem).toHaveCount(0);
+
+    await Promise.all([owner.close(), member.close()]);
+  });
+});
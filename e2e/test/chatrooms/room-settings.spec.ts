@@ -0,0 +1,48 @@
+// test/chatrooms/room-settings.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 설정 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('방장의 채팅방 이름 변경 및 삭제', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(owner, ownerCreds);
+
+    const roomName = `Settings_${Date.now()}`;
+    await helpers.createRoom(owner, roomName);
+
+    const roomParam = new URLSearchParams(new URL(owner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const member = await browser.newPage();
+    const memberCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(member, memberCreds);
+    await helpers.joinRoomByURLParam(member, roomParam);
+
+    // 방장만 설정 버튼 확인 후 이름 변경
+    await owner.goto('/chat-rooms');
+    const ownerRow = owner.locator('tbody tr', { hasText: roomName });
+    await expect(ownerRow.locator('button[title="채팅방 설정"]')).toBeVisible();
+
+    const renamed = `${roomName}_renamed`;
+    await ownerRow.locator('button[title="채팅방 설정"]').click();
+    await owner.fill('input[name="roomName"]', renamed);
+    await owner.locator('button:has-text("저장")').click();
+    await expect(owner.locator('tbody tr', { hasText: renamed })).toBeVisible();
+
+    // 채팅방 안의 참여자에게도 변경된 이름 반영
+    await expect(member.locator('.chat-room-title')).toHaveText(renamed);
+
+    // 삭제 시 참여자는 채팅방 목록으로 이동
+    owner.once('dialog', dialog => dialog.accept());
+    await owner.locator('tbody tr', { hasText: renamed }).locator('button[title="채팅방 삭제"]').click();
+    await expect(owner.locator('tbody tr', { hasText: renamed })).toHaveCount(0);
+    await member.waitForURL('**/chat-rooms', { timeout: 10000 });
+
+    await Promise.all([owner.close(), member.close()]);
+  });
+});
@@ -0,0 +1,57 @@
+// test/chatrooms/room-visibility.spec.ts
+import { test, expect, Page } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 공개 범위 테스트', () => {
+  const helpers = new TestHelpers();
+
+  const createRoomWithVisibility = async (page: Page, roomName: string, visibility: string) => {
+    await page.goto('/chat-rooms/new');
+    await page.fill('input[name="name"]', roomName);
+    await page.locator(`input[name="visibility"][value="${visibility}"]`).check();
+    await page.locator('button[type="submit"]').click();
+    await page.waitForURL('**/chat?room=**', { timeout: 20000 });
+
+    const roomId = new URL(page.url()).searchParams.get('room');
+    if (!roomId) {
+      throw new Error('Failed to get room id from URL');
+    }
+    return roomId;
+  };
+
+  test('링크 공개와 비공개 채팅방의 목록 노출 및 입장', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(owner, ownerCreds);
+
+    const unlistedName = `Unlisted_${Date.now()}`;
+    const unlistedId = await createRoomWithVisibility(owner, unlistedName, 'unlisted');
+
+    const privateName = `Private_${Date.now()}`;
+    const privateId = await createRoomWithVisibility(owner, privateName, 'private');
+
+    // 방장은 참여 중인 채팅방이므로 목록에서 확인 가능
+    await owner.goto('/chat-rooms');
+    await expect(owner.locator('tbody tr', { hasText: privateName })).toBeVisible();
+
+    const guest = await browser.newPage();
+    const guestCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(guest, guestCreds);
+
+    // 다른 사용자의 목록에는 노출되지 않음 (가장 최근 생성된 방이므로 첫 페이지 확인)
+    await guest.goto('/chat-rooms');
+    await expect(guest.locator('tbody tr').first()).toBeVisible();
+    await expect(guest.locator('tbody tr', { hasText: unlistedName })).toHaveCount(0);
+    await expect(guest.locator('tbody tr', { hasText: privateName })).toHaveCount(0);
+
+    // 링크 공개 채팅방은 링크로 입장 가능
+    await helpers.joinRoomByURLParam(guest, unlistedId);
+    await expect(guest.locator('.chat-room-title')).toHaveText(unlistedName);
+
+    // 비공개 채팅방은 초대 없이 입장 불가
+    await guest.goto(`/chat?room=${privateId}`);
+    await expect(guest.getByText('채팅방 접근 권한이 없습니다.').first()).toBeVisible({ timeout: 20000 });
+
+    await Promise.all([owner.close(), guest.close()]);
+  });
+});
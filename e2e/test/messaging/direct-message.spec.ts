@@ -0,0 +1,60 @@
+// test/messaging/direct-message.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('1:1 대화 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('프로필 사진으로 1:1 대화 시작 및 대화 목록 확인', async ({ browser }) => {
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinOrCreateRoom(sender, 'DM');
+
+    const roomParam = new URLSearchParams(new URL(sender.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const receiver = await browser.newPage();
+    const receiverCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(receiver, receiverCreds);
+    await helpers.joinRoomByURLParam(receiver, roomParam);
+
+    const greeting = `안녕하세요 ${Date.now()}`;
+    await receiver.fill('.chat-input-textarea', greeting);
+    await receiver.keyboard.press('Enter');
+
+    // 상대방 메시지의 프로필 사진을 눌러 1:1 대화 열기
+    const receiverMessage = sender.locator('.message-group.yours', { hasText: greeting }).last();
+    await expect(receiverMessage).toBeVisible();
+    await receiverMessage.locator('.avatar-direct-message').click();
+
+    await sender.waitForURL(url => url.searchParams.get('room') !== roomParam, { timeout: 10000 });
+    await expect(sender.locator('.chat-room-title')).toHaveText(receiverCreds.name);
+    await expect(sender.locator('button[title="참여자 목록"]')).toHaveCount(0);
+
+    const directText = `개인 메시지 ${Date.now()}`;
+    await sender.fill('.chat-input-textarea', directText);
+    await sender.keyboard.press('Enter');
+    await expect(sender.locator('.message-group', { hasText: directText })).toBeVisible();
+
+    // 1:1 대화는 채팅방 목록에 노출되지 않음 (가장 최근 생성된 방이므로 첫 페이지 확인)
+    const directRoomId = new URL(sender.url()).searchParams.get('room');
+    await receiver.goto('/chat-rooms');
+    await expect(receiver.locator('tbody tr').first()).toBeVisible();
+    await expect(receiver.locator('tbody tr', { hasText: '1:1 대화' })).toHaveCount(0);
+
+    // 상대방은 1:1 대화 목록에서 대화를 확인하고 입장
+    await receiver.goto('/direct-messages');
+    const dmItem = receiver.locator('.dm-item', { hasText: senderCreds.name });
+    await expect(dmItem).toContainText(directText);
+    await dmItem.click();
+
+    await receiver.waitForURL(`**/chat?room=${directRoomId}`, { timeout: 10000 });
+    await expect(receiver.locator('.chat-room-title')).toHaveText(senderCreds.name);
+    await expect(receiver.locator('.message-group', { hasText: directText })).toBeVisible();
+
+    await Promise.all([sender.close(), receiver.close()]);
+  });
+});
@@ -0,0 +1,39 @@
+// test/messaging/global-search.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('전체 검색 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('참여 중인 채팅방 통합 검색 및 결과로 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, creds);
+    const roomName = await helpers.joinOrCreateRoom(page, 'GlobalSearch');
+
+    // 검색 대상 메시지 전송
+    const keyword = `통합검색${Date.now()}`;
+    const targetText = `전체 검색용 ${keyword} 메시지`;
+    await page.fill('.chat-input-textarea', targetText);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-group', { hasText: targetText }).last()).toBeVisible();
+
+    // 네비게이션 바에서 검색
+    await page.fill('.global-search-input', keyword);
+    const results = page.locator('.global-search-results');
+    await expect(results).toBeVisible();
+
+    // 채팅방별로 묶인 결과 확인
+    const group = results.locator('.global-search-group', { hasText: keyword });
+    await expect(group.locator('.global-search-room')).toContainText(roomName);
+    const item = group.locator('.global-search-item', { hasText: keyword });
+    await expect(item.locator('mark')).toHaveText(keyword);
+
+    // 결과 클릭 시 해당 채팅방으로 이동 후 메시지 강조
+    await item.click();
+    await page.waitForURL(/\/chat\?room=/);
+    await expect(page.locator('.message-highlight', { hasText: targetText })).toBeVisible();
+
+    await page.close();
+  });
+});
@@ -0,0 +1,50 @@
+// test/messaging/message-delete.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('메시지 삭제 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('삭제된 메시지는 툼스톤으로 표시', async ({ browser }) => {
+    const author = await browser.newPage();
+    const authorCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(author, authorCreds);
+    await helpers.joinOrCreateRoom(author, 'Delete');
+
+    const roomParam = new URLSearchParams(new URL(author.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    const viewerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(viewer, viewerCreds);
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    const messageText = `삭제할 메시지 ${Date.now()}`;
+    await author.fill('.chat-input-textarea', messageText);
+    await author.keyboard.press('Enter');
+
+    const ownMessage = author.locator('.message-group.mine', { hasText: messageText }).last();
+    await expect(ownMessage).toBeVisible();
+    await expect(viewer.locator('.message-content', { hasText: messageText })).toBeVisible();
+
+    // 삭제 확인 대화상자 승인 후 삭제
+    author.once('dialog', dialog => dialog.accept());
+    await ownMessage.hover();
+    await ownMessage.locator('button[title="메시지 삭제"]').click();
+
+    // 두 사용자 모두 원본 내용 대신 툼스톤 확인
+    for (const page of [author, viewer]) {
+      await expect(page.locator('.message-content', { hasText: messageText })).toHaveCount(0);
+      await expect(page.locator('.message-deleted').last()).toBeVisible();
+    }
+
+    // 새로 입장한 사용자에게는 삭제된 메시지가 보이지 않음
+    await viewer.reload();
+    await expect(viewer.locator('.chat-input-textarea')).toBeVisible();
+    await expect(viewer.locator('.message-content', { hasText: messageText })).toHaveCount(0);
+
+    await Promise.all([author.close(), viewer.close()]);
+  });
+});
@@ -0,0 +1,53 @@
+// test/messaging/message-edit.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('메시지 수정 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('메시지 수정 및 이전 버전 확인', async ({ browser }) => {
+    const author = await browser.newPage();
+    const authorCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(author, authorCreds);
+    await helpers.joinOrCreateRoom(author, 'Edit');
+
+    const roomParam = new URLSearchParams(new URL(author.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    const viewerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(viewer, viewerCreds);
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    // 원본 메시지 전송
+    const originalText = `수정 전 메시지 ${Date.now()}`;
+    await author.fill('.chat-input-textarea', originalText);
+    await author.keyboard.press('Enter');
+
+    const ownMessage = author.locator('.message-group.mine', { hasText: originalText }).last();
+    await expect(ownMessage).toBeVisible();
+
+    // 메시지 수정
+    const editedText = `수정 후 메시지 ${Date.now()}`;
+    await ownMessage.hover();
+    await ownMessage.locator('button[title="메시지 수정"]').click();
+    await ownMessage.locator('.message-edit-textarea').fill(editedText);
+    await ownMessage.locator('.message-edit-textarea').press('Enter');
+
+    // 두 사용자 모두 수정된 내용과 수정 표시 확인
+    for (const page of [author, viewer]) {
+      const edited = page.locator('.message-group', { hasText: editedText }).last();
+      await expect(edited).toBeVisible();
+      await expect(edited.locator('.message-edited-marker')).toBeVisible();
+    }
+
+    // 이전 버전 확인
+    const viewerMessage = viewer.locator('.message-group', { hasText: editedText }).last();
+    await viewerMessage.locator('.message-edited-marker').click();
+    await expect(viewerMessage.locator('.message-edit-revision-content')).toContainText(originalText);
+
+    await Promise.all([author.close(), viewer.close()]);
+  });
+});
@@ -0,0 +1,42 @@
+// test/messaging/message-search.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('메시지 검색 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('키워드 검색 및 결과로 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Search');
+
+    // 검색 대상 메시지 전송
+    const keyword = `검색어${Date.now()}`;
+    const targetText = `첫 번째 ${keyword} 메시지`;
+    await page.fill('.chat-input-textarea', targetText);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-group', { hasText: targetText }).last()).toBeVisible();
+
+    for (let i = 0; i < 3; i++) {
+      await page.fill('.chat-input-textarea', `다른 메시지 ${i}`);
+      await page.keyboard.press('Enter');
+    }
+
+    // 검색 패널 열고 키워드 검색
+    await page.locator('button[title="메시지 검색"]').click();
+    await expect(page.locator('.message-search-panel')).toBeVisible();
+    await page.fill('.message-search-input', keyword);
+    await page.locator('.message-search-panel button[title="검색"]').click();
+
+    const result = page.locator('.search-result-item', { hasText: keyword });
+    await expect(result).toHaveCount(1);
+    await expect(result.locator('mark')).toHaveText(keyword);
+
+    // 결과 클릭 시 해당 메시지로 이동 및 강조
+    await result.click();
+    await expect(page.locator('.message-highlight', { hasText: targetText })).toBeVisible();
+
+    await page.close();
+  });
+});
@@ -0,0 +1,55 @@
+// test/messaging/pinned-message.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('메시지 고정 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('메시지 고정, 이동 및 고정 해제', async ({ browser }) => {
+    const pinner = await browser.newPage();
+    const pinnerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(pinner, pinnerCreds);
+    await helpers.joinOrCreateRoom(pinner, 'Pin');
+
+    const roomParam = new URLSearchParams(new URL(pinner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    const viewerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(viewer, viewerCreds);
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    // 고정할 메시지 전송
+    const pinnedText = `회의 링크 ${Date.now()}`;
+    await pinner.fill('.chat-input-textarea', pinnedText);
+    await pinner.keyboard.press('Enter');
+
+    const target = pinner.locator('.message-group', { hasText: pinnedText }).last();
+    await expect(target).toBeVisible();
+
+    // 메시지 고정 후 양쪽 모두 고정 바와 시스템 메시지 확인
+    await target.hover();
+    await target.locator('button[title="메시지 고정"]').click();
+
+    for (const page of [pinner, viewer]) {
+      await expect(page.locator('.pinned-message-bar')).toContainText(pinnedText);
+      await expect(
+        page.locator('.message-system', { hasText: '메시지를 고정하였습니다.' }).last()
+      ).toBeVisible();
+    }
+
+    // 고정 바 클릭 시 해당 메시지로 이동 및 강조
+    await viewer.locator('.pinned-message-content').click();
+    await expect(viewer.locator('.message-highlight', { hasText: pinnedText })).toBeVisible();
+
+    // 고정 해제 시 고정 바 제거
+    await viewer.locator('.pinned-message-unpin').click();
+    for (const page of [pinner, viewer]) {
+      await expect(page.locator('.pinned-message-bar')).toHaveCount(0);
+    }
+
+    await Promise.all([pinner.close(), viewer.close()]);
+  });
+});
@@ -0,0 +1,55 @@
+// test/messaging/quote-reply.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('인용 답장 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('메시지 인용 답장 및 원본 이동', async ({ browser }) => {
+    const author = await browser.newPage();
+    const authorCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(author, authorCreds);
+    await helpers.joinOrCreateRoom(author, 'Quote');
+
+    const roomParam = new URLSearchParams(new URL(author.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const replier = await browser.newPage();
+    const replierCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(replier, replierCreds);
+    await helpers.joinRoomByURLParam(replier, roomParam);
+
+    // 원본 메시지 전송
+    const originalText = `인용할 원본 메시지 ${Date.now()}`;
+    await author.fill('.chat-input-textarea', originalText);
+    await author.keyboard.press('Enter');
+
+    const original = replier.locator('.message-group', { hasText: originalText }).last();
+    await expect(original).toBeVisible();
+
+    // 답장 선택 후 입력창 위 인용 미리보기 확인
+    await original.hover();
+    await original.locator('button[title="답장"]').click();
+    await expect(replier.locator('.message-quote-preview')).toContainText(originalText);
+
+    const replyText = `인용 답장 ${Date.now()}`;
+    await replier.fill('.chat-input-textarea', replyText);
+    await replier.keyboard.press('Enter');
+    await expect(replier.locator('.message-quote-preview')).toHaveCount(0);
+
+    // 두 사용자 모두 인용 블록 확인
+    for (const page of [author, replier]) {
+      const reply = page.locator('.message-group', { hasText: replyText }).last();
+      await expect(reply.locator('.message-quote')).toContainText(originalText);
+    }
+
+    // 인용 블록 클릭 시 원본 메시지로 이동 및 강조
+    const authorReply = author.locator('.message-group', { hasText: replyText }).last();
+    await authorReply.locator('.message-quote').click();
+    await expect(author.locator('.message-highlight', { hasText: originalText })).toBeVisible();
+
+    await Promise.all([author.close(), replier.close()]);
+  });
+});
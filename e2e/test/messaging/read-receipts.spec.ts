@@ -0,0 +1,56 @@
+// test/messaging/read-receipts.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('읽은 사람 보기 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('메시지를 읽은 사용자와 읽은 시각 표시', async ({ browser }) => {
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinOrCreateRoom(sender, 'Receipt');
+
+    const roomParam = new URLSearchParams(new URL(sender.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const reader = await browser.newPage();
+    const readerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(reader, readerCreds);
+    await helpers.joinRoomByURLParam(reader, roomParam);
+
+    // 공지 메시지 전송 후 다른 참여자 화면에 표시되어 읽음 처리
+    const noticeText = `공지 ${Date.now()}`;
+    await sender.fill('.chat-input-textarea', noticeText);
+    await sender.keyboard.press('Enter');
+    await expect(reader.locator('.message-group', { hasText: noticeText }).last()).toBeVisible();
+
+    // 작성자가 읽은 사람 목록을 열면 읽은 사용자와 시각 확인
+    const target = sender.locator('.message-group', { hasText: noticeText }).last();
+    await expect(target).toBeVisible();
+    const popover = sender.locator('.message-readers-popover');
+    await expect(async () => {
+      // 읽음 처리 전에 열렸다면 닫고 다시 열어 최신 기록 조회
+      if (await popover.count()) {
+        await sender.locator('.chat-input-textarea').click();
+      }
+      await target.hover();
+      await target.locator('button[title="읽은 사람 보기"]').click();
+
+      await expect(popover).toContainText('읽음 1');
+      await expect(popover.locator('.message-readers-item', { hasText: readerCreds.name })
+        .locator('.message-readers-time')).toBeVisible();
+
+      // 작성자 본인은 목록에 포함하지 않음
+      await expect(popover).not.toContainText(senderCreds.name);
+    }).toPass({ timeout: 15000 });
+
+    // 바깥을 클릭하면 닫힘
+    await sender.locator('.chat-input-textarea').click();
+    await expect(popover).toHaveCount(0);
+
+    await Promise.all([sender.close(), reader.close()]);
+  });
+});
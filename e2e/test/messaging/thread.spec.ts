@@ -0,0 +1,52 @@
+// test/messaging/thread.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('스레드 답글 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('스레드 답글 작성 및 답글 수 표시', async ({ browser }) => {
+    const author = await browser.newPage();
+    const authorCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(author, authorCreds);
+    await helpers.joinOrCreateRoom(author, 'Thread');
+
+    const roomParam = new URLSearchParams(new URL(author.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const replier = await browser.newPage();
+    const replierCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(replier, replierCreds);
+    await helpers.joinRoomByURLParam(replier, roomParam);
+
+    // 부모 메시지 전송
+    const parentText = `스레드 부모 메시지 ${Date.now()}`;
+    await author.fill('.chat-input-textarea', parentText);
+    await author.keyboard.press('Enter');
+
+    const parentMessage = replier.locator('.message-group', { hasText: parentText }).last();
+    await expect(parentMessage).toBeVisible();
+
+    // 스레드 열고 답글 작성
+    const replyText = `스레드 답글 ${Date.now()}`;
+    await parentMessage.hover();
+    await parentMessage.locator('button[title="스레드에서 답글"]').click();
+    await expect(replier.locator('.thread-panel')).toBeVisible();
+    await replier.fill('.thread-reply-input', replyText);
+    await replier.locator('.thread-reply-input').press('Enter');
+    await expect(replier.locator('.thread-panel .thread-item', { hasText: replyText })).toBeVisible();
+
+    // 답글은 메인 채팅에 표시되지 않고 부모 메시지에 답글 수로 표시
+    const authorParent = author.locator('.message-group', { hasText: parentText }).last();
+    await expect(authorParent.locator('.thread-summary')).toContainText('답글 1개');
+    await expect(author.locator('.message-list .message-group', { hasText: replyText })).toHaveCount(0);
+
+    // 답글 수를 눌러 스레드 열기
+    await authorParent.locator('.thread-summary').click();
+    await expect(author.locator('.thread-panel .thread-item', { hasText: replyText })).toBeVisible();
+
+    await Promise.all([author.close(), replier.close()]);
+  });
+});
@@ -0,0 +1,44 @@
+// test/messaging/typing-indicator.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('입력 중 표시 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('다른 참여자의 입력 중 상태 표시 및 해제', async ({ browser }) => {
+    const writer = await browser.newPage();
+    const writerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(writer, writerCreds);
+    await helpers.joinOrCreateRoom(writer, 'Typing');
+
+    const roomParam = new URLSearchParams(new URL(writer.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const viewer = await browser.newPage();
+    const viewerCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(viewer, viewerCreds);
+    await helpers.joinRoomByURLParam(viewer, roomParam);
+
+    const indicator = viewer.locator('.chat-typing-indicator');
+
+    // 입력을 시작하면 다른 참여자에게 표시
+    await writer.locator('.chat-input-textarea').pressSequentially('입력 중인 메시지');
+    await expect(indicator).toContainText(`${writerCreds.name}님이 입력 중입니다`);
+
+    // 본인 화면에는 표시하지 않음
+    await expect(writer.locator('.chat-typing-indicator')).toHaveCount(0);
+
+    // 메시지를 보내면 바로 해제
+    await writer.keyboard.press('Enter');
+    await expect(indicator).toHaveCount(0);
+
+    // 입력을 멈추면 잠시 후 자동으로 해제
+    await writer.locator('.chat-input-textarea').pressSequentially('멈춘 입력');
+    await expect(indicator).toBeVisible();
+    await expect(indicator).toHaveCount(0, { timeout: 15000 });
+
+    await Promise.all([writer.close(), viewer.close()]);
+  });
+});
@@ -22,11 +22,31 @@ test.describe('실시간 상태 테스트', () => {
     await helpers.joinRoomByURLParam(user2, user1RoomParam);
 
     // 타이핑 표시 확인
-    // await user1.fill('.chat-input-textarea', 'typing...');
-    // await expect(user2.locator('.typing-indicator')).toBeVisible();
+    await user1.locator('.chat-input-textarea').pressSequentially('typing...');
+    await expect(user2.locator('.chat-typing-indicator')).toBeVisible();
+
+    // 메시지 아바타의 접속 상태 표시 확인
+    const presenceMessage = `접속 상태 확인 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', presenceMessage);
+    await user1.keyboard.press('Enter');
+    const user1Status = user2
+      .locator('.message-group', { hasText: presenceMessage })
+      .locator('.presence-dot');
+    await expect(user1Status).toHaveClass(/status-online/, { timeout: 20000 });
 
     // 탭 전환 시 상태 변경 확인
-    // await user1.evaluate(() => document.hidden = true);
-    // await expect(user2.locator(`[data-user-id="${user1Creds.email}"] .status-away`)).toBeVisible();
+    await user1.evaluate(() => {
+      Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+      Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+      document.dispatchEvent(new Event('visibilitychange'));
+    });
+    await expect(user1Status).toHaveClass(/status-away/, { timeout: 20000 });
+
+    // 연결이 끊기면 오프라인과 마지막 접속 시각 표시
+    await user1.close();
+    await expect(user1Status).toHaveClass(/status-offline/, { timeout: 30000 });
+    await expect(user1Status).toHaveAttribute('title', /마지막 접속/);
+
+    await user2.close();
   });
 });
@@ -6,12 +6,13 @@ import * as dotenv from 'dotenv';
 dotenv.config();
 
 export class MessageService {
-  private openai: OpenAI;
+  private openai: OpenAI | null;
 
   constructor() {
-    this.openai = new OpenAI({ 
-      apiKey: process.env.OPENAI_API_KEY 
-    });
+    // API 키가 없으면 (오프라인 실행) 원본 메시지를 그대로 사용
+    this.openai = process.env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : null;
   }
 
   async generateMessage(
@@ -45,6 +46,10 @@ export class MessageService {
         }
       }
 
+      if (!this.openai) {
+        return finalPrompt;
+      }
+
       // OpenAI API 호출
       try {
         const completion = await this.openai.chat.completions.create({
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Spinner, Text } from '@goorm-dev/vapor-components';
+import { Search, Hash, FileText, Lock, MessageSquare, MessageCircle } from 'lucide-react';
+import HighlightedText from './common/HighlightedText';
+import searchService from '../services/searchService';
+import { useAIPersonas } from '../hooks/useAIPersonas';
+
+const SEARCH_DEBOUNCE_DELAY = 300;
+const MIN_QUERY_LENGTH = 2;
+
+const formatResultTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const getSenderName = (result, getPersonaName) => {
+  if (result.type === 'ai') {
+    return getPersonaName(result.aiType);
+  }
+  return result.sender?.name || '알 수 없는 사용자';
+};
+
+const GlobalSearch = () => {
+  const { getPersonaName } = useAIPersonas();
+  const router = useRouter();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // 입력이 멈춘 후 검색 요청 (마지막 요청 결과만 반영)
+  useEffect(() => {
+    const trimmedQuery = query.trim();
+    if (trimmedQuery.length < MIN_QUERY_LENGTH) {
+      requestIdRef.current++;
+      setResults(null);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await searchService.searchAll(trimmedQuery);
+        if (requestId === requestIdRef.current) {
+          setResults(data);
+        }
+      } catch (error) {
+        if (requestId === requestIdRef.current) {
+          setError(error.message);
+        }
+      } finally {
+        if (requestId === requestIdRef.current) {
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const navigate = useCallback((roomId, messageId = null, timestamp = null) => {
+    setIsOpen(false);
+    const params = new URLSearchParams({ room: roomId });
+    if (messageId) params.set('message', messageId);
+    if (timestamp) params.set('at', timestamp);
+    router.push(`/chat?${params.toString()}`);
+  }, [router]);
+
+  // 스레드 답글은 부모 메시지 위치로 이동
+  const handleResultSelect = useCallback((roomId, result) => {
+    if (result.parentMessage) {
+      navigate(roomId, result.parentMessage);
+    } else {
+      navigate(roomId, result._id, result.timestamp);
+    }
+  }, [navigate]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      e.currentTarget.blur();
+    }
+  }, []);
+
+  const renderResults = () => {
+    if (loading && !results) {
+      return (
+        <div className="global-search-status">
+          <Spinner size="sm" />
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="global-search-status">
+          <Text size="sm" color="danger">{error}</Text>
+        </div>
+      );
+    }
+
+    if (!results) return null;
+
+    if (results.rooms.length === 0) {
+      return (
+        <div className="global-search-status">
+          <Text size="sm" color="secondary">검색 결과가 없습니다.</Text>
+        </div>
+      );
+    }
+
+    return results.rooms.map(room => (
+      <div key={room._id} className="global-search-group">
+        <button
+          type="button"
+          className="global-search-room"
+          onClick={() => navigate(room._id)}
+        >
+          {room.type === 'direct' ? (
+            <MessageCircle className="w-4 h-4" />
+          ) : (
+            <Hash className="w-4 h-4" />
+          )}
+          <span className="global-search-room-name">{room.name}</span>
+          {room.hasPassword && <Lock className="w-3 h-3" />}
+        </button>
+
+        {room.files.map(result => (
+          <button
+            key={`file-${result._id}`}
+            type="button"
+            className="global-search-item"
+            onClick={() => handleResultSelect(room._id, result)}
+          >
+            <FileText className="w-4 h-4 flex-shrink-0" />
+            <div className="global-search-item-body">
+              <span className="global-search-item-text">{result.file?.originalname}</span>
+              <span className="global-search-item-meta">
+                {result.sender?.name || '알 수 없는 사용자'} · {formatResultTime(result.timestamp)}
+              </span>
+            </div>
+          </button>
+        ))}
+
+        {room.messages.map(result => (
+          <button
+            key={`message-${result._id}`}
+            type="button"
+            className="global-search-item"
+            onClick={() => handleResultSelect(room._id, result)}
+          >
+            <MessageSquare className="w-4 h-4 flex-shrink-0" />
+            <div className="global-search-item-body">
+              <HighlightedText
+                className="global-search-item-text"
+                text={result.snippet}
+                highlights={result.highlights}
+              />
+              <span className="global-search-item-meta">
+                {getSenderName(result, getPersonaName)} · {formatResultTime(result.timestamp)}
+              </span>
+            </div>
+          </button>
+        ))}
+      </div>
+    ));
+  };
+
+  return (
+    <div className="global-search" ref={containerRef}>
+      <div className="global-search-input-wrapper">
+        <Search className="w-4 h-4" />
+        <input
+          type="search"
+          className="global-search-input"
+          placeholder="전체 채팅방 검색"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          aria-label="전체 채팅방 검색"
+        />
+        {loading && results && <Spinner size="sm" />}
+      </div>
+
+      {isOpen && query.trim().length >= MIN_QUERY_LENGTH && (
+        <div className="global-search-results">
+          {renderResults()}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -10,6 +10,7 @@ import {
  DropdownItem
 } from '@goorm-dev/vapor-components';
 import PersistentAvatar from './common/PersistentAvatar';
+import GlobalSearch from './GlobalSearch';
 import authService from '../services/authService';
 
 const Navbar = () => {
@@ -64,6 +65,7 @@ const Navbar = () => {
  };
 
  const isInChatRooms = router.pathname === '/chat-rooms';
+ const isInDirectMessages = router.pathname === '/direct-messages';
 
  return (
    <nav className="global-nav">
@@ -102,6 +104,13 @@ const Navbar = () => {
                >
                  채팅방 목록
                </Button>
+               <Button
+                 variant={isInDirectMessages ? "primary" : "text"}
+                 onClick={() => handleNavigation('/direct-messages')}
+                 size="lg"
+               >
+                 1:1 대화
+               </Button>
                <Button
                  variant="secondary"
                  onClick={() => handleNavigation('/chat-rooms/new')}
@@ -109,6 +118,7 @@ const Navbar = () => {
                >
                  새 채팅방
                </Button>
+               <GlobalSearch />
              </div>
            )}
          </div>
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { Copy, Link, XCircle } from 'lucide-react';
+import roomService from '../services/roomService';
+import { Toast } from './Toast';
+
+const EXPIRY_OPTIONS = [
+  { value: 1, label: '1시간' },
+  { value: 24, label: '1일' },
+  { value: 7 * 24, label: '7일' }
+];
+
+const STATUS_LABELS = {
+  active: '사용 가능',
+  expired: '만료됨',
+  exhausted: '사용 완료',
+  revoked: '폐기됨'
+};
+
+const formatInviteTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const getInviteUrl = (token) =>
+  `${window.location.origin}/chat-rooms/invite/${encodeURIComponent(token)}`;
+
+const RoomInviteManager = ({ roomId }) => {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(EXPIRY_OPTIONS[1].value);
+  const [maxUses, setMaxUses] = useState(10);
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    roomService.getInvites(roomId)
+      .then(data => {
+        if (!cancelled) setInvites(data);
+      })
+      .catch(error => {
+        if (!cancelled) setError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  const handleCopy = useCallback(async (token) => {
+    try {
+      await navigator.clipboard.writeText(getInviteUrl(token));
+      Toast.success('초대 링크가 클립보드에 복사되었습니다.');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      Toast.error('초대 링크 복사에 실패했습니다.');
+    }
+  }, []);
+
+  const handleCreate = useCallback(async () => {
+    try {
+      setCreating(true);
+      const invite = await roomService.createInvite(roomId, { expiresInHours, maxUses });
+      setInvites(prev => [invite, ...prev]);
+      await handleCopy(invite.token);
+    } catch (error) {
+      Toast.error(error.message);
+    } finally {
+      setCreating(false);
+    }
+  }, [roomId, expiresInHours, maxUses, handleCopy]);
+
+  const handleRevoke = useCallback(async (inviteId) => {
+    if (!window.confirm('초대 링크를 폐기하시겠습니까?')) return;
+
+    try {
+      const revoked = await roomService.revokeInvite(roomId, inviteId);
+      setInvites(prev => prev.map(invite => invite._id === revoked._id ? revoked : invite));
+    } catch (error) {
+      Toast.error(error.message);
+    }
+  }, [roomId]);
+
+  return (
+    <div className="room-invite-manager">
+      <Text weight="bold">초대 링크</Text>
+
+      <div className="room-invite-form">
+        <select
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(Number(e.target.value))}
+          aria-label="유효 기간"
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min={1}
+          max={100}
+          value={maxUses}
+          onChange={(e) => setMaxUses(Number(e.target.value))}
+          aria-label="최대 사용 횟수"
+        />
+        <span className="room-invite-unit">회</span>
+        <Button size="sm" onClick={handleCreate} disabled={creating}>
+          <Link className="w-4 h-4" /> 링크 만들기
+        </Button>
+      </div>
+
+      {loading && (
+        <div className="loading-messages">
+          <Spinner size="sm" className="text-primary" />
+        </div>
+      )}
+
+      {error && (
+        <Text size="sm" color="danger">{error}</Text>
+      )}
+
+      {!loading && !error && invites.length === 0 && (
+        <Text size="sm" color="secondary">생성된 초대 링크가 없습니다.</Text>
+      )}
+
+      <div className="room-invite-list">
+        {invites.map(invite => (
+          <div key={invite._id} className={`room-invite-item status-${invite.status}`}>
+            <div className="room-invite-info">
+              <span className="room-invite-status">{STATUS_LABELS[invite.status]}</span>
+              <span className="room-invite-meta">
+                {invite.uses}/{invite.maxUses}회 사용 · {formatInviteTime(invite.expiresAt)}까지
+              </span>
+              {invite.status === 'active' && (
+                <input
+                  type="text"
+                  className="room-invite-link"
+                  value={getInviteUrl(invite.token)}
+                  onFocus={(e) => e.target.select()}
+                  readOnly
+                  aria-label="초대 링크"
+                />
+              )}
+            </div>
+            {invite.status === 'active' && (
+              <div className="room-invite-actions">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleCopy(invite.token)}
+                  title="초대 링크 복사"
+                >
+                  <Copy className="w-4 h-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleRevoke(invite._id)}
+                  title="초대 링크 폐기"
+                >
+                  <XCircle className="w-4 h-4" />
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RoomInviteManager;
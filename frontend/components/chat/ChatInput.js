@@ -11,8 +11,12 @@ import MarkdownToolbar from './MarkdownToolbar';
 import EmojiPicker from './EmojiPicker';
 import MentionDropdown from './MentionDropdown';
 import FilePreview from './FilePreview';
+import MessageQuote from './Message/MessageQuote';
 import fileService from '../../services/fileService';
 
+const TYPING_THROTTLE = 3000; // 입력 중 알림 재전송 최소 간격 (3초)
+const TYPING_IDLE_TIMEOUT = 3000; // 입력이 멈춘 뒤 입력 종료로 보는 시간 (3초)
+
 const ChatInput = forwardRef(
   (
     {
@@ -35,6 +39,10 @@ const ChatInput = forwardRef(
       setMentionFilter = () => {},
       setMentionIndex = () => {},
       room = null,
+      replyTarget = null,
+      onReplyCancel = () => {},
+      onTypingStart = () => {},
+      onTypingStop = () => {},
     },
     ref
   ) => {
@@ -49,6 +57,45 @@ const ChatInput = forwardRef(
     const [uploadProgress, setUploadProgress] = useState(0);
     const [uploadError, setUploadError] = useState(null);
     const [isDragging, setIsDragging] = useState(false);
+    const lastTypingStartRef = useRef(0);
+    const typingIdleTimerRef = useRef(null);
+
+    // 입력 종료 알림 (입력 중 알림을 보낸 경우에만)
+    const stopTyping = useCallback(() => {
+      if (typingIdleTimerRef.current) {
+        clearTimeout(typingIdleTimerRef.current);
+        typingIdleTimerRef.current = null;
+      }
+      if (lastTypingStartRef.current) {
+        lastTypingStartRef.current = 0;
+        onTypingStop();
+      }
+    }, [onTypingStop]);
+
+    // 입력 중 알림은 일정 간격으로만 보내고, 입력이 멈추면 종료 알림
+    const notifyTyping = useCallback(
+      (value) => {
+        if (!value.trim()) {
+          stopTyping();
+          return;
+        }
+
+        const now = Date.now();
+        if (now - lastTypingStartRef.current >= TYPING_THROTTLE) {
+          lastTypingStartRef.current = now;
+          onTypingStart();
+        }
+
+        if (typingIdleTimerRef.current) {
+          clearTimeout(typingIdleTimerRef.current);
+        }
+        typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+      },
+      [onTypingStart, stopTyping]
+    );
+
+    // 입력 도중 채팅방을 벗어나면 종료 알림
+    useEffect(() => stopTyping, [stopTyping]);
 
     // useCallback으로 최적화: 파일 검증 및 미리보기
     const handleFileValidationAndPreview = useCallback(
@@ -130,6 +177,7 @@ const ChatInput = forwardRef(
 
             setMessage('');
             setFiles([]);
+            stopTyping();
           } catch (error) {
             console.error('File submit error:', error);
             setUploadError(error.message);
@@ -140,9 +188,10 @@ const ChatInput = forwardRef(
             content: message.trim(),
           });
           setMessage('');
+          stopTyping();
         }
       },
-      [files, message, onSubmit, setMessage]
+      [files, message, onSubmit, setMessage, stopTyping]
     );
 
     // useEffect로 최적화: 외부 클릭 및 붙여넣기 처리
@@ -226,6 +275,7 @@ const ChatInput = forwardRef(
 
         // 메시지 상태 업데이트는 이곳에서만 진행
         onMessageChange(e);
+        notifyTyping(value);
 
         if (lastAtSymbol !== -1) {
           const textAfterAt = textBeforeCursor.slice(lastAtSymbol + 1);
@@ -241,7 +291,7 @@ const ChatInput = forwardRef(
 
         setShowMentionList(false);
       },
-      [onMessageChange, setMentionFilter, setShowMentionList, setMentionIndex]
+      [onMessageChange, notifyTyping, setMentionFilter, setShowMentionList, setMentionIndex]
     );
 
     // useCallback으로 최적화: 멘션 선택 처리
@@ -416,6 +466,10 @@ const ChatInput = forwardRef(
         onDrop={handleFileDrop}
       >
         <div className="chat-input">
+          {replyTarget && (
+            <MessageQuote quote={replyTarget} onRemove={onReplyCancel} />
+          )}
+
           {files.length > 0 && (
             <FilePreview
               files={files}
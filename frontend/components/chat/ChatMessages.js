@@ -6,7 +6,13 @@ import React, {
   useMemo,
 } from 'react';
 import { Spinner, Text } from '@goorm-dev/vapor-components';
-import { SystemMessage, FileMessage, UserMessage, AIMessage } from './Message';
+import {
+  SystemMessage,
+  FileMessage,
+  UserMessage,
+  AIMessage,
+  DeletedMessage,
+} from './Message';
 
 // ScrollHandler 클래스 정의
 class ScrollHandler {
@@ -274,6 +280,19 @@ const ChatMessages = ({
   onLoadMore = () => {},
   onReactionAdd = () => {},
   onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  onThreadOpen,
+  onQuoteSelect,
+  onQuoteClick,
+  pinnedMessageIds = [],
+  onPinToggle,
+  onAICancel,
+  onAIRegenerate,
+  onAIRetry,
+  onAIVariantSelect,
+  onAIDismiss,
+  presences = {},
   messagesEndRef,
   socketRef,
   scrollToBottomOnNewMessage = true,
@@ -422,7 +441,21 @@ const ChatMessages = ({
     if (!Array.isArray(messages)) return [];
 
     const streamingArray = Object.values(streamingMessages || {});
-    const combinedMessages = [...messages, ...streamingArray];
+
+    // 다시 생성 중인 응답은 원래 메시지 자리에 표시
+    const regenerating = new Map(
+      streamingArray
+        .filter((stream) => stream.targetMessageId)
+        .map((stream) => [stream.targetMessageId, stream])
+    );
+    const combinedMessages = [
+      ...messages.map((msg) =>
+        regenerating.has(msg._id)
+          ? { ...regenerating.get(msg._id), timestamp: msg.timestamp }
+          : msg
+      ),
+      ...streamingArray.filter((stream) => !stream.targetMessageId),
+    ];
 
     return combinedMessages.sort((a, b) => {
       if (!a?.timestamp || !b?.timestamp) return 0;
@@ -455,8 +488,30 @@ const ChatMessages = ({
         room,
         onReactionAdd,
         onReactionRemove,
+        onMessageEdit,
+        onMessageDelete,
+        onThreadOpen,
+        onQuoteSelect,
+        onQuoteClick,
+        onPinToggle,
+        onAICancel,
+        onAIRegenerate,
+        onAIRetry,
+        onAIVariantSelect,
+        onAIDismiss,
       };
 
+      if (msg.isDeleted) {
+        return (
+          <DeletedMessage
+            key={msg._id || `msg-${idx}`}
+            msg={msg}
+            isMine={isMine(msg)}
+            currentUser={currentUser}
+          />
+        );
+      }
+
       const MessageComponent =
         {
           system: SystemMessage,
@@ -473,6 +528,8 @@ const ChatMessages = ({
           content={msg.content}
           isMine={msg.type !== 'system' ? isMine(msg) : undefined}
           isStreaming={msg.type === 'ai' ? msg.isStreaming || false : undefined}
+          isPinned={pinnedMessageIds.includes(msg._id)}
+          presence={msg.type === 'ai' ? undefined : presences[msg.sender?._id]}
           messageRef={msg}
           socketRef={socketRef}
         />
@@ -485,6 +542,19 @@ const ChatMessages = ({
       isMine,
       onReactionAdd,
       onReactionRemove,
+      onMessageEdit,
+      onMessageDelete,
+      onThreadOpen,
+      onQuoteSelect,
+      onQuoteClick,
+      pinnedMessageIds,
+      onPinToggle,
+      onAICancel,
+      onAIRegenerate,
+      onAIRetry,
+      onAIVariantSelect,
+      onAIDismiss,
+      presences,
       socketRef,
     ]
   );
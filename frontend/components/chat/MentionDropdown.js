@@ -42,7 +42,7 @@ const MentionDropdown = ({
     if (!user) return {};
 
     if (user.isAI) {
-      const aiStyles = getAIAvatarStyles(user.name);
+      const aiStyles = getAIAvatarStyles(user.color);
       return {
         backgroundColor: aiStyles.backgroundColor,
         color: aiStyles.color,
@@ -62,7 +62,7 @@ const MentionDropdown = ({
   const renderUserBadge = useCallback((user) => {
     if (user.isAI) {
       return (
-        <span className="mention-badge ai">
+        <span className="mention-badge ai" title={user.description || undefined}>
           AI 어시스턴트
         </span>
       );
@@ -76,10 +76,10 @@ const MentionDropdown = ({
   }, []);
 
   const getAvatarContent = useCallback((user) => {
-    if (user.isAI) {
-      return user.name === 'wayneAI' ? 'W' : 'C';
+    if (user.isAI && user.avatar) {
+      return <img src={user.avatar} alt="" className="mention-avatar-image" />;
     }
-    return user.name.charAt(0).toUpperCase();
+    return (user.displayName || user.name).charAt(0).toUpperCase();
   }, []);
 
   const handleKeyDown = useCallback((e, user) => {
@@ -122,7 +122,7 @@ const MentionDropdown = ({
             
             <div className="mention-info">
               <span className="mention-name">
-                {user.isAI ? (user.name === 'wayneAI' ? 'Wayne AI' : 'Consulting AI') : user.name}
+                {user.isAI ? user.displayName : user.name}
               </span>
               {renderUserBadge(user)}
             </div>
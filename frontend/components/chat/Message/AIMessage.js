@@ -1,8 +1,13 @@
 import React from 'react';
+import { Square, ChevronLeft, ChevronRight, RotateCcw, EyeOff, X } from 'lucide-react';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ThreadSummary from './ThreadSummary';
+import MessageQuote from './MessageQuote';
+import AIToolSteps from './AIToolSteps';
 import ReadStatus from '../ReadStatus';
+import { useAIPersonas } from '../../../hooks/useAIPersonas';
 
 const AIMessage = ({ 
   msg = {}, 
@@ -11,6 +16,17 @@ const AIMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onQuoteSelect,
+  onQuoteClick,
+  isPinned = false,
+  onPinToggle,
+  onAICancel,
+  onAIRegenerate,
+  onAIRetry,
+  onAIVariantSelect,
+  onAIDismiss,
   room = null,
   messageRef,
   socketRef
@@ -25,31 +41,128 @@ const AIMessage = ({
     hour12: false
   }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
 
-  // AI 사용자 정보 생성
-  const aiUser = {
-    name: msg.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI',
-    email: msg.aiType === 'wayneAI' ? 'ai@wayne.ai' : 'ai@consulting.ai',
-    avatarInitial: msg.aiType === 'wayneAI' ? 'W' : 'C'
-  };
+  const { getPersonaUser } = useAIPersonas();
+
+  // AI 사용자 정보 생성 (페르소나 레지스트리 기준)
+  const aiUser = getPersonaUser(msg.aiType);
+
+  // 응답을 요청한 사용자 또는 채팅방 관리자만 생성 중단 가능
+  const myRole = room?.participants?.find(participant => participant._id === currentUser?.id)?.role
+    || room?.myRole;
+  const canCancel = isStreaming && !!onAICancel && (
+    msg.requesterId === currentUser?.id || myRole === 'admin' || myRole === 'owner'
+  );
+  const variantCount = msg.aiVariants?.length || 0;
+  const activeVariant = msg.activeVariant || 0;
+  const isCancelled = variantCount > 0
+    ? !!msg.aiVariants[activeVariant]?.cancelled
+    : !!msg.metadata?.cancelled;
+  const summary = msg.metadata?.summary;
+  // 생성 중에는 실시간 단계, 완료된 응답은 선택된 응답을 만들 때 호출한 도구 기록
+  const toolSteps = isStreaming
+    ? msg.toolSteps
+    : variantCount > 0
+      ? msg.aiVariants[activeVariant]?.toolSteps
+      : msg.metadata?.toolSteps;
+
+  // 응답 생성에 실패한 경우 오류와 다시 시도 버튼 표시
+  if (msg.isFailed) {
+    return (
+      <div className="message-group yours" data-message-id={msg._id}>
+        <div className="message-sender-info">
+          <PersistentAvatar 
+            user={aiUser}
+            size="lg"
+            showInitials={true}
+          />
+          <span className="sender-name">
+            {aiUser.name}
+          </span>
+        </div>
+        <div className="message-bubble message-ai message-ai-failed last">
+          <div className="message-content">
+            <div className="ai-failed-text">{msg.error || 'AI 응답 생성 중 오류가 발생했습니다.'}</div>
+            {msg.sourceMessageId && onAIRetry && (
+              <button
+                type="button"
+                className="ai-retry-button"
+                onClick={() => onAIRetry(msg)}
+              >
+                <RotateCcw className="w-3 h-3" />
+                <span>다시 시도</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // 요청한 사용자에게만 보이는 응답 (저장되지 않음)
+  const renderPrivateLabel = () => (
+    <div className="ai-private-label">
+      <EyeOff className="w-3 h-3" />
+      <span>나에게만 보이는 응답입니다. 저장되지 않습니다.</span>
+      {!isStreaming && onAIDismiss && (
+        <button
+          type="button"
+          className="ai-private-dismiss"
+          onClick={() => onAIDismiss(msg._id)}
+          title="닫기"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
 
   const renderContent = () => {
     if (isStreaming) {
       return (
         <>
+          {msg.isPrivate && renderPrivateLabel()}
+          <AIToolSteps steps={toolSteps} isStreaming />
           <MessageContent content={msg.content} />
-          <div className="typing-indicator">
-            <span></span>
-            <span></span>
-            <span></span>
+          <div className="ai-streaming-status">
+            <div className="typing-indicator">
+              <span></span>
+              <span></span>
+              <span></span>
+            </div>
+            {canCancel && (
+              <button
+                type="button"
+                className="ai-stop-button"
+                onClick={() => onAICancel(msg._id)}
+                title="응답 중단"
+              >
+                <Square className="w-3 h-3" />
+                <span>중단</span>
+              </button>
+            )}
           </div>
         </>
       );
     }
-    return <MessageContent content={msg.content} />;
+    return (
+      <>
+        {msg.isPrivate && renderPrivateLabel()}
+        {summary && (
+          <div className="ai-summary-label">
+            {summary.sinceLastRead ? '마지막으로 읽은 이후' : '선택한 기간의'} 대화 {summary.messageCount}개 요약
+          </div>
+        )}
+        <AIToolSteps steps={toolSteps} />
+        <MessageContent content={msg.content} />
+        {isCancelled && (
+          <div className="ai-cancelled-label">응답이 중단되었습니다.</div>
+        )}
+      </>
+    );
   };
 
   return (
-    <div className="message-group yours">
+    <div className="message-group yours" data-message-id={msg._id}>
       <div className="message-sender-info">
         <PersistentAvatar 
           user={aiUser}
@@ -62,37 +175,76 @@ const AIMessage = ({
       </div>
       <div className="message-bubble message-ai last relative group">
         <div className="message-content">
+          {msg.replyTo && (
+            <MessageQuote quote={msg.replyTo} onClick={onQuoteClick} />
+          )}
           {renderContent()}
         </div>
         
         {!isStreaming && (
           <div className="message-footer">
+            {variantCount > 1 && (
+              <div className="ai-variant-nav mr-3">
+                <button
+                  type="button"
+                  onClick={() => onAIVariantSelect?.(msg._id, activeVariant - 1)}
+                  disabled={!onAIVariantSelect || activeVariant === 0}
+                  title="이전 응답"
+                >
+                  <ChevronLeft className="w-3 h-3" />
+                </button>
+                <span>{activeVariant + 1} / {variantCount}</span>
+                <button
+                  type="button"
+                  onClick={() => onAIVariantSelect?.(msg._id, activeVariant + 1)}
+                  disabled={!onAIVariantSelect || activeVariant >= variantCount - 1}
+                  title="다음 응답"
+                >
+                  <ChevronRight className="w-3 h-3" />
+                </button>
+              </div>
+            )}
             <div className="message-time mr-3">
               {formattedTime}
             </div>
-            <ReadStatus 
-              messageType={msg.type}
-              participants={room.participants}
-              readers={msg.readers}
-              messageId={msg._id}
-              messageRef={messageRef}
-              currentUserId={currentUser.id}
-              socketRef={socketRef}
-            />
+            {!msg.isPrivate && (
+              <ReadStatus 
+                messageType={msg.type}
+                participants={room.participants}
+                readers={msg.readers}
+                messageId={msg._id}
+                messageRef={messageRef}
+                currentUserId={currentUser.id}
+                socketRef={socketRef}
+              />
+            )}
           </div>
         )}        
       </div>
-      
-      <MessageActions 
-        messageId={msg._id}
-        messageContent={msg.content}
-        reactions={msg.reactions}
-        currentUserId={currentUser?.id}
-        onReactionAdd={onReactionAdd}
-        onReactionRemove={onReactionRemove}
-        isMine={isMine}
-        room={room}
-      />
+
+      {!msg.isPrivate && (
+        <>
+          <ThreadSummary msg={msg} onThreadOpen={onThreadOpen} />
+
+          <MessageActions 
+            messageId={msg._id}
+            messageContent={msg.content}
+            reactions={msg.reactions}
+            currentUserId={currentUser?.id}
+            onReactionAdd={onReactionAdd}
+            onReactionRemove={onReactionRemove}
+            onDelete={!isStreaming ? onMessageDelete : undefined}
+            onReply={!isStreaming && onThreadOpen ? () => onThreadOpen(msg) : undefined}
+            onQuote={!isStreaming && onQuoteSelect ? () => onQuoteSelect(msg) : undefined}
+            onPin={!isStreaming && onPinToggle ? () => onPinToggle(msg._id, isPinned) : undefined}
+            onRegenerate={!isStreaming && !summary && onAIRegenerate ? () => onAIRegenerate(msg._id) : undefined}
+            isPinned={isPinned}
+            showReaders={!isStreaming}
+            isMine={isMine}
+            room={room}
+          />
+        </>
+      )}
     </div>
   );
 };
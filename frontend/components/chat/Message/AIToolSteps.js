@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import {
+  Wrench,
+  ChevronDown,
+  ChevronRight,
+  Loader2,
+  CheckCircle2,
+  AlertCircle,
+  Ban
+} from 'lucide-react';
+
+const STATUS_ICONS = {
+  running: Loader2,
+  done: CheckCircle2,
+  error: AlertCircle,
+  cancelled: Ban
+};
+
+const STATUS_TEXT = {
+  running: '실행 중…',
+  cancelled: '중단됨'
+};
+
+// AI가 응답 중 호출한 도구 단계 (펼쳐서 단계별 인자와 결과 확인)
+// 생성 중에는 펼친 상태로 진행 상황을 보여주고, 완료된 응답은 접힌 상태로 표시
+const AIToolSteps = ({ steps = [], isStreaming = false }) => {
+  const [expanded, setExpanded] = useState(isStreaming);
+
+  if (!steps?.length) return null;
+
+  const isRunning = steps.some(step => step.status === 'running');
+  const Toggle = expanded ? ChevronDown : ChevronRight;
+
+  return (
+    <div className="ai-tool-steps">
+      <button
+        type="button"
+        className="ai-tool-steps-toggle"
+        onClick={() => setExpanded(prev => !prev)}
+        aria-expanded={expanded}
+      >
+        <Toggle className="w-3 h-3" />
+        <Wrench className="w-3 h-3" />
+        <span>{isRunning ? '도구 사용 중' : `도구 ${steps.length}개 사용`}</span>
+      </button>
+
+      {expanded && (
+        <ol className="ai-tool-step-list">
+          {steps.map((step, index) => {
+            const StatusIcon = STATUS_ICONS[step.status] || CheckCircle2;
+            const result = step.error || step.summary || STATUS_TEXT[step.status];
+
+            return (
+              <li key={`${step.id}-${index}`}>
+                <details
+                  className="ai-tool-step"
+                  data-tool={step.name}
+                  data-status={step.status}
+                >
+                  <summary>
+                    <StatusIcon className={`w-3 h-3 ai-tool-step-icon${step.status === 'running' ? ' animate-spin' : ''}`} />
+                    <span className="ai-tool-step-label">{step.label || step.name}</span>
+                    {result && <span className="ai-tool-step-result">{result}</span>}
+                  </summary>
+                  <dl className="ai-tool-step-detail">
+                    <dt>도구</dt>
+                    <dd>{step.name}</dd>
+                    <dt>인자</dt>
+                    <dd><code>{step.arguments || '{}'}</code></dd>
+                    {step.error && (
+                      <>
+                        <dt>오류</dt>
+                        <dd>{step.error}</dd>
+                      </>
+                    )}
+                  </dl>
+                </details>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(AIToolSteps);
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Trash2 } from 'lucide-react';
+import PersistentAvatar from '../../common/PersistentAvatar';
+
+const DeletedMessage = ({ msg = {}, isMine = false, currentUser = null }) => {
+  const user = isMine ? currentUser : msg.sender;
+
+  return (
+    <div className="messages" data-message-id={msg._id}>
+      <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
+        {user && (
+          <div className="message-sender-info">
+            <PersistentAvatar
+              user={user}
+              size="lg"
+              showInitials={true}
+            />
+            <span className="sender-name">
+              {isMine ? '나' : user.name}
+            </span>
+          </div>
+        )}
+        <div className="message-bubble message-deleted">
+          <Trash2 className="w-4 h-4" />
+          <span>삭제된 메시지입니다.</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(DeletedMessage);
@@ -15,6 +15,8 @@ import { Text, Alert } from '@goorm-dev/vapor-components';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ThreadSummary from './ThreadSummary';
+import MessageQuote from './MessageQuote';
 import ReadStatus from '../ReadStatus';
 import fileService from '../../../services/fileService';
 import authService from '../../../services/authService';
@@ -25,7 +27,14 @@ const FileMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onQuoteSelect,
+  onQuoteClick,
+  isPinned = false,
+  onPinToggle,
   room = null,
+  presence,
   messageRef,
   socketRef,
 }) => {
@@ -101,6 +110,8 @@ const FileMessage = ({
       size="lg"
       className="flex-shrink-0"
       showInitials={true}
+      enableDirectMessage={!isMine}
+      presence={presence}
     />
   );
 
@@ -356,7 +367,7 @@ const FileMessage = ({
   };
 
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           {renderAvatar()}
@@ -380,6 +391,9 @@ const FileMessage = ({
                 <span>{error}</span>
               </Alert>
             )}
+            {msg.replyTo && (
+              <MessageQuote quote={msg.replyTo} onClick={onQuoteClick} />
+            )}
             {renderFilePreview()}
             {msg.content && (
               <div className="mt-3">
@@ -405,6 +419,7 @@ const FileMessage = ({
             />
           </div>
         </div>
+        <ThreadSummary msg={msg} onThreadOpen={onThreadOpen} />
         <MessageActions
           messageId={msg._id}
           messageContent={msg.content}
@@ -412,6 +427,12 @@ const FileMessage = ({
           currentUserId={currentUser?.id}
           onReactionAdd={onReactionAdd}
           onReactionRemove={onReactionRemove}
+          onDelete={onMessageDelete}
+          onReply={onThreadOpen ? () => onThreadOpen(msg) : undefined}
+          onQuote={onQuoteSelect ? () => onQuoteSelect(msg) : undefined}
+          onPin={onPinToggle ? () => onPinToggle(msg._id, isPinned) : undefined}
+          isPinned={isPinned}
+          showReaders={true}
           isMine={isMine}
           room={room}
         />
@@ -1,7 +1,8 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { SmilePlus, Copy } from 'lucide-react';
+import { SmilePlus, Copy, Pencil, Trash2, MessageSquare, Reply, Pin, PinOff, CheckCheck, RefreshCw } from 'lucide-react';
 import { Button, Tooltip } from '@goorm-dev/vapor-components';
 import EmojiPicker from '../EmojiPicker';
+import MessageReaders from '../MessageReaders';
 import { Toast } from '../../Toast';
 
 const MessageActions = ({ 
@@ -11,14 +12,25 @@ const MessageActions = ({
   currentUserId,
   onReactionAdd,
   onReactionRemove,
+  onEdit,
+  onDelete,
+  onReply,
+  onQuote,
+  onPin,
+  onRegenerate,
+  isPinned = false,
+  showReaders = false,
   isMine = false,
   room = null
 }) => {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [showReaderList, setShowReaderList] = useState(false);
   const [tooltipStates, setTooltipStates] = useState({});
   const [leftOffset, setLeftOffset] = useState(0);
   const emojiPickerRef = useRef(null);
   const emojiButtonRef = useRef(null);
+  const readersRef = useRef(null);
+  const readersButtonRef = useRef(null);
   const containerRef = useRef(null);
   const reactionRefs = useRef({});
   const rafId = useRef(null);
@@ -42,6 +54,25 @@ const MessageActions = ({
     };
   }, [showEmojiPicker, handleClickOutside]);
 
+  const handleClickOutsideReaders = useCallback((event) => {
+    const isClickInsideReaders = readersRef.current?.contains(event.target);
+    const isClickOnReadersButton = readersButtonRef.current?.contains(event.target);
+
+    if (!isClickInsideReaders && !isClickOnReadersButton) {
+      setShowReaderList(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (showReaderList) {
+      document.addEventListener('mousedown', handleClickOutsideReaders);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutsideReaders);
+    };
+  }, [showReaderList, handleClickOutsideReaders]);
+
   const handleCopy = useCallback(async () => {
     try {
       await navigator.clipboard.writeText(messageContent);
@@ -52,6 +83,16 @@ const MessageActions = ({
     }
   }, [messageContent]);
 
+  // 작성자 또는 채팅방 생성자만 삭제 가능
+  const canDelete = !!onDelete && !!messageId && (
+    isMine || (!!currentUserId && String(room?.creator?._id || room?.creator) === String(currentUserId))
+  );
+
+  const handleDelete = useCallback(() => {
+    if (!window.confirm('메시지를 삭제하시겠습니까?')) return;
+    onDelete?.(messageId);
+  }, [messageId, onDelete]);
+
   const handleReactionSelect = useCallback((emoji) => {
     try {
       const emojiChar = emoji.native || emoji;
@@ -170,6 +211,13 @@ const MessageActions = ({
     setShowEmojiPicker(prev => !prev);
   }, []);
 
+  const toggleReaderList = useCallback((e) => {
+    e.stopPropagation();
+    setShowReaderList(prev => !prev);
+  }, []);
+
+  const canShowReaders = showReaders && !!messageId && !!room?._id;
+
   return (
     <div className={`flex flex-col ${isMine ? 'items-end' : 'items-start'}`} ref={containerRef}>
       {renderReactions()}
@@ -212,7 +260,99 @@ const MessageActions = ({
               title="메시지 복사"
             >
               <Copy className="w-4 h-4" />
-            </Button>            
+            </Button>
+            {onQuote && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onQuote}
+                title="답장"
+              >
+                <Reply className="w-4 h-4" />
+              </Button>
+            )}
+            {onReply && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onReply}
+                title="스레드에서 답글"
+              >
+                <MessageSquare className="w-4 h-4" />
+              </Button>
+            )}
+            {onPin && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onPin}
+                title={isPinned ? '고정 해제' : '메시지 고정'}
+              >
+                {isPinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+              </Button>
+            )}
+            {onRegenerate && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onRegenerate}
+                title="응답 다시 생성"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </Button>
+            )}
+            {canShowReaders && (
+              <Button
+                ref={readersButtonRef}
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={toggleReaderList}
+                title="읽은 사람 보기"
+              >
+                <CheckCheck className="w-4 h-4" />
+              </Button>
+            )}
+            {onEdit && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onEdit}
+                title="메시지 수정"
+              >
+                <Pencil className="w-4 h-4" />
+              </Button>
+            )}
+            {canDelete && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={handleDelete}
+                title="메시지 삭제"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            )}
+
+            {canShowReaders && showReaderList && (
+              <div
+                ref={readersRef}
+                className={`message-readers-popover ${isMine ? 'mine' : ''}`}
+                onClick={e => e.stopPropagation()}
+              >
+                <MessageReaders
+                  roomId={room._id}
+                  messageId={messageId}
+                  currentUserId={currentUserId}
+                />
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -227,6 +367,7 @@ MessageActions.defaultProps = {
   currentUserId: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  showReaders: false,
   isMine: false,
   room: null
 };
@@ -5,11 +5,14 @@ import remarkBreaks from 'remark-breaks';
 import remarkEmoji from 'remark-emoji';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
-import { Copy, Check } from 'lucide-react';
+import { Copy, Check, History } from 'lucide-react';
 import { Toast } from '../../Toast';
+import { useAIPersonas } from '../../../hooks/useAIPersonas';
 
-const MessageContent = ({ content, isAI = false }) => {
+const MessageContent = ({ content, isAI = false, editedAt = null, editHistory = [], onMentionClick = null }) => {
   const [copyingMap, setCopyingMap] = useState(new Map());
+  const [showEditHistory, setShowEditHistory] = useState(false);
+  const { getPersona } = useAIPersonas();
 
   // 복사 기능 구현
   const copyToClipboard = useCallback(async (text, blockId) => {
@@ -34,7 +37,7 @@ const MessageContent = ({ content, isAI = false }) => {
 
   // 멘션 패턴을 찾아서 React 엘리먼트로 변환하는 함수
   const renderContentWithMentions = useMemo(() => (text) => {
-    const mentionPattern = /@(wayneAI|consultingAI|[\w.-]+)/g;
+    const mentionPattern = /@([\w.-]+)/g;
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -49,19 +52,30 @@ const MessageContent = ({ content, isAI = false }) => {
       }
 
       const mentionedName = match[1];
-      const isAIMention = mentionedName === 'wayneAI' || mentionedName === 'consultingAI';
-      const displayName = isAIMention 
-        ? (mentionedName === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
-        : mentionedName;
+      const persona = getPersona(mentionedName);
+      const isAIMention = !!persona;
+      const displayName = isAIMention ? persona.name : mentionedName;
 
-      const mentionClass = isAIMention 
-        ? `mention mention-bot ${mentionedName === 'wayneAI' ? 'mention-wayne' : 'mention-consulting'}`
+      const mentionClass = isAIMention
+        ? 'mention mention-bot'
         : 'mention mention-user';
 
+      // 사용자 멘션 클릭 시 1:1 대화 열기
+      const clickable = !isAIMention && !!onMentionClick;
+
       parts.push(
         <span
           key={`mention-${match.index}`}
-          className={mentionClass}
+          className={`${mentionClass} ${clickable ? 'mention-clickable' : ''}`}
+          {...(clickable && {
+            role: 'button',
+            tabIndex: 0,
+            title: `${displayName}님과 1:1 대화`,
+            onClick: () => onMentionClick(mentionedName),
+            onKeyDown: (e) => {
+              if (e.key === 'Enter') onMentionClick(mentionedName);
+            }
+          })}
         >
           @{displayName}
         </span>
@@ -79,7 +93,7 @@ const MessageContent = ({ content, isAI = false }) => {
     }
 
     return parts;
-  }, []);
+  }, [onMentionClick, getPersona]);
 
   // 마크다운 렌더링을 위한 커스텀 컴포넌트
   const components = useMemo(() => ({
@@ -233,23 +247,73 @@ const MessageContent = ({ content, isAI = false }) => {
            !content.includes('|');
   }, [content]);
 
-  if (typeof content !== 'string') {
-    return String(content);
-  }
+  // 수정 표시 및 이전 버전 목록 렌더링
+  const renderEditedMarker = () => {
+    if (!editedAt) return null;
+
+    const history = Array.isArray(editHistory) ? editHistory : [];
+
+    return (
+      <div className="message-edited">
+        <button
+          type="button"
+          className="message-edited-marker"
+          onClick={() => setShowEditHistory(prev => !prev)}
+          title={history.length > 0 ? '이전 버전 보기' : undefined}
+          disabled={history.length === 0}
+        >
+          {history.length > 0 && <History className="w-3 h-3" />}
+          <span>(수정됨)</span>
+        </button>
+
+        {showEditHistory && history.length > 0 && (
+          <ol className="message-edit-history">
+            {[...history].reverse().map((revision, index) => (
+              <li key={`${revision.editedAt}-${index}`} className="message-edit-revision">
+                <span className="message-edit-revision-time">
+                  {new Date(revision.editedAt).toLocaleString('ko-KR', { hour12: false })}
+                </span>
+                <span className="message-edit-revision-content">
+                  {revision.content}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (typeof content !== 'string') {
+      return String(content);
+    }
+
+    // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
+    if (isPlainText && content.includes('@')) {
+      return <div className="message-text">{renderContentWithMentions(content)}</div>;
+    }
+
+    // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
+    return (
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    );
+  };
 
-  // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
-  if (isPlainText && content.includes('@')) {
-    return <div className="message-text">{renderContentWithMentions(content)}</div>;
+  if (!editedAt) {
+    return renderContent();
   }
 
-  // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
   return (
-    <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
-      components={components}
-    >
-      {content}
-    </ReactMarkdown>
+    <>
+      {renderContent()}
+      {renderEditedMarker()}
+    </>
   );
 };
 
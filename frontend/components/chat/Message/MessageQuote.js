@@ -0,0 +1,71 @@
+import React from 'react';
+import { CornerUpLeft, X } from 'lucide-react';
+import { useAIPersonas } from '../../../hooks/useAIPersonas';
+
+const getQuoteSender = (quote, getPersonaName) => {
+  if (quote.type === 'ai') {
+    return getPersonaName(quote.aiType);
+  }
+  return quote.sender?.name || '알 수 없는 사용자';
+};
+
+const getQuoteText = (quote) => {
+  if (quote.type === 'file') {
+    const filename = quote.metadata?.originalName || quote.file?.originalname || '첨부 파일';
+    return quote.content ? `[파일] ${filename} ${quote.content}` : `[파일] ${filename}`;
+  }
+  return quote.content || '';
+};
+
+const MessageQuote = ({ quote, onClick, onRemove }) => {
+  const { getPersonaName } = useAIPersonas();
+  if (!quote) return null;
+
+  if (quote.isDeleted) {
+    return (
+      <div className="message-quote message-quote-deleted">
+        <span className="message-quote-text">삭제된 메시지입니다.</span>
+      </div>
+    );
+  }
+
+  const body = (
+    <>
+      <CornerUpLeft className="w-4 h-4 flex-shrink-0" />
+      <div className="message-quote-body">
+        <span className="message-quote-sender">{getQuoteSender(quote, getPersonaName)}</span>
+        <span className="message-quote-text">{getQuoteText(quote)}</span>
+      </div>
+    </>
+  );
+
+  // 작성 중인 메시지 위의 인용 미리보기
+  if (onRemove) {
+    return (
+      <div className="message-quote message-quote-preview">
+        {body}
+        <button
+          type="button"
+          className="message-quote-remove"
+          onClick={onRemove}
+          title="답장 취소"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      className="message-quote"
+      onClick={() => onClick?.(quote._id, quote.timestamp)}
+      title="원본 메시지로 이동"
+    >
+      {body}
+    </button>
+  );
+};
+
+export default React.memo(MessageQuote);
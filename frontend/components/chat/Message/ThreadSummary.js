@@ -0,0 +1,32 @@
+import React from 'react';
+import { MessageSquare } from 'lucide-react';
+
+const ThreadSummary = ({ msg = {}, onThreadOpen }) => {
+  if (!onThreadOpen || !msg.replyCount) return null;
+
+  const lastReplyTime = msg.lastReplyAt
+    ? new Date(msg.lastReplyAt).toLocaleString('ko-KR', {
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+      })
+    : null;
+
+  return (
+    <button
+      type="button"
+      className="thread-summary"
+      onClick={() => onThreadOpen(msg)}
+    >
+      <MessageSquare className="w-4 h-4" />
+      <span className="thread-summary-count">답글 {msg.replyCount}개</span>
+      {lastReplyTime && (
+        <span className="thread-summary-time">마지막 답글 {lastReplyTime}</span>
+      )}
+    </button>
+  );
+};
+
+export default React.memo(ThreadSummary);
@@ -1,8 +1,12 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useCallback } from 'react';
+import { Button } from '@goorm-dev/vapor-components';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
 import PersistentAvatar from '../../common/PersistentAvatar';
+import ThreadSummary from './ThreadSummary';
+import MessageQuote from './MessageQuote';
 import ReadStatus from '../ReadStatus';
+import { useDirectMessage } from '../../../hooks/useDirectMessage';
 import { generateColorFromEmail, getContrastTextColor } from '../../../utils/colorUtils';
 
 const UserMessage = ({
@@ -11,10 +15,22 @@ const UserMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageEdit,
+  onMessageDelete,
+  onThreadOpen,
+  onQuoteSelect,
+  onQuoteClick,
+  isPinned = false,
+  onPinToggle,
   room = null,
+  presence,
   messageRef,
   socketRef
 }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const { openDirectMessage } = useDirectMessage();
+
   const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
@@ -36,8 +52,47 @@ const UserMessage = ({
 
   const user = isMine ? currentUser : msg.sender;
 
+  // 멘션된 사용자를 채팅방 참여자에서 찾아 1:1 대화 열기
+  const handleMentionClick = useCallback((name) => {
+    const target = room?.participants?.find(participant => participant.name === name);
+    if (target) {
+      openDirectMessage(target._id);
+    }
+  }, [room?.participants, openDirectMessage]);
+
+  const handleEditStart = useCallback(() => {
+    setEditContent(msg.content || '');
+    setIsEditing(true);
+  }, [msg.content]);
+
+  const handleEditCancel = useCallback(() => {
+    setIsEditing(false);
+    setEditContent('');
+  }, []);
+
+  const handleEditSave = useCallback(() => {
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent || trimmedContent === msg.content) {
+      handleEditCancel();
+      return;
+    }
+
+    if (onMessageEdit?.(msg._id, trimmedContent) !== false) {
+      handleEditCancel();
+    }
+  }, [editContent, msg._id, msg.content, onMessageEdit, handleEditCancel]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleEditSave();
+    } else if (e.key === 'Escape') {
+      handleEditCancel();
+    }
+  }, [handleEditSave, handleEditCancel]);
+
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           <PersistentAvatar
@@ -45,6 +100,8 @@ const UserMessage = ({
             size="lg"
             style={avatarStyles}
             showInitials={true}
+            enableDirectMessage={!isMine}
+            presence={presence}
           />
           <span className="sender-name">
             {isMine ? '나' : msg.sender?.name}
@@ -52,7 +109,43 @@ const UserMessage = ({
         </div>
         <div className={`message-bubble ${isMine ? 'message-mine' : 'message-other'} last relative group`}>
           <div className="message-content">
-            <MessageContent content={msg.content} />
+            {isEditing ? (
+              <div className="message-edit-form">
+                <textarea
+                  className="message-edit-textarea"
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  rows={3}
+                  autoFocus
+                />
+                <div className="message-edit-actions">
+                  <Button size="sm" variant="ghost" onClick={handleEditCancel}>
+                    취소
+                  </Button>
+                  <Button
+                    size="sm"
+                    color="primary"
+                    onClick={handleEditSave}
+                    disabled={!editContent.trim()}
+                  >
+                    저장
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <>
+                {msg.replyTo && (
+                  <MessageQuote quote={msg.replyTo} onClick={onQuoteClick} />
+                )}
+                <MessageContent
+                  content={msg.content}
+                  editedAt={msg.editedAt}
+                  editHistory={msg.editHistory}
+                  onMentionClick={handleMentionClick}
+                />
+              </>
+            )}
           </div>
           <div className="message-footer">
             <div className="message-time mr-3">
@@ -69,6 +162,8 @@ const UserMessage = ({
             />            
           </div>
         </div>
+
+        <ThreadSummary msg={msg} onThreadOpen={onThreadOpen} />
           
         <MessageActions 
           messageId={msg._id}
@@ -77,6 +172,13 @@ const UserMessage = ({
           currentUserId={currentUser?.id}
           onReactionAdd={onReactionAdd}
           onReactionRemove={onReactionRemove}
+          onDelete={onMessageDelete}
+          onReply={onThreadOpen ? () => onThreadOpen(msg) : undefined}
+          onQuote={onQuoteSelect ? () => onQuoteSelect(msg) : undefined}
+          onPin={onPinToggle ? () => onPinToggle(msg._id, isPinned) : undefined}
+          isPinned={isPinned}
+          showReaders={true}
+          onEdit={isMine && msg.type === 'text' && !isEditing ? handleEditStart : undefined}
           isMine={isMine}
           room={room}
         />
@@ -91,6 +193,7 @@ UserMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageEdit: () => {},
   room: null
 };
 
@@ -2,3 +2,7 @@ export { default as SystemMessage } from './SystemMessage';
 export { default as FileMessage } from './FileMessage';
 export { default as UserMessage } from './UserMessage';
 export { default as AIMessage } from './AIMessage';
+export { default as DeletedMessage } from './DeletedMessage';
+export { default as ThreadSummary } from './ThreadSummary';
+export { default as MessageQuote } from './MessageQuote';
+export { default as AIToolSteps } from './AIToolSteps';
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { Spinner, Text } from '@goorm-dev/vapor-components';
+import PersistentAvatar from '../common/PersistentAvatar';
+import messageService from '../../services/messageService';
+
+const formatReadAt = (readAt) =>
+  new Date(readAt).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const ReaderItem = React.memo(({ user, readAt = null, isMe }) => (
+  <li className="message-readers-item">
+    <PersistentAvatar user={user} size="sm" showInitials={true} />
+    <span className="message-readers-name">
+      {user.name}{isMe ? ' (나)' : ''}
+    </span>
+    {readAt && (
+      <span className="message-readers-time">{formatReadAt(readAt)}</span>
+    )}
+  </li>
+));
+ReaderItem.displayName = 'ReaderItem';
+
+const MessageReaders = ({ roomId, messageId, currentUserId = null }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // 열 때마다 최신 읽음 기록 조회
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    messageService.getMessageReaders(roomId, messageId)
+      .then(result => {
+        if (!cancelled) setData(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, messageId]);
+
+  if (loading) {
+    return (
+      <div className="message-readers-status">
+        <Spinner size="sm" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="message-readers-status">
+        <Text typography="body3" color="danger">{error}</Text>
+      </div>
+    );
+  }
+
+  const readers = data?.readers || [];
+  const unreadUsers = data?.unreadUsers || [];
+
+  return (
+    <div className="message-readers-content">
+      <div className="message-readers-section">
+        <div className="message-readers-title">읽음 {readers.length}</div>
+        {readers.length > 0 ? (
+          <ul className="message-readers-list">
+            {readers.map(reader => (
+              <ReaderItem
+                key={reader._id}
+                user={reader}
+                readAt={reader.readAt}
+                isMe={reader._id === currentUserId}
+              />
+            ))}
+          </ul>
+        ) : (
+          <div className="message-readers-empty">아직 읽은 사람이 없습니다.</div>
+        )}
+      </div>
+
+      {unreadUsers.length > 0 && (
+        <div className="message-readers-section">
+          <div className="message-readers-title">읽지 않음 {unreadUsers.length}</div>
+          <ul className="message-readers-list">
+            {unreadUsers.map(user => (
+              <ReaderItem
+                key={user._id}
+                user={user}
+                isMe={user._id === currentUserId}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageReaders;
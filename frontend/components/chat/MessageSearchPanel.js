@@ -0,0 +1,197 @@
+import React, { useState, useCallback } from 'react';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Search, FileText, MessageSquare } from 'lucide-react';
+import HighlightedText from '../common/HighlightedText';
+import messageService from '../../services/messageService';
+import { useAIPersonas } from '../../hooks/useAIPersonas';
+
+const TYPE_OPTIONS = [
+  { value: '', label: '전체' },
+  { value: 'text', label: '텍스트' },
+  { value: 'file', label: '파일' },
+  { value: 'ai', label: 'AI' }
+];
+
+const formatResultTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('ko-KR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const getResultSender = (result, getPersonaName) => {
+  if (result.type === 'ai') {
+    return getPersonaName(result.aiType);
+  }
+  return result.sender?.name || '알 수 없는 사용자';
+};
+
+const MessageSearchPanel = ({
+  roomId,
+  room = null,
+  onClose = () => {},
+  onResultSelect = () => {}
+}) => {
+  const { getPersonaName } = useAIPersonas();
+  const [filters, setFilters] = useState({
+    q: '',
+    sender: '',
+    type: '',
+    from: '',
+    to: ''
+  });
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFilterChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const search = useCallback(async (cursor = null) => {
+    if (!roomId || loading) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await messageService.searchMessages(roomId, {
+        q: filters.q.trim(),
+        sender: filters.sender,
+        type: filters.type,
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+        cursor
+      });
+
+      setResults(prev => cursor ? [...prev, ...data.results] : data.results);
+      setNextCursor(data.nextCursor);
+      setSearched(true);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId, filters, loading]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    search();
+  }, [search]);
+
+  return (
+    <aside className="message-search-panel" aria-label="메시지 검색">
+      <div className="thread-panel-header">
+        <Text weight="bold">메시지 검색</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="action-button"
+          onClick={onClose}
+          title="검색 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <form className="message-search-form" onSubmit={handleSubmit}>
+        <div className="message-search-input-row">
+          <input
+            type="search"
+            name="q"
+            className="message-search-input"
+            placeholder="검색어를 입력하세요"
+            value={filters.q}
+            onChange={handleFilterChange}
+            autoFocus
+          />
+          <Button type="submit" size="sm" color="primary" disabled={loading} title="검색">
+            <Search className="w-4 h-4" />
+          </Button>
+        </div>
+        <div className="message-search-filters">
+          <select name="sender" value={filters.sender} onChange={handleFilterChange}>
+            <option value="">모든 사용자</option>
+            {room?.participants?.map(participant => (
+              <option key={participant._id} value={participant._id}>
+                {participant.name}
+              </option>
+            ))}
+          </select>
+          <select name="type" value={filters.type} onChange={handleFilterChange}>
+            {TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} title="시작일" />
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} title="종료일" />
+        </div>
+      </form>
+
+      <div className="thread-panel-body">
+        {error && (
+          <Text size="sm" color="danger">{error}</Text>
+        )}
+
+        {searched && !loading && !error && results.length === 0 && (
+          <Text size="sm" color="secondary">검색 결과가 없습니다.</Text>
+        )}
+
+        {results.map(result => (
+          <button
+            key={result._id}
+            type="button"
+            className="search-result-item"
+            onClick={() => onResultSelect(result)}
+          >
+            <div className="search-result-header">
+              <span className="sender-name">{getResultSender(result, getPersonaName)}</span>
+              <span className="thread-item-time">{formatResultTime(result.timestamp)}</span>
+            </div>
+            {result.fileName && (
+              <div className="search-result-file">
+                <FileText className="w-4 h-4" />
+                <span>{result.fileName}</span>
+              </div>
+            )}
+            <HighlightedText
+              className="search-result-snippet"
+              text={result.snippet}
+              highlights={result.highlights}
+            />
+            {result.parentMessage && (
+              <div className="search-result-thread">
+                <MessageSquare className="w-3 h-3" />
+                <span>스레드 답글</span>
+              </div>
+            )}
+          </button>
+        ))}
+
+        {loading && (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+          </div>
+        )}
+
+        {nextCursor && !loading && (
+          <Button size="sm" variant="ghost" onClick={() => search(nextCursor)}>
+            검색 결과 더보기
+          </Button>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+MessageSearchPanel.displayName = 'MessageSearchPanel';
+
+export default React.memo(MessageSearchPanel);
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Crown, Shield, ShieldOff, VolumeX, Volume2, UserMinus, Ban } from 'lucide-react';
+import PersistentAvatar, { getPresenceLabel } from '../common/PersistentAvatar';
+import roomService from '../../services/roomService';
+
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+const ROLE_LABELS = {
+  owner: '방장',
+  admin: '관리자'
+};
+
+const MUTE_OPTIONS = [
+  { value: 10, label: '10분' },
+  { value: 60, label: '1시간' },
+  { value: 24 * 60, label: '1일' }
+];
+
+const formatMutedUntil = (mutedUntil) =>
+  new Date(mutedUntil).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const isMuted = (participant) =>
+  !!participant.mutedUntil && new Date(participant.mutedUntil) > new Date();
+
+const ParticipantItem = React.memo(({
+  participant,
+  presence,
+  isMe,
+  myRole,
+  onKick,
+  onBan,
+  onMute,
+  onUnmute,
+  onSetRole
+}) => {
+  const [muteDuration, setMuteDuration] = useState(MUTE_OPTIONS[0].value);
+  const role = participant.role || 'member';
+  const canModerate = !isMe && ROLE_RANK[myRole] >= ROLE_RANK.admin && ROLE_RANK[myRole] > ROLE_RANK[role];
+  const muted = isMuted(participant);
+
+  const handleKick = useCallback(() => {
+    if (!window.confirm(`${participant.name}님을 채팅방에서 내보내시겠습니까?`)) return;
+    onKick(participant._id);
+  }, [participant, onKick]);
+
+  const handleBan = useCallback(() => {
+    if (!window.confirm(`${participant.name}님을 차단하시겠습니까? 차단된 사용자는 다시 입장할 수 없습니다.`)) return;
+    onBan(participant._id);
+  }, [participant, onBan]);
+
+  return (
+    <div className="participant-item">
+      <div className="participant-info">
+        <PersistentAvatar
+          user={participant}
+          size="sm"
+          showInitials={true}
+          enableDirectMessage={!isMe}
+          presence={presence}
+        />
+        <div className="participant-body">
+          <span className="participant-name">
+            {participant.name}{isMe ? ' (나)' : ''}
+          </span>
+          {presence && (
+            <span className={`participant-presence status-${presence.status}`}>
+              {getPresenceLabel(presence)}
+            </span>
+          )}
+          {muted && (
+            <span className="participant-muted">
+              {formatMutedUntil(participant.mutedUntil)}까지 채팅 금지
+            </span>
+          )}
+        </div>
+        {ROLE_LABELS[role] && (
+          <span className={`participant-role role-${role}`}>
+            {role === 'owner' ? <Crown className="w-3 h-3" /> : <Shield className="w-3 h-3" />}
+            {ROLE_LABELS[role]}
+          </span>
+        )}
+      </div>
+
+      {canModerate && (
+        <div className="participant-actions">
+          {myRole === 'owner' && (
+            <Button
+              size="sm"
+              variant="ghost"
+              className="action-button"
+              onClick={() => onSetRole(participant._id, role === 'admin' ? 'member' : 'admin')}
+              title={role === 'admin' ? '관리자 해제' : '관리자 지정'}
+            >
+              {role === 'admin' ? <ShieldOff className="w-4 h-4" /> : <Shield className="w-4 h-4" />}
+            </Button>
+          )}
+          {muted ? (
+            <Button
+              size="sm"
+              variant="ghost"
+              className="action-button"
+              onClick={() => onUnmute(participant._id)}
+              title="채팅 금지 해제"
+            >
+              <Volume2 className="w-4 h-4" />
+            </Button>
+          ) : (
+            <>
+              <select
+                className="participant-mute-select"
+                value={muteDuration}
+                onChange={(e) => setMuteDuration(Number(e.target.value))}
+                aria-label="채팅 금지 시간"
+              >
+                {MUTE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={() => onMute(participant._id, muteDuration)}
+                title="채팅 금지"
+              >
+                <VolumeX className="w-4 h-4" />
+              </Button>
+            </>
+          )}
+          <Button
+            size="sm"
+            variant="ghost"
+            className="action-button"
+            onClick={handleKick}
+            title="내보내기"
+          >
+            <UserMinus className="w-4 h-4" />
+          </Button>
+          <Button
+            size="sm"
+            variant="ghost"
+            className="action-button"
+            onClick={handleBan}
+            title="차단"
+          >
+            <Ban className="w-4 h-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+});
+ParticipantItem.displayName = 'ParticipantItem';
+
+const ParticipantListPanel = ({
+  room = null,
+  currentUser = null,
+  presences = {},
+  onClose = () => {},
+  onKick = () => {},
+  onBan = () => {},
+  onUnban = () => {},
+  onMute = () => {},
+  onUnmute = () => {},
+  onSetRole = () => {}
+}) => {
+  const [bans, setBans] = useState([]);
+  const [loadingBans, setLoadingBans] = useState(false);
+  const [banError, setBanError] = useState(null);
+
+  const participants = room?.participants || [];
+  const me = participants.find(participant => participant._id === currentUser?.id);
+  const myRole = me?.role || room?.myRole || 'member';
+  const canManage = ROLE_RANK[myRole] >= ROLE_RANK.admin;
+
+  // 관리자 이상은 차단 목록 조회 (참여자 변경 시 갱신)
+  useEffect(() => {
+    if (!canManage || !room?._id) return;
+
+    let cancelled = false;
+    setLoadingBans(true);
+    setBanError(null);
+
+    roomService.getBannedUsers(room._id)
+      .then(data => {
+        if (!cancelled) setBans(data);
+      })
+      .catch(error => {
+        if (!cancelled) setBanError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingBans(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canManage, room?._id, participants]);
+
+  const sortedParticipants = [...participants].sort(
+    (a, b) => (ROLE_RANK[b.role] || 1) - (ROLE_RANK[a.role] || 1)
+  );
+
+  return (
+    <aside className="participant-panel" aria-label="참여자">
+      <div className="thread-panel-header">
+        <Text weight="bold">참여자 {participants.length}명</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="action-button"
+          onClick={onClose}
+          title="참여자 목록 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="thread-panel-body">
+        {sortedParticipants.map(participant => (
+          <ParticipantItem
+            key={participant._id}
+            participant={participant}
+            presence={presences[participant._id]}
+            isMe={participant._id === currentUser?.id}
+            myRole={myRole}
+            onKick={onKick}
+            onBan={onBan}
+            onMute={onMute}
+            onUnmute={onUnmute}
+            onSetRole={onSetRole}
+          />
+        ))}
+
+        {canManage && (
+          <div className="participant-bans">
+            <div className="thread-reply-divider">차단된 사용자</div>
+            {loadingBans && bans.length === 0 && (
+              <div className="loading-messages">
+                <Spinner size="sm" className="text-primary" />
+              </div>
+            )}
+            {banError && (
+              <Text size="sm" color="danger">{banError}</Text>
+            )}
+            {!loadingBans && !banError && bans.length === 0 && (
+              <Text size="sm" color="secondary">차단된 사용자가 없습니다.</Text>
+            )}
+            {bans.map(ban => (
+              <div key={ban.user._id} className="participant-item">
+                <div className="participant-info">
+                  <PersistentAvatar user={ban.user} size="sm" showInitials={true} />
+                  <div className="participant-body">
+                    <span className="participant-name">{ban.user.name}</span>
+                    {ban.bannedBy?.name && (
+                      <span className="participant-muted">{ban.bannedBy.name}님이 차단</span>
+                    )}
+                  </div>
+                </div>
+                <div className="participant-actions">
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => onUnban(ban.user._id)}
+                    title="차단 해제"
+                  >
+                    차단 해제
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+ParticipantListPanel.displayName = 'ParticipantListPanel';
+
+export default React.memo(ParticipantListPanel);
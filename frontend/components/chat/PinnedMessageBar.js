@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Pin, X } from 'lucide-react';
+import { useAIPersonas } from '../../hooks/useAIPersonas';
+
+const getPinSender = (message, getPersonaName) => {
+  if (message.type === 'ai') {
+    return getPersonaName(message.aiType);
+  }
+  return message.sender?.name || '알 수 없는 사용자';
+};
+
+const getPinText = (message) => {
+  if (message.type === 'file') {
+    const filename = message.file?.originalname || message.metadata?.originalName || '첨부 파일';
+    return message.content ? `[파일] ${filename} ${message.content}` : `[파일] ${filename}`;
+  }
+  return message.content || '';
+};
+
+const PinnedMessageBar = ({
+  pinnedMessages = [],
+  onJump = () => {},
+  onUnpin
+}) => {
+  const { getPersonaName } = useAIPersonas();
+  const [currentIndex, setCurrentIndex] = useState(0);
+
+  // 고정 목록이 줄어들면 범위를 벗어나지 않도록 보정
+  useEffect(() => {
+    if (currentIndex >= pinnedMessages.length) {
+      setCurrentIndex(0);
+    }
+  }, [pinnedMessages.length, currentIndex]);
+
+  const currentPin = pinnedMessages[currentIndex] || pinnedMessages[0];
+
+  // 현재 고정 메시지로 이동한 뒤 다음 고정 메시지로 순환
+  const handleClick = useCallback(() => {
+    if (!currentPin?.message) return;
+    onJump(currentPin.message._id, currentPin.message.timestamp);
+    setCurrentIndex(prev => (prev + 1) % pinnedMessages.length);
+  }, [currentPin, onJump, pinnedMessages.length]);
+
+  if (!currentPin?.message) return null;
+
+  const total = pinnedMessages.length;
+  const position = Math.min(currentIndex, total - 1) + 1;
+
+  return (
+    <div className="pinned-message-bar">
+      {total > 1 && (
+        <div className="pinned-message-indicator" aria-hidden="true">
+          {pinnedMessages.map((pin, index) => (
+            <span
+              key={pin.message._id}
+              className={index === position - 1 ? 'active' : ''}
+            />
+          ))}
+        </div>
+      )}
+      <button
+        type="button"
+        className="pinned-message-content"
+        onClick={handleClick}
+        title="고정된 메시지로 이동"
+      >
+        <Pin className="w-4 h-4 flex-shrink-0" />
+        <div className="pinned-message-body">
+          <span className="pinned-message-label">
+            고정된 메시지{total > 1 ? ` ${position}/${total}` : ''}
+          </span>
+          <span className="pinned-message-text">
+            <strong>{getPinSender(currentPin.message, getPersonaName)}</strong> {getPinText(currentPin.message)}
+          </span>
+        </div>
+      </button>
+      {onUnpin && (
+        <button
+          type="button"
+          className="pinned-message-unpin"
+          onClick={() => onUnpin(currentPin.message._id, true)}
+          title="고정 해제"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+PinnedMessageBar.displayName = 'PinnedMessageBar';
+
+export default React.memo(PinnedMessageBar);
@@ -66,7 +66,9 @@ const ReadStatus = ({
 
   // Intersection Observer 설정
   useEffect(() => {
-    if (!messageRef?.current || !currentUserId || hasMarkedAsRead || messageType === 'system') {
+    // 메시지 요소를 전달받지 못하면 읽음 상태 표시 요소가 보이는 시점을 기준으로 처리
+    const target = messageRef?.current || statusRef.current;
+    if (!target || !currentUserId || hasMarkedAsRead || messageType === 'system') {
       return;
     }
 
@@ -95,7 +97,7 @@ const ReadStatus = ({
     };
 
     observerRef.current = new IntersectionObserver(handleIntersect, observerOptions);
-    observerRef.current.observe(messageRef.current);
+    observerRef.current.observe(target);
 
     return () => {
       observerRef.current?.disconnect();
@@ -0,0 +1,183 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Send, Trash2 } from 'lucide-react';
+import PersistentAvatar from '../common/PersistentAvatar';
+import MessageContent from './Message/MessageContent';
+
+const formatThreadTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+
+const ThreadItem = React.memo(({ msg, currentUser, room, onDelete, isParent = false }) => {
+  const isMine = String(msg.sender?._id || msg.sender) === String(currentUser?.id);
+  const isRoomCreator = String(room?.creator?._id || room?.creator) === String(currentUser?.id);
+  const canDelete = !isParent && !msg.isDeleted && !!onDelete && (isMine || isRoomCreator);
+
+  const handleDelete = useCallback(() => {
+    if (!window.confirm('메시지를 삭제하시겠습니까?')) return;
+    onDelete(msg._id);
+  }, [msg._id, onDelete]);
+
+  return (
+    <div className={`thread-item ${isParent ? 'thread-parent' : ''}`}>
+      <div className="thread-item-header">
+        <PersistentAvatar
+          user={isMine ? currentUser : msg.sender}
+          size="sm"
+          showInitials={true}
+        />
+        <span className="sender-name">
+          {isMine ? '나' : msg.sender?.name || 'AI'}
+        </span>
+        <span className="thread-item-time">{formatThreadTime(msg.timestamp)}</span>
+        {canDelete && (
+          <Button
+            size="sm"
+            variant="ghost"
+            className="action-button"
+            onClick={handleDelete}
+            title="메시지 삭제"
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+      <div className="thread-item-content">
+        {msg.isDeleted ? (
+          <span className="message-deleted">삭제된 메시지입니다.</span>
+        ) : msg.type === 'file' ? (
+          <span>{msg.file?.originalname || '첨부 파일'}</span>
+        ) : (
+          <MessageContent content={msg.content} />
+        )}
+      </div>
+    </div>
+  );
+});
+ThreadItem.displayName = 'ThreadItem';
+
+const ThreadPanel = ({
+  thread,
+  currentUser = null,
+  room = null,
+  disabled = false,
+  onClose = () => {},
+  onLoadMore = () => {},
+  onSend = () => false,
+  onMessageDelete
+}) => {
+  const [reply, setReply] = useState('');
+  const listEndRef = useRef(null);
+  const lastCountRef = useRef(0);
+
+  // 새 답글이 추가되면 하단으로 스크롤
+  useEffect(() => {
+    const count = thread?.messages?.length || 0;
+    if (count > lastCountRef.current && !thread?.loading) {
+      listEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+    lastCountRef.current = count;
+  }, [thread?.messages?.length, thread?.loading]);
+
+  const handleSend = useCallback(() => {
+    if (onSend(reply) !== false) {
+      setReply('');
+    }
+  }, [reply, onSend]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      handleSend();
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  }, [handleSend, onClose]);
+
+  if (!thread) return null;
+
+  return (
+    <aside className="thread-panel" aria-label="스레드">
+      <div className="thread-panel-header">
+        <Text weight="bold">스레드</Text>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="action-button"
+          onClick={onClose}
+          title="스레드 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="thread-panel-body">
+        {thread.parentMessage?.timestamp && (
+          <ThreadItem
+            msg={thread.parentMessage}
+            currentUser={currentUser}
+            room={room}
+            isParent={true}
+          />
+        )}
+
+        <div className="thread-reply-divider">
+          답글 {thread.parentMessage?.replyCount || 0}개
+        </div>
+
+        {thread.hasMore && !thread.loading && (
+          <Button size="sm" variant="ghost" onClick={onLoadMore}>
+            이전 답글 더보기
+          </Button>
+        )}
+
+        {thread.loading && (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+          </div>
+        )}
+
+        {thread.messages.map(msg => (
+          <ThreadItem
+            key={msg._id}
+            msg={msg}
+            currentUser={currentUser}
+            room={room}
+            onDelete={onMessageDelete}
+          />
+        ))}
+        <div ref={listEndRef} />
+      </div>
+
+      <div className="thread-panel-footer">
+        <textarea
+          className="thread-reply-input"
+          placeholder="스레드에 답글 달기..."
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={2}
+          disabled={disabled}
+        />
+        <Button
+          size="sm"
+          color="primary"
+          onClick={handleSend}
+          disabled={disabled || !reply.trim()}
+          title="답글 보내기"
+        >
+          <Send className="w-4 h-4" />
+        </Button>
+      </div>
+    </aside>
+  );
+};
+
+ThreadPanel.displayName = 'ThreadPanel';
+
+export default React.memo(ThreadPanel);
@@ -0,0 +1,38 @@
+import React from 'react';
+
+const MAX_NAMED_USERS = 2; // 이름을 직접 표시할 최대 인원
+
+// AI는 서버에서 페르소나 표시 이름으로 전달됨
+const getTypingName = (user) => user.name || (user.isAI ? 'AI' : '알 수 없는 사용자');
+
+// "A님이", "A님과 B님이", "A님, B님 외 N명이" 형태로 입력 중인 사용자 표시
+const getTypingText = (users) => {
+  const names = users.map(getTypingName);
+
+  if (names.length === 1) {
+    return `${names[0]}님이 입력 중입니다…`;
+  }
+  if (names.length <= MAX_NAMED_USERS) {
+    return `${names[0]}님과 ${names[1]}님이 입력 중입니다…`;
+  }
+
+  const namedUsers = names.slice(0, MAX_NAMED_USERS).map(name => `${name}님`).join(', ');
+  return `${namedUsers} 외 ${names.length - MAX_NAMED_USERS}명이 입력 중입니다…`;
+};
+
+const TypingIndicator = ({ typingUsers = [] }) => {
+  if (typingUsers.length === 0) return null;
+
+  return (
+    <div className="chat-typing-indicator" role="status" aria-live="polite">
+      <span className="chat-typing-dots" aria-hidden="true">
+        <span />
+        <span />
+        <span />
+      </span>
+      <span className="chat-typing-text">{getTypingText(typingUsers)}</span>
+    </div>
+  );
+};
+
+export default TypingIndicator;
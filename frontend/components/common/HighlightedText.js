@@ -0,0 +1,23 @@
+import React from 'react';
+
+// 서버에서 받은 하이라이트 구간을 <mark>로 감싸서 렌더링
+const HighlightedText = ({ text = '', highlights = [], className = '' }) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  highlights.forEach(({ start, end }, index) => {
+    if (start > lastIndex) {
+      parts.push(<span key={`text-${index}`}>{text.slice(lastIndex, start)}</span>);
+    }
+    parts.push(<mark key={`mark-${index}`}>{text.slice(start, end)}</mark>);
+    lastIndex = end;
+  });
+
+  if (lastIndex < text.length) {
+    parts.push(<span key="text-last">{text.slice(lastIndex)}</span>);
+  }
+
+  return <span className={className}>{parts}</span>;
+};
+
+export default React.memo(HighlightedText);
@@ -1,6 +1,29 @@
 import React, { useState, useEffect, useCallback, forwardRef } from 'react';
 import { Avatar } from '@goorm-dev/vapor-core';
 import { getConsistentAvatarStyles } from '../../utils/colorUtils';
+import { useDirectMessage } from '../../hooks/useDirectMessage';
+
+const PRESENCE_LABELS = {
+  online: '온라인',
+  away: '자리 비움'
+};
+
+// "방금 전", "5분 전", "3시간 전", "2일 전" 형태의 마지막 접속 시각
+export const formatLastSeen = (lastSeen) => {
+  if (!lastSeen) return '마지막 접속 기록 없음';
+
+  const minutes = Math.floor((Date.now() - new Date(lastSeen).getTime()) / 60000);
+  if (minutes < 1) return '마지막 접속 방금 전';
+  if (minutes < 60) return `마지막 접속 ${minutes}분 전`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `마지막 접속 ${hours}시간 전`;
+
+  return `마지막 접속 ${Math.floor(hours / 24)}일 전`;
+};
+
+export const getPresenceLabel = (presence) =>
+  PRESENCE_LABELS[presence?.status] || formatLastSeen(presence?.lastSeen);
 
 const PersistentAvatar = forwardRef(({
   user,
@@ -8,10 +31,21 @@ const PersistentAvatar = forwardRef(({
   className = "",
   onClick,
   showInitials = true,
+  enableDirectMessage = false,
+  presence,
   ...props
 }, ref) => {
   const [currentImage, setCurrentImage] = useState('');
   const [imageError, setImageError] = useState(false);
+  const { openDirectMessage } = useDirectMessage();
+
+  // 아바타 클릭 시 1:1 대화 열기 (enableDirectMessage가 설정된 경우)
+  const handleClick = useCallback((e) => {
+    onClick?.(e);
+    if (enableDirectMessage && !e.defaultPrevented) {
+      openDirectMessage(user?._id || user?.id);
+    }
+  }, [onClick, enableDirectMessage, openDirectMessage, user?._id, user?.id]);
 
   // getProfileImageUrl 함수 memoization
   const getProfileImageUrl = useCallback((imagePath) => {
@@ -90,12 +124,13 @@ const PersistentAvatar = forwardRef(({
     });
   };
 
-  return (
+  const avatar = (
     <Avatar
       ref={ref}
       size={size}
-      className={`persistent-avatar ${className}`}
-      onClick={onClick}
+      className={`persistent-avatar ${enableDirectMessage ? 'avatar-direct-message' : ''} ${className}`}
+      onClick={handleClick}
+      title={enableDirectMessage ? `${user?.name}님과 1:1 대화` : undefined}
       style={combinedStyles}
       {...props}
     >
@@ -122,6 +157,20 @@ const PersistentAvatar = forwardRef(({
       ) : null}
     </Avatar>
   );
+
+  // 접속 상태가 주어진 경우 아바타 모서리에 상태 점 표시 (아바타는 overflow가 숨겨져 있어 바깥에 배치)
+  if (!presence) return avatar;
+
+  return (
+    <span className="avatar-presence" data-user-id={presence.userId}>
+      {avatar}
+      <span
+        className={`presence-dot status-${presence.status}`}
+        title={getPresenceLabel(presence)}
+        aria-label={getPresenceLabel(presence)}
+      />
+    </span>
+  );
 });
 
 PersistentAvatar.displayName = 'PersistentAvatar';
@@ -19,10 +19,18 @@ export const useAIMessageHandling = (
         aiType: data.aiType,
         content: '',
         timestamp: new Date(data.timestamp),
+        requesterId: data.requesterId,
+        targetMessageId: data.targetMessageId,
+        isPrivate: data.isPrivate,
+        toolSteps: [],
         isStreaming: true
       }
     }));
-    scrollToBottom();
+
+    // 이전 메시지를 다시 생성하는 경우 현재 위치 유지
+    if (!data.targetMessageId) {
+      scrollToBottom();
+    }
   }, [scrollToBottom]);
 
   const handleAIMessageChunk = useCallback((data) => {
@@ -53,6 +61,27 @@ export const useAIMessageHandling = (
     }
   }, [isNearBottom, scrollToBottom]);
 
+  // 도구 호출 단계 추가 또는 결과 반영 (같은 단계는 id로 갱신)
+  const handleAIToolStep = useCallback((data) => {
+    setStreamingMessages(prev => {
+      const streaming = prev[data.messageId];
+      if (!streaming || !data.step) return prev;
+
+      const steps = streaming.toolSteps || [];
+      const exists = steps.some(step => step.id === data.step.id);
+
+      return {
+        ...prev,
+        [data.messageId]: {
+          ...streaming,
+          toolSteps: exists
+            ? steps.map(step => step.id === data.step.id ? data.step : step)
+            : [...steps, data.step]
+        }
+      };
+    });
+  }, []);
+
   const handleAIMessageComplete = useCallback((data) => {
 
     setStreamingMessages(prev => {
@@ -60,12 +89,37 @@ export const useAIMessageHandling = (
       return rest;
     });
 
+    // 다시 생성한 응답은 기존 메시지에 반영 (내용 없이 중단된 경우 변경 없음)
+    if (data.regenerated) {
+      if (data.aiVariants) {
+        setMessages(prev => prev.map(msg => msg._id === data._id ? {
+          ...msg,
+          content: data.content,
+          aiVariants: data.aiVariants,
+          activeVariant: data.activeVariant
+        } : msg));
+      }
+      return;
+    }
+
+    // 내용이 생성되기 전에 중단된 경우 저장된 메시지가 없음
+    if (!data._id) return;
+
+    const metadata = {
+      ...(data.cancelled && { cancelled: true }),
+      ...(data.summary && { summary: data.summary }),
+      ...(data.toolSteps?.length > 0 && { toolSteps: data.toolSteps })
+    };
+
+    // 나만 보는 응답(대화 요약)은 저장되지 않으며 현재 화면에만 표시
     setMessages(prev => [...prev, {
       _id: data._id,
       type: 'ai',
       aiType: data.aiType,
       content: data.content,
       timestamp: new Date(data.timestamp),
+      metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
+      isPrivate: !!data.isPrivate,
       isComplete: true
     }]);
     
@@ -75,13 +129,105 @@ export const useAIMessageHandling = (
   const handleAIMessageError = useCallback((data) => {
     console.error('AI message error:', data);
 
+    // 다시 생성에 실패한 경우 기존 응답을 그대로 표시
+    if (data.targetMessageId) {
+      setStreamingMessages(prev => {
+        const { [data.messageId]: failed, ...rest } = prev;
+        return rest;
+      });
+      Toast.error(`AI 응답 오류: ${data.error}`);
+      return;
+    }
+
+    // 새 응답은 오류 메시지와 다시 시도 버튼으로 대체
+    setStreamingMessages(prev => ({
+      ...prev,
+      [data.messageId]: {
+        _id: data.messageId,
+        type: 'ai',
+        aiType: data.aiType,
+        content: '',
+        timestamp: prev[data.messageId]?.timestamp || new Date(),
+        error: data.error,
+        sourceMessageId: data.sourceMessageId,
+        isStreaming: false,
+        isFailed: true
+      }
+    }));
+  }, []);
+
+  const handleAIVariantSelected = useCallback((data) => {
+    setMessages(prev => prev.map(msg => msg._id === data.messageId ? {
+      ...msg,
+      content: data.content,
+      activeVariant: data.activeVariant
+    } : msg));
+  }, [setMessages]);
+
+  const handleAIRegenerateError = useCallback((data) => {
+    Toast.error(data.message || 'AI 응답을 다시 생성하지 못했습니다.');
+  }, []);
+
+  const handleAICancelError = useCallback((data) => {
+    Toast.error(data.message || 'AI 응답을 중단하지 못했습니다.');
+  }, []);
+
+  const handleAISummaryError = useCallback((data) => {
+    Toast.error(data.message || '대화를 요약하지 못했습니다.');
+  }, []);
+
+  // 나만 보는 AI 응답 닫기 (저장되지 않은 메시지라 화면에서만 제거)
+  const dismissPrivateAIMessage = useCallback((messageId) => {
+    setMessages(prev => prev.filter(msg => !(msg.isPrivate && msg._id === messageId)));
+  }, [setMessages]);
+
+  // 진행 중인 AI 응답 중단 요청
+  const cancelAIResponse = useCallback((messageId) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return;
+    }
+
+    socketRef.current.emit('cancelAIResponse', { messageId });
+  }, [socketRef]);
+
+  // 같은 질문과 맥락으로 AI 응답 다시 생성
+  const regenerateAIResponse = useCallback((messageId) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return;
+    }
+
+    socketRef.current.emit('regenerateAIResponse', { messageId });
+  }, [socketRef]);
+
+  // 실패한 AI 응답 다시 요청 (오류 메시지는 새 응답으로 대체)
+  const retryAIResponse = useCallback((failedMessage) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return;
+    }
+
     setStreamingMessages(prev => {
-      const { [data.messageId]: failed, ...rest } = prev;
+      const { [failedMessage._id]: retried, ...rest } = prev;
       return rest;
     });
 
-    Toast.error(`AI 응답 오류: ${data.error}`);
-  }, []);
+    socketRef.current.emit('retryAIResponse', {
+      sourceMessageId: failedMessage.sourceMessageId,
+      aiType: failedMessage.aiType
+    });
+  }, [socketRef]);
+
+  // 표시할 AI 응답 선택 (채팅방의 모든 참여자에게 반영)
+  const selectAIVariant = useCallback((messageId, index) => {
+    if (!socketRef.current?.connected) {
+      Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+      return;
+    }
+
+    socketRef.current.emit('selectAIVariant', { messageId, index });
+  }, [socketRef]);
 
   // Socket.IO 이벤트 리스너 설정 함수
   const setupAIMessageListeners = useCallback(() => {
@@ -95,27 +241,47 @@ export const useAIMessageHandling = (
     // 기존 리스너 제거
     socket.off('aiMessageStart')
           .off('aiMessageChunk')
+          .off('aiToolStep')
           .off('aiMessageComplete')
-          .off('aiMessageError');
+          .off('aiMessageError')
+          .off('aiCancelError')
+          .off('aiRegenerateError')
+          .off('aiSummaryError')
+          .off('aiVariantSelected');
 
     // 새 리스너 등록
     socket.on('aiMessageStart', handleAIMessageStart);
     socket.on('aiMessageChunk', handleAIMessageChunk);
+    socket.on('aiToolStep', handleAIToolStep);
     socket.on('aiMessageComplete', handleAIMessageComplete);
     socket.on('aiMessageError', handleAIMessageError);
+    socket.on('aiCancelError', handleAICancelError);
+    socket.on('aiRegenerateError', handleAIRegenerateError);
+    socket.on('aiSummaryError', handleAISummaryError);
+    socket.on('aiVariantSelected', handleAIVariantSelected);
 
     return () => {
       socket.off('aiMessageStart')
             .off('aiMessageChunk')
+            .off('aiToolStep')
             .off('aiMessageComplete')
-            .off('aiMessageError');
+            .off('aiMessageError')
+            .off('aiCancelError')
+            .off('aiRegenerateError')
+            .off('aiSummaryError')
+            .off('aiVariantSelected');
     };
   }, [
     socketRef,
     handleAIMessageStart,
     handleAIMessageChunk,
+    handleAIToolStep,
     handleAIMessageComplete,
-    handleAIMessageError
+    handleAIMessageError,
+    handleAICancelError,
+    handleAIRegenerateError,
+    handleAISummaryError,
+    handleAIVariantSelected
   ]);
 
   // AI 메시지 전송 함수
@@ -147,7 +313,12 @@ export const useAIMessageHandling = (
     handleAIMessageComplete,
     handleAIMessageError,
     setupAIMessageListeners,
-    sendAIMessage
+    sendAIMessage,
+    cancelAIResponse,
+    regenerateAIResponse,
+    retryAIResponse,
+    selectAIVariant,
+    dismissPrivateAIMessage
   };
 };
 
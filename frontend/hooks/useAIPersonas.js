@@ -0,0 +1,49 @@
+// hooks/useAIPersonas.js
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import aiPersonaService from '../services/aiPersonaService';
+
+export const useAIPersonas = () => {
+  const [personas, setPersonas] = useState(() => aiPersonaService.getCachedPersonas());
+
+  useEffect(() => {
+    const unsubscribe = aiPersonaService.subscribe(setPersonas);
+    aiPersonaService.getPersonas().catch(() => {});
+    return unsubscribe;
+  }, []);
+
+  // 멘션에 사용할 수 있는 활성 페르소나
+  const activePersonas = useMemo(
+    () => personas.filter(persona => persona.isActive),
+    [personas]
+  );
+
+  const getPersona = useCallback((key) => (
+    personas.find(persona => persona.key === key) || null
+  ), [personas]);
+
+  // 삭제되었거나 아직 불러오지 못한 페르소나는 식별자로 표시
+  const getPersonaName = useCallback((key) => (
+    getPersona(key)?.name || key || 'AI'
+  ), [getPersona]);
+
+  // AI 메시지 아바타에 사용할 사용자 형태의 정보
+  const getPersonaUser = useCallback((key) => {
+    const persona = getPersona(key);
+    return {
+      name: persona?.name || key || 'AI',
+      email: aiPersonaService.getPersonaEmail(key),
+      profileImage: persona?.avatar || ''
+    };
+  }, [getPersona]);
+
+  return {
+    personas,
+    activePersonas,
+    getPersona,
+    getPersonaName,
+    getPersonaUser
+  };
+};
+
+export default useAIPersonas;
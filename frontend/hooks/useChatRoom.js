@@ -5,6 +5,14 @@ import socketService from '../services/socket';
 import { useFileHandling } from './useFileHandling';
 import { useMessageHandling } from './useMessageHandling';
 import { useReactionHandling } from './useReactionHandling';
+import { useMessageEditHandling } from './useMessageEditHandling';
+import { useMessageDeleteHandling } from './useMessageDeleteHandling';
+import { useThreadHandling } from './useThreadHandling';
+import { usePinHandling } from './usePinHandling';
+import { useModerationHandling } from './useModerationHandling';
+import { useRoomSettingsHandling } from './useRoomSettingsHandling';
+import { useTypingHandling } from './useTypingHandling';
+import { usePresenceHandling } from './usePresenceHandling';
 import { useAIMessageHandling } from './useAIMessageHandling';
 import { useScrollHandling } from './useScrollHandling';
 import { useSocketHandling } from './useSocketHandling';
@@ -49,6 +57,10 @@ export const useChatRoom = () => {
   const previousScrollHeightRef = useRef(0);
   const isLoadingRef = useRef(false);
   const loadMoreTriggeredRef = useRef(false);
+  const messagesRef = useRef(messages);
+  const linkedMessageRef = useRef(null);
+
+  messagesRef.current = messages;
 
   // Socket handling setup
   const {
@@ -59,6 +71,18 @@ export const useChatRoom = () => {
     setConnected
   } = useSocketHandling(router);
 
+  // Pin handling hook
+  const {
+    pinnedMessages,
+    pinnedMessageIds,
+    setPinnedMessages,
+    handlePinToggle,
+    handlePinnedMessagesUpdate,
+    handlePinnedMessageDeleted,
+    handlePinnedMessageUpdated,
+    handleMessagePinError
+  } = usePinHandling(socketRef);
+
   // Scroll handling hook
   const {
     isNearBottom,
@@ -68,7 +92,8 @@ export const useChatRoom = () => {
     scrollToBottom,
     handleScroll,
     setHasMoreMessages,
-    setLoadingMessages
+    setLoadingMessages,
+    scrollToMessage
   } = useScrollHandling(socketRef, router, messages);  
   
   // AI Message handling hook
@@ -79,7 +104,12 @@ export const useChatRoom = () => {
     handleAIMessageChunk,
     handleAIMessageComplete,
     handleAIMessageError,
-    setupAIMessageListeners
+    setupAIMessageListeners,
+    cancelAIResponse,
+    regenerateAIResponse,
+    retryAIResponse,
+    selectAIVariant,
+    dismissPrivateAIMessage
   } = useAIMessageHandling(
     socketRef,
     setMessages,
@@ -98,12 +128,14 @@ export const useChatRoom = () => {
     uploading,
     uploadProgress,
     uploadError,
+    replyTarget,
     setMessage,
     setShowEmojiPicker,
     setShowMentionList,
     setMentionFilter,
     setMentionIndex,
     setFilePreview,
+    setReplyTarget,
     handleMessageChange,
     handleMessageSubmit,
     handleLoadMore,
@@ -138,7 +170,30 @@ export const useChatRoom = () => {
         socketRef.current.off('aiMessageChunk');
         socketRef.current.off('aiMessageComplete');
         socketRef.current.off('aiMessageError');
+        socketRef.current.off('aiCancelError');
+        socketRef.current.off('aiRegenerateError');
+        socketRef.current.off('aiVariantSelected');
         socketRef.current.off('messageReactionUpdate');
+        socketRef.current.off('messageUpdated');
+        socketRef.current.off('messageEditError');
+        socketRef.current.off('messageDeleted');
+        socketRef.current.off('messageDeleteError');
+        socketRef.current.off('threadMessagesLoaded');
+        socketRef.current.off('threadMessage');
+        socketRef.current.off('replyCountUpdate');
+        socketRef.current.off('threadError');
+        socketRef.current.off('joinRoomSuccess');
+        socketRef.current.off('pinnedMessagesUpdate');
+        socketRef.current.off('messagePinError');
+        socketRef.current.off('participantsUpdate');
+        socketRef.current.off('removedFromRoom');
+        socketRef.current.off('moderationError');
+        socketRef.current.off('messageSendError');
+        socketRef.current.off('roomUpdated');
+        socketRef.current.off('roomDeleted');
+        socketRef.current.off('typingUpdate');
+        socketRef.current.off('presenceUpdate');
+        socketRef.current.off('presenceSnapshot');
         socketRef.current.off('session_ended');
         socketRef.current.off('error');
       }
@@ -161,6 +216,7 @@ export const useChatRoom = () => {
         setLoading(false);
         setLoadingMessages(false);
         setMessages([]);
+        setPinnedMessages([]);
         
         if (userRooms.current.size > 0) {
           userRooms.current.clear();
@@ -179,6 +235,7 @@ export const useChatRoom = () => {
     }
   }, [
     setMessages, 
+    setPinnedMessages,
     setStreamingMessages, 
     setError, 
     setLoading, 
@@ -203,6 +260,82 @@ export const useChatRoom = () => {
     handleReactionUpdate
   } = useReactionHandling(socketRef, currentUser, messages, setMessages);
 
+  // Message edit handling hook
+  const {
+    handleMessageEdit,
+    handleMessageUpdate,
+    handleMessageEditError
+  } = useMessageEditHandling(socketRef, setMessages);
+
+  // Message delete handling hook
+  const {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError
+  } = useMessageDeleteHandling(socketRef, setMessages);
+
+  // Thread handling hook
+  const {
+    activeThread,
+    openThread,
+    closeThread,
+    loadMoreThread,
+    sendThreadReply,
+    handleThreadMessagesLoaded,
+    handleThreadMessage,
+    handleReplyCountUpdate,
+    handleThreadMessageDeleted,
+    handleThreadError
+  } = useThreadHandling(socketRef, router, setMessages);
+
+  // Moderation handling hook
+  const {
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setUserRole,
+    handleParticipantsUpdate,
+    handleRemovedFromRoom,
+    handleModerationError,
+    handleMessageSendError
+  } = useModerationHandling(socketRef, router, setRoom);
+
+  // Room settings handling hook
+  const {
+    handleRoomUpdated,
+    handleRoomDeleted
+  } = useRoomSettingsHandling(router, setRoom);
+
+  // Typing indicator hook
+  const {
+    typingUsers,
+    startTyping,
+    stopTyping,
+    handleTypingUpdate
+  } = useTypingHandling(socketRef, currentUser, router);
+
+  // Presence handling hook
+  const {
+    presences,
+    requestPresence,
+    resetPresenceRequests,
+    handlePresenceUpdate,
+    handlePresenceSnapshot
+  } = usePresenceHandling(socketRef);
+
+  // 참여자와 메시지 작성자의 접속 상태 조회 (이미 조회한 사용자는 제외)
+  useEffect(() => {
+    const userIds = [
+      ...(room?.participants || []).map(participant => participant._id),
+      ...messages
+        .filter(msg => msg.type !== 'ai' && msg.type !== 'system')
+        .map(msg => msg.sender?._id || msg.sender?.id)
+    ];
+    requestPresence(userIds);
+  }, [room?.participants, messages, connected, requestPresence]);
+
   // 메시지 처리 유틸리티 함수
   const processMessages = useCallback((loadedMessages, hasMore, isInitialLoad = false) => {
     try {
@@ -296,6 +429,67 @@ export const useChatRoom = () => {
     }
   }, [socketRef, router?.query?.room, loadingMessages, messages, processMessages, setHasMoreMessages]);
 
+  // 인용 답장 대상 선택
+  const handleQuoteSelect = useCallback((targetMessage) => {
+    setReplyTarget(targetMessage);
+    messageInputRef.current?.focus();
+  }, [setReplyTarget]);
+
+  const cancelReply = useCallback(() => {
+    setReplyTarget(null);
+  }, [setReplyTarget]);
+
+  // 특정 메시지로 이동 (화면에 없으면 이전 메시지를 먼저 불러옴)
+  // targetTimestamp가 있으면 해당 시점까지 한 번에 로드
+  const jumpToMessage = useCallback(async (messageId, targetTimestamp = null) => {
+    const loadOlderMessages = () => new Promise((resolve, reject) => {
+      if (!socketRef.current?.connected) {
+        reject(new Error('Socket not connected'));
+        return;
+      }
+
+      let timeoutId = null;
+
+      const handleLoaded = (response) => {
+        clearTimeout(timeoutId);
+        processMessages(response?.messages || [], response?.hasMore, false);
+        resolve(response?.hasMore);
+      };
+
+      timeoutId = setTimeout(() => {
+        socketRef.current?.off('previousMessagesLoaded', handleLoaded);
+        reject(new Error('Message loading timed out'));
+      }, 10000);
+
+      socketRef.current.once('previousMessagesLoaded', handleLoaded);
+      socketRef.current.emit('fetchPreviousMessages', {
+        roomId: router?.query?.room,
+        before: messagesRef.current[0]?.timestamp,
+        until: targetTimestamp || undefined
+      });
+    });
+
+    try {
+      const found = await scrollToMessage(messageId, loadOlderMessages);
+      if (!found) {
+        Toast.error('원본 메시지를 찾을 수 없습니다.');
+      }
+    } catch (error) {
+      console.error('Jump to message error:', error);
+      Toast.error('원본 메시지를 불러오는데 실패했습니다.');
+    }
+  }, [socketRef, router?.query?.room, processMessages, scrollToMessage]);
+
+  // 검색 결과 링크(?message=)로 들어온 경우 초기 로드 후 해당 메시지로 이동
+  useEffect(() => {
+    const { message: linkedMessageId, at } = router.query;
+    if (!isInitialized || !linkedMessageId || messages.length === 0) return;
+    if (linkedMessageRef.current === linkedMessageId) return;
+
+    linkedMessageRef.current = linkedMessageId;
+    jumpToMessage(linkedMessageId, at || null);
+  }, [isInitialized, router.query, messages.length, jumpToMessage]);
+
   // Event listeners setup
   const setupEventListeners = useCallback(() => {
     if (!socketRef.current || !mountedRef.current) return;
@@ -357,6 +551,118 @@ export const useChatRoom = () => {
       handleReactionUpdate(data);
     });
 
+    // 메시지 수정 이벤트
+    socketRef.current.on('messageUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageUpdate(data);
+      handlePinnedMessageUpdated(data);
+    });
+
+    socketRef.current.on('messageEditError', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageEditError(data);
+    });
+
+    // 메시지 삭제 이벤트
+    socketRef.current.on('messageDeleted', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleted(data);
+      handleThreadMessageDeleted(data);
+      handlePinnedMessageDeleted(data);
+    });
+
+    socketRef.current.on('messageDeleteError', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleteError(data);
+    });
+
+    // 스레드 이벤트
+    socketRef.current.on('threadMessagesLoaded', (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessagesLoaded(data);
+    });
+
+    socketRef.current.on('threadMessage', (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessage(data);
+    });
+
+    socketRef.current.on('replyCountUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handleReplyCountUpdate(data);
+    });
+
+    socketRef.current.on('threadError', (data) => {
+      if (!mountedRef.current) return;
+      handleThreadError(data);
+    });
+
+    // 고정 메시지 이벤트 (입장 시 현재 고정 목록 수신)
+    socketRef.current.on('joinRoomSuccess', (data) => {
+      if (!mountedRef.current) return;
+      handlePinnedMessagesUpdate(data);
+      resetPresenceRequests();
+    });
+
+    socketRef.current.on('pinnedMessagesUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handlePinnedMessagesUpdate(data);
+    });
+
+    socketRef.current.on('messagePinError', (data) => {
+      if (!mountedRef.current) return;
+      handleMessagePinError(data);
+    });
+
+    // 참여자 및 채팅방 관리 이벤트
+    socketRef.current.on('participantsUpdate', (participants) => {
+      if (!mountedRef.current) return;
+      handleParticipantsUpdate(participants);
+    });
+
+    socketRef.current.on('removedFromRoom', (data) => {
+      if (!mountedRef.current) return;
+      handleRemovedFromRoom(data);
+    });
+
+    socketRef.current.on('moderationError', (data) => {
+      if (!mountedRef.current) return;
+      handleModerationError(data);
+    });
+
+    socketRef.current.on('messageSendError', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageSendError(data);
+    });
+
+    // 채팅방 설정 변경 및 삭제 이벤트
+    socketRef.current.on('roomUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleRoomUpdated(data);
+    });
+
+    socketRef.current.on('roomDeleted', (roomId) => {
+      if (!mountedRef.current) return;
+      handleRoomDeleted(roomId);
+    });
+
+    // 입력 중 상태 이벤트
+    socketRef.current.on('typingUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handleTypingUpdate(data);
+    });
+
+    // 접속 상태 이벤트
+    socketRef.current.on('presenceUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handlePresenceUpdate(data);
+    });
+
+    socketRef.current.on('presenceSnapshot', (data) => {
+      if (!mountedRef.current) return;
+      handlePresenceSnapshot(data);
+    });
+
     // 세션 이벤트
     socketRef.current.on('session_ended', () => {
       if (!mountedRef.current) return;
@@ -371,7 +677,7 @@ export const useChatRoom = () => {
       setError(error.message || '채팅 연결에 문제가 발생했습니다.');
     });
 
-  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, setHasMoreMessages, cleanup, router, handleReactionUpdate, setLoadingMessages, setError]);
+  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, setHasMoreMessages, cleanup, router, handleReactionUpdate, handleMessageUpdate, handleMessageEditError, handleMessageDeleted, handleMessageDeleteError, handleThreadMessagesLoaded, handleThreadMessage, handleReplyCountUpdate, handleThreadMessageDeleted, handleThreadError, handlePinnedMessagesUpdate, handlePinnedMessageDeleted, handlePinnedMessageUpdated, handleMessagePinError, handleParticipantsUpdate, handleRemovedFromRoom, handleModerationError, handleMessageSendError, handleRoomUpdated, handleRoomDeleted, handleTypingUpdate, handlePresenceUpdate, handlePresenceSnapshot, resetPresenceRequests, setLoadingMessages, setError]);
 
   // Room handling hook initialization
   const {
@@ -575,6 +881,12 @@ export const useChatRoom = () => {
     isNearBottom,
     hasMoreMessages,
     loadingMessages,
+    activeThread,
+    replyTarget,
+    pinnedMessages,
+    pinnedMessageIds,
+    typingUsers,
+    presences,
     
     // Refs
     fileInputRef,
@@ -597,6 +909,29 @@ export const useChatRoom = () => {
     removeFilePreview,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    openThread,
+    closeThread,
+    loadMoreThread,
+    sendThreadReply,
+    handleQuoteSelect,
+    cancelReply,
+    jumpToMessage,
+    handlePinToggle,
+    cancelAIResponse,
+    regenerateAIResponse,
+    retryAIResponse,
+    selectAIVariant,
+    dismissPrivateAIMessage,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setUserRole,
+    startTyping,
+    stopTyping,
     cleanup,
     
     // Setters
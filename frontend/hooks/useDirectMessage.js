@@ -0,0 +1,34 @@
+// hooks/useDirectMessage.js
+
+import { useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import directMessageService from '../services/directMessageService';
+import authService from '../services/authService';
+import { Toast } from '../components/Toast';
+
+export const useDirectMessage = () => {
+  const router = useRouter();
+  const openingRef = useRef(false);
+
+  // 상대방과의 1:1 대화방으로 이동 (자기 자신은 제외)
+  const openDirectMessage = useCallback(async (userId) => {
+    const currentUser = authService.getCurrentUser();
+    if (!userId || userId === currentUser?.id || openingRef.current) return;
+
+    try {
+      openingRef.current = true;
+      const room = await directMessageService.openDirectRoom(userId);
+      await router.push(`/chat?room=${room._id}`);
+    } catch (error) {
+      Toast.error(error.message);
+    } finally {
+      openingRef.current = false;
+    }
+  }, [router]);
+
+  return {
+    openDirectMessage
+  };
+};
+
+export default useDirectMessage;
@@ -0,0 +1,56 @@
+// hooks/useMessageDeleteHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useMessageDeleteHandling = (socketRef, setMessages) => {
+  const handleMessageDelete = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!messageId) return;
+
+      socketRef.current.emit('deleteMessage', { messageId });
+
+    } catch (error) {
+      console.error('Delete message error:', error);
+      Toast.error('메시지 삭제에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 삭제된 메시지는 내용을 비우고 툼스톤으로 표시 (인용한 메시지의 미리보기 포함)
+  const handleMessageDeleted = useCallback(({ messageId }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg => {
+        if (msg._id === messageId) {
+          return {
+            ...msg,
+            content: '',
+            file: null,
+            reactions: {},
+            editHistory: [],
+            isDeleted: true
+          };
+        }
+        if (msg.replyTo?._id === messageId) {
+          return { ...msg, replyTo: { _id: messageId, isDeleted: true } };
+        }
+        return msg;
+      })
+    );
+  }, [setMessages]);
+
+  const handleMessageDeleteError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 삭제에 실패했습니다.');
+  }, []);
+
+  return {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError
+  };
+};
+
+export default useMessageDeleteHandling;
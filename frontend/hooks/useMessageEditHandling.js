@@ -0,0 +1,57 @@
+// hooks/useMessageEditHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useMessageEditHandling = (socketRef, setMessages) => {
+  const handleMessageEdit = useCallback((messageId, content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!messageId || !trimmedContent) {
+        return false;
+      }
+
+      socketRef.current.emit('editMessage', {
+        messageId,
+        content: trimmedContent
+      });
+      return true;
+
+    } catch (error) {
+      console.error('Edit message error:', error);
+      Toast.error('메시지 수정에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  const handleMessageUpdate = useCallback(({ messageId, content, editedAt, editHistory }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg => {
+        if (msg._id === messageId) {
+          return { ...msg, content, editedAt, editHistory };
+        }
+        // 수정된 메시지를 인용한 답장의 미리보기도 갱신
+        if (msg.replyTo?._id === messageId) {
+          return { ...msg, replyTo: { ...msg.replyTo, content } };
+        }
+        return msg;
+      })
+    );
+  }, [setMessages]);
+
+  const handleMessageEditError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 수정에 실패했습니다.');
+  }, []);
+
+  return {
+    handleMessageEdit,
+    handleMessageUpdate,
+    handleMessageEditError
+  };
+};
+
+export default useMessageEditHandling;
@@ -1,6 +1,44 @@
 import { useState, useCallback } from 'react';
 import { Toast } from '../components/Toast';
 import fileService from '../services/fileService';
+import aiPersonaService from '../services/aiPersonaService';
+import { useAIPersonas } from './useAIPersonas';
+
+const SUMMARIZE_COMMAND = '/summarize';
+const SUMMARIZE_USAGE = '사용법: /summarize [기간(30m, 2h, 1d)] [post] [@AI]';
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  '분': 60 * 1000,
+  h: 60 * 60 * 1000,
+  '시간': 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  '일': 24 * 60 * 60 * 1000,
+};
+const SHARE_OPTIONS = ['post', '공유'];
+
+// 대화 요약 명령 해석 (요약 명령이 아니면 null)
+// 기간을 지정하지 않으면 마지막으로 읽은 이후, post를 붙이면 채팅방에 공유
+const parseSummarizeCommand = (text) => {
+  const [command, ...args] = text.trim().split(/\s+/);
+  if (command !== SUMMARIZE_COMMAND) return null;
+
+  const options = { post: false };
+  for (const arg of args) {
+    const duration = arg.match(/^(\d+)(m|h|d|분|시간|일)$/);
+    if (duration && Number(duration[1]) > 0) {
+      options.since = new Date(
+        Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]]
+      ).toISOString();
+    } else if (SHARE_OPTIONS.includes(arg)) {
+      options.post = true;
+    } else if (arg.startsWith('@') && arg.length > 1) {
+      options.aiType = arg.slice(1);
+    } else {
+      return { error: `알 수 없는 옵션입니다: ${arg}` };
+    }
+  }
+  return options;
+};
 
 export const useMessageHandling = (
   socketRef,
@@ -19,6 +57,8 @@ export const useMessageHandling = (
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadError, setUploadError] = useState(null);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [replyTarget, setReplyTarget] = useState(null);
+  const { activePersonas } = useAIPersonas();
 
   const handleMessageChange = useCallback((e) => {
     const newValue = e.target.value;
@@ -133,6 +173,7 @@ export const useMessageHandling = (
               mimetype: uploadResponse.data.file.mimetype,
               size: uploadResponse.data.file.size,
             },
+            replyToId: replyTarget?._id,
           });
 
           setFilePreview(null);
@@ -140,15 +181,31 @@ export const useMessageHandling = (
           setUploading(false);
           setUploadProgress(0);
         } else if (messageData.content?.trim()) {
-          socketRef.current.emit('chatMessage', {
-            room: roomId,
-            type: 'text',
-            content: messageData.content.trim(),
-          });
+          const summarize = parseSummarizeCommand(messageData.content);
+
+          if (summarize?.error) {
+            Toast.error(`${summarize.error}\n${SUMMARIZE_USAGE}`);
+            return;
+          }
+
+          if (summarize) {
+            socketRef.current.emit('summarizeRoom', {
+              roomId,
+              ...summarize,
+            });
+          } else {
+            socketRef.current.emit('chatMessage', {
+              room: roomId,
+              type: 'text',
+              content: messageData.content.trim(),
+              replyToId: replyTarget?._id,
+            });
+          }
 
           setMessage('');
         }
 
+        setReplyTarget(null);
         setShowEmojiPicker(false);
         setShowMentionList(false);
       } catch (error) {
@@ -170,7 +227,7 @@ export const useMessageHandling = (
         }
       }
     },
-    [currentUser, router, handleSessionError, socketRef]
+    [currentUser, router, handleSessionError, socketRef, replyTarget]
   );
 
   const handleEmojiToggle = useCallback(() => {
@@ -181,29 +238,28 @@ export const useMessageHandling = (
     (room) => {
       if (!room?.participants) return [];
 
-      const allParticipants = [
-        {
-          _id: 'wayneAI',
-          name: 'wayneAI',
-          email: 'ai@wayne.ai',
-          isAI: true,
-        },
-        {
-          _id: 'consultingAI',
-          name: 'consultingAI',
-          email: 'ai@consulting.ai',
-          isAI: true,
-        },
-        ...room.participants,
-      ];
+      // 멘션 시 입력되는 이름은 페르소나 식별자 (예: @wayneAI)
+      const aiParticipants = activePersonas.map((persona) => ({
+        _id: persona.key,
+        name: persona.key,
+        displayName: persona.name,
+        description: persona.description,
+        email: aiPersonaService.getPersonaEmail(persona.key),
+        color: persona.color,
+        avatar: persona.avatar,
+        isAI: true,
+      }));
+
+      const allParticipants = [...aiParticipants, ...room.participants];
 
       return allParticipants.filter(
         (user) =>
           user.name.toLowerCase().includes(mentionFilter) ||
-          user.email.toLowerCase().includes(mentionFilter)
+          user.email.toLowerCase().includes(mentionFilter) ||
+          !!user.displayName?.toLowerCase().includes(mentionFilter)
       );
     },
-    [mentionFilter]
+    [mentionFilter, activePersonas]
   );
 
   const insertMention = useCallback(
@@ -249,6 +305,7 @@ export const useMessageHandling = (
     uploadProgress,
     uploadError,
     loadingMessages,
+    replyTarget,
     setMessage,
     setShowEmojiPicker,
     setShowMentionList,
@@ -256,6 +313,7 @@ export const useMessageHandling = (
     setMentionIndex,
     setFilePreview,
     setLoadingMessages,
+    setReplyTarget,
     handleMessageChange,
     handleMessageSubmit,
     handleEmojiToggle,
@@ -0,0 +1,98 @@
+// hooks/useModerationHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useModerationHandling = (socketRef, router, setRoom) => {
+  // 관리 요청 전송 (권한 확인은 서버에서 처리)
+  const emitModeration = useCallback((event, payload) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!router?.query?.room || !payload?.userId) return;
+
+      socketRef.current.emit(event, {
+        roomId: router.query.room,
+        ...payload
+      });
+
+    } catch (error) {
+      console.error('Room moderation error:', error);
+      Toast.error('채팅방 관리 요청에 실패했습니다.');
+    }
+  }, [socketRef, router?.query?.room]);
+
+  const kickUser = useCallback((userId) => {
+    emitModeration('kickUser', { userId });
+  }, [emitModeration]);
+
+  const banUser = useCallback((userId) => {
+    emitModeration('banUser', { userId });
+  }, [emitModeration]);
+
+  const unbanUser = useCallback((userId) => {
+    emitModeration('unbanUser', { userId });
+  }, [emitModeration]);
+
+  const muteUser = useCallback((userId, duration) => {
+    emitModeration('muteUser', { userId, duration });
+  }, [emitModeration]);
+
+  const unmuteUser = useCallback((userId) => {
+    emitModeration('unmuteUser', { userId });
+  }, [emitModeration]);
+
+  const setUserRole = useCallback((userId, role) => {
+    emitModeration('setUserRole', { userId, role });
+  }, [emitModeration]);
+
+  // 참여자 목록 및 역할 변경 반영
+  const handleParticipantsUpdate = useCallback((participants) => {
+    if (!Array.isArray(participants)) return;
+    setRoom(prev => prev ? { ...prev, participants } : prev);
+  }, [setRoom]);
+
+  // 강제 퇴장 또는 차단된 경우 채팅방 목록으로 이동
+  const handleRemovedFromRoom = useCallback(({ roomId, message }) => {
+    if (roomId !== router?.query?.room) return;
+    Toast.error(message || '채팅방에서 내보내졌습니다.');
+    router.replace('/chat-rooms');
+  }, [router]);
+
+  const handleModerationError = useCallback(({ message }) => {
+    Toast.error(message || '채팅방 관리 중 오류가 발생했습니다.');
+  }, []);
+
+  // 채팅 금지 상태에서 메시지 전송 시도
+  const handleMessageSendError = useCallback(({ message, mutedUntil }) => {
+    if (mutedUntil) {
+      const until = new Date(mutedUntil).toLocaleString('ko-KR', {
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+      });
+      Toast.error(`${message || '채팅이 금지된 상태입니다.'} (${until}까지)`);
+      return;
+    }
+    Toast.error(message || '메시지 전송에 실패했습니다.');
+  }, []);
+
+  return {
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setUserRole,
+    handleParticipantsUpdate,
+    handleRemovedFromRoom,
+    handleModerationError,
+    handleMessageSendError
+  };
+};
+
+export default useModerationHandling;
@@ -0,0 +1,69 @@
+// hooks/usePinHandling.js
+
+import { useState, useCallback, useMemo } from 'react';
+import { Toast } from '../components/Toast';
+
+export const usePinHandling = (socketRef) => {
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+
+  const pinnedMessageIds = useMemo(
+    () => pinnedMessages.map(pin => pin.message?._id),
+    [pinnedMessages]
+  );
+
+  // 고정 상태에 따라 고정 또는 해제 요청
+  const handlePinToggle = useCallback((messageId, isPinned = false) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!messageId) return;
+
+      socketRef.current.emit(isPinned ? 'unpinMessage' : 'pinMessage', { messageId });
+
+    } catch (error) {
+      console.error('Pin message error:', error);
+      Toast.error('메시지 고정 처리에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 입장 시 또는 고정 목록 변경 시 서버에서 받은 목록으로 교체
+  const handlePinnedMessagesUpdate = useCallback(({ pinnedMessages: pins } = {}) => {
+    if (!Array.isArray(pins)) return;
+    setPinnedMessages(pins);
+  }, []);
+
+  // 고정된 메시지가 삭제되면 목록에서 제거
+  const handlePinnedMessageDeleted = useCallback(({ messageId }) => {
+    setPinnedMessages(prev => prev.filter(pin => pin.message?._id !== messageId));
+  }, []);
+
+  // 고정된 메시지가 수정되면 미리보기 내용 갱신
+  const handlePinnedMessageUpdated = useCallback(({ messageId, content }) => {
+    setPinnedMessages(prev =>
+      prev.map(pin =>
+        pin.message?._id === messageId
+          ? { ...pin, message: { ...pin.message, content } }
+          : pin
+      )
+    );
+  }, []);
+
+  const handleMessagePinError = useCallback(({ message }) => {
+    Toast.error(message || '메시지 고정 처리에 실패했습니다.');
+  }, []);
+
+  return {
+    pinnedMessages,
+    pinnedMessageIds,
+    setPinnedMessages,
+    handlePinToggle,
+    handlePinnedMessagesUpdate,
+    handlePinnedMessageDeleted,
+    handlePinnedMessageUpdated,
+    handleMessagePinError
+  };
+};
+
+export default usePinHandling;
@@ -0,0 +1,58 @@
+// hooks/usePresenceHandling.js
+
+import { useState, useCallback, useRef } from 'react';
+
+export const usePresenceHandling = (socketRef) => {
+  const [presences, setPresences] = useState({});
+  const requestedUserIdsRef = useRef(new Set());
+
+  // 변경된 사용자만 교체해 다른 아바타는 다시 그리지 않도록 유지
+  const mergePresences = useCallback((updates) => {
+    setPresences(prev => {
+      const next = { ...prev };
+      updates.forEach(presence => {
+        if (presence?.userId) {
+          next[presence.userId] = presence;
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  // 아직 조회하지 않은 사용자의 접속 상태만 요청 (이후 변경은 presenceUpdate로 수신)
+  const requestPresence = useCallback((userIds = []) => {
+    if (!socketRef.current?.connected) return;
+
+    const newUserIds = [...new Set(userIds)].filter(
+      userId => userId && !requestedUserIdsRef.current.has(userId)
+    );
+    if (newUserIds.length === 0) return;
+
+    newUserIds.forEach(userId => requestedUserIdsRef.current.add(userId));
+    socketRef.current.emit('fetchPresence', { userIds: newUserIds });
+  }, [socketRef]);
+
+  // 채팅방을 옮기거나 재연결하면 놓친 변경이 있을 수 있으므로 다시 조회
+  const resetPresenceRequests = useCallback(() => {
+    requestedUserIdsRef.current.clear();
+  }, []);
+
+  const handlePresenceUpdate = useCallback((presence) => {
+    mergePresences([presence]);
+  }, [mergePresences]);
+
+  const handlePresenceSnapshot = useCallback(({ presences: snapshot } = {}) => {
+    if (!Array.isArray(snapshot)) return;
+    mergePresences(snapshot);
+  }, [mergePresences]);
+
+  return {
+    presences,
+    requestPresence,
+    resetPresenceRequests,
+    handlePresenceUpdate,
+    handlePresenceSnapshot
+  };
+};
+
+export default usePresenceHandling;
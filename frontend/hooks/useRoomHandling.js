@@ -199,7 +199,8 @@ export const useRoomHandling = (
           }
           throw new Error('인증이 만료되었습니다.');
         }
-        throw new Error('채팅방 정보를 불러오는데 실패했습니다.');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || '채팅방 정보를 불러오는데 실패했습니다.');
       }
 
       const data = await response.json();
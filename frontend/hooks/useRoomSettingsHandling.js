@@ -0,0 +1,26 @@
+// hooks/useRoomSettingsHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useRoomSettingsHandling = (router, setRoom) => {
+  // 방장이 채팅방 이름이나 비밀번호를 변경한 경우 반영
+  const handleRoomUpdated = useCallback((updatedRoom) => {
+    if (!updatedRoom?._id || updatedRoom._id !== router?.query?.room) return;
+    setRoom(prev => prev ? { ...prev, ...updatedRoom } : prev);
+  }, [router?.query?.room, setRoom]);
+
+  // 채팅방이 삭제되면 채팅방 목록으로 이동
+  const handleRoomDeleted = useCallback((roomId) => {
+    if (roomId !== router?.query?.room) return;
+    Toast.info('채팅방이 삭제되었습니다.');
+    router.replace('/chat-rooms');
+  }, [router]);
+
+  return {
+    handleRoomUpdated,
+    handleRoomDeleted
+  };
+};
+
+export default useRoomSettingsHandling;
@@ -1,5 +1,9 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 
+const MAX_JUMP_LOAD_ATTEMPTS = 20; // 원본 메시지 탐색 시 최대 추가 로드 횟수
+const JUMP_LOAD_DELAY = 350; // 서버 로드 딜레이를 고려한 추가 로드 간격 (ms)
+const HIGHLIGHT_DURATION = 2000; // 이동한 메시지 강조 시간 (ms)
+
 export const useScrollHandling = (socketRef, router, messages = []) => {
   const [isNearBottom, setIsNearBottom] = useState(true);
   const [hasMoreMessages, setHasMoreMessages] = useState(true);
@@ -71,6 +75,38 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     });
   }, [isLoadingPreviousMessages, logDebug]);
 
+  // 특정 메시지로 스크롤 (화면에 없으면 이전 메시지를 먼저 불러옴)
+  const scrollToMessage = useCallback(async (messageId, loadOlderMessages) => {
+    const findMessageElement = () =>
+      document.querySelector(`[data-message-id="${messageId}"]`);
+
+    for (let attempt = 0; attempt <= MAX_JUMP_LOAD_ATTEMPTS; attempt++) {
+      const element = findMessageElement();
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('message-highlight');
+        setTimeout(() => {
+          element.classList.remove('message-highlight');
+        }, HIGHLIGHT_DURATION);
+
+        logDebug('scrollToMessage', { messageId, attempts: attempt });
+        return true;
+      }
+
+      if (attempt === MAX_JUMP_LOAD_ATTEMPTS || !loadOlderMessages) break;
+
+      const hasMore = await loadOlderMessages();
+
+      // 렌더링 완료 대기
+      await new Promise(resolve => setTimeout(resolve, JUMP_LOAD_DELAY));
+
+      if (hasMore === false && !findMessageElement()) break;
+    }
+
+    logDebug('scrollToMessage failed', { messageId });
+    return false;
+  }, [logDebug]);
+
   const tryLoadMoreMessages = useCallback(async () => {  
     if (!hasMoreMessages || loadingMessages || isLoadingRef.current || loadMoreTriggeredRef.current) {
       logDebug('loadMore prevented', {
@@ -290,6 +326,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     scrollToBottom,
     handleScroll,
     tryLoadMoreMessages,
+    scrollToMessage,
     checkScrollPosition,
     setHasMoreMessages,
     setLoadingMessages,
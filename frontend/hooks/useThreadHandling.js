@@ -0,0 +1,174 @@
+// hooks/useThreadHandling.js
+
+import { useState, useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useThreadHandling = (socketRef, router, setMessages) => {
+  const [activeThread, setActiveThread] = useState(null);
+
+  const openThread = useCallback((parentMessage) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!parentMessage?._id) return;
+
+      setActiveThread({
+        parentId: parentMessage._id,
+        parentMessage,
+        messages: [],
+        hasMore: false,
+        loading: true
+      });
+
+      socketRef.current.emit('fetchThreadMessages', {
+        roomId: router?.query?.room,
+        parentId: parentMessage._id
+      });
+
+    } catch (error) {
+      console.error('Open thread error:', error);
+      Toast.error('스레드를 여는데 실패했습니다.');
+    }
+  }, [socketRef, router?.query?.room]);
+
+  const closeThread = useCallback(() => {
+    setActiveThread(null);
+  }, []);
+
+  const loadMoreThread = useCallback(() => {
+    if (!socketRef.current?.connected || !activeThread || activeThread.loading) return;
+
+    setActiveThread(prev => prev ? { ...prev, loading: true } : prev);
+    socketRef.current.emit('fetchThreadMessages', {
+      roomId: router?.query?.room,
+      parentId: activeThread.parentId,
+      before: activeThread.messages[0]?.timestamp
+    });
+  }, [socketRef, router?.query?.room, activeThread]);
+
+  const sendThreadReply = useCallback((content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!activeThread || !trimmedContent) {
+        return false;
+      }
+
+      socketRef.current.emit('chatMessage', {
+        room: router?.query?.room,
+        type: 'text',
+        content: trimmedContent,
+        parentId: activeThread.parentId
+      });
+      return true;
+
+    } catch (error) {
+      console.error('Send thread reply error:', error);
+      Toast.error('답글 전송에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef, router?.query?.room, activeThread]);
+
+  const handleThreadMessagesLoaded = useCallback(({ parentId, parentMessage, messages = [], hasMore }) => {
+    setActiveThread(prev => {
+      if (!prev || prev.parentId !== parentId) return prev;
+
+      // 중복 제거 후 시간순 정렬
+      const messageMap = new Map();
+      [...messages, ...prev.messages].forEach(msg => messageMap.set(msg._id, msg));
+
+      return {
+        ...prev,
+        parentMessage: parentMessage || prev.parentMessage,
+        messages: Array.from(messageMap.values()).sort(
+          (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+        ),
+        hasMore,
+        loading: false
+      };
+    });
+  }, []);
+
+  const handleThreadMessage = useCallback(({ parentId, message }) => {
+    setActiveThread(prev => {
+      if (!prev || prev.parentId !== parentId || !message?._id) return prev;
+      if (prev.messages.some(msg => msg._id === message._id)) return prev;
+      return { ...prev, messages: [...prev.messages, message] };
+    });
+  }, []);
+
+  const handleReplyCountUpdate = useCallback(({ messageId, replyCount, lastReplyAt }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ? { ...msg, replyCount, lastReplyAt } : msg
+      )
+    );
+    setActiveThread(prev =>
+      prev?.parentId === messageId ? {
+        ...prev,
+        parentMessage: { ...prev.parentMessage, replyCount, lastReplyAt }
+      } : prev
+    );
+  }, [setMessages]);
+
+  // 답글 삭제 시 스레드 툼스톤 처리 및 부모 답글 수 감소
+  const handleThreadMessageDeleted = useCallback(({ messageId, parentId }) => {
+    if (parentId) {
+      setMessages(prevMessages =>
+        prevMessages.map(msg =>
+          msg._id === parentId ? {
+            ...msg,
+            replyCount: Math.max(0, (msg.replyCount || 0) - 1)
+          } : msg
+        )
+      );
+    }
+
+    setActiveThread(prev => {
+      if (!prev) return prev;
+
+      // 부모 메시지가 삭제되면 스레드 닫기
+      if (prev.parentId === messageId) return null;
+      if (prev.parentId !== parentId) return prev;
+
+      return {
+        ...prev,
+        messages: prev.messages.map(msg =>
+          msg._id === messageId ? {
+            ...msg,
+            content: '',
+            file: null,
+            isDeleted: true
+          } : msg
+        )
+      };
+    });
+  }, [setMessages]);
+
+  const handleThreadError = useCallback(({ parentId, message }) => {
+    setActiveThread(prev =>
+      prev?.parentId === parentId ? { ...prev, loading: false } : prev
+    );
+    Toast.error(message || '스레드를 불러오는데 실패했습니다.');
+  }, []);
+
+  return {
+    activeThread,
+    openThread,
+    closeThread,
+    loadMoreThread,
+    sendThreadReply,
+    handleThreadMessagesLoaded,
+    handleThreadMessage,
+    handleReplyCountUpdate,
+    handleThreadMessageDeleted,
+    handleThreadError
+  };
+};
+
+export default useThreadHandling;
@@ -0,0 +1,39 @@
+// hooks/useTypingHandling.js
+
+import { useState, useCallback, useMemo } from 'react';
+
+export const useTypingHandling = (socketRef, currentUser, router) => {
+  const [roomTypingUsers, setRoomTypingUsers] = useState([]);
+
+  // 본인을 제외한 입력 중인 사용자 (AI 포함)
+  const typingUsers = useMemo(
+    () => roomTypingUsers.filter(user => user.isAI || user.userId !== currentUser?.id),
+    [roomTypingUsers, currentUser?.id]
+  );
+
+  const emitTyping = useCallback((event) => {
+    const roomId = router?.query?.room;
+    if (!socketRef.current?.connected || !roomId) return;
+
+    socketRef.current.emit(event, { roomId });
+  }, [socketRef, router?.query?.room]);
+
+  const startTyping = useCallback(() => emitTyping('typingStart'), [emitTyping]);
+
+  const stopTyping = useCallback(() => emitTyping('typingStop'), [emitTyping]);
+
+  // 서버가 보내는 현재 입력 중인 사용자 목록으로 교체
+  const handleTypingUpdate = useCallback(({ roomId, users } = {}) => {
+    if (roomId !== router?.query?.room || !Array.isArray(users)) return;
+    setRoomTypingUsers(users);
+  }, [router?.query?.room]);
+
+  return {
+    typingUsers,
+    startTyping,
+    stopTyping,
+    handleTypingUpdate
+  };
+};
+
+export default useTypingHandling;
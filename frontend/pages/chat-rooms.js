@@ -23,12 +23,14 @@ import {
   useHScrollTable,
   cellHelper,
 } from '@goorm-dev/vapor-tables';
-import { Lock, AlertCircle, WifiOff, RefreshCcw } from 'lucide-react';
+import { Lock, AlertCircle, WifiOff, RefreshCcw, Settings, Trash2, Link2, EyeOff } from 'lucide-react';
 import socketService from '../services/socket';
 import authService from '../services/authService';
 import axiosInstance from '../services/axios';
+import roomService from '../services/roomService';
 import { withAuth } from '../middleware/withAuth';
 import { Toast } from '../components/Toast';
+import RoomInviteManager from '../components/RoomInviteManager';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
 
@@ -48,6 +50,31 @@ const STATUS_CONFIG = {
   [CONNECTION_STATUS.ERROR]: { label: '연결 오류', color: 'danger' },
 };
 
+const MAX_UNREAD_BADGE = 99;
+
+const formatUnreadCount = (count) =>
+  count > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : count;
+
+const getLastMessagePreview = (lastMessage) => {
+  if (!lastMessage) return '-';
+
+  const content = lastMessage.type === 'file'
+    ? `파일: ${lastMessage.content}`
+    : lastMessage.content;
+
+  return lastMessage.senderName ? `${lastMessage.senderName}: ${content}` : content;
+};
+
+const formatActivityTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return date.toLocaleString('ko-KR', isToday
+    ? { hour: '2-digit', minute: '2-digit', hour12: false }
+    : { month: 'long', day: 'numeric' }
+  );
+};
+
 const RETRY_CONFIG = {
   maxRetries: 3,
   baseDelay: 1000,
@@ -69,6 +96,29 @@ const LoadingIndicator = ({ text }) => (
   </div>
 );
 
+// 렌더링마다 새 컴포넌트가 되지 않도록 모듈 수준에 정의 (입력 포커스 유지)
+const Modal = ({ visible, children, onClose }) => {
+  if (!visible) return null;
+
+  const modalRoot =
+    typeof window !== 'undefined'
+      ? document.getElementById('modal-root')
+      : null;
+
+  if (!modalRoot) {
+    console.error('modal-root DOM element not found');
+    return null;
+  }
+
+  return ReactDOM.createPortal(
+    <div>
+      <div className={styles['modal-backdrop']} onClick={onClose}></div>
+      <div className={styles.modal}>{children}</div>
+    </div>,
+    modalRoot
+  );
+};
+
 const TableWrapper = ({ children, onScroll, loadingMore, hasMore, rooms }) => {
   const tableRef = useRef(null);
   const scrollTimeoutRef = useRef(null);
@@ -158,33 +208,20 @@ function ChatRoomsComponent() {
   const [passwordModalVisible, setPasswordModalVisible] = useState(false);
   const [password, setPassword] = useState();
   const [roomIdForPassword, setRoomIdForPassword] = useState(null);
-
-  const Modal = ({ visible, children, onClose }) => {
-    if (!visible) return null;
-
-    const modalRoot =
-      typeof window !== 'undefined'
-        ? document.getElementById('modal-root')
-        : null;
-
-    if (!modalRoot) {
-      console.error('modal-root DOM element not found');
-      return null;
-    }
-
-    return ReactDOM.createPortal(
-      <div>
-        <div className={styles['modal-backdrop']} onClick={onClose}></div>
-        <div className={styles.modal}>{children}</div>
-      </div>,
-      modalRoot
-    );
-  };
+  const [settingsRoom, setSettingsRoom] = useState(null);
+  const [settingsForm, setSettingsForm] = useState({
+    name: '',
+    password: '',
+    removePassword: false,
+  });
+  const [savingSettings, setSavingSettings] = useState(false);
 
   // Refs
   const socketRef = useRef(null);
+  const previousRoomsRef = useRef([]);
   const isLoadingRef = useRef(false);
   const connectionCheckTimerRef = useRef(null);
+  const sortingRef = useRef(sorting);
 
   const getRetryDelay = useCallback((retryCount) => {
     const delay =
@@ -357,6 +394,11 @@ function ChatRoomsComponent() {
     }
   }, [pageIndex, fetchRooms]);
 
+  // 실시간 활동 갱신 시 현재 정렬 기준 참조
+  useEffect(() => {
+    sortingRef.current = sorting;
+  }, [sorting]);
+
   // 페이지 인덱스 변경 시 데이터 로드
   useEffect(() => {
     if (pageIndex > 0) {
@@ -496,8 +538,42 @@ function ChatRoomsComponent() {
           roomUpdated: (updatedRoom) => {
             setRooms((prev) => {
               const updatedRooms = prev.map((room) =>
-                room._id === updatedRoom._id ? updatedRoom : room
+                room._id === updatedRoom._id ? { ...room, ...updatedRoom } : room
+              );
+              previousRoomsRef.current = updatedRooms;
+              return updatedRooms;
+            });
+          },
+          // 새 메시지, 수정, 삭제로 마지막 메시지가 바뀐 경우 미리보기와 안 읽은 수 갱신
+          roomActivity: ({ roomId, lastMessage, lastActivityAt, isNew }) => {
+            setRooms((prev) => {
+              if (!prev.some((room) => room._id === roomId)) return prev;
+
+              const isUnread =
+                isNew && lastMessage && lastMessage.sender !== currentUser?.id;
+              let updatedRooms = prev.map((room) =>
+                room._id === roomId
+                  ? {
+                      ...room,
+                      lastMessage,
+                      lastActivityAt,
+                      unreadCount: isUnread
+                        ? (room.unreadCount || 0) + 1
+                        : room.unreadCount,
+                    }
+                  : room
               );
+
+              const [currentSort] = sortingRef.current;
+              if (currentSort?.id === 'lastActivityAt') {
+                const direction = currentSort.desc ? -1 : 1;
+                updatedRooms = [...updatedRooms].sort(
+                  (a, b) =>
+                    direction *
+                    (new Date(a.lastActivityAt) - new Date(b.lastActivityAt))
+                );
+              }
+
               previousRoomsRef.current = updatedRooms;
               return updatedRooms;
             });
@@ -569,6 +645,67 @@ function ChatRoomsComponent() {
     }
   };
 
+  const openRoomSettings = useCallback((room) => {
+    setSettingsRoom(room);
+    setSettingsForm({ name: room.name, password: '', removePassword: false });
+  }, []);
+
+  const closeRoomSettings = useCallback(() => {
+    setSettingsRoom(null);
+  }, []);
+
+  // 방장 전용: 채팅방 이름 및 비밀번호 변경
+  const handleSettingsSubmit = async () => {
+    if (!settingsRoom) return;
+
+    if (!settingsForm.name.trim()) {
+      Toast.error('방 이름은 필수입니다.');
+      return;
+    }
+
+    try {
+      setSavingSettings(true);
+      const updatedRoom = await roomService.updateRoom(settingsRoom._id, {
+        name: settingsForm.name.trim(),
+        password: settingsForm.removePassword ? undefined : settingsForm.password || undefined,
+        removePassword: settingsForm.removePassword,
+      });
+
+      setRooms((prev) => {
+        const updatedRooms = prev.map((room) =>
+          room._id === updatedRoom._id ? { ...room, ...updatedRoom } : room
+        );
+        previousRoomsRef.current = updatedRooms;
+        return updatedRooms;
+      });
+      Toast.success('채팅방 설정이 변경되었습니다.');
+      setSettingsRoom(null);
+    } catch (error) {
+      Toast.error(error.message);
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  // 방장 전용: 채팅방 삭제 (메시지와 첨부 파일 포함)
+  const handleDeleteRoom = useCallback(async (room) => {
+    if (!window.confirm(`'${room.name}' 채팅방을 삭제하시겠습니까? 모든 메시지와 파일이 함께 삭제됩니다.`)) {
+      return;
+    }
+
+    try {
+      await roomService.deleteRoom(room._id);
+      setRooms((prev) => {
+        const updatedRooms = prev.filter((item) => item._id !== room._id);
+        previousRoomsRef.current = updatedRooms;
+        return updatedRooms;
+      });
+      Toast.success('채팅방이 삭제되었습니다.');
+    } catch (error) {
+      Toast.error(error.message);
+    }
+  }, []);
+
   const columns = useMemo(
     () => [
       {
@@ -577,9 +714,23 @@ function ChatRoomsComponent() {
         cell: cellHelper(({ value, rowData }) => (
           <div className="d-flex align-items-center gap-2">
             <Text className="font-medium">{value}</Text>
+            {rowData.unreadCount > 0 && (
+              <span
+                className="room-unread-badge"
+                title={`안 읽은 메시지 ${rowData.unreadCount}개`}
+              >
+                {formatUnreadCount(rowData.unreadCount)}
+              </span>
+            )}
             {rowData.hasPassword && (
               <Lock size={14} className="text-gray-500" />
             )}
+            {rowData.visibility === 'unlisted' && (
+              <Link2 size={14} className="text-gray-500" aria-label="링크 공개" />
+            )}
+            {rowData.visibility === 'private' && (
+              <EyeOff size={14} className="text-gray-500" aria-label="비공개" />
+            )}
           </div>
         )),
         size: 200,
@@ -594,6 +745,23 @@ function ChatRoomsComponent() {
         size: 100,
         enableSorting: true,
       },
+      {
+        accessorKey: 'lastActivityAt',
+        header: '최근 활동',
+        cell: cellHelper(({ value, rowData }) => (
+          <div className="room-activity">
+            <Text className="room-activity-preview">
+              {getLastMessagePreview(rowData.lastMessage)}
+            </Text>
+            <Text className="room-activity-time">
+              {formatActivityTime(value || rowData.createdAt)}
+            </Text>
+          </div>
+        )),
+        size: 240,
+        enableSorting: true,
+        sortingFn: 'datetime',
+      },
       {
         accessorKey: 'createdAt',
         header: '생성일',
@@ -616,20 +784,42 @@ function ChatRoomsComponent() {
         accessorKey: 'actions',
         header: '',
         cell: cellHelper(({ rowData }) => (
-          <Button
-            variant="primary"
-            size="md"
-            onClick={() => handleJoinRoom(rowData._id, rowData.hasPassword)}
-            disabled={connectionStatus !== CONNECTION_STATUS.CONNECTED}
-          >
-            입장
-          </Button>
+          <div className="d-flex align-items-center gap-2">
+            <Button
+              variant="primary"
+              size="md"
+              onClick={() => handleJoinRoom(rowData._id, rowData.hasPassword)}
+              disabled={connectionStatus !== CONNECTION_STATUS.CONNECTED}
+            >
+              입장
+            </Button>
+            {rowData.isCreator && (
+              <>
+                <Button
+                  variant="ghost"
+                  size="md"
+                  onClick={() => openRoomSettings(rowData)}
+                  title="채팅방 설정"
+                >
+                  <Settings className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="md"
+                  onClick={() => handleDeleteRoom(rowData)}
+                  title="채팅방 삭제"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </>
+            )}
+          </div>
         )),
-        size: 100,
+        size: 200,
         enableSorting: false,
       },
     ],
-    [connectionStatus]
+    [connectionStatus, openRoomSettings, handleDeleteRoom]
   );
 
   const tableInstance = useHScrollTable({
@@ -738,6 +928,53 @@ function ChatRoomsComponent() {
           <Button onClick={() => setPasswordModalVisible(false)}>취소</Button>
         </div>
       </Modal>
+      <Modal visible={!!settingsRoom} onClose={closeRoomSettings}>
+        <div className="modal-content room-settings-modal">
+          <h2>채팅방 설정</h2>
+          <Input
+            name="roomName"
+            value={settingsForm.name}
+            onChange={(e) =>
+              setSettingsForm((prev) => ({ ...prev, name: e.target.value }))
+            }
+            placeholder="채팅방 이름"
+          />
+          <Input
+            type="password"
+            name="roomPassword"
+            value={settingsForm.password}
+            onChange={(e) =>
+              setSettingsForm((prev) => ({ ...prev, password: e.target.value }))
+            }
+            placeholder={
+              settingsRoom?.hasPassword
+                ? '새 비밀번호 (변경하지 않으려면 비워두세요)'
+                : '비밀번호 설정 (선택)'
+            }
+            disabled={settingsForm.removePassword}
+          />
+          {settingsRoom?.hasPassword && (
+            <label className="room-settings-checkbox">
+              <input
+                type="checkbox"
+                checked={settingsForm.removePassword}
+                onChange={(e) =>
+                  setSettingsForm((prev) => ({
+                    ...prev,
+                    removePassword: e.target.checked,
+                  }))
+                }
+              />
+              비밀번호 해제
+            </label>
+          )}
+          <Button onClick={handleSettingsSubmit} disabled={savingSettings}>
+            저장
+          </Button>
+          <Button onClick={closeRoomSettings}>취소</Button>
+          {settingsRoom && <RoomInviteManager roomId={settingsRoom._id} />}
+        </div>
+      </Modal>
     </div>
   );
 }
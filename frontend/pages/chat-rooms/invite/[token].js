@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Alert, Spinner } from '@goorm-dev/vapor-components';
+import { AlertCircle, Users } from 'lucide-react';
+import roomService from '../../../services/roomService';
+import { withAuth } from '../../../middleware/withAuth';
+
+function RoomInvite() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady || !token) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    roomService.getInvitePreview(token)
+      .then(data => {
+        if (!cancelled) setPreview(data);
+      })
+      .catch(error => {
+        if (!cancelled) setError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, token]);
+
+  const handleJoin = async () => {
+    if (!preview) return;
+
+    try {
+      setJoining(true);
+      setError('');
+      await roomService.joinWithInvite(preview.roomId, token);
+      router.push(`/chat?room=${preview.roomId}`);
+    } catch (error) {
+      console.error('Invite join error:', error);
+      setError(error.message);
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card room-invite-card">
+        <Card.Header>
+          <Text as="h5" typography="heading5">채팅방 초대</Text>
+        </Card.Header>
+        <Card.Body className="p-8">
+          {loading && (
+            <div className="text-center">
+              <Spinner size="md" className="text-primary" />
+            </div>
+          )}
+
+          {error && (
+            <Alert color="danger" className="mb-6">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </Alert>
+          )}
+
+          {preview && (
+            <div className="room-invite-preview">
+              <Text as="h4" typography="heading4" className="room-invite-name">
+                {preview.name}
+              </Text>
+              <Text size="sm" color="secondary">
+                {preview.creator}님의 채팅방
+              </Text>
+              <Text size="sm" color="secondary">
+                <Users className="w-4 h-4" /> 참여자 {preview.participantsCount}명
+              </Text>
+              <Button
+                variant="primary"
+                size="lg"
+                onClick={handleJoin}
+                disabled={joining}
+              >
+                {joining ? '입장 중...' : '참여하기'}
+              </Button>
+            </div>
+          )}
+
+          {!loading && !preview && (
+            <Button size="lg" onClick={() => router.push('/chat-rooms')}>
+              채팅방 목록으로
+            </Button>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
+
+export default withAuth(RoomInvite);
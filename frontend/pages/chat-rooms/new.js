@@ -10,16 +10,60 @@ import {
   FormGroup,
   Label
 } from '@goorm-dev/vapor-components';
-import { AlertCircle } from 'lucide-react';
+import { AlertCircle, Globe, Link2, EyeOff, Users, Bot } from 'lucide-react';
+import PersistentAvatar from '../../components/common/PersistentAvatar';
 import authService from '../../services/authService';
+import aiAssistantService from '../../services/aiAssistantService';
+import { useAIPersonas } from '../../hooks/useAIPersonas';
+
+const ROOM_TYPE_OPTIONS = [
+  {
+    value: 'group',
+    label: '채팅방',
+    description: '여러 사용자와 함께 대화합니다.',
+    Icon: Users
+  },
+  {
+    value: 'assistant',
+    label: 'AI 대화',
+    description: '선택한 AI가 멘션 없이 모든 메시지에 답하는 나만의 대화입니다.',
+    Icon: Bot
+  }
+];
+
+const VISIBILITY_OPTIONS = [
+  {
+    value: 'public',
+    label: '공개',
+    description: '채팅방 목록에 표시되며 누구나 입장할 수 있습니다.',
+    Icon: Globe
+  },
+  {
+    value: 'unlisted',
+    label: '링크 공개',
+    description: '목록에 표시되지 않으며 링크를 아는 사용자만 입장할 수 있습니다.',
+    Icon: Link2
+  },
+  {
+    value: 'private',
+    label: '비공개',
+    description: '목록에 표시되지 않으며 초대 링크로만 입장할 수 있습니다.',
+    Icon: EyeOff
+  }
+];
 
 function NewChatRoom() {
   const router = useRouter();
+  const [roomType, setRoomType] = useState('group');
   const [formData, setFormData] = useState({
     name: '',
+    visibility: 'public',
     hasPassword: false,
-    password: ''
+    password: '',
+    persona: ''
   });
+  const { activePersonas, getPersonaUser } = useAIPersonas();
+  const isAssistant = roomType === 'assistant';
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [currentUser, setCurrentUser] = useState(null);
@@ -33,6 +77,43 @@ function NewChatRoom() {
     setCurrentUser(user);
   }, [router]);
 
+  // ?type=ai로 들어온 경우 AI 대화 만들기로 시작
+  useEffect(() => {
+    if (router.query.type === 'ai') {
+      setRoomType('assistant');
+    }
+  }, [router.query.type]);
+
+  // 선택한 페르소나가 없으면 첫 번째 활성 페르소나 선택
+  useEffect(() => {
+    if (!formData.persona && activePersonas.length > 0) {
+      setFormData(prev => ({ ...prev, persona: activePersonas[0].key }));
+    }
+  }, [activePersonas, formData.persona]);
+
+  // AI 대화 생성 후 바로 입장 (만든 사용자만 참여하는 대화)
+  const createAssistantRoom = async () => {
+    if (!formData.persona) {
+      setError('대화할 AI를 선택해주세요.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const room = await aiAssistantService.createAssistantRoom(
+        formData.persona,
+        formData.name.trim()
+      );
+      router.push(`/chat?room=${room._id}`);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const joinRoom = async (roomId, password) => {
     try {
       const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/rooms/${roomId}/join`, {
@@ -60,6 +141,10 @@ function NewChatRoom() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (isAssistant) {
+      return createAssistantRoom();
+    }
   
     if (!formData.name.trim()) {
       setError('채팅방 이름을 입력해주세요.');
@@ -89,6 +174,7 @@ function NewChatRoom() {
         },
         body: JSON.stringify({
           name: formData.name.trim(),
+          visibility: formData.visibility,
           password: formData.hasPassword ? formData.password : undefined
         })
       });
@@ -140,7 +226,7 @@ function NewChatRoom() {
     <div className="auth-container">
       <Card className="auth-card">
         <Card.Header>
-          <Text as="h5" typography="heading5">새 채팅방</Text>
+          <Text as="h5" typography="heading5">{isAssistant ? '새 AI 대화' : '새 채팅방'}</Text>
         </Card.Header>
         <Card.Body className="p-8">
 
@@ -156,7 +242,36 @@ function NewChatRoom() {
 
           <form onSubmit={handleSubmit} className="auth-form">
             <FormGroup>
-              <Label for="roomName">채팅방 이름</Label>
+              <Label>대화 유형</Label>
+              <div className="visibility-options" role="radiogroup" aria-label="대화 유형">
+                {ROOM_TYPE_OPTIONS.map(({ value, label, description, Icon }) => (
+                  <label
+                    key={value}
+                    className={`visibility-option ${roomType === value ? 'selected' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="roomType"
+                      value={value}
+                      checked={roomType === value}
+                      onChange={() => {
+                        setRoomType(value);
+                        setError('');
+                      }}
+                      disabled={loading}
+                    />
+                    <Icon className="w-4 h-4" />
+                    <div className="visibility-option-body">
+                      <span className="visibility-option-label">{label}</span>
+                      <span className="visibility-option-description">{description}</span>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </FormGroup>
+
+            <FormGroup>
+              <Label for="roomName">{isAssistant ? '대화 이름 (선택)' : '채팅방 이름'}</Label>
               <Input
                 id="roomName"
                 name="name"
@@ -165,11 +280,78 @@ function NewChatRoom() {
                   ...prev,
                   name: e.target.value
                 }))}
-                placeholder="채팅방 이름을 입력하세요"
+                placeholder={isAssistant ? '비워 두면 AI 이름으로 만들어집니다' : '채팅방 이름을 입력하세요'}
                 disabled={loading}
               />
             </FormGroup>
 
+            {isAssistant ? (
+              <FormGroup>
+                <Label>대화할 AI</Label>
+                {activePersonas.length === 0 ? (
+                  <Text color="secondary">사용할 수 있는 AI가 없습니다.</Text>
+                ) : (
+                  <div className="visibility-options" role="radiogroup" aria-label="대화할 AI">
+                    {activePersonas.map(persona => (
+                      <label
+                        key={persona.key}
+                        className={`visibility-option ${formData.persona === persona.key ? 'selected' : ''}`}
+                        data-persona={persona.key}
+                      >
+                        <input
+                          type="radio"
+                          name="persona"
+                          value={persona.key}
+                          checked={formData.persona === persona.key}
+                          onChange={() => setFormData(prev => ({
+                            ...prev,
+                            persona: persona.key
+                          }))}
+                          disabled={loading}
+                        />
+                        <PersistentAvatar user={getPersonaUser(persona.key)} size="sm" showInitials={true} />
+                        <div className="visibility-option-body">
+                          <span className="visibility-option-label">{persona.name}</span>
+                          {persona.description && (
+                            <span className="visibility-option-description">{persona.description}</span>
+                          )}
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </FormGroup>
+            ) : (
+            <>
+            <FormGroup>
+              <Label>공개 범위</Label>
+              <div className="visibility-options" role="radiogroup" aria-label="공개 범위">
+                {VISIBILITY_OPTIONS.map(({ value, label, description, Icon }) => (
+                  <label
+                    key={value}
+                    className={`visibility-option ${formData.visibility === value ? 'selected' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="visibility"
+                      value={value}
+                      checked={formData.visibility === value}
+                      onChange={() => setFormData(prev => ({
+                        ...prev,
+                        visibility: value
+                      }))}
+                      disabled={loading}
+                    />
+                    <Icon className="w-4 h-4" />
+                    <div className="visibility-option-body">
+                      <span className="visibility-option-label">{label}</span>
+                      <span className="visibility-option-description">{description}</span>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </FormGroup>
+
             <FormGroup>
               <div className="d-flex justify-content-between align-items-center">
                 <Label for="hasPassword" inline>
@@ -201,14 +383,18 @@ function NewChatRoom() {
                 />
               </FormGroup>
             )}
+            </>
+            )}
 
             <Button
               type="submit"
               variant="primary"
               size="lg"
-              disabled={loading || !formData.name.trim() || (formData.hasPassword && !formData.password)}
+              disabled={loading || (isAssistant
+                ? !formData.persona
+                : !formData.name.trim() || (formData.hasPassword && !formData.password))}
             >
-              {loading ? '생성 중...' : '채팅방 만들기'}
+              {loading ? '생성 중...' : isAssistant ? 'AI 대화 시작' : '채팅방 만들기'}
             </Button>
           </form>
         </Card.Body>
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useCallback } from 'react';
 import { Card } from '@goorm-dev/vapor-core';
 import { 
   Text,
@@ -12,12 +12,19 @@ import {
 } from '@goorm-dev/vapor-components';
 import { 
   AlertCircle, 
-  WifiOff 
+  WifiOff,
+  Search,
+  Users
 } from 'lucide-react';
 import { withAuth } from '../middleware/withAuth';
 import { useChatRoom } from '../hooks/useChatRoom';
 import ChatMessages from '../components/chat/ChatMessages';
 import ChatInput from '../components/chat/ChatInput';
+import ThreadPanel from '../components/chat/ThreadPanel';
+import MessageSearchPanel from '../components/chat/MessageSearchPanel';
+import PinnedMessageBar from '../components/chat/PinnedMessageBar';
+import ParticipantListPanel from '../components/chat/ParticipantListPanel';
+import TypingIndicator from '../components/chat/TypingIndicator';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const ChatPage = () => {
@@ -55,11 +62,76 @@ const ChatPage = () => {
     error,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    activeThread,
+    openThread,
+    closeThread,
+    loadMoreThread,
+    sendThreadReply,
+    replyTarget,
+    handleQuoteSelect,
+    cancelReply,
+    jumpToMessage,
+    pinnedMessages,
+    pinnedMessageIds,
+    handlePinToggle,
+    cancelAIResponse,
+    regenerateAIResponse,
+    retryAIResponse,
+    selectAIVariant,
+    dismissPrivateAIMessage,
+    kickUser,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setUserRole,
+    typingUsers,
+    presences,
+    startTyping,
+    stopTyping,
     loadingMessages,
     hasMoreMessages,
     handleLoadMore,
   } = useChatRoom();
 
+  const [sidePanel, setSidePanel] = useState(null);
+
+  // 1:1 대화는 상대방 이름을 제목으로 표시
+  const isDirectRoom = room?.type === 'direct';
+  // 1:1 대화와 AI 대화는 참여자 관리가 필요 없음
+  const isPersonalRoom = isDirectRoom || room?.type === 'assistant';
+  const roomTitle = useMemo(() => {
+    if (!isDirectRoom) return room?.name || '채팅방';
+    const otherUser = room.participants?.find(participant => participant._id !== currentUser?.id);
+    return otherUser?.name || room.name;
+  }, [isDirectRoom, room, currentUser?.id]);
+
+  // 스레드, 검색, 참여자 패널은 같은 영역을 사용하므로 하나만 표시
+  const handleThreadOpen = useCallback((targetMessage) => {
+    setSidePanel(null);
+    openThread(targetMessage);
+  }, [openThread]);
+
+  const toggleSidePanel = useCallback((panel) => {
+    closeThread();
+    setSidePanel(prev => prev === panel ? null : panel);
+  }, [closeThread]);
+
+  const closeSidePanel = useCallback(() => {
+    setSidePanel(null);
+  }, []);
+
+  // 검색 결과 선택 시 해당 메시지 위치로 이동 (스레드 답글은 스레드 열기)
+  const handleSearchResultSelect = useCallback((result) => {
+    if (result.parentMessage) {
+      handleThreadOpen({ _id: result.parentMessage });
+      return;
+    }
+    jumpToMessage(result._id, result.timestamp);
+  }, [handleThreadOpen, jumpToMessage]);
+
   // 참가자 렌더링 최적화
   const renderParticipants = () => {
     if (!room?.participants) return null;
@@ -178,6 +250,19 @@ const ChatPage = () => {
         messagesEndRef={messagesEndRef}
         onReactionAdd={handleReactionAdd}
         onReactionRemove={handleReactionRemove}
+        onMessageEdit={handleMessageEdit}
+        onMessageDelete={handleMessageDelete}
+        onThreadOpen={handleThreadOpen}
+        onQuoteSelect={handleQuoteSelect}
+        onQuoteClick={jumpToMessage}
+        pinnedMessageIds={pinnedMessageIds}
+        onPinToggle={handlePinToggle}
+        onAICancel={cancelAIResponse}
+        onAIRegenerate={regenerateAIResponse}
+        onAIRetry={retryAIResponse}
+        onAIVariantSelect={selectAIVariant}
+        onAIDismiss={dismissPrivateAIMessage}
+        presences={presences}
         loadingMessages={loadingMessages}
         hasMoreMessages={hasMoreMessages}
         onLoadMore={handleLoadMore}
@@ -204,25 +289,87 @@ const ChatPage = () => {
         <Card.Header className="chat-room-header">
           <div className="flex items-center gap-3">
             <Text size="xl" weight="bold" className="chat-room-title">
-              {room?.name || '채팅방'}
+              {roomTitle}
             </Text>
-            {renderParticipants()}
+            {!isPersonalRoom && renderParticipants()}
+          </div>
+          <div className="flex items-center gap-2">
+            <Button
+              size="sm"
+              variant="ghost"
+              className="action-button"
+              onClick={() => toggleSidePanel('search')}
+              title="메시지 검색"
+            >
+              <Search className="w-4 h-4" />
+            </Button>
+            {!isPersonalRoom && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={() => toggleSidePanel('participants')}
+                title="참여자 목록"
+              >
+                <Users className="w-4 h-4" />
+              </Button>
+            )}
+            <Status
+              label={status.label}
+              color={status.color}
+              title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
+            />
           </div>
-          <Status
-            label={status.label}
-            color={status.color}
-            title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
-          />
         </Card.Header>
 
+        <PinnedMessageBar
+          pinnedMessages={pinnedMessages}
+          onJump={jumpToMessage}
+          onUnpin={handlePinToggle}
+        />
+
         <Card.Body className="chat-room-body">
-          <div className="chat-messages">
+          <div className={`chat-messages ${activeThread || sidePanel ? 'with-side-panel' : ''}`}>
             {renderContent()}
           </div>
+          <ThreadPanel
+            thread={activeThread}
+            currentUser={currentUser}
+            room={room}
+            disabled={connectionStatus !== 'connected'}
+            onClose={closeThread}
+            onLoadMore={loadMoreThread}
+            onSend={sendThreadReply}
+            onMessageDelete={handleMessageDelete}
+          />
+          {sidePanel === 'search' && (
+            <MessageSearchPanel
+              roomId={room?._id}
+              room={room}
+              onClose={closeSidePanel}
+              onResultSelect={handleSearchResultSelect}
+            />
+          )}
+          {sidePanel === 'participants' && (
+            <ParticipantListPanel
+              room={room}
+              currentUser={currentUser}
+              presences={presences}
+              onClose={closeSidePanel}
+              onKick={kickUser}
+              onBan={banUser}
+              onUnban={unbanUser}
+              onMute={muteUser}
+              onUnmute={unmuteUser}
+              onSetRole={setUserRole}
+            />
+          )}
         </Card.Body>
 
         <Card.Footer className="chat-room-footer">
+          <TypingIndicator typingUsers={typingUsers} />
           <ChatInput 
+            ref={messageInputRef}
             message={message}
             onMessageChange={handleMessageChange}
             onSubmit={handleMessageSubmit}
@@ -248,6 +395,10 @@ const ChatPage = () => {
               setShowMentionList(false);
             }}
             onFileRemove={removeFilePreview}
+            replyTarget={replyTarget}
+            onReplyCancel={cancelReply}
+            onTypingStart={startTyping}
+            onTypingStop={stopTyping}
           />
         </Card.Footer>
       </Card>
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Alert, Spinner } from '@goorm-dev/vapor-components';
+import { AlertCircle, RefreshCcw, Bot, Pencil, Trash2 } from 'lucide-react';
+import PersistentAvatar from '../components/common/PersistentAvatar';
+import socketService from '../services/socket';
+import authService from '../services/authService';
+import directMessageService from '../services/directMessageService';
+import aiAssistantService from '../services/aiAssistantService';
+import roomService from '../services/roomService';
+import { useAIPersonas } from '../hooks/useAIPersonas';
+import { withAuth } from '../middleware/withAuth';
+import { Toast } from '../components/Toast';
+
+const formatActivityTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return date.toLocaleString('ko-KR', isToday
+    ? { hour: '2-digit', minute: '2-digit', hour12: false }
+    : { month: 'long', day: 'numeric' }
+  );
+};
+
+const getPreviewText = (lastMessage, currentUserId) => {
+  if (!lastMessage) return '아직 메시지가 없습니다.';
+
+  const content = lastMessage.type === 'file'
+    ? `파일: ${lastMessage.content}`
+    : lastMessage.content;
+
+  return lastMessage.sender === currentUserId ? `나: ${content}` : content;
+};
+
+const MAX_UNREAD_BADGE = 99;
+const LISTED_ROOM_TYPES = ['direct', 'assistant']; // 이 목록에 표시되는 채팅방 유형
+
+const sortByActivity = (rooms) =>
+  [...rooms].sort((a, b) =>
+    new Date(b.lastActivityAt || b.createdAt) -
+    new Date(a.lastActivityAt || a.createdAt)
+  );
+
+function DirectMessages() {
+  const router = useRouter();
+  const [currentUser] = useState(authService.getCurrentUser());
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const roomsRef = useRef([]);
+  const { getPersonaUser } = useAIPersonas();
+
+  // 1:1 대화와 AI 대화를 함께 조회해 최근 활동 순으로 표시
+  const fetchRooms = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [directRooms, assistantRooms] = await Promise.all([
+        directMessageService.getDirectRooms(),
+        aiAssistantService.getAssistantRooms()
+      ]);
+      const data = sortByActivity([...directRooms, ...assistantRooms]);
+      roomsRef.current = data;
+      setRooms(data);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRooms();
+  }, [fetchRooms]);
+
+  // 새 메시지가 오면 해당 대화를 갱신 (목록에 없는 대화면 다시 조회)
+  useEffect(() => {
+    if (!currentUser?.token) return;
+
+    let socket = null;
+    let isSubscribed = true;
+
+    const handleRoomActivity = ({ roomId, type, lastMessage, lastActivityAt, isNew }) => {
+      if (!LISTED_ROOM_TYPES.includes(type)) return;
+
+      if (!roomsRef.current.some(room => room._id === roomId)) {
+        fetchRooms();
+        return;
+      }
+
+      const isUnread = isNew && lastMessage && lastMessage.sender !== currentUser.id;
+      setRooms(prev => {
+        const updatedRooms = sortByActivity(
+          prev.map(room => room._id === roomId
+            ? {
+                ...room,
+                lastMessage,
+                lastActivityAt,
+                unreadCount: isUnread ? (room.unreadCount || 0) + 1 : room.unreadCount,
+              }
+            : room
+          )
+        );
+        roomsRef.current = updatedRooms;
+        return updatedRooms;
+      });
+    };
+
+    const connectSocket = async () => {
+      try {
+        socket = await socketService.connect({
+          auth: {
+            token: currentUser.token,
+            sessionId: currentUser.sessionId,
+          },
+        });
+
+        if (!isSubscribed || !socket) return;
+        socket.on('roomActivity', handleRoomActivity);
+      } catch (error) {
+        console.error('Socket connection error:', error);
+      }
+    };
+
+    connectSocket();
+
+    return () => {
+      isSubscribed = false;
+      socket?.off('roomActivity', handleRoomActivity);
+    };
+  }, [currentUser, fetchRooms]);
+
+  const updateRooms = useCallback((update) => {
+    setRooms(prev => {
+      const updatedRooms = update(prev);
+      roomsRef.current = updatedRooms;
+      return updatedRooms;
+    });
+  }, []);
+
+  // AI 대화 이름 변경 (만든 사용자가 방장)
+  const handleRenameRoom = useCallback(async (room) => {
+    const name = window.prompt('새 대화 이름을 입력하세요.', room.name);
+    if (name === null) return;
+
+    if (!name.trim()) {
+      Toast.error('방 이름은 필수입니다.');
+      return;
+    }
+
+    try {
+      const updatedRoom = await roomService.updateRoom(room._id, { name: name.trim() });
+      updateRooms(prev => prev.map(item =>
+        item._id === updatedRoom._id ? { ...item, name: updatedRoom.name } : item
+      ));
+      Toast.success('대화 이름이 변경되었습니다.');
+    } catch (error) {
+      Toast.error(error.message);
+    }
+  }, [updateRooms]);
+
+  // AI 대화 삭제 (메시지와 첨부 파일 포함)
+  const handleDeleteRoom = useCallback(async (room) => {
+    if (!window.confirm(`'${room.name}' 대화를 삭제하시겠습니까? 모든 메시지와 파일이 함께 삭제됩니다.`)) {
+      return;
+    }
+
+    try {
+      await roomService.deleteRoom(room._id);
+      updateRooms(prev => prev.filter(item => item._id !== room._id));
+      Toast.success('대화가 삭제되었습니다.');
+    } catch (error) {
+      Toast.error(error.message);
+    }
+  }, [updateRooms]);
+
+  const renderContent = () => {
+    if (loading && rooms.length === 0) {
+      return (
+        <div className="flex items-center justify-center p-4">
+          <Spinner size="sm" />
+          <Text className="ml-2">1:1 대화 목록을 불러오는 중...</Text>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <Alert color="danger" className="m-4">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </Alert>
+      );
+    }
+
+    if (rooms.length === 0) {
+      return (
+        <div className="dm-empty">
+          <Text color="secondary">
+            아직 1:1 대화가 없습니다. 채팅방에서 상대방의 프로필 사진이나 멘션을 눌러 대화를 시작하거나, 새 AI 대화를 만들어 보세요.
+          </Text>
+        </div>
+      );
+    }
+
+    return (
+      <div className="dm-list">
+        {rooms.map(room => {
+          const isAssistant = room.type === 'assistant';
+
+          return (
+          <div key={room._id} className="dm-item-row">
+            <button
+              type="button"
+              className="dm-item"
+              data-room-type={room.type || 'direct'}
+              onClick={() => router.push(`/chat?room=${room._id}`)}
+            >
+              <PersistentAvatar
+                user={isAssistant ? getPersonaUser(room.aiPersona) : room.otherUser}
+                size="md"
+                showInitials={true}
+              />
+              <div className="dm-item-body">
+                <div className="dm-item-header">
+                  <span className="dm-item-name">
+                    {isAssistant && <Bot className="w-4 h-4 mr-1 inline" />}
+                    {isAssistant
+                      ? room.name
+                      : room.otherUser?.name || '알 수 없는 사용자'}
+                  </span>
+                  <span className="dm-item-time">
+                    {formatActivityTime(room.lastActivityAt || room.createdAt)}
+                  </span>
+                </div>
+                <div className="dm-item-footer">
+                  <span className="dm-item-preview">
+                    {getPreviewText(room.lastMessage, currentUser?.id)}
+                  </span>
+                  {room.unreadCount > 0 && (
+                    <span
+                      className="room-unread-badge"
+                      title={`안 읽은 메시지 ${room.unreadCount}개`}
+                    >
+                      {room.unreadCount > MAX_UNREAD_BADGE ? `${MAX_UNREAD_BADGE}+` : room.unreadCount}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </button>
+            {isAssistant && (
+              <div className="dm-item-actions">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRenameRoom(room)}
+                  title="대화 이름 변경"
+                >
+                  <Pencil className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleDeleteRoom(room)}
+                  title="대화 삭제"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+            )}
+          </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="chat-container">
+      <Card className="chat-rooms-card">
+        <Card.Header>
+          <div className="flex justify-between items-center">
+            <Card.Title>1:1 대화</Card.Title>
+            <div className="flex items-center gap-2">
+              <Button
+                variant="primary"
+                size="sm"
+                onClick={() => router.push('/chat-rooms/new?type=ai')}
+              >
+                <Bot className="w-4 h-4 mr-1" />
+                새 AI 대화
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={fetchRooms}
+                disabled={loading}
+                title="새로고침"
+              >
+                <RefreshCcw className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {renderContent()}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
+
+export default withAuth(DirectMessages);
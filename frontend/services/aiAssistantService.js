@@ -0,0 +1,41 @@
+import axiosInstance from './axios';
+
+class AIAssistantService {
+  // 내 AI 대화 목록 조회 (최근 메시지 순)
+  async getAssistantRooms() {
+    try {
+      const response = await axiosInstance.get('/api/ai/rooms');
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'AI 대화 목록을 불러오는데 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('AI assistant room list error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || 'AI 대화 목록을 불러오는데 실패했습니다.'
+      );
+    }
+  }
+
+  // 페르소나와의 새 AI 대화 생성
+  async createAssistantRoom(persona, name) {
+    try {
+      const response = await axiosInstance.post('/api/ai/rooms', { persona, name });
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || 'AI 대화를 만들 수 없습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('AI assistant room create error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || 'AI 대화 생성 중 오류가 발생했습니다.'
+      );
+    }
+  }
+}
+
+export default new AIAssistantService();
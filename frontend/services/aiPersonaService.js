@@ -0,0 +1,65 @@
+import axiosInstance from './axios';
+import { setCustomColor } from '../utils/colorUtils';
+
+class AIPersonaService {
+  constructor() {
+    this.personas = [];
+    this.loadingPromise = null;
+    this.loaded = false;
+    this.listeners = new Set();
+  }
+
+  // AI 아바타 색상 계산에 쓰이는 페르소나별 가상 이메일
+  getPersonaEmail(key) {
+    return `${key}@ai.persona`;
+  }
+
+  getCachedPersonas() {
+    return this.personas;
+  }
+
+  // 목록이 갱신되면 호출될 리스너 등록 (해제 함수 반환)
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setPersonas(personas) {
+    this.personas = personas;
+    this.loaded = true;
+    personas.forEach(persona => {
+      setCustomColor(this.getPersonaEmail(persona.key), persona.color);
+    });
+    this.listeners.forEach(listener => listener(personas));
+  }
+
+  // 페르소나 목록 조회 (한 번만 요청하고 이후에는 캐시 사용)
+  async getPersonas({ force = false } = {}) {
+    if (this.loaded && !force) return this.personas;
+    if (this.loadingPromise) return this.loadingPromise;
+
+    this.loadingPromise = (async () => {
+      try {
+        const response = await axiosInstance.get('/api/ai/personas');
+
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || 'AI 페르소나 목록을 불러오는데 실패했습니다.');
+        }
+
+        this.setPersonas(response.data.data);
+        return this.personas;
+      } catch (error) {
+        console.error('AI persona list error:', error);
+        throw new Error(
+          error.response?.data?.message || error.message || 'AI 페르소나 목록을 불러오는데 실패했습니다.'
+        );
+      } finally {
+        this.loadingPromise = null;
+      }
+    })();
+
+    return this.loadingPromise;
+  }
+}
+
+export default new AIPersonaService();
@@ -0,0 +1,41 @@
+import axiosInstance from './axios';
+
+class DirectMessageService {
+  // 1:1 대화 목록 조회 (최근 메시지 순)
+  async getDirectRooms() {
+    try {
+      const response = await axiosInstance.get('/api/direct-messages');
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '1:1 대화 목록을 불러오는데 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Direct message list error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '1:1 대화 목록을 불러오는데 실패했습니다.'
+      );
+    }
+  }
+
+  // 상대방과의 1:1 대화 열기 (없으면 생성)
+  async openDirectRoom(userId) {
+    try {
+      const response = await axiosInstance.post('/api/direct-messages', { userId });
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '1:1 대화를 열 수 없습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Direct message open error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '1:1 대화를 여는 중 오류가 발생했습니다.'
+      );
+    }
+  }
+}
+
+export default new DirectMessageService();
@@ -0,0 +1,51 @@
+import axiosInstance from './axios';
+
+class MessageService {
+  // 빈 값은 쿼리 파라미터에서 제외
+  buildParams(params = {}) {
+    return Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+
+  async searchMessages(roomId, params = {}) {
+    try {
+      const response = await axiosInstance.get(
+        `/api/rooms/${roomId}/messages/search`,
+        { params: this.buildParams(params) }
+      );
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '메시지 검색에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Message search error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '메시지 검색 중 오류가 발생했습니다.'
+      );
+    }
+  }
+
+  async getMessageReaders(roomId, messageId) {
+    try {
+      const response = await axiosInstance.get(
+        `/api/rooms/${roomId}/messages/${messageId}/readers`
+      );
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '읽은 사용자 조회에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Message readers fetch error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '읽은 사용자 조회 중 오류가 발생했습니다.'
+      );
+    }
+  }
+}
+
+export default new MessageService();
@@ -0,0 +1,145 @@
+import axiosInstance from './axios';
+
+class RoomService {
+  async updateRoom(roomId, data) {
+    try {
+      const response = await axiosInstance.put(`/api/rooms/${roomId}`, data);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '채팅방 설정 변경에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Room update error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '채팅방 설정 변경에 실패했습니다.'
+      );
+    }
+  }
+
+  async deleteRoom(roomId) {
+    try {
+      const response = await axiosInstance.delete(`/api/rooms/${roomId}`);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '채팅방 삭제에 실패했습니다.');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Room delete error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '채팅방 삭제에 실패했습니다.'
+      );
+    }
+  }
+
+  async getInvites(roomId) {
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/invites`);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '초대 링크 목록을 불러오는데 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Invite list fetch error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '초대 링크 목록을 불러오는데 실패했습니다.'
+      );
+    }
+  }
+
+  async createInvite(roomId, { expiresInHours, maxUses }) {
+    try {
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/invites`, {
+        expiresInHours,
+        maxUses
+      });
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '초대 링크 생성에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Invite create error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '초대 링크 생성에 실패했습니다.'
+      );
+    }
+  }
+
+  async revokeInvite(roomId, inviteId) {
+    try {
+      const response = await axiosInstance.delete(`/api/rooms/${roomId}/invites/${inviteId}`);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '초대 링크 폐기에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Invite revoke error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '초대 링크 폐기에 실패했습니다.'
+      );
+    }
+  }
+
+  async getInvitePreview(token) {
+    try {
+      const response = await axiosInstance.get(`/api/rooms/invites/${encodeURIComponent(token)}`);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '초대 링크를 확인할 수 없습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Invite preview error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '초대 링크를 확인할 수 없습니다.'
+      );
+    }
+  }
+
+  // 초대 토큰으로 입장 (비밀번호 입장과 같은 API 사용)
+  async joinWithInvite(roomId, inviteToken) {
+    try {
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/join`, { inviteToken });
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '채팅방 입장에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Invite join error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '채팅방 입장에 실패했습니다.'
+      );
+    }
+  }
+
+  async getBannedUsers(roomId) {
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/bans`);
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '차단 목록을 불러오는데 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Ban list fetch error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '차단 목록을 불러오는데 실패했습니다.'
+      );
+    }
+  }
+}
+
+export default new RoomService();
@@ -0,0 +1,25 @@
+import axiosInstance from './axios';
+
+class SearchService {
+  // 참여 중인 모든 채팅방에서 메시지, 파일명, 채팅방 이름 통합 검색
+  async searchAll(query) {
+    try {
+      const response = await axiosInstance.get('/api/search', {
+        params: { q: query }
+      });
+
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || '검색에 실패했습니다.');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      console.error('Global search error:', error);
+      throw new Error(
+        error.response?.data?.message || error.message || '검색 중 오류가 발생했습니다.'
+      );
+    }
+  }
+}
+
+export default new SearchService();
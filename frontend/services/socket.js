@@ -10,6 +10,9 @@ const CLEANUP_REASONS = {
   RECONNECT: 'reconnect'
 };
 
+const PRESENCE_AWAY_TIMEOUT = 5 * 60 * 1000; // 입력이 없으면 자리 비움으로 보는 시간 (5분)
+const PRESENCE_INTERACTION_EVENTS = ['mousedown', 'keydown', 'touchstart', 'focus'];
+
 class SocketService {
   constructor() {
     this.socket = null;
@@ -24,6 +27,9 @@ class SocketService {
     this.duplicateLoginTimeout = 30000;
     this.reactionHandlers = new Set();
     this.connected = false;
+    this.presenceStatus = 'online';
+    this.lastInteractionAt = Date.now();
+    this.presenceTrackingStarted = false;
   }
 
   async handleDuplicateLogin(data) {
@@ -268,13 +274,51 @@ class SocketService {
     }
   }
 
+  // 탭이 숨겨졌거나 일정 시간 입력이 없으면 자리 비움
+  getPresenceStatus() {
+    if (typeof document !== 'undefined' && document.hidden) return 'away';
+    return Date.now() - this.lastInteractionAt > PRESENCE_AWAY_TIMEOUT ? 'away' : 'online';
+  }
+
+  sendPresenceHeartbeat() {
+    if (!this.socket?.connected) return;
+    this.presenceStatus = this.getPresenceStatus();
+    this.socket.emit('presenceHeartbeat', { status: this.presenceStatus });
+  }
+
+  // 화면 표시 여부와 사용자 입력을 감지해 상태가 바뀌면 하트비트를 기다리지 않고 전송
+  startPresenceTracking() {
+    if (this.presenceTrackingStarted || typeof window === 'undefined') return;
+    this.presenceTrackingStarted = true;
+
+    const handleStatusChange = () => {
+      if (this.getPresenceStatus() !== this.presenceStatus) {
+        this.sendPresenceHeartbeat();
+      }
+    };
+
+    const handleInteraction = () => {
+      this.lastInteractionAt = Date.now();
+      handleStatusChange();
+    };
+
+    document.addEventListener('visibilitychange', handleStatusChange);
+    PRESENCE_INTERACTION_EVENTS.forEach(event => {
+      window.addEventListener(event, handleInteraction, { passive: true });
+    });
+  }
+
   startHeartbeat() {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
     }
 
+    this.startPresenceTracking();
+    this.sendPresenceHeartbeat();
+
     this.heartbeatInterval = setInterval(() => {
       if (this.socket?.connected) {
+        this.sendPresenceHeartbeat();
         this.socket.emit('ping', null, (error) => {
           if (error) {
             console.error('Heartbeat failed:', error);
@@ -3,17 +3,8 @@
 // 전역 색상 캐시 맵
 const globalColorCache = new Map();
 
-// AI 에이전트용 고정 색상
-const AI_COLORS = {
-  wayneAI: {
-    backgroundColor: '#0084ff',
-    color: '#FFFFFF'
-  },
-  consultingAI: {
-    backgroundColor: '#00C853',
-    color: '#FFFFFF'
-  }
-};
+// AI 페르소나에 색상이 지정되지 않은 경우의 기본 색상
+const AI_DEFAULT_COLOR = '#0084ff';
 
 // 사용자 색상 팔레트
 const USER_COLORS = [
@@ -22,21 +13,13 @@ const USER_COLORS = [
   '#00BBF9', '#00F5D4', '#738276', '#A6D8D4'
 ];
 
-// AI 아바타 스타일 가져오기
-export const getAIAvatarStyles = (aiName) => {
-  if (!aiName) return AI_COLORS.wayneAI; // 기본값
-
-  const formattedName = aiName.toLowerCase();
-  
-  if (formattedName === 'wayneai') {
-    return AI_COLORS.wayneAI;
-  }
-  if (formattedName === 'consultingai') {
-    return AI_COLORS.consultingAI;
-  }
-  
-  // 알 수 없는 AI의 경우 기본값 반환
-  return AI_COLORS.wayneAI;
+// AI 아바타 스타일 가져오기 (페르소나 레지스트리에 등록된 색상 기준)
+export const getAIAvatarStyles = (aiColor) => {
+  const backgroundColor = isValidColor(aiColor) ? aiColor : AI_DEFAULT_COLOR;
+  return {
+    backgroundColor,
+    color: getContrastTextColor(backgroundColor)
+  };
 };
 
 // 이메일로부터 고유한 색상 생성
@@ -48,16 +31,6 @@ export const generateColorFromEmail = (email) => {
     return globalColorCache.get(email);
   }
 
-  // AI 계정 처리
-  if (email.endsWith('@wayne.ai')) {
-    globalColorCache.set(email, AI_COLORS.wayneAI.backgroundColor);
-    return AI_COLORS.wayneAI.backgroundColor;
-  }
-  if (email.endsWith('@consulting.ai')) {
-    globalColorCache.set(email, AI_COLORS.consultingAI.backgroundColor);
-    return AI_COLORS.consultingAI.backgroundColor;
-  }
-
   // 해시 생성
   let hash = 0;
   for (let i = 0; i < email.length; i++) {
@@ -104,14 +77,6 @@ export const clearColorCache = () => {
   globalColorCache.clear();
 };
 
-// AI 색상 가져오기 (이름으로)
-export const getAIColorByName = (aiName) => {
-  if (!aiName) return null;
-  
-  const formattedName = aiName.toLowerCase();
-  return AI_COLORS[formattedName] || null;
-};
-
 // 사용자 정의 색상 설정 (캐시에 추가)
 export const setCustomColor = (identifier, color) => {
   if (!identifier || !color) return false;